@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore } = require('@finlogicos/core');
+const { resolveProfile } = require('../catalog');
+const { batchCommand } = require('../commands/batch');
+
+// chalk stand-in: every style returns the text unchanged.
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const MANIFEST = `manifest_version: 2
+id: echo-inputs
+name: Echo Inputs
+version: 1.0.0
+category: test
+author: test
+
+inputs:
+  - id: amount
+    label: Amount
+    type: number
+    required: true
+
+outputs:
+  - id: keys
+    label: Input Keys
+    type: string
+`;
+
+const LOGIC = `module.exports = function echoInputs(inputs) {
+  return { keys: Object.keys(inputs).sort().join(',') };
+};
+`;
+
+describe('batchCommand', () => {
+  let dir;
+  let savedDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-batch-'));
+    savedDir = process.env.FINLOGICOS_DIR;
+    process.env.FINLOGICOS_DIR = dir;
+    const packDir = path.join(dir, 'packs', 'echo-inputs');
+    fs.mkdirSync(packDir, { recursive: true });
+    fs.writeFileSync(path.join(packDir, 'manifest.yaml'), MANIFEST);
+    fs.writeFileSync(path.join(packDir, 'logic.js'), LOGIC);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (savedDir === undefined) delete process.env.FINLOGICOS_DIR;
+    else process.env.FINLOGICOS_DIR = savedDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('does not pass undeclared columns to the model or the snapshot', async () => {
+    const input = path.join(dir, 'rows.csv');
+    const output = path.join(dir, 'results.jsonl');
+    fs.writeFileSync(input, 'amount,foo\n5,bar\n');
+
+    await batchCommand('echo-inputs', { in: input, out: output, saveSnapshots: true }, chalk);
+
+    const [line] = fs.readFileSync(output, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    expect(line).toMatchObject({ status: 'ok', inputs: { amount: 5 }, outputs: { keys: 'amount' } });
+    expect(line.inputs).not.toHaveProperty('foo');
+
+    const store = new SnapshotStore(resolveProfile().profile.db_path);
+    try {
+      expect(store.getById(line.snapshot_id).inputs).toEqual({ amount: 5 });
+    } finally {
+      store.close();
+    }
+  });
+
+  test('rejects a bad --seed before running any row', async () => {
+    const input = path.join(dir, 'rows.csv');
+    const output = path.join(dir, 'results.jsonl');
+    fs.writeFileSync(input, 'amount\n5\n');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+
+    await expect(batchCommand('echo-inputs', { in: input, out: output, seed: 'abc' }, chalk)).rejects.toThrow('exit 1');
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('--seed must be an integer'));
+    expect(fs.existsSync(output)).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+// registry-client fixes the path of ~/.finlogicos/registry.json when it is
+// first required, so the home directory is swapped for a temp one before that.
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-home-'));
+const homedir = jest.spyOn(os, 'homedir').mockReturnValue(home);
+
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { hashBuffer } = require('@finlogicos/core');
+const { registerInstallCommand } = require('../commands/install');
+const { registerVerifyCommand } = require('../commands/verify');
+
+const MANIFEST = `manifest_version: 2
+id: foo
+name: Foo
+version: 1.2.0
+category: test
+author: test
+
+inputs:
+  - id: amount
+    type: number
+
+outputs:
+  - id: doubled
+    type: number
+`;
+
+const LOGIC = 'module.exports = function(inputs) { return { doubled: inputs.amount * 2 }; };\n';
+
+// Runs one CLI command and resolves with its exit code (0 when it returns).
+async function runCli(...args) {
+  const program = new Command();
+  program.exitOverride();
+  registerInstallCommand(program, chalk);
+  registerVerifyCommand(program, chalk);
+
+  jest.spyOn(process, 'exit').mockImplementation((code) => {
+    throw Object.assign(new Error('process.exit'), { exitCode: code });
+  });
+  try {
+    await program.parseAsync(['node', 'finlogic', ...args]);
+    return 0;
+  } catch (err) {
+    if (err.exitCode === undefined) throw err;
+    return err.exitCode;
+  } finally {
+    process.exit.mockRestore();
+  }
+}
+
+describe('install and verify', () => {
+  let server;
+  let modelsDir;
+  let logged;
+
+  beforeAll(async () => {
+    const src = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-pack-'));
+    fs.writeFileSync(path.join(src, 'manifest.yaml'), MANIFEST);
+    fs.writeFileSync(path.join(src, 'logic.js'), LOGIC);
+    const tarball = execFileSync('tar', ['czf', '-', '-C', src, 'manifest.yaml', 'logic.js']);
+    fs.rmSync(src, { recursive: true, force: true });
+
+    server = http.createServer((req, res) => res.end(tarball));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    fs.mkdirSync(path.join(home, '.finlogicos'));
+    fs.writeFileSync(
+      path.join(home, '.finlogicos', 'registry.json'),
+      JSON.stringify({
+        packs: [
+          {
+            id: 'foo',
+            name: 'Foo',
+            version: '1.2.0',
+            tarball_url: `http://127.0.0.1:${server.address().port}/foo-1.2.0.tgz`,
+            tarball_sha256: hashBuffer(tarball),
+            manifest_sha256: hashBuffer(MANIFEST),
+            logic_sha256: hashBuffer(LOGIC),
+          },
+        ],
+      })
+    );
+  });
+
+  afterAll(async () => {
+    homedir.mockRestore();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    modelsDir = fs.mkdtempSync(path.join(home, 'models-'));
+    logged = [];
+    const capture = (...args) => logged.push(args.join(' '));
+    jest.spyOn(console, 'log').mockImplementation(capture);
+    jest.spyOn(console, 'error').mockImplementation(capture);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('verify --dir finds a pack in the versioned layout install writes', async () => {
+    expect(await runCli('install', 'foo', '--dir', modelsDir)).toBe(0);
+    expect(fs.existsSync(path.join(modelsDir, 'foo', '1.2.0', 'manifest.yaml'))).toBe(true);
+
+    expect(await runCli('verify', 'foo', '--dir', modelsDir)).toBe(0);
+    expect(logged.some((line) => /\[pass\]\s+foo/.test(line))).toBe(true);
+
+    expect(await runCli('verify', '--dir', modelsDir)).toBe(0);
+  });
+
+  test('install moves a flat install aside without loading its logic', async () => {
+    const flatDir = path.join(modelsDir, 'foo');
+    fs.mkdirSync(flatDir);
+    fs.writeFileSync(path.join(flatDir, 'manifest.yaml'), MANIFEST.replace('version: 1.2.0', 'version: 1.0.0'));
+    fs.writeFileSync(path.join(flatDir, 'logic.js'), "require('not-installed-here');\n" + LOGIC);
+
+    expect(await runCli('install', 'foo', '--dir', modelsDir)).toBe(0);
+    expect(fs.readdirSync(flatDir).sort()).toEqual(['1.0.0', '1.2.0']);
+  });
+
+  test('install stops when a flat install cannot be moved', async () => {
+    const flatDir = path.join(modelsDir, 'foo');
+    fs.mkdirSync(flatDir);
+    fs.writeFileSync(path.join(flatDir, 'manifest.yaml'), 'id: [unclosed');
+
+    expect(await runCli('install', 'foo', '--dir', modelsDir)).toBe(1);
+    expect(logged.some((line) => line.includes('Cannot move the existing install'))).toBe(true);
+    expect(fs.existsSync(path.join(flatDir, '1.2.0'))).toBe(false);
+  });
+});
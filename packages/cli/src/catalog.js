@@ -0,0 +1,56 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Resolves the profile a command runs as: the one named by the global
+ * --profile option, or the active profile.
+ *
+ * The data directory is $FINLOGICOS_DIR or ~/.finlogicos.
+ *
+ * @param {string} [profileId] - Value of the global --profile option.
+ * @returns {{ pm: import('@finlogicos/core').ProfileManager, dataDir: string, profile: object }}
+ * @throws {Error} If profileId names a profile that does not exist.
+ */
+function resolveProfile(profileId) {
+  const { ProfileManager } = require('@finlogicos/core');
+  const dataDir = process.env.FINLOGICOS_DIR || path.join(os.homedir(), '.finlogicos');
+  const pm = new ProfileManager(dataDir);
+
+  if (!profileId) {
+    return { pm, dataDir, profile: pm.getActiveProfile() };
+  }
+
+  const profile = pm.listProfiles().find((p) => p.id === profileId);
+  if (!profile) {
+    throw new Error(`Profile "${profileId}" not found. Run "finlogic profile list" to see available profiles.`);
+  }
+  return { pm, dataDir, profile };
+}
+
+/**
+ * Opens the ModelCatalog that every command resolves model ids through.
+ * Roots, highest priority first:
+ *   1. <data dir>/profiles/<profile>/packs — packs installed for one profile
+ *   2. <data dir>/packs                     — packs installed for every profile
+ *   3. packages/models                      — packs bundled with FinLogicOS
+ *
+ * @param {string} [profileId] - Value of the global --profile option; the
+ *                               active profile is used when omitted.
+ * @returns {import('@finlogicos/core').ModelCatalog}
+ * @throws {Error} If profileId names a profile that does not exist.
+ */
+function openCatalog(profileId) {
+  const { ModelCatalog } = require('@finlogicos/core');
+  const { pm, dataDir, profile } = resolveProfile(profileId);
+
+  return new ModelCatalog({
+    roots: ModelCatalog.defaultRoots({
+      profilePacksDir: pm.getPacksDir(profile.id),
+      userPacksDir: path.join(dataDir, 'packs'),
+    }),
+  });
+}
+
+module.exports = { openCatalog, resolveProfile };
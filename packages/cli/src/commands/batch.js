@@ -0,0 +1,336 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Row file formats, by extension.
+ */
+const FORMAT_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+};
+
+/**
+ * Works out whether a batch file is CSV or JSON Lines from its extension.
+ *
+ * @param {string} file
+ * @param {string} flag - Option name, for the error message.
+ * @returns {'csv'|'jsonl'}
+ * @throws {Error} If the extension is not recognised.
+ */
+function formatOf(file, flag) {
+  const format = FORMAT_BY_EXTENSION[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`${flag} must be a .csv or .jsonl file (got "${file}")`);
+  }
+  return format;
+}
+
+/**
+ * Reads the input rows. CSV files need a header row naming the inputs; empty
+ * cells are left out so manifest defaults apply. JSONL files hold one JSON
+ * object per line.
+ *
+ * Only columns declared in `inputDefs` are kept; the model never sees the
+ * others. String values are coerced to the declared input types exactly as
+ * `--input key=value` flags are, so "5000" becomes a number and
+ * '[{"balance":1}]' an array.
+ *
+ * @param {string}   file
+ * @param {object[]} inputDefs - manifest.inputs
+ * @returns {{ rows: object[], columns: string[] }} `columns` are all the
+ *   column names found in the file, declared or not.
+ * @throws {Error} If the file cannot be parsed.
+ */
+function readRows(file, inputDefs) {
+  const { parseCsv } = require('@finlogicos/core');
+  const { coerceFlagValue } = require('./run');
+  const text = fs.readFileSync(file, 'utf8');
+
+  let records;
+  if (formatOf(file, '--in') === 'csv') {
+    const [header = [], ...lines] = parseCsv(text);
+    const columns = header.map((name) => name.trim());
+    records = lines.map((cells) => {
+      const record = {};
+      columns.forEach((name, i) => {
+        if (name && cells[i] !== undefined && cells[i] !== '') record[name] = cells[i];
+      });
+      return record;
+    });
+  } else {
+    records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`line ${i + 1} is not valid JSON: ${err.message}`);
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`line ${i + 1} must be a JSON object of inputs`);
+      }
+      records.push(record);
+    });
+  }
+
+  const known = new Set(inputDefs.map((def) => def.id));
+  const rows = records.map((record) => {
+    const inputs = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (!known.has(key)) continue;
+      inputs[key] = typeof value === 'string' ? coerceFlagValue(key, value, inputDefs) : value;
+    }
+    return inputs;
+  });
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  return { rows, columns };
+}
+
+/**
+ * Writes result rows as they are produced, so a long batch that is stopped
+ * part-way still leaves the finished rows on disk.
+ *
+ * CSV results have one column per input and per output; structured values
+ * are written as JSON and the explain block is left out. JSONL results keep
+ * every output, plus the clock and seed each row ran with.
+ */
+class ResultWriter {
+  /**
+   * @param {string}   file
+   * @param {object}   manifest
+   * @param {boolean}  withSnapshots - Whether to add a snapshot id column.
+   */
+  constructor(file, manifest, withSnapshots) {
+    this.format = formatOf(file, '--out');
+    this.inputIds = manifest.inputs.map((def) => def.id);
+    this.outputIds = manifest.outputs.map((def) => def.id).filter((id) => id !== 'explain');
+    this.withSnapshots = withSnapshots;
+    this.fd = fs.openSync(file, 'w');
+
+    if (this.format === 'csv') {
+      const header = ['row', 'status'];
+      if (withSnapshots) header.push('snapshot_id');
+      header.push(...this.inputIds, ...this.outputIds, 'error');
+      this._write(header);
+    }
+  }
+
+  /**
+   * @param {{
+   *   row: number,
+   *   inputs: object,
+   *   result?: object,
+   *   snapshotId?: number,
+   *   errors?: string[]
+   * }} record - `result` from runModelAsync for a successful row, `errors`
+   *   for a failed one.
+   */
+  write({ row, inputs, result, snapshotId, errors }) {
+    if (this.format === 'jsonl') {
+      const line = result
+        ? {
+          row,
+          status: 'ok',
+          snapshot_id: snapshotId,
+          inputs: result.inputs,
+          outputs: result.outputs,
+          as_of: result.asOf,
+          seed: result.seed,
+          warnings: result.warnings.length > 0 ? result.warnings : undefined,
+        }
+        : { row, status: 'error', inputs, errors };
+      fs.writeSync(this.fd, JSON.stringify(line) + '\n');
+      return;
+    }
+
+    const cell = (value) =>
+      value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    const values = result ? result.inputs : inputs;
+    const cells = [row, result ? 'ok' : 'error'];
+    if (this.withSnapshots) cells.push(snapshotId);
+    cells.push(...this.inputIds.map((id) => cell(values[id])));
+    cells.push(...this.outputIds.map((id) => (result ? cell(result.outputs[id]) : '')));
+    cells.push(errors ? errors.join('; ') : '');
+    this._write(cells);
+  }
+
+  _write(cells) {
+    const { formatCsvRow } = require('@finlogicos/core');
+    fs.writeSync(this.fd, formatCsvRow(cells));
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+/**
+ * Runs the `finlogic batch <model-id>` command.
+ *
+ * Runs a model once per row of a CSV or JSONL input file without prompting
+ * and writes one result row per input row to --out. Every row is validated
+ * on its own: a row that fails validation or throws is reported with its
+ * row number and recorded as an error in the results, and the batch carries
+ * on. All rows share one clock (--as-of, or the time the batch started);
+ * with --seed they also share Math.random's seed.
+ *
+ * With --save-snapshots each successful run is also saved to the profile's
+ * snapshot store, and its id recorded in the results.
+ *
+ * Exits non-zero when any row failed.
+ *
+ * @param {string} modelId - Model id or `id@version`, resolved through the model catalog
+ * @param {{
+ *   in: string,
+ *   out: string,
+ *   saveSnapshots?: boolean,
+ *   isolation?: string,
+ *   asOf?: string,
+ *   seed?: string,
+ *   profile?: string
+ * }} opts - Commander option values, plus the global `profile`
+ * @param {object} chalk - chalk instance
+ * @returns {Promise<void>}
+ */
+async function batchCommand(modelId, opts, chalk) {
+  const { runModelAsync, hashBuffer, hashFile, SnapshotStore } = require('@finlogicos/core');
+  const { openCatalog, resolveProfile } = require('../catalog');
+
+  // Options that would fail every row are rejected before anything runs.
+  try {
+    formatOf(opts.out, '--out');
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+  const seed = opts.seed === undefined ? undefined : Number(opts.seed);
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+    console.error(chalk.red(`--seed must be an integer between 0 and 4294967295 (got "${opts.seed}")`));
+    process.exit(1);
+  }
+  if (opts.asOf !== undefined && Number.isNaN(Date.parse(opts.asOf))) {
+    console.error(chalk.red(`--as-of must be an ISO 8601 date (got "${opts.asOf}")`));
+    process.exit(1);
+  }
+
+  let manifest, logicCode, loadWarnings, modelDir, profile, rows, columns;
+  try {
+    let entry;
+    ({ manifest, logicCode, warnings: loadWarnings, entry } = openCatalog(opts.profile).load(modelId));
+    modelDir = entry.dir;
+    ({ profile } = resolveProfile(opts.profile));
+  } catch (err) {
+    console.error(chalk.red(`Failed to load model "${modelId}": ${err.message}`));
+    process.exit(1);
+  }
+
+  try {
+    ({ rows, columns } = readRows(path.resolve(opts.in), manifest.inputs));
+  } catch (err) {
+    console.error(chalk.red(`Failed to read ${opts.in}: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Batch: ${manifest.name}`));
+  console.log(chalk.dim(`  version ${manifest.version}  ${rows.length} row(s) from ${opts.in}`));
+  for (const w of loadWarnings) {
+    console.log(chalk.yellow(`  [warn] ${w}`));
+  }
+  const known = new Set(manifest.inputs.map((def) => def.id));
+  const unknown = columns.filter((name) => !known.has(name));
+  if (unknown.length > 0) {
+    console.log(chalk.yellow(`  [warn] ignoring columns not declared as inputs: ${unknown.join(', ')}`));
+  }
+  console.log('');
+
+  const logicSha256 = hashBuffer(logicCode);
+  const manifestSha256 = hashFile(path.join(modelDir, 'manifest.yaml'));
+  const asOf = opts.asOf || new Date().toISOString();
+
+  let store = null;
+  let writer = null;
+  let failed = 0;
+  let batchError = null;
+
+  try {
+    // The store is opened first so a database that cannot be opened fails
+    // before the results file is created.
+    if (opts.saveSnapshots) store = new SnapshotStore(profile.db_path);
+    writer = new ResultWriter(opts.out, manifest, Boolean(opts.saveSnapshots));
+
+    for (const [i, inputs] of rows.entries()) {
+      const row = i + 1;
+      let result;
+      try {
+        result = await runModelAsync(manifest, logicCode, inputs, {
+          packDir: modelDir,
+          isolation: opts.isolation,
+          asOf,
+          seed,
+          locale: profile.locale,
+          currency: profile.currency,
+          format: false,
+        });
+      } catch (err) {
+        failed++;
+        const errors = err.errors && err.errors.length > 0 ? err.errors : [err.message];
+        console.log(chalk.red(`  [fail] row ${row}: ${errors.join('; ')}`));
+        writer.write({ row, inputs, errors });
+        continue;
+      }
+
+      for (const w of result.warnings) {
+        console.log(chalk.yellow(`  [warn] row ${row}: ${w}`));
+      }
+
+      let snapshotId;
+      if (store) {
+        try {
+          snapshotId = store.save(manifest.id, result.inputs, result.outputs, {
+            asOf: result.asOf,
+            seed: result.seed,
+            modelVersion: String(manifest.version),
+            logicSha256,
+            manifestSha256,
+            runtimeVersion: result.runtimeVersion,
+            durationMs: result.durationMs,
+            source: 'batch',
+          });
+        } catch (err) {
+          failed++;
+          console.log(chalk.red(`  [fail] row ${row}: snapshot not saved: ${err.message}`));
+          writer.write({ row, inputs, errors: [`snapshot not saved: ${err.message}`] });
+          continue;
+        }
+      }
+      writer.write({ row, inputs, result, snapshotId });
+    }
+  } catch (err) {
+    batchError = err;
+  } finally {
+    if (writer) writer.close();
+    if (store) store.close();
+  }
+
+  if (batchError) {
+    console.error(chalk.red(`Batch failed: ${batchError.message}`));
+    process.exit(1);
+  }
+
+  const summary = `${rows.length - failed} of ${rows.length} row(s) succeeded`;
+  console.log(failed > 0 ? chalk.yellow(`  ${summary}`) : chalk.green(`  ${summary}`));
+  console.log(chalk.dim(`  results: ${opts.out}`));
+  if (store) {
+    console.log(chalk.dim(`  snapshots saved to ${profile.db_path}`));
+  }
+  console.log('');
+
+  if (failed > 0) process.exit(1);
+}
+
+module.exports = { batchCommand };
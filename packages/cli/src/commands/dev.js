@@ -0,0 +1,261 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Fixtures file read from the pack directory when --fixtures is not given.
+ */
+const DEFAULT_FIXTURES_FILE = 'fixtures.json';
+
+/**
+ * How long to wait after a change event before re-running, so an editor's
+ * burst of writes triggers a single run.
+ */
+const DEBOUNCE_MS = 150;
+
+/**
+ * Most changed values printed per fixture before the diff is summarised.
+ */
+const MAX_DIFF_LINES = 10;
+
+/**
+ * Reads the fixtures file: a JSON array of `{ name, inputs, asOf?, seed? }`.
+ * Without a file, a single fixture built from the manifest's sample inputs
+ * (as used by `finlogic validate`) is returned.
+ *
+ * @param {string|null} fixturesPath
+ * @param {object}      manifest
+ * @returns {Array<{ name: string, inputs: object, asOf?: string, seed?: number }>}
+ * @throws {Error} If the file is not valid JSON or not an array of fixtures.
+ */
+function readFixtures(fixturesPath, manifest) {
+  if (!fixturesPath || !fs.existsSync(fixturesPath)) {
+    const { buildSampleInputs } = require('./validate');
+    return [{ name: 'sample', inputs: buildSampleInputs(manifest.inputs) }];
+  }
+
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.basename(fixturesPath)} is not valid JSON: ${err.message}`);
+  }
+
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`${path.basename(fixturesPath)} must contain an array of fixtures`);
+  }
+  return fixtures.map((fixture, i) => {
+    if (!fixture || typeof fixture.inputs !== 'object' || fixture.inputs === null) {
+      throw new Error(`Fixture ${i + 1} must have an "inputs" object`);
+    }
+    return { ...fixture, name: fixture.name || `fixture ${i + 1}` };
+  });
+}
+
+/**
+ * Compares two output objects and describes each changed leaf, e.g.
+ * "total: 1050 → 1102.5". Added and removed leaves show as "(none)".
+ *
+ * @param {object} previous
+ * @param {object} current
+ * @returns {string[]}
+ */
+function diffOutputs(previous, current) {
+  const { diffValues } = require('@finlogicos/core');
+  const show = (v) => (v === undefined ? '(none)' : JSON.stringify(v));
+  return diffValues(previous, current).map(
+    (change) => `${change.path}: ${show(change.before)} → ${show(change.after)}`
+  );
+}
+
+/**
+ * Loads the pack and runs every fixture once, printing a pass/fail line per
+ * fixture followed by the outputs that changed since the previous run.
+ *
+ * logic.js is evicted from the require cache first so loadModel sees the
+ * edited file.
+ *
+ * @param {string}      packDir
+ * @param {string|null} fixturesPath
+ * @param {Map<string, object>} previous - Outputs of the last run per fixture;
+ *   updated in place.
+ * @param {{ isolation?: string, asOf?: string, seed?: number }} session -
+ *   Clock and seed shared by every run, so outputs only change when the pack
+ *   does. Unset values are fixed by the first run.
+ * @param {object} chalk
+ * @returns {Promise<boolean>} Whether the pack loaded and every fixture passed.
+ */
+async function runFixtures(packDir, fixturesPath, previous, session, chalk) {
+  const { loadModel, runModelAsync } = require('@finlogicos/core');
+  const logicPath = path.join(packDir, 'logic.js');
+  delete require.cache[logicPath];
+
+  let manifest, loadWarnings, fixtures;
+  try {
+    ({ manifest, warnings: loadWarnings } = loadModel(packDir));
+    fixtures = readFixtures(fixturesPath, manifest);
+  } catch (err) {
+    console.log(chalk.red(`  [fail] ${err.message}`));
+    return false;
+  }
+
+  for (const w of loadWarnings) {
+    console.log(chalk.yellow(`  [warn] ${w}`));
+  }
+
+  const logicCode = fs.readFileSync(logicPath, 'utf8');
+  let ok = true;
+
+  for (const fixture of fixtures) {
+    let result;
+    try {
+      result = await runModelAsync(manifest, logicCode, fixture.inputs, {
+        packDir,
+        isolation: session.isolation,
+        asOf: fixture.asOf ?? session.asOf,
+        seed: fixture.seed ?? session.seed,
+        format: false,
+      });
+    } catch (err) {
+      ok = false;
+      console.log(chalk.red(`  [fail] ${fixture.name}: ${err.message}`));
+      for (const e of err.errors || []) {
+        console.log(chalk.red(`         ${e}`));
+      }
+      continue;
+    }
+
+    if (session.asOf === undefined) session.asOf = result.asOf;
+    if (session.seed === undefined) session.seed = result.seed;
+
+    if (result.warnings.length > 0) {
+      ok = false;
+      console.log(chalk.red(`  [fail] ${fixture.name}: outputs do not match manifest.outputs`));
+      for (const w of result.warnings) {
+        console.log(chalk.red(`         ${w}`));
+      }
+    } else {
+      console.log(chalk.green(`  [pass] ${fixture.name}`));
+    }
+
+    if (previous.has(fixture.name)) {
+      const changes = diffOutputs(previous.get(fixture.name), result.outputs);
+      for (const line of changes.slice(0, MAX_DIFF_LINES)) {
+        console.log(chalk.cyan(`         ${line}`));
+      }
+      if (changes.length > MAX_DIFF_LINES) {
+        console.log(chalk.dim(`         … and ${changes.length - MAX_DIFF_LINES} more change(s)`));
+      }
+      if (changes.length === 0) {
+        console.log(chalk.dim('         outputs unchanged'));
+      }
+    }
+    previous.set(fixture.name, result.outputs);
+  }
+
+  return ok;
+}
+
+/**
+ * Runs the `finlogic dev <path>` command.
+ *
+ * Watches a pack's manifest.yaml, logic.js and fixtures file and, on every
+ * change, reloads the pack and runs each fixture through input validation,
+ * the sandbox and output validation, printing which outputs changed since
+ * the previous run. Fixtures run with one clock and seed for the whole
+ * session (--as-of / --seed, or the first run's) so that diffs only reflect
+ * changes to the pack.
+ *
+ * With --once the fixtures run a single time and the exit code reports
+ * whether they passed, which suits pre-commit hooks and CI.
+ *
+ * @param {string} modelPath - Path to the model directory (from the CLI arg).
+ * @param {{ fixtures?: string, once?: boolean, isolation?: string, asOf?: string, seed?: string }} opts
+ *   Commander option values
+ * @param {object} chalk - chalk instance
+ * @returns {Promise<void>}
+ */
+async function devCommand(modelPath, opts, chalk) {
+  const packDir = path.resolve(modelPath);
+  if (!fs.existsSync(path.join(packDir, 'manifest.yaml'))) {
+    console.error(chalk.red(`No manifest.yaml found in ${packDir}`));
+    process.exit(1);
+  }
+
+  const seed = opts.seed === undefined ? undefined : Number(opts.seed);
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+    console.error(chalk.red(`--seed must be an integer between 0 and 4294967295 (got "${opts.seed}")`));
+    process.exit(1);
+  }
+
+  const fixturesPath = opts.fixtures
+    ? path.resolve(opts.fixtures)
+    : path.join(packDir, DEFAULT_FIXTURES_FILE);
+  const session = {
+    isolation: opts.isolation,
+    asOf: opts.asOf,
+    seed,
+  };
+  const previous = new Map();
+
+  console.log('');
+  console.log(chalk.bold(`Developing pack at: ${packDir}`));
+  if (fs.existsSync(fixturesPath)) {
+    console.log(chalk.dim(`  fixtures: ${fixturesPath}`));
+  } else {
+    console.log(chalk.dim(`  no ${path.basename(fixturesPath)} found; running sample inputs`));
+  }
+  console.log('');
+
+  const ok = await runFixtures(packDir, fixturesPath, previous, session, chalk);
+  if (session.asOf !== undefined) {
+    console.log(chalk.dim(`  as-of ${session.asOf}  seed ${session.seed}`));
+  }
+
+  if (opts.once) {
+    console.log('');
+    process.exit(ok ? 0 : 1);
+  }
+
+  // Watch directories rather than files: editors often save by replacing
+  // the file, which ends a watch on the file itself.
+  const watched = new Set([
+    path.join(packDir, 'manifest.yaml'),
+    path.join(packDir, 'logic.js'),
+    fixturesPath,
+  ]);
+  const changed = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const onChange = (dir) => (_eventType, filename) => {
+    const file = filename && path.join(dir, filename.toString());
+    if (!file || !watched.has(file)) return;
+    changed.add(path.basename(file));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const names = [...changed].join(', ');
+      changed.clear();
+      running = running.then(async () => {
+        console.log('');
+        console.log(chalk.bold(`[${new Date().toLocaleTimeString()}] ${names} changed`));
+        // A save can catch logic.js mid-rename; report it and keep watching.
+        try {
+          await runFixtures(packDir, fixturesPath, previous, session, chalk);
+        } catch (err) {
+          console.log(chalk.red(`  [fail] ${err.message}`));
+        }
+      });
+    }, DEBOUNCE_MS);
+  };
+
+  for (const dir of new Set([...watched].map((file) => path.dirname(file)))) {
+    fs.watch(dir, onChange(dir));
+  }
+
+  console.log('');
+  console.log(chalk.dim('Watching for changes. Press Ctrl+C to stop.'));
+}
+
+module.exports = { devCommand };
@@ -61,13 +61,42 @@ function extractTarball(tarBuffer, destDir) {
   });
 }
 
+/**
+ * Moves a pack installed before versioned storage (`<packDir>/manifest.yaml`)
+ * into `<packDir>/<version>/`, so it stays available next to the version being
+ * installed. Only the manifest is read; the pack's logic is not loaded.
+ *
+ * @param {string} packDir - `<modelsDir>/<pack-id>`
+ * @returns {string|null} The version the pack was moved to, or null when
+ *   there is no flat install.
+ * @throws {Error} If the flat install's manifest cannot be read.
+ */
+function migrateFlatInstall(packDir) {
+  if (!fs.existsSync(path.join(packDir, 'manifest.yaml'))) return null;
+
+  const { readManifest } = require('@finlogicos/core');
+  const version = String(readManifest(packDir).manifest.version);
+
+  const staging = fs.mkdtempSync(path.join(path.dirname(packDir), '.migrate-'));
+  fs.renameSync(packDir, path.join(staging, version));
+  fs.mkdirSync(packDir);
+  fs.renameSync(path.join(staging, version), path.join(packDir, version));
+  fs.rmSync(staging, { recursive: true, force: true });
+  return version;
+}
+
 /**
  * Registers the `install` command on a Commander program.
  *
  * Usage: finlogic install <pack-id> [options]
  *
+ * Each version is installed into its own directory, `<dir>/<pack-id>/<version>/`,
+ * so several versions of a pack can be installed side by side. Reinstalling a
+ * version replaces only that version.
+ *
  * Options:
- *   --dir <path>      Install into a custom models directory (default: packages/models)
+ *   --dir <path>      Install into a custom models directory (default: ~/.finlogicos/packs,
+ *                     the catalog root shared by every profile)
  *   --skip-verify     Skip SHA-256 integrity check (requires confirmation)
  *   --dry-run         Show what would happen without actually installing
  *
@@ -113,13 +142,28 @@ function registerInstallCommand(program, chalk) {
         process.exit(1);
       }
 
-      const modelsDir = opts.dir
-        ? path.resolve(opts.dir)
-        : path.resolve(__dirname, '../../../../models');
+      if (!entry.version) {
+        console.error(chalk.red(`Registry entry for "${packId}" has no version.`));
+        process.exit(1);
+      }
 
-      const installDir = path.join(modelsDir, packId);
+      let modelsDir;
+      if (opts.dir) {
+        modelsDir = path.resolve(opts.dir);
+      } else {
+        try {
+          const { openCatalog } = require('../catalog');
+          modelsDir = openCatalog(program.opts().profile).roots.find((r) => r.source === 'user').dir;
+        } catch (err) {
+          console.error(chalk.red(err.message));
+          process.exit(1);
+        }
+      }
+
+      const packDir = path.join(modelsDir, packId);
+      const installDir = path.join(packDir, String(entry.version));
 
-      console.log(chalk.dim(`  Pack:     ${entry.name || packId} v${entry.version || '?'}`));
+      console.log(chalk.dim(`  Pack:     ${entry.name || packId} v${entry.version}`));
       console.log(chalk.dim(`  Source:   ${entry.tarball_url}`));
       console.log(chalk.dim(`  Install:  ${installDir}`));
       console.log('');
@@ -179,8 +223,20 @@ function registerInstallCommand(program, chalk) {
       }
 
       // ---- Step 5: Extract to models directory ----
+      let migrated;
+      try {
+        migrated = migrateFlatInstall(packDir);
+      } catch (err) {
+        console.error(chalk.red(`Cannot move the existing install at ${packDir} to a version directory: ${err.message}`));
+        console.error(chalk.dim('  Remove or fix it, then install again.'));
+        process.exit(1);
+      }
+      if (migrated) {
+        console.log(chalk.dim(`  Moved existing v${migrated} install to ${path.join(packDir, migrated)}`));
+      }
+
       if (fs.existsSync(installDir)) {
-        console.log(chalk.yellow(`  Overwriting existing pack at ${installDir}`));
+        console.log(chalk.yellow(`  Overwriting existing v${entry.version} at ${installDir}`));
         fs.rmSync(installDir, { recursive: true, force: true });
       }
 
@@ -195,9 +251,17 @@ function registerInstallCommand(program, chalk) {
       }
 
       // ---- Step 6: Validate the installed manifest ----
-      const { loadModel } = require('@finlogicos/core');
+      const { readManifest } = require('@finlogicos/core');
       try {
-        loadModel(installDir);
+        const { manifest } = readManifest(installDir);
+        if (String(manifest.version) !== String(entry.version)) {
+          throw new Error(
+            `manifest declares version ${manifest.version}, but the registry lists ${entry.version}`
+          );
+        }
+        if (!fs.existsSync(path.join(installDir, 'logic.js'))) {
+          throw new Error('logic.js not found in the pack');
+        }
         console.log(chalk.green('  Manifest validated successfully.'));
       } catch (err) {
         console.error(chalk.red(`Installed pack failed validation: ${err.message}`));
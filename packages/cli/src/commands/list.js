@@ -1,48 +1,18 @@
 'use strict';
 
-const path = require('path');
-const fs = require('fs');
-const yaml = require('js-yaml');
-
-/**
- * Resolves the canonical models directory — two levels up from this file
- * (packages/cli/src/commands -> packages/models).
- */
-const MODELS_DIR = path.resolve(__dirname, '../../../models');
-
 /**
- * Reads a single model directory and returns the key manifest fields needed
- * for the listing table. Returns null when the directory is not a valid model
- * (missing or unparseable manifest).
+ * Reduces a catalog entry to the fields shown in the listing table.
  *
- * @param {string} modelDir - Absolute path to the model directory.
- * @param {string} dirName  - The directory basename used as a fallback id.
- * @returns {{ id: string, name: string, version: string, category: string }|null}
+ * @param {object} entry - ModelCatalog entry.
+ * @returns {{ id: string, name: string, version: string, category: string, source: string }}
  */
-function readModelMeta(modelDir, dirName) {
-  const manifestPath = path.join(modelDir, 'manifest.yaml');
-
-  if (!fs.existsSync(manifestPath)) {
-    return null;
-  }
-
-  let manifest;
-  try {
-    const raw = fs.readFileSync(manifestPath, 'utf8');
-    manifest = yaml.load(raw);
-  } catch {
-    return null;
-  }
-
-  if (!manifest || typeof manifest !== 'object') {
-    return null;
-  }
-
+function toRow(entry) {
   return {
-    id: manifest.id || dirName,
-    name: manifest.name || dirName,
-    version: manifest.version ? String(manifest.version) : '-',
-    category: manifest.category || '-',
+    id: entry.id,
+    name: entry.name || entry.id,
+    version: entry.version || '-',
+    category: entry.category || '-',
+    source: entry.source,
   };
 }
 
@@ -59,37 +29,30 @@ function pad(str, len) {
 
 /**
  * Runs the `finlogic list` command.
- * Scans the models directory and prints a formatted table.
+ * Lists the packs in the model catalog as a formatted table, optionally
+ * filtered by category, region or tag.
  *
+ * @param {object} opts  - Commander option values (category, region, tag),
+ *                         plus the global `profile`
  * @param {object} chalk - chalk instance
  */
-function listCommand(chalk) {
-  if (!fs.existsSync(MODELS_DIR)) {
-    console.error(chalk.red(`Models directory not found: ${MODELS_DIR}`));
-    process.exit(1);
-  }
+function listCommand(opts, chalk) {
+  const { openCatalog } = require('../catalog');
 
-  let entries;
+  let catalog;
   try {
-    entries = fs.readdirSync(MODELS_DIR, { withFileTypes: true });
+    catalog = openCatalog(opts.profile);
   } catch (err) {
-    console.error(chalk.red(`Failed to read models directory: ${err.message}`));
+    console.error(chalk.red(err.message));
     process.exit(1);
   }
 
-  const models = [];
-
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
-    const modelDir = path.join(MODELS_DIR, entry.name);
-    const meta = readModelMeta(modelDir, entry.name);
-    if (meta) {
-      models.push(meta);
-    }
-  }
+  const models = catalog
+    .list({ category: opts.category, region: opts.region, tag: opts.tag })
+    .map(toRow);
 
   if (models.length === 0) {
-    console.log(chalk.yellow('No models found in: ' + MODELS_DIR));
+    console.log(chalk.yellow('No models found in: ' + catalog.roots.map((r) => r.dir).join(', ')));
     return;
   }
 
@@ -99,6 +62,7 @@ function listCommand(chalk) {
     name: Math.max(4, ...models.map((m) => m.name.length)),
     version: Math.max(7, ...models.map((m) => m.version.length)),
     category: Math.max(8, ...models.map((m) => m.category.length)),
+    source: Math.max(6, ...models.map((m) => m.source.length)),
   };
 
   const sep = '  ';
@@ -110,7 +74,9 @@ function listCommand(chalk) {
     sep +
     chalk.bold.green(pad('Version', colWidths.version)) +
     sep +
-    chalk.bold.green(pad('Category', colWidths.category));
+    chalk.bold.green(pad('Category', colWidths.category)) +
+    sep +
+    chalk.bold.green(pad('Source', colWidths.source));
 
   const divider =
     '-'.repeat(colWidths.id) +
@@ -119,7 +85,9 @@ function listCommand(chalk) {
     sep +
     '-'.repeat(colWidths.version) +
     sep +
-    '-'.repeat(colWidths.category);
+    '-'.repeat(colWidths.category) +
+    sep +
+    '-'.repeat(colWidths.source);
 
   console.log('');
   console.log(chalk.bold.underline('Available Models'));
@@ -135,10 +103,27 @@ function listCommand(chalk) {
       sep +
       chalk.dim(pad(model.version, colWidths.version)) +
       sep +
-      chalk.yellow(pad(model.category, colWidths.category));
+      chalk.yellow(pad(model.category, colWidths.category)) +
+      sep +
+      chalk.dim(pad(model.source, colWidths.source));
     console.log(row);
   }
 
+  for (const model of models) {
+    const others = catalog.versions(model.id).filter((v) => v !== model.version);
+    if (others.length > 0) {
+      console.log(chalk.dim(`  note: ${model.id} also has ${others.join(', ')} installed; run ${model.id}@<version> to pin one`));
+    }
+  }
+  for (const { id, winner, shadowed } of catalog.collisions()) {
+    for (const entry of shadowed) {
+      console.log(chalk.dim(`  note: ${id} from ${winner.source} hides ${entry.source} copy at ${entry.dir}`));
+    }
+  }
+  for (const { dir, error } of catalog.invalid()) {
+    console.log(chalk.yellow(`  [warn] skipped ${dir}: ${error}`));
+  }
+
   console.log('');
   console.log(chalk.dim(`${models.length} model(s) found`));
   console.log('');
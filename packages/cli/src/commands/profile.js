@@ -121,6 +121,8 @@ function profileShowCommand(chalk) {
   if (profile.color) {
     console.log(`  ${chalk.green('Color:')}        ${profile.color}`);
   }
+  console.log(`  ${chalk.green('Locale:')}       ${profile.locale || chalk.dim('en-US (default)')}`);
+  console.log(`  ${chalk.green('Currency:')}     ${profile.currency || chalk.dim('USD (default)')}`);
   console.log(`  ${chalk.green('Database:')}     ${profile.db_path}`);
   console.log('');
 }
@@ -133,7 +135,7 @@ function profileShowCommand(chalk) {
  * Creates a new profile with the given display name.
  *
  * @param {string} name
- * @param {object} opts  - Commander option values (e.g. { color })
+ * @param {object} opts  - Commander option values (e.g. { color, locale, currency })
  * @param {object} chalk
  */
 function profileCreateCommand(name, opts, chalk) {
@@ -141,7 +143,11 @@ function profileCreateCommand(name, opts, chalk) {
 
   let profile;
   try {
-    profile = pm.createProfile(name, { color: opts.color || null });
+    profile = pm.createProfile(name, {
+      color: opts.color || null,
+      locale: opts.locale,
+      currency: opts.currency,
+    });
   } catch (err) {
     console.error(chalk.red(`Failed to create profile: ${err.message}`));
     process.exit(1);
@@ -205,6 +211,45 @@ function profileRenameCommand(profileId, newName, chalk) {
   console.log('');
 }
 
+// ---------------------------------------------------------------------------
+// profile set <id>
+// ---------------------------------------------------------------------------
+
+/**
+ * Changes a profile's locale and/or currency, which decide how model results
+ * are formatted. "default" resets a setting to en-US / USD.
+ *
+ * @param {string} profileId
+ * @param {{ locale?: string, currency?: string }} opts - Commander option values
+ * @param {object} chalk
+ */
+function profileSetCommand(profileId, opts, chalk) {
+  const pm = getProfileManager();
+
+  const settings = {};
+  for (const key of ['locale', 'currency']) {
+    if (opts[key] !== undefined) settings[key] = opts[key] === 'default' ? null : opts[key];
+  }
+  if (Object.keys(settings).length === 0) {
+    console.error(chalk.red('Nothing to change. Pass --locale and/or --currency.'));
+    process.exit(1);
+  }
+
+  let profile;
+  try {
+    profile = pm.updateProfileSettings(profileId, settings);
+  } catch (err) {
+    console.error(chalk.red(`Failed to update profile: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(chalk.bold.green(`Profile "${profileId}" updated`));
+  console.log(chalk.dim(`  Locale:   ${profile.locale || 'en-US (default)'}`));
+  console.log(chalk.dim(`  Currency: ${profile.currency || 'USD (default)'}`));
+  console.log('');
+}
+
 // ---------------------------------------------------------------------------
 // profile delete <id>
 // ---------------------------------------------------------------------------
@@ -258,5 +303,6 @@ module.exports = {
   profileCreateCommand,
   profileSelectCommand,
   profileRenameCommand,
+  profileSetCommand,
   profileDeleteCommand,
 };
@@ -1,18 +1,38 @@
 'use strict';
 
 const path = require('path');
-const fs = require('fs');
 const inquirer = require('inquirer');
 
+/**
+ * Summarises a number input's constraints for its prompt, e.g.
+ * "1–100, whole number, years".
+ *
+ * @param {object} def - Number input declaration.
+ * @returns {string} Empty when nothing is declared.
+ */
+function describeNumberConstraints(def) {
+  const parts = [];
+  if (def.min !== undefined && def.max !== undefined) parts.push(`${def.min}–${def.max}`);
+  else if (def.min !== undefined) parts.push(`≥ ${def.min}`);
+  else if (def.max !== undefined) parts.push(`≤ ${def.max}`);
+  if (def.integer === true) parts.push('whole number');
+  if (def.step !== undefined) parts.push(`step ${def.step}`);
+  if (def.unit) parts.push(def.unit);
+  return parts.join(', ');
+}
+
 /**
  * Prompts the user for each input declared in the manifest that was not
  * already supplied via a CLI flag. Returns a merged inputs object.
  *
  * @param {object[]} inputDefs  - manifest.inputs array
  * @param {object}   flagInputs - inputs already parsed from --flags
+ * @param {{ locale?: string, currency?: string }} [settings] - The profile's
+ *   locale and currency, used in constraint messages.
  * @returns {Promise<object>}
  */
-async function promptForMissingInputs(inputDefs, flagInputs) {
+async function promptForMissingInputs(inputDefs, flagInputs, settings) {
+  const { checkNumberConstraints } = require('@finlogicos/core');
   const questions = [];
 
   for (const def of inputDefs) {
@@ -40,22 +60,58 @@ async function promptForMissingInputs(inputDefs, flagInputs) {
         default: def.default !== undefined ? Boolean(def.default) : false,
       });
     } else if (def.type === 'number') {
+      const hint = describeNumberConstraints(def);
       questions.push({
         type: 'input',
         name: def.id,
-        message: baseMessage,
+        message: hint ? `${baseMessage} [${hint}]` : baseMessage,
         default: def.default !== undefined ? String(def.default) : undefined,
         validate(raw) {
           const n = Number(raw);
-          if (isNaN(n) || !isFinite(n)) {
+          if (raw.trim() === '' || isNaN(n) || !isFinite(n)) {
             return `Please enter a valid number for "${def.id}"`;
           }
-          return true;
+          // Same check validateInputs applies, so a prompt never accepts a
+          // value the run would then reject.
+          const problems = checkNumberConstraints(def, n, settings);
+          return problems.length === 0 || `"${def.id}" ${problems[0]}`;
         },
         filter(raw) {
           return Number(raw);
         },
       });
+    } else if (def.type === 'object' || def.type === 'array') {
+      questions.push({
+        type: 'input',
+        name: def.id,
+        message: `${baseMessage} [JSON ${def.type}]`,
+        default: def.default !== undefined ? JSON.stringify(def.default) : undefined,
+        validate(raw) {
+          try {
+            JSON.parse(raw);
+            return true;
+          } catch (err) {
+            return `Please enter valid JSON for "${def.id}": ${err.message}`;
+          }
+        },
+        filter(raw) {
+          try {
+            return JSON.parse(raw);
+          } catch {
+            return raw;
+          }
+        },
+      });
+    } else if (def.type === 'date') {
+      questions.push({
+        type: 'input',
+        name: def.id,
+        message: `${baseMessage} [YYYY-MM-DD]`,
+        default: def.default !== undefined ? String(def.default) : undefined,
+        validate(raw) {
+          return /^\d{4}-\d{2}-\d{2}/.test(raw) || `Please enter a date as YYYY-MM-DD for "${def.id}"`;
+        },
+      });
     } else {
       // string or unknown type
       questions.push({
@@ -73,8 +129,8 @@ async function promptForMissingInputs(inputDefs, flagInputs) {
 
 /**
  * Coerces a raw string flag value to the type declared in the manifest for
- * the given input id. Numbers and booleans must be cast before they reach
- * the validator.
+ * the given input id. Numbers and booleans must be cast, and object/array
+ * values parsed from JSON, before they reach the validator.
  *
  * @param {string}   id       - Input id
  * @param {string}   rawValue - String value from the CLI flag
@@ -96,12 +152,88 @@ function coerceFlagValue(id, rawValue, inputDefs) {
     return rawValue;
   }
 
+  // Structured inputs are passed as JSON, e.g. --input 'debts=[{...}]'.
+  // Unparseable text is left as-is for the validator to report.
+  if (def.type === 'object' || def.type === 'array') {
+    try {
+      return JSON.parse(rawValue);
+    } catch {
+      return rawValue;
+    }
+  }
+
   return rawValue;
 }
 
+/**
+ * Parses repeated `--input key=value` flags into a typed inputs object.
+ *
+ * @param {string|string[]|undefined} flags - Commander --input values.
+ * @param {object[]} inputDefs
+ * @returns {object}
+ * @throws {Error} If a flag is not in key=value form.
+ */
+function parseInputFlags(flags, inputDefs) {
+  const inputs = {};
+  const pairs = Array.isArray(flags) ? flags : flags ? [flags] : [];
+
+  for (const pair of pairs) {
+    const eqIdx = pair.indexOf('=');
+    if (eqIdx === -1) {
+      throw new Error(`Invalid --input flag format: "${pair}". Expected key=value`);
+    }
+    const key = pair.slice(0, eqIdx).trim();
+    inputs[key] = coerceFlagValue(key, pair.slice(eqIdx + 1), inputDefs);
+  }
+  return inputs;
+}
+
+/**
+ * Prints one formatted entry at the given indent. Entries with a `table`
+ * print as an aligned table under their label, entries with `fields` as an
+ * indented key/value block; everything else on a single line.
+ *
+ * @param {object} entry  - An entry (or field) from formatOutput.
+ * @param {string} indent
+ * @param {object} chalk
+ */
+function displayEntry(entry, indent, chalk) {
+  const label = chalk.green(entry.label + ':');
+
+  if (entry.table) {
+    console.log(`${indent}${label}`);
+    const { columns, rows } = entry.table;
+    const widths = columns.map((col, i) =>
+      Math.max(col.label.length, ...rows.map((row) => row[i].formatted.length))
+    );
+    // Right-align numeric columns so digits line up.
+    const numeric = columns.map((_col, i) => rows.some((row) => typeof row[i].value === 'number'));
+    const align = (text, i) => (numeric[i] ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+
+    console.log(`${indent}  ${columns.map((col, i) => chalk.bold(align(col.label, i))).join('  ')}`);
+    console.log(chalk.dim(`${indent}  ${widths.map((w) => '-'.repeat(w)).join('  ')}`));
+    for (const row of rows) {
+      console.log(`${indent}  ${row.map((cell, i) => chalk.white(align(cell.formatted, i))).join('  ')}`);
+    }
+    return;
+  }
+
+  if (entry.fields) {
+    console.log(`${indent}${label}`);
+    for (const field of entry.fields) {
+      displayEntry(field, indent + '  ', chalk);
+    }
+    return;
+  }
+
+  console.log(`${indent}${label}  ${chalk.white(entry.formatted)}`);
+}
+
 /**
  * Displays model results to stdout using chalk formatting.
- * Labels are printed in green; values are printed in white.
+ * Labels are printed in green; values are printed in white. Outputs whose
+ * manifest declares `columns` or `fields` are printed as tables or key/value
+ * blocks.
  *
  * @param {object} formatted - The formatted output map from formatOutput.
  * @param {object} chalk     - chalk instance
@@ -112,9 +244,7 @@ function displayResults(formatted, chalk) {
   console.log('');
 
   for (const entry of Object.values(formatted)) {
-    const label = chalk.green(entry.label + ':');
-    const value = chalk.white(entry.formatted);
-    console.log(`  ${label}  ${value}`);
+    displayEntry(entry, '  ', chalk);
   }
 
   console.log('');
@@ -123,78 +253,97 @@ function displayResults(formatted, chalk) {
 /**
  * Runs the `finlogic run <model-id>` command.
  *
- * Loads the model from packages/models/<model-id>, prompts for any inputs not
- * provided via --input flags, runs the model through the core sandbox, and
- * prints the formatted results.
+ * Resolves the model id through the model catalog (see ../catalog.js), prompts
+ * for any inputs not provided via --input flags, runs the model through the core sandbox, and
+ * prints the results formatted with the profile's locale and currency.
+ * `pack@1.2.0` pins an installed version; a bare id runs the newest one.
  *
- * @param {string} modelId - The model directory name under packages/models/
- * @param {object} opts    - Commander option values
+ * With --format and/or --out the results are also rendered as a report
+ * (CSV, JSON, Markdown or HTML) and written to the file. --format without
+ * --out prints only the report, so it can be piped.
+ *
+ * @param {string} modelId - Model id or `id@version`, resolved through the model catalog
+ * @param {object} opts    - Commander option values, plus the global `profile`
  * @param {object} chalk   - chalk instance
- * @returns {Promise<{ manifest: object, inputs: object, outputs: object }>}
+ * @returns {Promise<{
+ *   manifest: object,
+ *   inputs: object,
+ *   outputs: object,
+ *   asOf: string,
+ *   seed: number,
+ *   modelVersion: string,
+ *   logicSha256: string,
+ *   manifestSha256: string,
+ *   runtimeVersion: string,
+ *   durationMs: number
+ * }>}
+ *   `modelVersion`, `logicSha256` and `manifestSha256` identify the exact
+ *   pack that ran, and `runtimeVersion` and `durationMs` what ran it and for
+ *   how long, for recording alongside a snapshot.
  */
 async function runCommand(modelId, opts, chalk) {
-  const { loadModel, runModel } = require('@finlogicos/core');
-
-  const modelsDir = path.resolve(__dirname, '../../../models');
-  const modelDir = path.join(modelsDir, modelId);
+  const { runModelAsync, hashBuffer, hashFile } = require('@finlogicos/core');
+  const { openCatalog, resolveProfile } = require('../catalog');
+  const { resolveReportFormat, writeReport } = require('../report');
 
-  if (!fs.existsSync(modelDir)) {
-    console.error(chalk.red(`Model not found: ${modelId}`));
-    console.error(chalk.dim(`  Looked in: ${modelDir}`));
+  let manifest, logicCode, loadWarnings, modelDir, profile, reportFormat;
+  try {
+    reportFormat = resolveReportFormat(opts);
+  } catch (err) {
+    console.error(chalk.red(err.message));
     process.exit(1);
   }
+  // A report printed to stdout replaces the usual output, so keep the rest
+  // of it off stdout.
+  const log = reportFormat && !opts.out ? console.error : console.log;
 
-  let manifest, execute;
   try {
-    ({ manifest, execute } = loadModel(modelDir));
+    let entry;
+    ({ manifest, logicCode, warnings: loadWarnings, entry } = openCatalog(opts.profile).load(modelId));
+    modelDir = entry.dir;
+    ({ profile } = resolveProfile(opts.profile));
   } catch (err) {
     console.error(chalk.red(`Failed to load model "${modelId}": ${err.message}`));
     process.exit(1);
   }
 
-  // Suppress unused-variable warning: execute is returned by loadModel but the
-  // sandbox re-reads the source text so it can run inside the VM context.
-  void execute;
-
-  console.log('');
-  console.log(chalk.bold(`Running: ${manifest.name}`));
+  log('');
+  log(chalk.bold(`Running: ${manifest.name}`));
   if (manifest.version) {
-    console.log(chalk.dim(`  version ${manifest.version}`));
+    log(chalk.dim(`  version ${manifest.version}`));
   }
-  console.log('');
-
-  // Parse --input key=value flags into a typed plain object.
-  const flagInputs = {};
-  const rawInputs = opts.input || [];
-  const inputArray = Array.isArray(rawInputs) ? rawInputs : [rawInputs];
+  for (const w of loadWarnings) {
+    log(chalk.yellow(`  [warn] ${w}`));
+  }
+  log('');
 
-  for (const pair of inputArray) {
-    const eqIdx = pair.indexOf('=');
-    if (eqIdx === -1) {
-      console.error(chalk.red(`Invalid --input flag format: "${pair}". Expected key=value`));
-      process.exit(1);
-    }
-    const key = pair.slice(0, eqIdx).trim();
-    const rawVal = pair.slice(eqIdx + 1);
-    flagInputs[key] = coerceFlagValue(key, rawVal, manifest.inputs);
+  let flagInputs;
+  try {
+    flagInputs = parseInputFlags(opts.input, manifest.inputs);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
   }
 
   // Prompt for any inputs not supplied via flags.
   let inputs;
   try {
-    inputs = await promptForMissingInputs(manifest.inputs, flagInputs);
+    inputs = await promptForMissingInputs(manifest.inputs, flagInputs, profile);
   } catch (err) {
     console.error(chalk.red(`Input prompt error: ${err.message}`));
     process.exit(1);
   }
 
-  // Read logic source for the sandbox (runModel accepts the source text).
-  const logicPath = path.join(modelDir, 'logic.js');
-  const logicCode = fs.readFileSync(logicPath, 'utf8');
-
   let result;
   try {
-    result = runModel(manifest, logicCode, inputs);
+    result = await runModelAsync(manifest, logicCode, inputs, {
+      packDir: modelDir,
+      isolation: opts.isolation,
+      asOf: opts.asOf,
+      seed: opts.seed === undefined ? undefined : Number(opts.seed),
+      locale: profile.locale,
+      currency: profile.currency,
+    });
   } catch (err) {
     if (err.errors && err.errors.length > 0) {
       console.error(chalk.red('Validation errors:'));
@@ -207,9 +356,44 @@ async function runCommand(modelId, opts, chalk) {
     process.exit(1);
   }
 
-  displayResults(result.formatted, chalk);
+  if (log === console.log) {
+    displayResults(result.formatted, chalk);
+  }
+  for (const w of result.warnings) {
+    log(chalk.yellow(`  [warn] ${w}`));
+  }
+  log(chalk.dim(`  as-of ${result.asOf}  seed ${result.seed}`));
+  log('');
+
+  const run = {
+    manifest,
+    inputs: result.inputs,
+    outputs: result.outputs,
+    asOf: result.asOf,
+    seed: result.seed,
+    modelVersion: String(manifest.version),
+    logicSha256: hashBuffer(logicCode),
+    manifestSha256: hashFile(path.join(modelDir, 'manifest.yaml')),
+    runtimeVersion: result.runtimeVersion,
+    durationMs: result.durationMs,
+  };
+
+  if (reportFormat) {
+    writeReport(
+      {
+        manifest,
+        inputs: run.inputs,
+        outputs: run.outputs,
+        run: { asOf: run.asOf, seed: run.seed, modelVersion: run.modelVersion, logicSha256: run.logicSha256 },
+      },
+      reportFormat,
+      opts.out,
+      profile,
+      chalk
+    );
+  }
 
-  return { manifest, inputs, outputs: result.outputs };
+  return run;
 }
 
-module.exports = { runCommand };
+module.exports = { runCommand, coerceFlagValue, parseInputFlags, promptForMissingInputs };
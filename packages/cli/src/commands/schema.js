@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Prints the JSON Schema (draft 2020-12) for a model's inputs, or for its
+ * outputs with --outputs. Only the schema goes to stdout so the command can
+ * be piped into files and other tools.
+ *
+ * @param {string} modelId - Model id, resolved through the model catalog
+ * @param {object} opts    - Commander option values, plus the global `profile`
+ * @param {object} chalk   - chalk instance
+ */
+function schemaCommand(modelId, opts, chalk) {
+  const { manifestToJsonSchema } = require('@finlogicos/core');
+  const { openCatalog } = require('../catalog');
+
+  let schemas;
+  try {
+    const { manifest } = openCatalog(opts.profile).resolve(modelId);
+    schemas = manifestToJsonSchema(manifest);
+  } catch (err) {
+    console.error(chalk.red(`Failed to build schema for "${modelId}": ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(opts.outputs ? schemas.outputs : schemas.inputs, null, 2));
+}
+
+module.exports = { schemaCommand };
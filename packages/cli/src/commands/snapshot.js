@@ -44,20 +44,16 @@ function pad(str, len) {
 }
 
 /**
- * Collects available model ids from the models directory for use in the
+ * Collects available model ids from the model catalog for use in the
  * interactive model selection prompt.
  *
+ * @param {string} [profileId] - Global --profile option.
  * @returns {string[]}
  */
-function collectModelIds() {
-  const modelsDir = path.resolve(__dirname, '../../../models');
-  if (!fs.existsSync(modelsDir)) return [];
-
+function collectModelIds(profileId) {
+  const { openCatalog } = require('../catalog');
   try {
-    const entries = fs.readdirSync(modelsDir, { withFileTypes: true });
-    return entries
-      .filter((e) => e.isDirectory())
-      .map((e) => e.name);
+    return openCatalog(profileId).list().map((entry) => entry.id);
   } catch {
     return [];
   }
@@ -101,20 +97,22 @@ async function promptForModelId(availableIds) {
  *
  * Prompts for the model id when not provided, delegates to runCommand for
  * interactive input collection and execution, then saves the result to SQLite
- * via SnapshotStore.
+ * via SnapshotStore, along with the pack version and logic hash that ran.
  *
  * @param {string|undefined} modelId      - Optional model id from the CLI argument.
  * @param {object}           chalk        - chalk instance
  * @param {string|undefined} [dbPathArg]  - Optional explicit db path (from --profile resolution).
+ * @param {{ asOf?: string, seed?: string, profile?: string }} [runOpts] - Commander --as-of /
+ *   --seed values and the global --profile option.
  */
-async function snapshotSaveCommand(modelId, chalk, dbPathArg) {
+async function snapshotSaveCommand(modelId, chalk, dbPathArg, runOpts = {}) {
   const { runCommand } = require('./run');
   const { SnapshotStore } = require('@finlogicos/core');
 
   let resolvedModelId = modelId;
 
   if (!resolvedModelId) {
-    const availableIds = collectModelIds();
+    const availableIds = collectModelIds(runOpts.profile);
     try {
       resolvedModelId = await promptForModelId(availableIds);
     } catch (err) {
@@ -126,7 +124,11 @@ async function snapshotSaveCommand(modelId, chalk, dbPathArg) {
   // runCommand handles input prompting and result display.
   let runResult;
   try {
-    runResult = await runCommand(resolvedModelId, { input: [] }, chalk);
+    runResult = await runCommand(
+      resolvedModelId,
+      { input: [], asOf: runOpts.asOf, seed: runOpts.seed, profile: runOpts.profile },
+      chalk
+    );
   } catch (err) {
     // runCommand calls process.exit on known errors; this catches unexpected ones.
     console.error(chalk.red(`Run error: ${err.message}`));
@@ -141,7 +143,17 @@ async function snapshotSaveCommand(modelId, chalk, dbPathArg) {
     snapshotId = store.save(
       runResult.manifest.id,
       runResult.inputs,
-      runResult.outputs
+      runResult.outputs,
+      {
+        asOf: runResult.asOf,
+        seed: runResult.seed,
+        modelVersion: runResult.modelVersion,
+        logicSha256: runResult.logicSha256,
+        manifestSha256: runResult.manifestSha256,
+        runtimeVersion: runResult.runtimeVersion,
+        durationMs: runResult.durationMs,
+        source: 'cli',
+      }
     );
   } catch (err) {
     console.error(chalk.red(`Failed to save snapshot: ${err.message}`));
@@ -159,14 +171,24 @@ async function snapshotSaveCommand(modelId, chalk, dbPathArg) {
 /**
  * Runs the `finlogic snapshot list [model-id]` sub-command.
  *
- * Reads and displays saved snapshots from the SQLite store, optionally
- * filtered by model id.
+ * Reads and displays one page of saved snapshots from the SQLite store,
+ * newest first, optionally filtered by model id and --from/--to dates. When
+ * more remain, prints the --cursor that shows the next page. With --verbose
+ * each snapshot is followed by its provenance: pack version and file hashes,
+ * runtime version, run time and where it was saved from.
  *
  * @param {string|undefined} modelId     - Optional filter by model id.
  * @param {object}           chalk       - chalk instance
  * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ * @param {{
+ *   verbose?: boolean,
+ *   limit?: string,
+ *   cursor?: string,
+ *   from?: string,
+ *   to?: string
+ * }} [opts] - Commander option values.
  */
-function snapshotListCommand(modelId, chalk, dbPathArg) {
+function snapshotListCommand(modelId, chalk, dbPathArg, opts = {}) {
   const { SnapshotStore } = require('@finlogicos/core');
 
   const dbPath = dbPathArg || resolveDbPath();
@@ -178,10 +200,17 @@ function snapshotListCommand(modelId, chalk, dbPathArg) {
   }
 
   const store = new SnapshotStore(dbPath);
-  let snapshots;
+  let snapshots, nextCursor;
 
   try {
-    snapshots = store.list(modelId || undefined);
+    ({ snapshots, nextCursor } = store.query({
+      modelId: modelId || undefined,
+      from: opts.from,
+      to: opts.to,
+      limit: opts.limit === undefined ? undefined : Number(opts.limit),
+      cursor: opts.cursor,
+      inputs: false,
+    }));
   } catch (err) {
     console.error(chalk.red(`Failed to read snapshots: ${err.message}`));
     store.close();
@@ -251,11 +280,572 @@ function snapshotListCommand(modelId, chalk, dbPathArg) {
       chalk.white(outputSummary);
 
     console.log(row);
+    if (opts.verbose) {
+      console.log(chalk.dim(' '.repeat(colId) + sep + formatProvenance(snap)));
+    }
   }
 
   console.log('');
   console.log(chalk.dim(`${snapshots.length} snapshot(s)`));
+  if (nextCursor) {
+    console.log(chalk.dim(`More snapshots: pass --cursor ${nextCursor} for the next page`));
+  }
+  console.log('');
+}
+
+/**
+ * Summarises a snapshot's provenance columns on one line, leaving out those
+ * that were not recorded (snapshots saved by older versions have none).
+ *
+ * @param {object} snap - A snapshot from store.query().
+ * @returns {string}
+ */
+function formatProvenance(snap) {
+  const short = (hash) => hash.slice(0, 12);
+  const parts = [];
+  if (snap.model_version) parts.push(`pack ${snap.model_version}`);
+  if (snap.logic_sha256) parts.push(`logic ${short(snap.logic_sha256)}`);
+  if (snap.manifest_sha256) parts.push(`manifest ${short(snap.manifest_sha256)}`);
+  if (snap.runtime_version) parts.push(`runtime ${snap.runtime_version}`);
+  if (snap.duration_ms !== null) parts.push(`${snap.duration_ms} ms`);
+  if (snap.source) parts.push(`via ${snap.source}`);
+  if (snap.as_of) parts.push(`as-of ${snap.as_of}`);
+  if (snap.seed !== null) parts.push(`seed ${snap.seed}`);
+  return parts.length > 0 ? parts.join('  ') : 'no provenance recorded';
+}
+
+/**
+ * Parses a snapshot id argument.
+ *
+ * @param {string} id
+ * @param {object} chalk
+ * @returns {number}
+ */
+function parseSnapshotId(id, chalk) {
+  const snapshotId = Number(id);
+  if (!Number.isInteger(snapshotId) || snapshotId < 1) {
+    console.error(chalk.red(`Invalid snapshot id "${id}"`));
+    process.exit(1);
+  }
+  return snapshotId;
+}
+
+/**
+ * Opens the snapshot store, exiting with a hint when no database exists yet.
+ *
+ * @param {string|undefined} dbPathArg
+ * @param {object} chalk
+ * @returns {import('@finlogicos/core').SnapshotStore}
+ */
+function openStore(dbPathArg, chalk) {
+  const { SnapshotStore } = require('@finlogicos/core');
+  const dbPath = dbPathArg || resolveDbPath();
+  if (!fs.existsSync(dbPath)) {
+    console.error(chalk.red('No snapshot database found. Run "finlogic snapshot save" first.'));
+    process.exit(1);
+  }
+  return new SnapshotStore(dbPath);
+}
+
+/**
+ * Builds a stand-in manifest from a snapshot's own keys, for exporting a
+ * snapshot whose pack is no longer installed. Values are reported unformatted.
+ *
+ * @param {object} snapshot - Row from SnapshotStore.getById.
+ * @returns {object}
+ */
+function manifestFromSnapshot(snapshot) {
+  return {
+    id: snapshot.model_id,
+    name: snapshot.model_id,
+    version: snapshot.model_version,
+    inputs: Object.keys(snapshot.inputs).map((id) => ({ id, label: id })),
+    outputs: Object.keys(snapshot.outputs).map((id) => ({ id, label: id })),
+  };
+}
+
+/**
+ * Runs the `finlogic snapshot export <id>` sub-command.
+ *
+ * Renders a saved snapshot as a CSV, JSON, Markdown or HTML report, using the
+ * manifest of the pack version that produced it for labels and formats. The
+ * report goes to --out, or to stdout when no file is given.
+ *
+ * @param {string} id               - Snapshot id from the CLI argument.
+ * @param {{ format?: string, out?: string, profile?: string }} opts - Commander
+ *   option values and the global --profile option.
+ * @param {object}           chalk       - chalk instance
+ * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ */
+function snapshotExportCommand(id, opts, chalk, dbPathArg) {
+  const { openCatalog, resolveProfile } = require('../catalog');
+  const { resolveReportFormat, writeReport } = require('../report');
+
+  let format;
+  try {
+    format = resolveReportFormat(opts) || 'markdown';
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+
+  const snapshotId = parseSnapshotId(id, chalk);
+  const store = openStore(dbPathArg, chalk);
+  let snapshot;
+  try {
+    snapshot = store.getById(snapshotId);
+  } catch (err) {
+    console.error(chalk.red(`Failed to read snapshot: ${err.message}`));
+    store.close();
+    process.exit(1);
+  }
+  store.close();
+
+  if (!snapshot) {
+    console.error(chalk.red(`Snapshot ${snapshotId} not found.`));
+    process.exit(1);
+  }
+
+  let manifest, profile;
+  try {
+    ({ profile } = resolveProfile(opts.profile));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+  try {
+    ({ manifest } = openCatalog(opts.profile).resolveSnapshot(snapshot));
+  } catch (err) {
+    console.error(chalk.yellow(`  [warn] ${err.message}; exporting raw values`));
+    manifest = manifestFromSnapshot(snapshot);
+  }
+
+  writeReport(
+    {
+      manifest,
+      inputs: snapshot.inputs,
+      outputs: snapshot.outputs,
+      run: {
+        snapshotId: snapshot.id,
+        createdAt: snapshot.created_at,
+        asOf: snapshot.as_of,
+        seed: snapshot.seed,
+        modelVersion: snapshot.model_version,
+        logicSha256: snapshot.logic_sha256,
+      },
+    },
+    format,
+    opts.out,
+    profile,
+    chalk
+  );
+}
+
+/**
+ * Prints a list of changes from diffValues, one per line:
+ * "path  before → after  (+delta, +percent%)".
+ *
+ * @param {object[]} changes
+ * @param {object}   chalk
+ */
+function printChanges(changes, chalk) {
+  const show = (v) => (v === undefined ? '(none)' : JSON.stringify(v));
+  const width = Math.max(...changes.map((c) => c.path.length));
+  const signed = (n, digits) => `${n > 0 ? '+' : ''}${Number(n.toFixed(digits))}`;
+
+  for (const change of changes) {
+    let delta = '';
+    if (change.delta !== undefined) {
+      const percent = change.percent === null ? '' : `, ${signed(change.percent, 2)}%`;
+      delta = chalk.dim(`  (${signed(change.delta, 6)}${percent})`);
+    } else if (change.change !== 'changed') {
+      delta = chalk.dim(`  (${change.change})`);
+    }
+    console.log(`  ${chalk.cyan(pad(change.path, width))}  ${show(change.before)} → ${chalk.white(show(change.after))}${delta}`);
+  }
+}
+
+/**
+ * Runs the `finlogic snapshot diff <a> <b>` sub-command.
+ *
+ * Prints every input and output that differs between two snapshots, with
+ * nested values by path and numeric changes as absolute and percent deltas.
+ *
+ * @param {string} idA   - Baseline snapshot id from the CLI argument.
+ * @param {string} idB   - Snapshot id to compare against it.
+ * @param {{ json?: boolean }} opts - Commander option values.
+ * @param {object}           chalk       - chalk instance
+ * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ */
+function snapshotDiffCommand(idA, idB, opts, chalk, dbPathArg) {
+  const a = parseSnapshotId(idA, chalk);
+  const b = parseSnapshotId(idB, chalk);
+  const store = openStore(dbPathArg, chalk);
+
+  let result;
+  try {
+    result = store.diff(a, b);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    store.close();
+    process.exit(1);
+  }
+  store.close();
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const describe = (s) => `#${s.id} ${s.model_id}${s.model_version ? `@${s.model_version}` : ''}, ${formatTimestamp(s.created_at)}`;
+  console.log('');
+  console.log(chalk.bold(`Snapshot ${a} → ${b}`));
+  console.log(chalk.dim(`  ${describe(result.a)}`));
+  console.log(chalk.dim(`  ${describe(result.b)}`));
+  if (!result.sameModel) {
+    console.log(chalk.yellow('  [warn] the snapshots are of different models'));
+  }
+  console.log('');
+
+  for (const [title, changes] of [['Inputs', result.inputs], ['Outputs', result.outputs]]) {
+    console.log(chalk.bold.underline(title));
+    if (changes.length === 0) {
+      console.log(chalk.dim('  no changes'));
+    } else {
+      printChanges(changes, chalk);
+    }
+    console.log('');
+  }
+}
+
+/**
+ * Runs the `finlogic snapshot replay <id>` sub-command.
+ *
+ * Re-runs a snapshot's stored inputs on the current version of its pack
+ * (or, with --pinned, the version that produced it) using the stored clock
+ * and seed, and prints any outputs that drifted. Exits non-zero on drift so
+ * it can be used to audit saved results after a pack update.
+ *
+ * @param {string} id - Snapshot id from the CLI argument.
+ * @param {{ pinned?: boolean, json?: boolean, isolation?: string, profile?: string }} opts -
+ *   Commander option values and the global --profile option.
+ * @param {object}           chalk       - chalk instance
+ * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ * @returns {Promise<void>}
+ */
+async function snapshotReplayCommand(id, opts, chalk, dbPathArg) {
+  const { openCatalog } = require('../catalog');
+  const snapshotId = parseSnapshotId(id, chalk);
+  const store = openStore(dbPathArg, chalk);
+
+  let result;
+  try {
+    result = await store.replay(snapshotId, {
+      catalog: openCatalog(opts.profile),
+      pinned: opts.pinned,
+      isolation: opts.isolation,
+    });
+  } catch (err) {
+    store.close();
+    console.error(chalk.red(`Replay failed: ${err.message}`));
+    for (const e of err.errors || []) {
+      console.error(chalk.red(`  - ${e}`));
+    }
+    process.exit(1);
+  }
+  store.close();
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.matches ? 0 : 1);
+  }
+
+  const short = (sha) => (sha ? sha.slice(0, 12) : 'unknown');
+  console.log('');
+  console.log(chalk.bold(`Replaying snapshot ${snapshotId} (${result.snapshot.model_id})`));
+  console.log(chalk.dim(`  recorded  ${result.recorded.version || 'unknown'}  logic ${short(result.recorded.logic_sha256)}`));
+  console.log(chalk.dim(`  replayed  ${result.replayed.version}  logic ${short(result.replayed.logic_sha256)}${opts.pinned ? '' : '  (current)'}`));
+  if (!result.deterministic) {
+    console.log(chalk.yellow('  [warn] snapshot has no recorded as-of date or seed; date- or random-dependent outputs may drift'));
+  }
+  for (const w of result.warnings) {
+    console.log(chalk.yellow(`  [warn] ${w}`));
+  }
+  console.log('');
+
+  if (result.matches) {
+    console.log(chalk.green('  [OK] outputs match the stored snapshot'));
+    console.log('');
+    return;
+  }
+
+  console.log(chalk.yellow(`  [drift] ${result.drift.length} output value(s) differ from the stored snapshot:`));
+  printChanges(result.drift, chalk);
+  console.log('');
+  process.exit(1);
+}
+
+/**
+ * Sparkline characters, lowest to highest.
+ */
+const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Most points `snapshot trend` draws; older ones are dropped.
+ */
+const MAX_SPARK_POINTS = 60;
+
+/**
+ * Draws numbers as a one-line sparkline scaled between their min and max.
+ *
+ * @param {number[]} values
+ * @returns {string}
+ */
+function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map((v) => SPARK_LEVELS[range === 0 ? 3 : Math.round(((v - min) / range) * (SPARK_LEVELS.length - 1))])
+    .join('');
+}
+
+/**
+ * Runs the `finlogic snapshot trend <model-id> <output-path>` sub-command.
+ *
+ * Extracts one output across a model's snapshots with SnapshotStore.series
+ * and draws it as a sparkline, with its first, last, lowest and highest
+ * values. --bucket groups points by day, week, month or year, combined with
+ * --aggregate (last, avg, min or max).
+ *
+ * @param {string} modelId
+ * @param {string} outputPath - e.g. total_score or dimensions.emergency_fund.score
+ * @param {{
+ *   bucket?: string,
+ *   aggregate?: string,
+ *   from?: string,
+ *   to?: string,
+ *   json?: boolean
+ * }} opts - Commander option values.
+ * @param {object}           chalk       - chalk instance
+ * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ */
+function snapshotTrendCommand(modelId, outputPath, opts, chalk, dbPathArg) {
+  const store = openStore(dbPathArg, chalk);
+
+  let points;
+  try {
+    points = store.series(modelId, outputPath, {
+      from: opts.from,
+      to: opts.to,
+      bucket: opts.bucket,
+      aggregate: opts.aggregate,
+    });
+  } catch (err) {
+    store.close();
+    console.error(chalk.red(`Failed to read trend: ${err.message}`));
+    process.exit(1);
+  }
+  store.close();
+
+  if (opts.json) {
+    console.log(JSON.stringify(points, null, 2));
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.bold(`Trend: ${modelId} ${outputPath}`));
+  if (opts.bucket) {
+    console.log(chalk.dim(`  ${opts.aggregate || 'last'} per ${opts.bucket}`));
+  }
+  console.log('');
+
+  if (points.length === 0) {
+    console.log(chalk.yellow(`  No snapshots of ${modelId} record ${outputPath}.`));
+    console.log('');
+    return;
+  }
+  const nonNumeric = points.find((p) => typeof p.value !== 'number');
+  if (nonNumeric) {
+    console.error(chalk.red(`  ${outputPath} is not a number (got ${JSON.stringify(nonNumeric.value)}); use --json to list its values`));
+    process.exit(1);
+  }
+
+  let shown = points;
+  if (points.length > MAX_SPARK_POINTS) {
+    shown = points.slice(-MAX_SPARK_POINTS);
+    console.log(chalk.yellow(`  [warn] showing the last ${MAX_SPARK_POINTS} of ${points.length} points; use --bucket to summarise`));
+  }
+
+  const values = shown.map((p) => p.value);
+  const format = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(2));
+  const first = shown[0];
+  const last = shown[shown.length - 1];
+  const change = last.value - first.value;
+  const changeText = `${change > 0 ? '+' : ''}${format(change)}`;
+
+  console.log(`  ${chalk.cyan(sparkline(values))}`);
+  console.log('');
+  console.log(`  ${chalk.green('first:')}  ${format(first.value)}  ${chalk.dim(formatTimestamp(first.t))}`);
+  console.log(`  ${chalk.green('last: ')}  ${chalk.bold.white(format(last.value))}  ${chalk.dim(formatTimestamp(last.t))}`);
+  console.log(`  ${chalk.green('range:')}  ${format(Math.min(...values))} – ${format(Math.max(...values))}`);
+  console.log(`  ${chalk.green('change:')} ${change < 0 ? chalk.red(changeText) : chalk.green(changeText)}`);
+  console.log('');
+  console.log(chalk.dim(`  ${shown.length} point(s)`));
+  console.log('');
+}
+
+/**
+ * Parses `--older-than`: an age such as 90d, 12w, 6m or 1y (days, weeks,
+ * months, years before now), or a date.
+ *
+ * @param {string} value
+ * @returns {Date}
+ * @throws {Error} If the value is neither.
+ */
+function parseOlderThan(value) {
+  const age = /^(\d+)([dwmy])$/.exec(value.trim());
+  if (age) {
+    const n = Number(age[1]);
+    const date = new Date();
+    if (age[2] === 'd') date.setUTCDate(date.getUTCDate() - n);
+    if (age[2] === 'w') date.setUTCDate(date.getUTCDate() - 7 * n);
+    if (age[2] === 'm') date.setUTCMonth(date.getUTCMonth() - n);
+    if (age[2] === 'y') date.setUTCFullYear(date.getUTCFullYear() - n);
+    return date;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --older-than "${value}". Use an age such as 90d, 12w, 6m or 1y, or a date`);
+  }
+  return date;
+}
+
+/**
+ * Size of a SQLite database on disk, including its write-ahead log.
+ *
+ * @param {string} dbPath
+ * @returns {number} Bytes.
+ */
+function databaseSize(dbPath) {
+  return [dbPath, `${dbPath}-wal`]
+    .filter((file) => fs.existsSync(file))
+    .reduce((total, file) => total + fs.statSync(file).size, 0);
+}
+
+/**
+ * Runs the `finlogic snapshot prune` sub-command.
+ *
+ * Lists the snapshots a retention policy would delete (--older-than and/or
+ * --keep-latest per model; snapshots cited by the journal or branched from
+ * by a scenario are kept unless --include-linked), then, after confirmation,
+ * deletes them and runs VACUUM so the database file shrinks. --dry-run stops
+ * after the list.
+ *
+ * @param {{
+ *   olderThan?: string,
+ *   keepLatest?: string,
+ *   includeLinked?: boolean,
+ *   dryRun?: boolean,
+ *   yes?: boolean
+ * }} opts - Commander option values.
+ * @param {object}           chalk       - chalk instance
+ * @param {string|undefined} [dbPathArg] - Optional explicit db path (from --profile resolution).
+ * @returns {Promise<void>}
+ */
+async function snapshotPruneCommand(opts, chalk, dbPathArg) {
+  const policy = { keepLinked: !opts.includeLinked };
+  try {
+    if (opts.olderThan !== undefined) policy.olderThan = parseOlderThan(opts.olderThan);
+    if (opts.keepLatest !== undefined) {
+      policy.keepLatestPerModel = Number(opts.keepLatest);
+      if (!Number.isInteger(policy.keepLatestPerModel) || policy.keepLatestPerModel < 0) {
+        throw new Error(`Invalid --keep-latest "${opts.keepLatest}". Expected a whole number`);
+      }
+    }
+    if (!policy.olderThan && policy.keepLatestPerModel === undefined) {
+      throw new Error('Pass --older-than, --keep-latest or both');
+    }
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    process.exit(1);
+  }
+
+  const dbPath = dbPathArg || resolveDbPath();
+  const store = openStore(dbPath, chalk);
+  const preview = store.prune({ ...policy, dryRun: true });
+
+  console.log('');
+  if (preview.length === 0) {
+    store.close();
+    console.log(chalk.green('Nothing to prune.'));
+    console.log('');
+    return;
+  }
+
+  const colId = Math.max(3, ...preview.map((s) => String(s.id).length));
+  const colModel = Math.max(8, ...preview.map((s) => s.model_id.length));
+  console.log(chalk.bold.underline(`Snapshots to delete (${preview.length})`));
+  console.log('');
+  console.log(chalk.bold.green(pad('ID', colId)) + '  ' + chalk.bold.green(pad('Model', colModel)) + '  ' + chalk.bold.green('Saved At'));
+  for (const snap of preview) {
+    console.log(chalk.cyan(pad(snap.id, colId)) + '  ' + chalk.white(pad(snap.model_id, colModel)) + '  ' + chalk.dim(formatTimestamp(snap.created_at)));
+  }
+  console.log('');
+
+  if (opts.dryRun) {
+    store.close();
+    console.log(chalk.yellow(`[dry-run] ${preview.length} snapshot(s) would be deleted. Nothing was changed.`));
+    console.log('');
+    return;
+  }
+
+  if (!opts.yes) {
+    let answer;
+    try {
+      answer = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Delete these ${preview.length} snapshot(s)? This cannot be undone.`,
+          default: false,
+        },
+      ]);
+    } catch (err) {
+      store.close();
+      console.error(chalk.red(`Prompt error: ${err.message}`));
+      process.exit(1);
+    }
+    if (!answer.confirmed) {
+      store.close();
+      console.log(chalk.yellow('Prune cancelled.'));
+      return;
+    }
+  }
+
+  const sizeBefore = databaseSize(dbPath);
+  let deleted;
+  try {
+    deleted = store.prune(policy);
+    store.vacuum();
+  } catch (err) {
+    store.close();
+    console.error(chalk.red(`Failed to prune snapshots: ${err.message}`));
+    process.exit(1);
+  }
+  store.close();
+
+  const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+  console.log(chalk.bold.green(`Deleted ${deleted.length} snapshot(s).`));
+  console.log(chalk.dim(`  database: ${dbPath} (${kb(sizeBefore)} → ${kb(databaseSize(dbPath))})`));
   console.log('');
 }
 
-module.exports = { snapshotSaveCommand, snapshotListCommand };
+module.exports = {
+  snapshotSaveCommand,
+  snapshotListCommand,
+  snapshotExportCommand,
+  snapshotDiffCommand,
+  snapshotReplayCommand,
+  snapshotPruneCommand,
+  snapshotTrendCommand,
+};
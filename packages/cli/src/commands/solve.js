@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Parses `--target <output>=<value>`.
+ *
+ * @param {string} flag
+ * @returns {{ output: string, value: number }}
+ * @throws {Error} If the flag is not output=number.
+ */
+function parseTarget(flag) {
+  const match = /^([^=]+)=(.+)$/.exec(flag || '');
+  const value = match ? Number(match[2].replace(/[_,]/g, '')) : NaN;
+  if (!match || !Number.isFinite(value)) {
+    throw new Error(`Invalid --target "${flag}". Expected <output>=<number>, e.g. finalBalance=1000000`);
+  }
+  return { output: match[1].trim(), value };
+}
+
+/**
+ * Finds the declaration for an output id or dotted path into `fields`, so
+ * the result is labelled and formatted like `finlogic run` shows it.
+ *
+ * @param {object[]} outputDefs - manifest.outputs
+ * @param {string}   outputPath
+ * @returns {object}
+ */
+function findOutputDef(outputDefs, outputPath) {
+  let defs = outputDefs;
+  let def = null;
+  for (const key of outputPath.split('.')) {
+    def = (defs || []).find((d) => d.id === key);
+    if (!def) return { id: outputPath, label: outputPath };
+    defs = def.fields;
+  }
+  return def;
+}
+
+/**
+ * Runs the `finlogic solve <model-id>` command.
+ *
+ * Finds the value of one number input (--vary) that brings an output to a
+ * target (--target output=value) with the core goal-seek solver, e.g. the
+ * monthly contribution that grows compound-interest-growth to $1M. The other
+ * inputs come from --input flags or prompts, as for `finlogic run`.
+ *
+ * @param {string} modelId - Model id or `id@version`, resolved through the model catalog
+ * @param {{
+ *   vary: string,
+ *   target: string,
+ *   input?: string[],
+ *   min?: string,
+ *   max?: string,
+ *   tolerance?: string,
+ *   json?: boolean,
+ *   isolation?: string,
+ *   asOf?: string,
+ *   seed?: string,
+ *   profile?: string
+ * }} opts - Commander option values, plus the global `profile`
+ * @param {object} chalk - chalk instance
+ * @returns {Promise<void>}
+ */
+async function solveCommand(modelId, opts, chalk) {
+  const { goalSeek, formatOutput, formatInputValue } = require('@finlogicos/core');
+  const { openCatalog, resolveProfile } = require('../catalog');
+  const { parseInputFlags, promptForMissingInputs } = require('./run');
+
+  let manifest, logicCode, modelDir, profile, target, flagInputs;
+  try {
+    let entry;
+    ({ manifest, logicCode, entry } = openCatalog(opts.profile).load(modelId));
+    modelDir = entry.dir;
+    ({ profile } = resolveProfile(opts.profile));
+    target = parseTarget(opts.target);
+    flagInputs = parseInputFlags(opts.input, manifest.inputs);
+  } catch (err) {
+    console.error(chalk.red(`Failed to set up solve for "${modelId}": ${err.message}`));
+    process.exit(1);
+  }
+
+  const inputDef = manifest.inputs.find((def) => def.id === opts.vary);
+  if (!inputDef) {
+    console.error(chalk.red(`"${opts.vary}" is not an input of ${manifest.id}`));
+    process.exit(1);
+  }
+
+  // The solved input is not prompted for; a value given with --input is
+  // used as the starting guess.
+  let inputs;
+  try {
+    inputs = await promptForMissingInputs(
+      manifest.inputs.filter((def) => def.id !== opts.vary),
+      flagInputs,
+      profile
+    );
+  } catch (err) {
+    console.error(chalk.red(`Input prompt error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const toNumber = (v) => (v === undefined ? undefined : Number(v));
+  let result;
+  try {
+    result = await goalSeek(manifest, logicCode, inputs, {
+      vary: opts.vary,
+      target,
+      min: toNumber(opts.min),
+      max: toNumber(opts.max),
+      tolerance: toNumber(opts.tolerance),
+      packDir: modelDir,
+      isolation: opts.isolation,
+      asOf: opts.asOf,
+      seed: toNumber(opts.seed),
+      locale: profile.locale,
+      currency: profile.currency,
+    });
+  } catch (err) {
+    if (err.errors && err.errors.length > 0) {
+      console.error(chalk.red('Validation errors:'));
+      for (const e of err.errors) {
+        console.error(chalk.red(`  - ${e}`));
+      }
+    } else {
+      console.error(chalk.red(`Solve error: ${err.message}`));
+    }
+    process.exit(1);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const settings = { locale: profile.locale, currency: profile.currency };
+  const outputDef = findOutputDef(manifest.outputs, target.output);
+  const formatValue = (value) =>
+    formatOutput({ outputs: [outputDef] }, { [outputDef.id]: value }, settings)[outputDef.id].formatted;
+  const inputLabel = inputDef.label || inputDef.id;
+  const outputLabel = outputDef.label || outputDef.id;
+  const width = Math.max(inputLabel.length, outputLabel.length) + 1;
+
+  console.log('');
+  console.log(chalk.bold(`Solving: ${manifest.name}`));
+  console.log(chalk.dim(`  ${inputLabel} for ${outputLabel} = ${formatValue(target.value)}`));
+  console.log('');
+  console.log(`  ${chalk.green((inputLabel + ':').padEnd(width))}  ${chalk.bold.white(formatInputValue(inputDef, result.value, settings))}`);
+  console.log(`  ${chalk.green((outputLabel + ':').padEnd(width))}  ${chalk.white(formatValue(result.output))}`);
+  console.log('');
+  if (!result.converged) {
+    console.log(chalk.yellow(`  [warn] ${outputLabel} moves in steps here and cannot equal the target exactly;`));
+    console.log(chalk.yellow(`         this is the closest value, ${formatValue(Math.abs(result.error))} ${result.error > 0 ? 'over' : 'under'}`));
+  }
+  console.log(chalk.dim(`  ${result.iterations} model run(s)  as-of ${result.asOf}  seed ${result.seed}`));
+  console.log('');
+}
+
+module.exports = { solveCommand };
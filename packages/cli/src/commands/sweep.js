@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * Points in a `from..to` range when no count is given.
+ */
+const DEFAULT_STEPS = 5;
+
+/**
+ * Characters on each side of the base line in the tornado chart.
+ */
+const BAR_HALF_WIDTH = 20;
+
+/**
+ * Parses repeated `--vary` flags into sweep's `vary` option. Each flag is
+ * `id=3,5,7,9` (a list) or `id=3..9` / `id=3..9:4` (an evenly spaced range,
+ * five points unless a count follows the colon).
+ *
+ * @param {string[]} flags
+ * @returns {object}
+ * @throws {Error} If a flag cannot be parsed.
+ */
+function parseVaryFlags(flags) {
+  const vary = {};
+  for (const flag of flags) {
+    const match = /^([^=]+)=(.+)$/.exec(flag);
+    if (!match) {
+      throw new Error(`Invalid --vary flag "${flag}". Expected id=1,2,3 or id=from..to[:steps]`);
+    }
+    const id = match[1].trim();
+    const spec = match[2].trim();
+
+    const range = /^(-?[\d.]+)\.\.(-?[\d.]+)(?::(\d+))?$/.exec(spec);
+    if (range) {
+      vary[id] = {
+        from: Number(range[1]),
+        to: Number(range[2]),
+        steps: range[3] === undefined ? DEFAULT_STEPS : Number(range[3]),
+      };
+      continue;
+    }
+
+    const values = spec.split(',').map((v) => Number(v.trim()));
+    if (values.some((v) => !Number.isFinite(v))) {
+      throw new Error(`Invalid --vary values for "${id}": "${spec}"`);
+    }
+    vary[id] = values;
+  }
+  return vary;
+}
+
+/**
+ * The middle value of a `vary` entry, used as the base value of a varied
+ * input the user did not supply.
+ *
+ * @param {number[]|{ from: number, to: number }} spec
+ * @returns {number}
+ */
+function middleOf(spec) {
+  if (Array.isArray(spec)) {
+    const sorted = [...spec].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+  }
+  return (spec.from + spec.to) / 2;
+}
+
+/**
+ * Prints the runs as a table: one column per varied input, then the chosen
+ * output.
+ *
+ * @param {object}   result   - From sweep.
+ * @param {string[]} ids      - Varied input ids.
+ * @param {object}   outputDef
+ * @param {Function} format   - Formats an output value.
+ * @param {object}   chalk
+ */
+function displayRuns(result, ids, outputDef, format, chalk) {
+  const header = [...ids, outputDef.label || outputDef.id];
+  const rows = result.runs.map((run) => [
+    ...ids.map((id) => String(run.values[id])),
+    run.outputs ? format(run.outputs[outputDef.id]) : `error: ${run.errors[0]}`,
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+
+  console.log(chalk.bold.underline('Runs'));
+  console.log('');
+  console.log('  ' + header.map((h, i) => chalk.bold.green(h.padEnd(widths[i]))).join('  '));
+  console.log(chalk.dim('  ' + widths.map((w) => '-'.repeat(w)).join('  ')));
+  for (const [i, row] of rows.entries()) {
+    const failed = !result.runs[i].outputs;
+    const line = row.map((cell, c) => (c === row.length - 1 ? cell : cell.padStart(widths[c]))).join('  ');
+    console.log('  ' + (failed ? chalk.red(line) : chalk.white(line)));
+  }
+  console.log('');
+}
+
+/**
+ * Prints a tornado chart for one output: a bar per varied input, widest
+ * swing first, extending left and right of the base result to the lowest
+ * and highest results across the input's range.
+ *
+ * @param {object}   result    - From sweep.
+ * @param {object}   outputDef
+ * @param {object}   labels    - Input id → label.
+ * @param {Function} format    - Formats an output value.
+ * @param {object}   chalk
+ */
+function displayTornado(result, outputDef, labels, format, chalk) {
+  const entries = result.sensitivity[outputDef.id] || [];
+  const base = result.base.outputs[outputDef.id];
+
+  console.log(chalk.bold.underline(`Sensitivity of ${outputDef.label || outputDef.id}`));
+  console.log(chalk.dim(`  base ${format(base)}`));
+  console.log('');
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('  No input moved this output.'));
+    console.log('');
+    return;
+  }
+
+  const spans = entries.map((e) => {
+    const lo = Math.min(e.low.output, e.high.output);
+    const hi = Math.max(e.low.output, e.high.output);
+    return { lo, hi, below: Math.max(0, base - lo), above: Math.max(0, hi - base) };
+  });
+  const scale = Math.max(...spans.map((s) => Math.max(s.below, s.above))) || 1;
+  const labelWidth = Math.max(...entries.map((e) => labels[e.input].length));
+  const rangeTexts = entries.map((e) => `${e.low.value} → ${e.high.value}`);
+  const rangeWidth = Math.max(...rangeTexts.map((t) => t.length));
+  const loTexts = spans.map((s) => format(s.lo));
+  const loWidth = Math.max(...loTexts.map((t) => t.length));
+
+  entries.forEach((entry, i) => {
+    const left = Math.round((BAR_HALF_WIDTH * spans[i].below) / scale);
+    const right = Math.round((BAR_HALF_WIDTH * spans[i].above) / scale);
+    const bar =
+      ' '.repeat(BAR_HALF_WIDTH - left) +
+      chalk.red('█'.repeat(left)) +
+      chalk.dim('│') +
+      chalk.green('█'.repeat(right)) +
+      ' '.repeat(BAR_HALF_WIDTH - right);
+    const elasticity = entry.elasticity === null ? 'n/a' : entry.elasticity.toFixed(2);
+
+    console.log(
+      '  ' +
+        chalk.cyan(labels[entry.input].padEnd(labelWidth)) +
+        '  ' +
+        chalk.dim(rangeTexts[i].padEnd(rangeWidth)) +
+        '  ' +
+        loTexts[i].padStart(loWidth) +
+        ' ' +
+        bar +
+        ' ' +
+        format(spans[i].hi) +
+        chalk.dim(`  elasticity ${elasticity}`)
+    );
+  });
+  console.log('');
+}
+
+/**
+ * Runs the `finlogic sweep <model-id>` command.
+ *
+ * Runs a model across ranges of its number inputs with the core sweep
+ * engine, then prints the runs and a tornado chart showing which inputs
+ * move the chosen output most, with each input's elasticity. Any pack gets
+ * sensitivity analysis this way, whether or not its explain block has one.
+ *
+ * Inputs that are not varied come from --input flags or prompts, as for
+ * `finlogic run`. A varied input without a flag uses the middle of its
+ * range as its base value.
+ *
+ * @param {string} modelId - Model id or `id@version`, resolved through the model catalog
+ * @param {{
+ *   vary: string[],
+ *   input?: string[],
+ *   grid?: boolean,
+ *   output?: string,
+ *   json?: boolean,
+ *   isolation?: string,
+ *   asOf?: string,
+ *   seed?: string,
+ *   profile?: string
+ * }} opts - Commander option values, plus the global `profile`
+ * @param {object} chalk - chalk instance
+ * @returns {Promise<void>}
+ */
+async function sweepCommand(modelId, opts, chalk) {
+  const { sweep, formatOutput } = require('@finlogicos/core');
+  const { openCatalog, resolveProfile } = require('../catalog');
+  const { parseInputFlags, promptForMissingInputs } = require('./run');
+
+  let manifest, logicCode, modelDir, profile, vary, flagInputs;
+  try {
+    let entry;
+    ({ manifest, logicCode, entry } = openCatalog(opts.profile).load(modelId));
+    modelDir = entry.dir;
+    ({ profile } = resolveProfile(opts.profile));
+    vary = parseVaryFlags(opts.vary || []);
+    flagInputs = parseInputFlags(opts.input, manifest.inputs);
+  } catch (err) {
+    console.error(chalk.red(`Failed to set up sweep of "${modelId}": ${err.message}`));
+    process.exit(1);
+  }
+
+  if (Object.keys(vary).length === 0) {
+    console.error(chalk.red('Pass at least one --vary <id>=<values>'));
+    process.exit(1);
+  }
+
+  for (const [id, spec] of Object.entries(vary)) {
+    if (!(id in flagInputs)) flagInputs[id] = middleOf(spec);
+  }
+
+  let inputs;
+  try {
+    inputs = await promptForMissingInputs(manifest.inputs, flagInputs, profile);
+  } catch (err) {
+    console.error(chalk.red(`Input prompt error: ${err.message}`));
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = await sweep(manifest, logicCode, inputs, {
+      vary,
+      mode: opts.grid ? 'grid' : 'one-at-a-time',
+      packDir: modelDir,
+      isolation: opts.isolation,
+      asOf: opts.asOf,
+      seed: opts.seed === undefined ? undefined : Number(opts.seed),
+      locale: profile.locale,
+      currency: profile.currency,
+    });
+  } catch (err) {
+    if (err.errors && err.errors.length > 0) {
+      console.error(chalk.red('Base run failed:'));
+      for (const e of err.errors) {
+        console.error(chalk.red(`  - ${e}`));
+      }
+    } else {
+      console.error(chalk.red(`Sweep error: ${err.message}`));
+    }
+    process.exit(1);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const numeric = Object.keys(result.sensitivity);
+  const outputId = opts.output || numeric[0];
+  const outputDef = manifest.outputs.find((def) => def.id === outputId);
+  if (!outputDef || !numeric.includes(outputId)) {
+    console.error(chalk.red(`"${outputId}" is not a numeric output. Choose one of: ${numeric.join(', ')}`));
+    process.exit(1);
+  }
+
+  const settings = { locale: profile.locale, currency: profile.currency };
+  const format = (value) => formatOutput({ outputs: [outputDef] }, { [outputDef.id]: value }, settings)[outputDef.id].formatted;
+  const labels = Object.fromEntries(manifest.inputs.map((def) => [def.id, def.label || def.id]));
+
+  console.log('');
+  console.log(chalk.bold(`Sweep: ${manifest.name}`));
+  console.log(chalk.dim(`  ${result.runs.length} run(s), ${opts.grid ? 'grid' : 'one input at a time'}`));
+  console.log('');
+
+  displayRuns(result, Object.keys(vary), outputDef, format, chalk);
+  displayTornado(result, outputDef, labels, format, chalk);
+
+  console.log(chalk.dim(`  as-of ${result.asOf}  seed ${result.seed}`));
+  console.log('');
+}
+
+module.exports = { sweepCommand };
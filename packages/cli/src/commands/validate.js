@@ -4,14 +4,54 @@ const path = require('path');
 const fs = require('fs');
 
 /**
- * Builds a minimal sample inputs object from the manifest declaration so we
- * can exercise the validator without requiring real data from the user.
- *
- * For each input the function picks:
+ * Picks a minimal sample value for one input declaration:
  *   - number  -> 1
  *   - boolean -> true
  *   - enum    -> first value in the values array
+ *   - date    -> "2025-01-01"
+ *   - object  -> one sample value per declared property
+ *   - array   -> minItems (at least one) sample items
  *   - string  -> "sample"
+ * A declared default always wins.
+ *
+ * @param {object} def - Input declaration, nested property, or items schema.
+ * @returns {*}
+ */
+function sampleValue(def) {
+  if (def.type === 'number') {
+    if (def.default !== undefined) return Number(def.default);
+    // 1 unless the declared constraints rule it out; min always satisfies
+    // them, since steps are counted from it.
+    const oneFits = (def.min === undefined || def.min <= 1) && (def.max === undefined || def.max >= 1);
+    if (oneFits && def.step === undefined) return 1;
+    if (def.min !== undefined) return def.min;
+    return def.step !== undefined && (def.max === undefined || def.max >= def.step) ? def.step : def.max;
+  }
+  if (def.type === 'boolean') {
+    return def.default !== undefined ? Boolean(def.default) : true;
+  }
+  if (def.type === 'enum' && Array.isArray(def.values) && def.values.length > 0) {
+    return def.values[0];
+  }
+  if (def.default !== undefined) {
+    return def.type === 'object' || def.type === 'array' ? def.default : String(def.default);
+  }
+  if (def.type === 'date') {
+    return '2025-01-01';
+  }
+  if (def.type === 'object') {
+    return buildSampleInputs(Array.isArray(def.properties) ? def.properties : []);
+  }
+  if (def.type === 'array') {
+    const count = Math.max(def.minItems || 0, 1);
+    return def.items ? Array.from({ length: count }, () => sampleValue(def.items)) : [];
+  }
+  return 'sample';
+}
+
+/**
+ * Builds a minimal sample inputs object from the manifest declaration so we
+ * can exercise the validator without requiring real data from the user.
  *
  * @param {object[]} inputDefs - manifest.inputs array
  * @returns {object}
@@ -20,15 +60,7 @@ function buildSampleInputs(inputDefs) {
   const sample = {};
 
   for (const def of inputDefs) {
-    if (def.type === 'number') {
-      sample[def.id] = def.default !== undefined ? Number(def.default) : 1;
-    } else if (def.type === 'boolean') {
-      sample[def.id] = def.default !== undefined ? Boolean(def.default) : true;
-    } else if (def.type === 'enum' && Array.isArray(def.values) && def.values.length > 0) {
-      sample[def.id] = def.values[0];
-    } else {
-      sample[def.id] = def.default !== undefined ? String(def.default) : 'sample';
-    }
+    sample[def.id] = sampleValue(def);
   }
 
   return sample;
@@ -37,13 +69,23 @@ function buildSampleInputs(inputDefs) {
 /**
  * Runs the `finlogic validate <path>` command.
  * Loads the manifest and logic from the given path, validates required
- * manifest fields, and attempts a dry run with sample inputs.
+ * manifest fields, attempts a dry run with sample inputs, and checks the dry
+ * run's outputs against manifest.outputs.
+ *
+ * Finishes with an explainability report: the dry run's `explain` output is
+ * checked against the explainability contract and every missing or ill-typed
+ * field is listed.
+ *
+ * Output mismatches are reported as warnings and explainability issues are
+ * reported without failing; with --strict both fail validation, which is the
+ * bar for VERIFIED status.
  *
  * @param {string} modelPath - Path to the model directory (from the CLI arg).
+ * @param {{ strict?: boolean }} opts - Commander option values
  * @param {object} chalk     - chalk instance
  */
-function validateCommand(modelPath, chalk) {
-  const { loadModel, validateInputs, runModel } = require('@finlogicos/core');
+function validateCommand(modelPath, opts, chalk) {
+  const { loadModel, validateInputs, validateExplainBlock, runModel } = require('@finlogicos/core');
 
   const resolvedPath = path.resolve(modelPath);
 
@@ -69,7 +111,9 @@ function validateCommand(modelPath, chalk) {
   // ---- Step 2: Load manifest + logic via core ----
   let manifest, execute;
   try {
-    ({ manifest, execute } = loadModel(resolvedPath));
+    let loadWarnings;
+    ({ manifest, execute, warnings: loadWarnings } = loadModel(resolvedPath));
+    warnings.push(...loadWarnings);
     console.log(chalk.green('  [pass] manifest.yaml loaded and parsed'));
     console.log(chalk.green('  [pass] logic.js loaded'));
   } catch (err) {
@@ -145,9 +189,20 @@ function validateCommand(modelPath, chalk) {
   const logicPath = path.join(resolvedPath, 'logic.js');
   const logicCode = fs.readFileSync(logicPath, 'utf8');
 
+  let dryRun;
   try {
-    runModel(manifest, logicCode, sampleInputs);
+    dryRun = runModel(manifest, logicCode, sampleInputs, {
+      packDir: resolvedPath,
+      outputValidation: opts.strict ? 'strict' : 'warn',
+    });
     console.log(chalk.green('  [pass] dry run completed without errors'));
+
+    if (dryRun.warnings.length === 0) {
+      console.log(chalk.green('  [pass] dry run outputs match manifest.outputs'));
+    }
+    for (const w of dryRun.warnings) {
+      warnings.push(`validateOutputs: ${w}`);
+    }
   } catch (err) {
     console.error(chalk.red(`  [fail] dry run failed: ${err.message}`));
     if (err.errors) {
@@ -159,6 +214,33 @@ function validateCommand(modelPath, chalk) {
     process.exit(1);
   }
 
+  // ---- Step 8: Explainability report ----
+  const explainReport = validateExplainBlock(dryRun.outputs.explain);
+
+  console.log('');
+  console.log(chalk.bold('  Explainability (docs/specs/explainability-contract.md)'));
+  if (explainReport.valid) {
+    console.log(chalk.green('  [pass] explain block satisfies the explainability contract'));
+  }
+  for (const e of explainReport.errors) {
+    console.log(chalk.red(`  [fail] explain block: ${e}`));
+  }
+  for (const w of explainReport.warnings) {
+    console.log(chalk.yellow(`  [warn] explain block: ${w}`));
+  }
+  if (!explainReport.valid) {
+    console.log(chalk.dim(
+      `  ${explainReport.errors.length} explainability issue(s) found. Fix before submitting for VERIFIED review.`
+    ));
+  }
+
+  if (opts.strict && !explainReport.valid) {
+    console.log('');
+    console.error(chalk.red('Validation failed: the explain block does not meet the contract (--strict).'));
+    console.log('');
+    process.exit(1);
+  }
+
   // ---- Report warnings ----
   if (warnings.length > 0) {
     console.log('');
@@ -175,4 +257,4 @@ function validateCommand(modelPath, chalk) {
   console.log('');
 }
 
-module.exports = { validateCommand };
+module.exports = { validateCommand, buildSampleInputs };
@@ -2,7 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { verifyPack } = require('@finlogicos/core');
+const { verifyPack, ModelCatalog } = require('@finlogicos/core');
 const { loadLocalRegistry, getPackEntry } = require('../registry-client');
 
 /**
@@ -28,7 +28,7 @@ function registerVerifyCommand(program, chalk) {
     )
     .option(
       '--dir <path>',
-      'Directory containing installed model packs (default: packages/models)'
+      'Directory containing installed model packs (default: every model catalog root)'
     )
     .action((packId, opts) => {
       console.log('');
@@ -42,52 +42,60 @@ function registerVerifyCommand(program, chalk) {
         process.exit(2);
       }
 
-      const modelsDir = opts.dir
-        ? path.resolve(opts.dir)
-        : path.resolve(__dirname, '../../../../models');
-
-      if (!fs.existsSync(modelsDir)) {
-        console.error(chalk.red(`Models directory not found: ${modelsDir}`));
+      // ---- Determine which packs to verify ----
+      // Packs are resolved through a model catalog: one rooted at --dir when
+      // given, else the profile's. Each pack is checked at the version the
+      // registry lists, when that version is installed.
+      let catalog;
+      try {
+        if (opts.dir) {
+          const modelsDir = path.resolve(opts.dir);
+          if (!fs.existsSync(modelsDir)) {
+            console.error(chalk.red(`Models directory not found: ${modelsDir}`));
+            process.exit(1);
+          }
+          catalog = new ModelCatalog({ roots: [{ dir: modelsDir, source: 'custom' }] });
+        } else {
+          const { openCatalog } = require('../catalog');
+          catalog = openCatalog(program.opts().profile);
+        }
+      } catch (err) {
+        console.error(chalk.red(err.message));
         process.exit(1);
       }
 
-      // ---- Determine which packs to verify ----
-      let packIds;
-      if (packId) {
-        packIds = [packId];
-      } else {
-        // Verify all directories inside modelsDir
-        try {
-          packIds = fs
-            .readdirSync(modelsDir)
-            .filter((name) => {
-              const fullPath = path.join(modelsDir, name);
-              return fs.statSync(fullPath).isDirectory();
-            });
-        } catch (err) {
-          console.error(chalk.red(`Failed to list models directory: ${err.message}`));
-          process.exit(1);
-        }
+      // { id, dir } pairs; dir is null when the pack is not installed.
+      let packs;
+      try {
+        const ids = packId ? [packId] : catalog.list().map((entry) => entry.id);
+        packs = ids.map((id) => {
+          const registryEntry = getPackEntry(id, registry);
+          const entry =
+            (registryEntry && registryEntry.version && catalog.get(`${id}@${registryEntry.version}`)) ||
+            catalog.get(id);
+          return { id, dir: entry ? entry.dir : null };
+        });
+      } catch (err) {
+        console.error(chalk.red(`Failed to list model packs: ${err.message}`));
+        process.exit(1);
       }
 
-      if (packIds.length === 0) {
+      if (packs.length === 0) {
         console.log(chalk.yellow('No installed model packs found.'));
         console.log('');
         process.exit(0);
       }
 
-      console.log(chalk.bold(`Verifying ${packIds.length} pack(s)...`));
+      console.log(chalk.bold(`Verifying ${packs.length} pack(s)...`));
       console.log('');
 
       let failCount = 0;
       let passCount = 0;
       let unknownCount = 0;
 
-      for (const id of packIds) {
-        const modelDir = path.join(modelsDir, id);
-
-        if (!fs.existsSync(modelDir)) {
-          console.error(chalk.red(`  [error] Pack directory not found: ${modelDir}`));
+      for (const { id, dir: modelDir } of packs) {
+        if (!modelDir || !fs.existsSync(modelDir)) {
+          console.error(chalk.red(`  [error] Pack not found: ${modelDir || id}`));
           failCount++;
           continue;
         }
@@ -8,16 +8,27 @@
  * execution to the individual command modules in ./commands/.
  *
  * Commands:
- *   finlogic run <model-id>                 - Run a model interactively
- *   finlogic list                           - List all available models
+ *   finlogic run <model-id>[@version]       - Run a model interactively
+ *   finlogic batch <model-id>               - Run a model over every row of a CSV/JSONL file
+ *   finlogic sweep <model-id>               - Vary inputs and chart each one's sensitivity
+ *   finlogic solve <model-id>               - Find the input value that hits a target output
+ *   finlogic list                           - List the models in the catalog
  *   finlogic validate <path>                - Validate a model pack at a path
+ *   finlogic dev <path>                     - Re-run a pack's fixtures as it is edited
+ *   finlogic schema <model-id>              - Print a model's inputs as JSON Schema
  *   finlogic snapshot save [model-id]       - Run a model and save the snapshot
  *   finlogic snapshot list [model-id]       - List saved snapshots
+ *   finlogic snapshot export <id>           - Export a snapshot as a report
+ *   finlogic snapshot diff <a> <b>          - Compare two snapshots' inputs and outputs
+ *   finlogic snapshot replay <id>           - Re-run a snapshot and report output drift
+ *   finlogic snapshot trend <id> <path>     - Draw an output across snapshots as a sparkline
+ *   finlogic snapshot prune                 - Delete old snapshots and compact the database
  *   finlogic profile list                   - List all profiles
  *   finlogic profile show                   - Show active profile details
  *   finlogic profile create <name>          - Create a new profile
  *   finlogic profile select <id>            - Switch active profile
  *   finlogic profile rename <id> <new-name> - Rename a profile
+ *   finlogic profile set <id>               - Set a profile's locale and currency
  *   finlogic profile delete <id>            - Delete a profile
  *
  * Global options:
@@ -69,7 +80,7 @@ function resolveDbPath() {
 // ---------------------------------------------------------------------------
 program
   .command('run <model-id>')
-  .description('Load a model, prompt for inputs, and display results')
+  .description('Load a model, prompt for inputs, and display results (pin a version with <model-id>@<version>)')
   .option(
     '-i, --input <key=value>',
     'supply an input value without prompting (repeatable)',
@@ -79,9 +90,111 @@ program
     },
     []
   )
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .option('--as-of <date>', 'pin the model clock to this ISO 8601 date (default: now)')
+  .option('--seed <n>', 'seed for Math.random inside the model (default: random)')
+  .option('--format <fmt>', 'render the results as a csv, json, markdown or html report')
+  .option('--out <file>', 'write the report to this file (format taken from the extension)')
   .action(async (modelId, opts) => {
     const { runCommand } = require('./commands/run');
-    await runCommand(modelId, opts, chalk);
+    await runCommand(modelId, { ...opts, profile: program.opts().profile }, chalk);
+  });
+
+// ---------------------------------------------------------------------------
+// finlogic batch <model-id>
+// ---------------------------------------------------------------------------
+program
+  .command('batch <model-id>')
+  .description('Run a model once per row of a CSV or JSONL input file, without prompting')
+  .requiredOption('--in <file>', 'input rows: .csv with a header of input ids, or .jsonl objects')
+  .requiredOption('--out <file>', 'results file: .csv or .jsonl')
+  .option('--save-snapshots', 'also save every successful run as a snapshot')
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .option('--as-of <date>', 'pin the model clock for every row (default: when the batch starts)')
+  .option('--seed <n>', 'seed for Math.random in every row (default: random per row)')
+  .action(async (modelId, opts) => {
+    const { batchCommand } = require('./commands/batch');
+    await batchCommand(modelId, { ...opts, profile: program.opts().profile }, chalk);
+  });
+
+// ---------------------------------------------------------------------------
+// finlogic sweep <model-id>
+// ---------------------------------------------------------------------------
+program
+  .command('sweep <model-id>')
+  .description('Run a model across ranges of its number inputs and chart how sensitive the results are')
+  .option(
+    '--vary <id=values>',
+    'input to vary: id=3,5,7 or id=from..to[:steps] (repeatable)',
+    (val, acc) => {
+      acc.push(val);
+      return acc;
+    },
+    []
+  )
+  .option(
+    '-i, --input <key=value>',
+    'supply a base input value without prompting (repeatable)',
+    (val, acc) => {
+      acc.push(val);
+      return acc;
+    },
+    []
+  )
+  .option('--grid', 'run every combination of the varied values instead of one input at a time')
+  .option('--output <id>', 'output to chart (default: the first numeric output)')
+  .option('--json', 'print the full sweep result as JSON')
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .option('--as-of <date>', 'pin the model clock to this ISO 8601 date (default: now)')
+  .option('--seed <n>', 'seed for Math.random inside the model (default: random)')
+  .action(async (modelId, opts) => {
+    const { sweepCommand } = require('./commands/sweep');
+    await sweepCommand(modelId, { ...opts, profile: program.opts().profile }, chalk);
+  });
+
+// ---------------------------------------------------------------------------
+// finlogic solve <model-id>
+// ---------------------------------------------------------------------------
+program
+  .command('solve <model-id>')
+  .description('Find the value of one input that brings an output to a target')
+  .requiredOption('--vary <input>', 'number input to solve for')
+  .requiredOption('--target <output=value>', 'output id (or dotted path, e.g. avalanche.months) and target value')
+  .option(
+    '-i, --input <key=value>',
+    'supply another input value without prompting (repeatable)',
+    (val, acc) => {
+      acc.push(val);
+      return acc;
+    },
+    []
+  )
+  .option('--min <n>', 'lowest value to try (default: the input\'s declared min)')
+  .option('--max <n>', 'highest value to try (default: the input\'s declared max)')
+  .option('--tolerance <n>', 'how close to the target counts as solved (default: a millionth of it)')
+  .option('--json', 'print the full result as JSON')
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .option('--as-of <date>', 'pin the model clock to this ISO 8601 date (default: now)')
+  .option('--seed <n>', 'seed for Math.random inside the model (default: random)')
+  .action(async (modelId, opts) => {
+    const { solveCommand } = require('./commands/solve');
+    await solveCommand(modelId, { ...opts, profile: program.opts().profile }, chalk);
   });
 
 // ---------------------------------------------------------------------------
@@ -89,10 +202,13 @@ program
 // ---------------------------------------------------------------------------
 program
   .command('list')
-  .description('List all available models in the models directory')
-  .action(() => {
+  .description('List the models in the catalog (bundled, user and profile packs)')
+  .option('--category <category>', 'only list models in this category')
+  .option('--region <region>', 'only list models for this region')
+  .option('--tag <tag>', 'only list models with this tag')
+  .action((opts) => {
     const { listCommand } = require('./commands/list');
-    listCommand(chalk);
+    listCommand({ ...opts, profile: program.opts().profile }, chalk);
   });
 
 // ---------------------------------------------------------------------------
@@ -101,9 +217,42 @@ program
 program
   .command('validate <path>')
   .description('Validate a model pack: check manifest, logic, and attempt a dry run')
-  .action((modelPath) => {
+  .option('--strict', 'fail on output schema mismatches and explainability contract issues')
+  .action((modelPath, opts) => {
     const { validateCommand } = require('./commands/validate');
-    validateCommand(modelPath, chalk);
+    validateCommand(modelPath, opts, chalk);
+  });
+
+// ---------------------------------------------------------------------------
+// finlogic dev <path>
+// ---------------------------------------------------------------------------
+program
+  .command('dev <path>')
+  .description('Watch a model pack and re-run its fixtures on every change')
+  .option('--fixtures <file>', 'JSON array of { name, inputs } fixtures (default: <path>/fixtures.json)')
+  .option('--once', 'run the fixtures once and exit non-zero if any fail')
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .option('--as-of <date>', 'pin the model clock for the session (default: the first run\'s)')
+  .option('--seed <n>', 'seed for Math.random for the session (default: random)')
+  .action(async (modelPath, opts) => {
+    const { devCommand } = require('./commands/dev');
+    await devCommand(modelPath, opts, chalk);
+  });
+
+// ---------------------------------------------------------------------------
+// finlogic schema <model-id>
+// ---------------------------------------------------------------------------
+program
+  .command('schema <model-id>')
+  .description('Print the JSON Schema (draft 2020-12) for a model\'s inputs')
+  .option('--outputs', 'print the schema for the model outputs instead')
+  .action((modelId, opts) => {
+    const { schemaCommand } = require('./commands/schema');
+    schemaCommand(modelId, { ...opts, profile: program.opts().profile }, chalk);
   });
 
 // ---------------------------------------------------------------------------
@@ -116,17 +265,87 @@ const snapshotCmd = program
 snapshotCmd
   .command('save [model-id]')
   .description('Run a model and save the results as a snapshot')
-  .action(async (modelId) => {
+  .option('--as-of <date>', 'pin the model clock to this ISO 8601 date (default: now)')
+  .option('--seed <n>', 'seed for Math.random inside the model (default: random)')
+  .action(async (modelId, opts) => {
     const { snapshotSaveCommand } = require('./commands/snapshot');
-    await snapshotSaveCommand(modelId, chalk, resolveDbPath());
+    await snapshotSaveCommand(modelId, chalk, resolveDbPath(), {
+      ...opts,
+      profile: program.opts().profile,
+    });
   });
 
 snapshotCmd
   .command('list [model-id]')
   .description('List saved snapshots, optionally filtered by model id')
-  .action((modelId) => {
+  .option('-v, --verbose', 'show each snapshot\'s pack version, hashes, runtime version, run time and source')
+  .option('--limit <n>', 'how many snapshots to show per page (default 50, at most 1000)')
+  .option('--cursor <cursor>', 'show the page after the one that printed this cursor')
+  .option('--from <date>', 'only snapshots saved on or after this date')
+  .option('--to <date>', 'only snapshots saved before this date')
+  .action((modelId, opts) => {
     const { snapshotListCommand } = require('./commands/snapshot');
-    snapshotListCommand(modelId, chalk, resolveDbPath());
+    snapshotListCommand(modelId, chalk, resolveDbPath(), opts);
+  });
+
+snapshotCmd
+  .command('export <id>')
+  .description('Export a saved snapshot as a CSV, JSON, Markdown or HTML report')
+  .option('--format <fmt>', 'csv, json, markdown or html (default: markdown, or from --out)')
+  .option('--out <file>', 'write the report to this file instead of stdout')
+  .action((id, opts) => {
+    const { snapshotExportCommand } = require('./commands/snapshot');
+    snapshotExportCommand(id, { ...opts, profile: program.opts().profile }, chalk, resolveDbPath());
+  });
+
+snapshotCmd
+  .command('diff <a> <b>')
+  .description('Show the inputs and outputs that differ between two snapshots')
+  .option('--json', 'print the differences as JSON')
+  .action((a, b, opts) => {
+    const { snapshotDiffCommand } = require('./commands/snapshot');
+    snapshotDiffCommand(a, b, opts, chalk, resolveDbPath());
+  });
+
+snapshotCmd
+  .command('replay <id>')
+  .description('Re-run a snapshot\'s inputs on the current pack and report output drift (exits 1 on drift)')
+  .option('--pinned', 'replay on the pack version that produced the snapshot')
+  .option('--json', 'print the replay result as JSON')
+  .option(
+    '--isolation <mode>',
+    'sandbox backend: "vm" (default) or "worker" for untrusted packs',
+    'vm'
+  )
+  .action(async (id, opts) => {
+    const { snapshotReplayCommand } = require('./commands/snapshot');
+    await snapshotReplayCommand(id, { ...opts, profile: program.opts().profile }, chalk, resolveDbPath());
+  });
+
+snapshotCmd
+  .command('trend <model-id> <output-path>')
+  .description('Draw one output across a model\'s snapshots as a sparkline, e.g. total_score')
+  .option('--bucket <period>', 'group points by day, week, month or year')
+  .option('--aggregate <fn>', 'combine a bucket\'s values with last, avg, min or max', 'last')
+  .option('--from <date>', 'only snapshots saved on or after this date')
+  .option('--to <date>', 'only snapshots saved before this date')
+  .option('--json', 'print the points as JSON')
+  .action((modelId, outputPath, opts) => {
+    const { snapshotTrendCommand } = require('./commands/snapshot');
+    snapshotTrendCommand(modelId, outputPath, opts, chalk, resolveDbPath());
+  });
+
+snapshotCmd
+  .command('prune')
+  .description('Delete old snapshots by a retention policy, then compact the database')
+  .option('--older-than <age>', 'only delete snapshots older than an age (90d, 12w, 6m, 1y) or a date')
+  .option('--keep-latest <n>', 'always keep the newest <n> snapshots of each model')
+  .option('--include-linked', 'also delete snapshots cited by journal entries or scenarios')
+  .option('--dry-run', 'list the snapshots that would be deleted without deleting them')
+  .option('-y, --yes', 'skip the confirmation prompt')
+  .action(async (opts) => {
+    const { snapshotPruneCommand } = require('./commands/snapshot');
+    await snapshotPruneCommand(opts, chalk, resolveDbPath());
   });
 
 // ---------------------------------------------------------------------------
@@ -156,6 +375,8 @@ profileCmd
   .command('create <name>')
   .description('Create a new profile')
   .option('--color <hex>', 'optional color tag for the profile')
+  .option('--locale <tag>', 'locale for formatting results, e.g. en-GB (default: en-US)')
+  .option('--currency <code>', 'ISO 4217 currency for money outputs, e.g. GBP (default: USD)')
   .action((name, opts) => {
     const { profileCreateCommand } = require('./commands/profile');
     profileCreateCommand(name, opts, chalk);
@@ -177,6 +398,16 @@ profileCmd
     profileRenameCommand(id, newName, chalk);
   });
 
+profileCmd
+  .command('set <id>')
+  .description('Change how results are formatted for a profile')
+  .option('--locale <tag>', 'locale for formatting results, e.g. en-GB ("default" resets to en-US)')
+  .option('--currency <code>', 'ISO 4217 currency for money outputs, e.g. GBP ("default" resets to USD)')
+  .action((id, opts) => {
+    const { profileSetCommand } = require('./commands/profile');
+    profileSetCommand(id, opts, chalk);
+  });
+
 profileCmd
   .command('delete <id>')
   .description('Delete a profile and its snapshot database')
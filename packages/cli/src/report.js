@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Report formats implied by an --out file extension.
+ */
+const FORMAT_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+/**
+ * Works out the report format for a command from its --format and --out
+ * options. An explicit --format wins; otherwise the --out extension decides.
+ * Commands call this before prompting or running anything, so a bad option
+ * fails fast.
+ *
+ * @param {{ format?: string, out?: string }} opts - Commander option values.
+ * @returns {string|null} The format, or null when no report was asked for.
+ * @throws {Error} If --format is not a report format, --out is given without
+ *   --format and its extension does not name a format, or the directory
+ *   --out points into does not exist.
+ */
+function resolveReportFormat(opts) {
+  const { REPORT_FORMATS } = require('@finlogicos/core');
+
+  if (opts.out && !fs.existsSync(path.dirname(path.resolve(opts.out)))) {
+    throw new Error(`Cannot write "${opts.out}": ${path.dirname(opts.out)} does not exist`);
+  }
+
+  if (opts.format) {
+    const format = opts.format === 'md' ? 'markdown' : opts.format;
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown report format "${opts.format}"; pass --format ${REPORT_FORMATS.join('|')}`);
+    }
+    return format;
+  }
+  if (!opts.out) return null;
+
+  const format = FORMAT_BY_EXTENSION[path.extname(opts.out).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot tell the report format from "${opts.out}"; pass --format csv|json|markdown|html`);
+  }
+  return format;
+}
+
+/**
+ * Renders a report with the core report renderer and writes it to --out, or
+ * to stdout when no file is given. Formatting follows the profile's locale
+ * and currency.
+ *
+ * @param {object} report  - See renderReport in @finlogicos/core.
+ * @param {string} format  - From resolveReportFormat.
+ * @param {string} [out]   - Destination file path.
+ * @param {object} profile - Profile whose locale and currency apply.
+ * @param {object} chalk   - chalk instance
+ */
+function writeReport(report, format, out, profile, chalk) {
+  const { renderReport } = require('@finlogicos/core');
+
+  let text;
+  try {
+    text = renderReport(report, format, { locale: profile.locale, currency: profile.currency });
+  } catch (err) {
+    console.error(chalk.red(`Failed to render report: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (!out) {
+    process.stdout.write(text);
+    return;
+  }
+
+  try {
+    fs.writeFileSync(out, text, 'utf8');
+  } catch (err) {
+    console.error(chalk.red(`Failed to write ${out}: ${err.message}`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`  [OK] Report written to ${out}`));
+  console.log('');
+}
+
+module.exports = { resolveReportFormat, writeReport };
@@ -0,0 +1,48 @@
+'use strict';
+
+const { parseCsv, formatCsvRow } = require('../csv');
+
+describe('parseCsv', () => {
+  test('splits rows and cells', () => {
+    expect(parseCsv('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('accepts CRLF line endings and no trailing newline', () => {
+    expect(parseCsv('a,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('keeps empty cells', () => {
+    expect(parseCsv('a,b,c\n1,,3\n,,\n')).toEqual([['a', 'b', 'c'], ['1', '', '3'], ['', '', '']]);
+  });
+
+  test('unquotes cells with commas, quotes and line breaks', () => {
+    expect(parseCsv('note\n"a, ""b""\nc"\n')).toEqual([['note'], ['a, "b"\nc']]);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa\n\n1\n\n')).toEqual([['a'], ['1']]);
+  });
+
+  test('throws on an unterminated quoted cell', () => {
+    expect(() => parseCsv('a\n"oops\n')).toThrow('Unterminated quoted cell on row 2');
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('joins cells and ends the line with CRLF', () => {
+    expect(formatCsvRow(['a', 1, null, undefined])).toBe('a,1,,\r\n');
+  });
+
+  test('quotes cells that need it', () => {
+    expect(formatCsvRow(['a,b', 'say "hi"'])).toBe('"a,b","say ""hi"""\r\n');
+  });
+
+  test('neutralises formula-like text but not negative numbers', () => {
+    expect(formatCsvRow(['=SUM(A1)', '-12.5', -3])).toBe("'=SUM(A1),-12.5,-3\r\n");
+  });
+
+  test('round-trips through parseCsv', () => {
+    const cells = ['plain', 'with, comma', 'line\nbreak', '"quoted"'];
+    expect(parseCsv(formatCsvRow(cells))).toEqual([cells]);
+  });
+});
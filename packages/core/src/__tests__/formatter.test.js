@@ -1,6 +1,6 @@
 'use strict';
 
-const { formatOutput } = require('../formatter');
+const { formatOutput, formatInputValue } = require('../formatter');
 const Decimal = require('decimal.js');
 
 const manifest = {
@@ -66,3 +66,219 @@ describe('formatOutput', () => {
     expect(() => formatOutput(manifest, null)).toThrow('plain object');
   });
 });
+
+describe('formatOutput — locale and currency', () => {
+  const localised = {
+    outputs: [
+      { id: 'balance', label: 'Balance', format: 'currency' },
+      { id: 'tax', label: 'Tax', format: 'currency', currency: 'USD' },
+      { id: 'legacy', label: 'Legacy', format: 'currency', prefix: '$' },
+      { id: 'rate', label: 'Rate', format: 'percent' },
+      { id: 'count', label: 'Count', format: 'integer' },
+    ],
+  };
+  const values = { balance: 1234.5, tax: 99, legacy: 10, rate: 0.05, count: 1234567 };
+
+  test('defaults to en-US and USD', () => {
+    const result = formatOutput(localised, values);
+    expect(result.balance.formatted).toBe('$1,234.50');
+    expect(result.rate.formatted).toBe('5.00%');
+  });
+
+  test('renders currency outputs in the requested currency and locale', () => {
+    const result = formatOutput(localised, values, { locale: 'en-GB', currency: 'gbp' });
+    expect(result.balance.formatted).toBe('£1,234.50');
+    expect(result.count.formatted).toBe('1,234,567');
+  });
+
+  test('uses the locale for separators', () => {
+    const result = formatOutput(localised, values, { locale: 'de-DE', currency: 'EUR' });
+    expect(result.balance.formatted).toMatch(/^1\.234,50\s€$/);
+    expect(result.count.formatted).toBe('1.234.567');
+  });
+
+  test('a per-output currency wins over the requested one', () => {
+    const result = formatOutput(localised, values, { locale: 'en-GB', currency: 'GBP' });
+    expect(result.tax.formatted).toBe('US$99.00');
+  });
+
+  test('a prefix without a per-output currency replaces the currency symbol', () => {
+    const result = formatOutput(localised, values, { currency: 'GBP' });
+    expect(result.legacy.formatted).toBe('$10.00');
+  });
+
+  test('rejects an invalid locale or currency', () => {
+    expect(() => formatOutput(localised, values, { locale: 'not a locale' })).toThrow(TypeError);
+    expect(() => formatOutput(localised, values, { currency: 'pounds' })).toThrow(/ISO 4217/);
+    expect(() =>
+      formatOutput({ outputs: [{ id: 'x', format: 'currency', currency: 'XX' }] }, { x: 1 })
+    ).toThrow(/Invalid currency "XX"/);
+  });
+});
+
+describe('formatOutput — compact, duration and date formats', () => {
+  const formats = {
+    outputs: [
+      { id: 'net_worth', format: 'compact' },
+      { id: 'portfolio', format: 'compact', currency: 'GBP' },
+      { id: 'payoff', format: 'duration_months' },
+      { id: 'debt_free', format: 'date' },
+    ],
+  };
+
+  test('compact abbreviates large numbers', () => {
+    const result = formatOutput(formats, { net_worth: 1234567, portfolio: 2500000 });
+    expect(result.net_worth.formatted).toBe('1.2M');
+    expect(result.portfolio.formatted).toBe('£2.5M');
+  });
+
+  test('duration_months splits months into years and months', () => {
+    const format = (payoff) => formatOutput(formats, { payoff }).payoff.formatted;
+    expect(format(40)).toBe('3 yr 4 mo');
+    expect(format(24)).toBe('2 yr');
+    expect(format(5.6)).toBe('6 mo');
+    expect(format(0)).toBe('0 mo');
+    expect(format(-13)).toBe('-1 yr 1 mo');
+  });
+
+  test('date formats ISO dates in the locale without shifting the day', () => {
+    expect(formatOutput(formats, { debt_free: '2025-01-31' }).debt_free.formatted).toBe('Jan 31, 2025');
+    expect(
+      formatOutput(formats, { debt_free: '2025-01-31' }, { locale: 'en-GB' }).debt_free.formatted
+    ).toBe('31 Jan 2025');
+    expect(formatOutput(formats, { debt_free: 'someday' }).debt_free.formatted).toBe('someday');
+  });
+});
+
+describe('formatOutput — parts', () => {
+  test('parts join to the formatted string', () => {
+    const result = formatOutput(manifest, { revenue: 1234.5, margin: 0.1, note: 'ok' });
+    for (const entry of Object.values(result)) {
+      expect(entry.parts.map((p) => p.value).join('')).toBe(entry.formatted);
+    }
+  });
+
+  test('types each piece of a value', () => {
+    const { balance } = formatOutput(
+      { outputs: [{ id: 'balance', format: 'currency', suffix: ' total' }] },
+      { balance: -1500 }
+    );
+    expect(balance.parts.map((p) => p.type)).toEqual([
+      'minusSign', 'currency', 'integer', 'group', 'integer', 'decimal', 'fraction', 'suffix',
+    ]);
+  });
+
+  test('missing and non-numeric values are single text parts', () => {
+    const result = formatOutput(manifest, { note: 'All good' });
+    expect(result.note.parts).toEqual([{ type: 'text', value: 'All good' }]);
+    expect(result.revenue.parts).toEqual([{ type: 'text', value: 'N/A' }]);
+  });
+});
+
+describe('formatOutput — nested outputs', () => {
+  const nested = {
+    outputs: [
+      {
+        id: 'schedule',
+        label: 'Schedule',
+        type: 'array',
+        columns: [
+          { id: 'year', label: 'Year', format: 'integer' },
+          { id: 'balance', label: 'Balance', format: 'currency' },
+        ],
+      },
+      {
+        id: 'dimensions',
+        type: 'object',
+        columns: [{ id: 'label', label: 'Dimension' }, { id: 'weight', format: 'percent' }],
+      },
+      {
+        id: 'strategy',
+        label: 'Strategy',
+        type: 'object',
+        fields: [
+          { id: 'months', label: 'Time to debt-free', format: 'duration_months' },
+          { id: 'order', label: 'Payoff order' },
+        ],
+      },
+      { id: 'tags' },
+      { id: 'raw' },
+    ],
+  };
+
+  test('columns turn an array of records into a table of formatted cells', () => {
+    const { schedule } = formatOutput(nested, {
+      schedule: [{ year: 0, balance: 1000 }, { year: 1, balance: 1050.5 }],
+    });
+    expect(schedule.formatted).toBe('2 rows');
+    expect(schedule.table.columns).toEqual([
+      { id: 'year', label: 'Year' },
+      { id: 'balance', label: 'Balance' },
+    ]);
+    expect(schedule.table.rows.map((row) => row.map((cell) => cell.formatted))).toEqual([
+      ['0', '$1,000.00'],
+      ['1', '$1,050.50'],
+    ]);
+    expect(schedule.table.rows[1][1].value).toBe(1050.5);
+  });
+
+  test('columns on an object tabulate its records and default labels to ids', () => {
+    const { dimensions } = formatOutput(nested, {
+      dimensions: { savings: { label: 'Savings Rate', weight: 0.2 } },
+    });
+    expect(dimensions.table.columns[1]).toEqual({ id: 'weight', label: 'weight' });
+    expect(dimensions.table.rows[0].map((cell) => cell.formatted)).toEqual(['Savings Rate', '20.00%']);
+  });
+
+  test('fields turn an object into labelled values', () => {
+    const { strategy } = formatOutput(nested, { strategy: { months: 32, order: ['Card', 'Car'] } });
+    expect(strategy.fields.map((f) => [f.id, f.formatted])).toEqual([
+      ['months', '2 yr 8 mo'],
+      ['order', 'Card, Car'],
+    ]);
+    expect(strategy.formatted).toBe('Time to debt-free: 2 yr 8 mo; Payoff order: Card, Car');
+  });
+
+  test('undeclared arrays and objects are listed or shown as JSON', () => {
+    const result = formatOutput(nested, { tags: ['a', 1.5], raw: { a: 1 } });
+    expect(result.tags.formatted).toBe('a, 1.50');
+    expect(result.raw.formatted).toBe('{"a":1}');
+    expect(formatOutput(nested, { tags: [] }).tags.formatted).toBe('None');
+  });
+
+  test('missing nested values show as N/A', () => {
+    const result = formatOutput(nested, { schedule: [{ year: 3 }], strategy: null });
+    expect(result.schedule.table.rows[0][1].formatted).toBe('N/A');
+    expect(result.strategy.formatted).toBe('N/A');
+  });
+
+  test('rejects malformed columns and fields declarations', () => {
+    expect(() =>
+      formatOutput({ outputs: [{ id: 'x', columns: [{ label: 'No id' }] }] }, { x: [] })
+    ).toThrow('Output "x" must declare "columns" as a non-empty list');
+    expect(() => formatOutput({ outputs: [{ id: 'y', fields: 'a' }] }, { y: {} })).toThrow(/"fields"/);
+  });
+});
+
+describe('formatInputValue', () => {
+  test('formats currency inputs in the given currency', () => {
+    expect(formatInputValue({ unit: 'currency' }, 1500)).toBe('$1,500.00');
+    expect(formatInputValue({ unit: 'currency' }, 1500, { locale: 'en-GB', currency: 'GBP' })).toBe('£1,500.00');
+  });
+
+  test('shows percent inputs as whole percentages', () => {
+    expect(formatInputValue({ unit: 'percent' }, 7.5)).toBe('7.5%');
+  });
+
+  test('appends other units', () => {
+    expect(formatInputValue({ unit: 'years' }, 10)).toBe('10 years');
+    expect(formatInputValue({}, 1234.5)).toBe('1,234.5');
+  });
+
+  test('shows booleans, structured values and missing values', () => {
+    expect(formatInputValue({}, true)).toBe('Yes');
+    expect(formatInputValue({}, [1, 2])).toBe('[1,2]');
+    expect(formatInputValue({}, undefined)).toBe('N/A');
+    expect(formatInputValue({}, 'monthly')).toBe('monthly');
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { goalSeek } = require('../goal-seek');
+
+const manifest = {
+  id: 'savings',
+  inputs: [
+    { id: 'monthly', type: 'number', min: 0 },
+    { id: 'months', type: 'number', min: 1, max: 600, integer: true, default: 120 },
+    { id: 'note', type: 'string', required: false },
+  ],
+  outputs: [
+    { id: 'balance', format: 'currency' },
+    { id: 'summary', type: 'object' },
+    { id: 'label' },
+  ],
+};
+
+// balance = monthly * months (no growth), plus a nested copy and a
+// rounded-to-whole-hundreds figure for step-output tests.
+const code = `
+  module.exports = function(inputs) {
+    const balance = inputs.monthly * inputs.months;
+    return {
+      balance,
+      summary: { balance, hundreds: Math.floor(balance / 100) * 100 },
+      label: 'ok',
+    };
+  };
+`;
+
+describe('goalSeek', () => {
+  test('finds the input value that reaches the target', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 100 }, {
+      vary: 'monthly',
+      target: { output: 'balance', value: 30000 },
+    });
+
+    expect(result.input).toBe('monthly');
+    expect(result.value).toBeCloseTo(250, 6);
+    expect(result.output).toBeCloseTo(30000, 3);
+    expect(result.converged).toBe(true);
+    expect(result.inputs.monthly).toBe(result.value);
+    expect(result.iterations).toBeLessThan(20);
+  });
+
+  test('searches downwards as well as upwards', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 500 }, {
+      vary: 'monthly',
+      target: { output: 'balance', value: 1200 },
+    });
+    expect(result.value).toBeCloseTo(10, 6);
+  });
+
+  test('reads nested outputs by dotted path', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 100 }, {
+      vary: 'monthly',
+      target: { output: 'summary.balance', value: 6000 },
+    });
+    expect(result.value).toBeCloseTo(50, 6);
+  });
+
+  test('solves integer inputs on whole numbers', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 100 }, {
+      vary: 'months',
+      target: { output: 'balance', value: 3650 },
+    });
+
+    expect(Number.isInteger(result.value)).toBe(true);
+    expect([36, 37]).toContain(result.value);
+    expect(result.converged).toBe(false);
+    expect(Math.abs(result.error)).toBe(50);
+  });
+
+  test('stops at the crossing when the output moves in steps', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 1 }, {
+      vary: 'monthly',
+      target: { output: 'summary.hundreds', value: 1250 },
+    });
+
+    expect(result.converged).toBe(false);
+    expect(Math.abs(result.error)).toBe(50);
+    // The hundreds figure steps from 1200 to 1300 where monthly * 120 = 1300.
+    expect(result.value).toBeCloseTo(1300 / 120, 5);
+  });
+
+  test('keeps within the declared and given bounds', async () => {
+    await expect(
+      goalSeek(manifest, code, { monthly: 100 }, {
+        vary: 'monthly',
+        target: { output: 'balance', value: -50 },
+      })
+    ).rejects.toThrow('No value of "monthly" brings "balance" to -50; the closest was 0 at monthly = 0');
+
+    await expect(
+      goalSeek(manifest, code, { monthly: 100 }, {
+        vary: 'monthly',
+        target: { output: 'balance', value: 30000 },
+        max: 200,
+      })
+    ).rejects.toThrow('the closest was 24000 at monthly = 200');
+  });
+
+  test('starts from the middle of the bounds when the input is not given', async () => {
+    const result = await goalSeek(manifest, code, {}, {
+      vary: 'monthly',
+      target: { output: 'balance', value: 12000 },
+      min: 0,
+      max: 1000,
+    });
+    expect(result.value).toBeCloseTo(100, 6);
+  });
+
+  test('gives up after maxIterations runs', async () => {
+    await expect(
+      goalSeek(manifest, code, { monthly: 1 }, {
+        vary: 'monthly',
+        target: { output: 'balance', value: 1e9 },
+        maxIterations: 3,
+      })
+    ).rejects.toThrow('gave up after 3 model runs');
+  });
+
+  test('runs everything on the first run\'s clock and seed', async () => {
+    const result = await goalSeek(manifest, code, { monthly: 100 }, {
+      vary: 'monthly',
+      target: { output: 'balance', value: 24000 },
+      asOf: '2030-01-01T00:00:00Z',
+      seed: 9,
+    });
+    expect(result.asOf).toBe('2030-01-01T00:00:00.000Z');
+    expect(result.seed).toBe(9);
+  });
+
+  test('rejects invalid options', async () => {
+    const target = { output: 'balance', value: 1 };
+    await expect(goalSeek(manifest, code, {}, { vary: 'nope', target })).rejects.toThrow('no such input');
+    await expect(goalSeek(manifest, code, {}, { vary: 'note', target })).rejects.toThrow('only number inputs');
+    await expect(goalSeek(manifest, code, { monthly: 1 }, { vary: 'monthly' })).rejects.toThrow('target must be');
+    await expect(
+      goalSeek(manifest, code, { monthly: 1 }, { vary: 'monthly', target, min: 10, max: 5 })
+    ).rejects.toThrow('lie between 10 and 5');
+  });
+
+  test('rejects non-numeric outputs', async () => {
+    await expect(
+      goalSeek(manifest, code, { monthly: 1 }, { vary: 'monthly', target: { output: 'label', value: 1 } })
+    ).rejects.toThrow('Output "label" is not a number (got "ok")');
+  });
+
+  test('reports a failing first run', async () => {
+    await expect(
+      goalSeek(manifest, code, { monthly: 1, months: 0.5 }, { vary: 'monthly', target: { output: 'balance', value: 1 } })
+    ).rejects.toThrow('Input validation failed');
+  });
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Saves a baseline snapshot and backdates it to `createdAt`, for tests of
+ * date filters, retention and ordering. save() always stamps the current
+ * time, so the row is updated directly.
+ *
+ * @param {import('../../snapshot').SnapshotStore} store
+ * @param {string} modelId
+ * @param {string} createdAt - ISO 8601 timestamp.
+ * @param {object} [outputs]
+ * @param {object} [inputs]
+ * @returns {number} The snapshot id.
+ */
+function saveAt(store, modelId, createdAt, outputs = {}, inputs = {}) {
+  const id = store.save(modelId, inputs, outputs);
+  store._db.prepare('UPDATE snapshots SET created_at = ? WHERE id = ?').run(createdAt, id);
+  return id;
+}
+
+module.exports = { saveAt };
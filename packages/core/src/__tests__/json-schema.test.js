@@ -0,0 +1,124 @@
+'use strict';
+
+const { manifestToJsonSchema } = require('../json-schema');
+
+const manifest = {
+  id: 'schema-model',
+  name: 'Schema Model',
+  inputs: [
+    { id: 'income', label: 'Income', type: 'number', min: 0, unit: 'currency', required: true },
+    { id: 'age', type: 'number', min: 18, max: 120, integer: true, description: 'Age in years' },
+    { id: 'rate', type: 'number', min: 0.5, step: 0.25 },
+    { id: 'offset', type: 'number', min: 1, step: 2 },
+    { id: 'mode', type: 'enum', values: ['simple', 'detailed'], default: 'simple' },
+    { id: 'start', type: 'date', required: false },
+    { id: 'active', type: 'boolean', required: true, default: true },
+    {
+      id: 'debts',
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: [
+          { id: 'name', type: 'string' },
+          { id: 'balance', type: 'number', min: 0 },
+        ],
+      },
+    },
+  ],
+  outputs: [
+    { id: 'score', label: 'Score', type: 'number', range: [0, 100] },
+    { id: 'grade', type: 'string', enum: ['A', 'B', 'C'] },
+    { id: 'detail', description: 'Untyped detail' },
+  ],
+};
+
+describe('manifestToJsonSchema', () => {
+  const { inputs, outputs } = manifestToJsonSchema(manifest);
+
+  test('emits draft 2020-12 object schemas for inputs and outputs', () => {
+    for (const schema of [inputs, outputs]) {
+      expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(schema.type).toBe('object');
+    }
+    expect(inputs.title).toBe('Schema Model inputs');
+    expect(outputs.title).toBe('Schema Model outputs');
+  });
+
+  test('maps number constraints, labels, descriptions and units', () => {
+    expect(inputs.properties.income).toEqual({
+      title: 'Income',
+      type: 'number',
+      minimum: 0,
+      'x-unit': 'currency',
+    });
+    expect(inputs.properties.age).toEqual({
+      description: 'Age in years',
+      type: 'integer',
+      minimum: 18,
+      maximum: 120,
+    });
+  });
+
+  test('maps step to multipleOf only when it is aligned with zero', () => {
+    expect(inputs.properties.rate.multipleOf).toBe(0.25);
+    expect(inputs.properties.offset).not.toHaveProperty('multipleOf');
+  });
+
+  test('maps enums, dates and defaults', () => {
+    expect(inputs.properties.mode).toEqual({ enum: ['simple', 'detailed'], default: 'simple' });
+    expect(inputs.properties.start.type).toBe('string');
+    expect(new RegExp(inputs.properties.start.pattern).test('2025-01-31T09:30:00Z')).toBe(true);
+    expect(new RegExp(inputs.properties.start.pattern).test('31/01/2025')).toBe(false);
+  });
+
+  test('lists required inputs using the same rule as validateInputs', () => {
+    expect(inputs.required).toEqual(['income', 'age', 'rate', 'offset', 'active', 'debts']);
+  });
+
+  test('nests array items and object properties', () => {
+    expect(inputs.properties.debts).toEqual({
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          balance: { type: 'number', minimum: 0 },
+        },
+        required: ['name', 'balance'],
+      },
+    });
+  });
+
+  test('maps output types, ranges and enums, and requires every output', () => {
+    expect(outputs.properties).toEqual({
+      score: { title: 'Score', type: 'number', minimum: 0, maximum: 100 },
+      grade: { type: 'string', enum: ['A', 'B', 'C'] },
+      detail: { description: 'Untyped detail' },
+    });
+    expect(outputs.required).toEqual(['score', 'grade', 'detail']);
+  });
+
+  test('describes nested outputs from their columns and fields', () => {
+    const { outputs: nested } = manifestToJsonSchema({
+      inputs: [],
+      outputs: [
+        { id: 'rows', type: 'array', columns: [{ id: 'year', type: 'number' }] },
+        { id: 'byKey', type: 'object', columns: [{ id: 'score', type: 'number' }] },
+        { id: 'summary', type: 'object', fields: [{ id: 'months', label: 'Months', type: 'number' }] },
+      ],
+    });
+    expect(nested.properties.rows.items).toEqual({ type: 'object', properties: { year: { type: 'number' } } });
+    expect(nested.properties.byKey.additionalProperties).toEqual({
+      type: 'object',
+      properties: { score: { type: 'number' } },
+    });
+    expect(nested.properties.summary.properties).toEqual({ months: { title: 'Months', type: 'number' } });
+  });
+
+  test('throws on a manifest without inputs or outputs', () => {
+    expect(() => manifestToJsonSchema({ outputs: [] })).toThrow('valid "inputs" array');
+    expect(() => manifestToJsonSchema({ inputs: [] })).toThrow('valid "outputs" array');
+  });
+});
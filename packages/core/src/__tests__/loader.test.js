@@ -3,7 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { loadModel } = require('../loader');
+const { loadModel, CURRENT_MANIFEST_VERSION } = require('../loader');
 
 // Helper: write a model fixture to a temp directory.
 function makeTempModel(manifestContent, logicContent) {
@@ -96,4 +96,62 @@ outputs: []
     const dir = makeTempModel(VALID_MANIFEST, 'module.exports = 42;');
     expect(() => loadModel(dir)).toThrow('must export a single function');
   });
+
+  test('throws when dependencies is not an array of strings', () => {
+    const badManifest = VALID_MANIFEST + 'dependencies: decimal.js\n';
+    const dir = makeTempModel(badManifest, VALID_LOGIC);
+    expect(() => loadModel(dir)).toThrow('"dependencies" must be an array');
+  });
+});
+
+describe('loadModel — manifest versions', () => {
+  const CURRENT_MANIFEST = 'manifest_version: 2\n' + VALID_MANIFEST;
+
+  test('loads a current manifest without warnings', () => {
+    const { manifest, warnings } = loadModel(makeTempModel(CURRENT_MANIFEST, VALID_LOGIC));
+    expect(manifest.manifest_version).toBe(CURRENT_MANIFEST_VERSION);
+    expect(warnings).toEqual([]);
+  });
+
+  test('treats a manifest without manifest_version as version 1 and upgrades it', () => {
+    const { manifest, warnings } = loadModel(makeTempModel(VALID_MANIFEST, VALID_LOGIC));
+    expect(manifest.manifest_version).toBe(CURRENT_MANIFEST_VERSION);
+    expect(warnings).toEqual([
+      'manifest.yaml does not declare manifest_version; assuming 1. Add manifest_version: 2',
+    ]);
+  });
+
+  test('upgrades a version 1 region string to a list', () => {
+    const dir = makeTempModel('manifest_version: 1\nregion: us\n' + VALID_MANIFEST, VALID_LOGIC);
+    const { manifest, warnings } = loadModel(dir);
+    expect(manifest.region).toEqual(['us']);
+    expect(warnings).toEqual([expect.stringContaining('"region" as a single string is deprecated')]);
+  });
+
+  test('upgrades version 1 output min/max to range', () => {
+    const dir = makeTempModel(
+      'manifest_version: 1\n' + VALID_MANIFEST + '    min: 0\n    max: 100\n',
+      VALID_LOGIC
+    );
+    const { manifest, warnings } = loadModel(dir);
+    expect(manifest.outputs[0]).toEqual({ id: 'profit', label: 'Profit', range: [0, 100] });
+    expect(warnings).toEqual([
+      'manifest.yaml: Output "profit" declares min/max, which is deprecated; use range: [min, max]',
+    ]);
+  });
+
+  test('leaves an open end when only one of min/max is declared', () => {
+    const dir = makeTempModel('manifest_version: 1\n' + VALID_MANIFEST + '    min: 0\n', VALID_LOGIC);
+    expect(loadModel(dir).manifest.outputs[0].range).toEqual([0, Infinity]);
+  });
+
+  test('throws on a manifest_version newer than the runtime', () => {
+    const dir = makeTempModel('manifest_version: 99\n' + VALID_MANIFEST, VALID_LOGIC);
+    expect(() => loadModel(dir)).toThrow('declares manifest_version 99');
+  });
+
+  test('throws on an invalid manifest_version', () => {
+    const dir = makeTempModel('manifest_version: "2"\n' + VALID_MANIFEST, VALID_LOGIC);
+    expect(() => loadModel(dir)).toThrow('"manifest_version" must be a positive integer');
+  });
 });
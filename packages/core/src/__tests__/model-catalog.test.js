@@ -0,0 +1,239 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const { ModelCatalog, BUNDLED_MODELS_DIR } = require('../model-catalog');
+const { hashFile } = require('../verifier');
+
+const LOGIC = 'module.exports = function(inputs) { return { out: inputs.x }; };\n';
+
+// Helper: write packs ({ dirName: manifestFields }) into a fresh temp root.
+function makeRoot(packs) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-catalog-'));
+  for (const [dirName, fields] of Object.entries(packs)) {
+    const dir = path.join(root, dirName);
+    fs.mkdirSync(dir);
+    const manifest = {
+      manifest_version: 2,
+      id: dirName,
+      name: dirName,
+      version: '1.0.0',
+      inputs: [{ id: 'x', type: 'number' }],
+      outputs: [{ id: 'out' }],
+      ...fields,
+    };
+    fs.writeFileSync(path.join(dir, 'manifest.yaml'), yaml.dump(manifest));
+    fs.writeFileSync(path.join(dir, 'logic.js'), LOGIC);
+  }
+  return root;
+}
+
+// Helper: write versions ({ version: logicSource }) of one pack into
+// <root>/<id>/<version>/, the layout `finlogic install` uses.
+function addVersions(root, id, versions) {
+  for (const [version, logic] of Object.entries(versions)) {
+    const dir = path.join(root, id, version);
+    fs.mkdirSync(dir, { recursive: true });
+    const manifest = {
+      manifest_version: 2,
+      id,
+      name: id,
+      version,
+      inputs: [{ id: 'x', type: 'number' }],
+      outputs: [{ id: 'out' }],
+    };
+    fs.writeFileSync(path.join(dir, 'manifest.yaml'), yaml.dump(manifest));
+    fs.writeFileSync(path.join(dir, 'logic.js'), logic || LOGIC);
+  }
+  return root;
+}
+
+describe('ModelCatalog', () => {
+  test('requires a non-empty roots array', () => {
+    expect(() => new ModelCatalog()).toThrow(TypeError);
+    expect(() => new ModelCatalog({ roots: [] })).toThrow(/non-empty roots/);
+    expect(() => new ModelCatalog({ roots: [{}] })).toThrow(/directory path/);
+  });
+
+  test('lists packs from every root, sorted by id', () => {
+    const a = makeRoot({ zeta: {}, alpha: {} });
+    const b = makeRoot({ mid: {} });
+    const catalog = new ModelCatalog({ roots: [a, { dir: b, source: 'user' }] });
+
+    expect(catalog.list().map((e) => e.id)).toEqual(['alpha', 'mid', 'zeta']);
+    expect(catalog.get('mid')).toMatchObject({ source: 'user', dir: path.join(b, 'mid') });
+    expect(catalog.get('alpha').source).toBe('custom');
+  });
+
+  test('filters by category, region and tag', () => {
+    const root = makeRoot({
+      tax: { category: 'tax', region: ['us'], tags: ['income', 'federal'] },
+      debt: { category: 'debt', region: ['global'], tags: ['loans'] },
+    });
+    const catalog = new ModelCatalog({ roots: [root] });
+
+    expect(catalog.list({ category: 'TAX' }).map((e) => e.id)).toEqual(['tax']);
+    expect(catalog.list({ region: 'global' }).map((e) => e.id)).toEqual(['debt']);
+    expect(catalog.list({ tag: 'federal' }).map((e) => e.id)).toEqual(['tax']);
+    expect(catalog.list({ category: 'tax', region: 'global' })).toEqual([]);
+  });
+
+  test('indexes by manifest id and resolves collisions in root order', () => {
+    const high = makeRoot({ shared: { version: '2.0.0' } });
+    const low = makeRoot({ shared: { version: '1.0.0' }, renamed: { id: 'shared' } });
+    const catalog = new ModelCatalog({
+      roots: [
+        { dir: high, source: 'profile' },
+        { dir: low, source: 'bundled' },
+      ],
+    });
+
+    expect(catalog.get('shared')).toMatchObject({ version: '2.0.0', source: 'profile' });
+    expect(catalog.get('renamed')).toBeNull();
+
+    const [collision] = catalog.collisions();
+    expect(collision.id).toBe('shared');
+    expect(collision.winner.source).toBe('profile');
+    expect(collision.shadowed.map((e) => e.dir)).toEqual([
+      path.join(low, 'renamed'),
+      path.join(low, 'shared'),
+    ]);
+  });
+
+  test('skips missing roots and records unreadable manifests', () => {
+    const root = makeRoot({ good: {} });
+    fs.mkdirSync(path.join(root, 'broken'));
+    fs.writeFileSync(path.join(root, 'broken', 'manifest.yaml'), 'id: broken\n');
+    fs.mkdirSync(path.join(root, 'not-a-pack'));
+
+    const catalog = new ModelCatalog({ roots: [path.join(root, 'missing'), root] });
+    expect(catalog.list().map((e) => e.id)).toEqual(['good']);
+    expect(catalog.invalid()).toEqual([
+      expect.objectContaining({ dir: path.join(root, 'broken'), error: expect.stringMatching(/missing required fields/) }),
+    ]);
+  });
+
+  test('upgrades manifests and normalises region and tags to lists', () => {
+    const root = makeRoot({ legacy: { manifest_version: 1, region: 'uk', tags: 'isa' } });
+    const entry = new ModelCatalog({ roots: [root] }).get('legacy');
+    expect(entry.region).toEqual(['uk']);
+    expect(entry.tags).toEqual(['isa']);
+    expect(entry.warnings).toHaveLength(1);
+  });
+
+  test('resolve throws for unknown ids and load returns the manifest and logic source', () => {
+    const root = makeRoot({ echo: {} });
+    const catalog = new ModelCatalog({ roots: [root] });
+
+    expect(() => catalog.resolve('nope')).toThrow(/Model not found: nope/);
+    const { manifest, logicCode, warnings, entry } = catalog.load('echo');
+    expect(manifest.id).toBe('echo');
+    expect(logicCode).toBe(LOGIC);
+    expect(warnings).toEqual([]);
+    expect(entry.dir).toBe(path.join(root, 'echo'));
+  });
+
+  test('load does not require logic.js into the host process', () => {
+    const root = makeRoot({ deps: { dependencies: ['not-installed-here'] } });
+    const logic = "require('not-installed-here');\nmodule.exports = function(inputs) { return { out: inputs.x }; };\n";
+    fs.writeFileSync(path.join(root, 'deps', 'logic.js'), logic);
+
+    expect(new ModelCatalog({ roots: [root] }).load('deps').logicCode).toBe(logic);
+  });
+
+  test('load throws when logic.js is missing', () => {
+    const root = makeRoot({ bare: {} });
+    fs.rmSync(path.join(root, 'bare', 'logic.js'));
+    expect(() => new ModelCatalog({ roots: [root] }).load('bare')).toThrow(/logic.js not found/);
+  });
+
+  test('reads versioned pack directories and defaults to the newest version', () => {
+    const root = addVersions(makeRoot({}), 'multi', { '1.9.0': null, '1.10.0': null, '2.0.0-beta': null });
+    const catalog = new ModelCatalog({ roots: [root] });
+
+    expect(catalog.get('multi')).toMatchObject({ version: '1.10.0', dir: path.join(root, 'multi', '1.10.0') });
+    expect(catalog.versions('multi')).toEqual(['2.0.0-beta', '1.10.0', '1.9.0']);
+    expect(catalog.list().map((e) => e.id)).toEqual(['multi']);
+    expect(catalog.collisions()).toEqual([]);
+  });
+
+  test('pins a version with id@version', () => {
+    const root = addVersions(makeRoot({}), 'multi', {
+      '1.0.0': 'module.exports = function(inputs) { return { out: inputs.x }; };\n',
+      '2.0.0': 'module.exports = function(inputs) { return { out: inputs.x * 2 }; };\n',
+    });
+    const catalog = new ModelCatalog({ roots: [root] });
+
+    expect(catalog.load('multi').logicCode).toContain('inputs.x * 2');
+    expect(catalog.load('multi@1.0.0').logicCode).toBe('module.exports = function(inputs) { return { out: inputs.x }; };\n');
+    expect(() => catalog.resolve('multi@3.0.0')).toThrow('Model multi has no version 3.0.0 (installed: 2.0.0, 1.0.0)');
+  });
+
+  test('keeps lower-priority versions reachable by pinning', () => {
+    const high = makeRoot({ shared: { version: '2.0.0' } });
+    const low = makeRoot({ shared: { version: '1.0.0' } });
+    const catalog = new ModelCatalog({ roots: [high, low] });
+
+    expect(catalog.get('shared').version).toBe('2.0.0');
+    expect(catalog.get('shared@1.0.0').dir).toBe(path.join(low, 'shared'));
+  });
+
+  test('records version directories that do not match their manifest', () => {
+    const root = addVersions(makeRoot({}), 'multi', { '1.0.0': null });
+    fs.renameSync(path.join(root, 'multi', '1.0.0'), path.join(root, 'multi', '1.1.0'));
+    const catalog = new ModelCatalog({ roots: [root] });
+
+    expect(catalog.get('multi')).toBeNull();
+    expect(catalog.invalid()).toEqual([
+      expect.objectContaining({ error: 'version directory "1.1.0" does not match manifest version "1.0.0"' }),
+    ]);
+  });
+
+  test('resolveSnapshot loads the recorded version, preferring a matching logic hash', () => {
+    const high = addVersions(makeRoot({}), 'multi', { '1.0.0': null, '2.0.0': null });
+    const low = addVersions(makeRoot({}), 'multi', { '1.0.0': '// patched\n' + LOGIC });
+    const catalog = new ModelCatalog({ roots: [high, low] });
+    const patchedSha = hashFile(path.join(low, 'multi', '1.0.0', 'logic.js'));
+
+    expect(catalog.resolveSnapshot({ model_id: 'multi', model_version: null }).version).toBe('2.0.0');
+    expect(catalog.resolveSnapshot({ model_id: 'multi', model_version: '1.0.0' }).dir).toBe(
+      path.join(high, 'multi', '1.0.0')
+    );
+    expect(
+      catalog.resolveSnapshot({ model_id: 'multi', model_version: '1.0.0', logic_sha256: patchedSha }).dir
+    ).toBe(path.join(low, 'multi', '1.0.0'));
+    expect(() => catalog.resolveSnapshot({ model_id: 'multi', model_version: '0.9.0' })).toThrow(
+      /has no version 0.9.0/
+    );
+  });
+
+  test('refresh picks up packs added after the first query', () => {
+    const root = makeRoot({});
+    const catalog = new ModelCatalog({ roots: [root] });
+    expect(catalog.list()).toEqual([]);
+
+    const added = makeRoot({ late: {} });
+    fs.renameSync(path.join(added, 'late'), path.join(root, 'late'));
+    expect(catalog.get('late')).toBeNull();
+    expect(catalog.refresh().get('late')).not.toBeNull();
+  });
+
+  test('defaultRoots orders profile, user and bundled packs by priority', () => {
+    expect(
+      ModelCatalog.defaultRoots({ profilePacksDir: '/p', userPacksDir: '/u' })
+    ).toEqual([
+      { dir: '/p', source: 'profile' },
+      { dir: '/u', source: 'user' },
+      { dir: BUNDLED_MODELS_DIR, source: 'bundled' },
+    ]);
+    expect(ModelCatalog.defaultRoots().map((r) => r.source)).toEqual(['user', 'bundled']);
+  });
+
+  test('the bundled root contains the shipped packs', () => {
+    const catalog = new ModelCatalog({ roots: [BUNDLED_MODELS_DIR] });
+    expect(catalog.get('compound-interest-growth')).not.toBeNull();
+    expect(catalog.invalid()).toEqual([]);
+  });
+});
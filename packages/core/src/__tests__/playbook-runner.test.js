@@ -10,6 +10,7 @@ const {
   PlaybookExecutionError,
   evaluateSafeExpression,
 } = require('../playbook-runner');
+const { ModelCatalog } = require('../model-catalog');
 
 // ---------------------------------------------------------------------------
 // Helpers: build temporary file-system fixtures
@@ -235,6 +236,63 @@ describe('PlaybookRunner.run', () => {
     }
   });
 
+  test('runs model steps in worker threads when isolation is "worker"', () => {
+    const { modelsDir, playbooksDir, cleanup } = buildFixtures({
+      models: { 'double-it': DOUBLE_MODEL },
+      playbooks: {
+        'isolated-playbook': {
+          id: 'isolated-playbook',
+          version: '1.0.0',
+          intake_fields: [{ id: 'salary', type: 'number' }],
+          models: [{ model_id: 'double-it', input_map: { value: 'intake.salary' } }],
+        },
+      },
+    });
+
+    try {
+      const runner = new PlaybookRunner({ modelsDir, playbooksDir, isolation: 'worker' });
+      const report = runner.run('isolated-playbook', { salary: 21 });
+      expect(report.sections[0].error).toBeNull();
+      expect(report.sections[0].outputs.result).toBe(42);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('applies manifest defaults for optional inputs the input_map omits', () => {
+    const addWithDefault = {
+      manifest: {
+        ...ADD_MODEL.manifest,
+        inputs: [
+          { id: 'a', type: 'number' },
+          { id: 'b', type: 'number', required: false, default: 7 },
+        ],
+      },
+      logicSrc: ADD_MODEL.logicSrc,
+    };
+    const { modelsDir, playbooksDir, cleanup } = buildFixtures({
+      models: { 'add-two': addWithDefault },
+      playbooks: {
+        'defaults-playbook': {
+          id: 'defaults-playbook',
+          version: '1.0.0',
+          intake_fields: [{ id: 'salary', type: 'number' }],
+          models: [{ model_id: 'add-two', input_map: { a: 'intake.salary' } }],
+        },
+      },
+    });
+
+    try {
+      const runner = new PlaybookRunner({ modelsDir, playbooksDir });
+      const [section] = runner.run('defaults-playbook', { salary: 3 }).sections;
+      expect(section.error).toBeNull();
+      expect(section.outputs.sum).toBe(10);
+      expect(section.inputs).toEqual({ a: 3, b: 7 });
+    } finally {
+      cleanup();
+    }
+  });
+
   // -------------------------------------------------------------------------
   // Conditional skip
   // -------------------------------------------------------------------------
@@ -634,4 +692,39 @@ describe('PlaybookRunner.run', () => {
       cleanup();
     }
   });
+
+  // -------------------------------------------------------------------------
+  // Model resolution through a catalog
+  // -------------------------------------------------------------------------
+
+  test('resolves step models through a supplied catalog, honouring root priority', () => {
+    const playbooks = {
+      catalog: {
+        id: 'catalog-test',
+        version: '1.0.0',
+        intake_fields: [{ id: 'salary', type: 'number' }],
+        models: [{ run_id: 'step', model_id: 'double-it', input_map: { value: 'intake.salary' } }],
+      },
+    };
+    const base = buildFixtures({ models: { 'double-it': DOUBLE_MODEL }, playbooks });
+    const override = buildFixtures({
+      models: {
+        'double-it': {
+          manifest: { ...DOUBLE_MODEL.manifest, version: '2.0.0' },
+          logicSrc: 'module.exports = function(inputs) { return { result: inputs.value * 3 }; };',
+        },
+      },
+    });
+
+    try {
+      const catalog = new ModelCatalog({ roots: [override.modelsDir, base.modelsDir] });
+      const runner = new PlaybookRunner({ catalog, playbooksDir: base.playbooksDir });
+      const [section] = runner.run('catalog', { salary: 10 }).sections;
+      expect(section.error).toBeNull();
+      expect(section.outputs.result).toBe(30);
+    } finally {
+      base.cleanup();
+      override.cleanup();
+    }
+  });
 });
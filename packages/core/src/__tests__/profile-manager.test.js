@@ -65,6 +65,17 @@ describe('ProfileManager', () => {
     });
   });
 
+  // -------------------------------------------------------------------------
+  // getPacksDir
+  // -------------------------------------------------------------------------
+
+  describe('getPacksDir', () => {
+    it('returns the profile-scoped packs directory', () => {
+      const pm = new ProfileManager(tmpDir);
+      expect(pm.getPacksDir('default')).toBe(path.join(tmpDir, 'profiles', 'default', 'packs'));
+    });
+  });
+
   // -------------------------------------------------------------------------
   // listProfiles
   // -------------------------------------------------------------------------
@@ -131,6 +142,51 @@ describe('ProfileManager', () => {
       expect(() => pm.createProfile('')).toThrow(TypeError);
       expect(() => pm.createProfile('   ')).toThrow(TypeError);
     });
+
+    it('accepts and normalises locale and currency options', () => {
+      const pm = new ProfileManager(tmpDir);
+      const profile = pm.createProfile('UK', { locale: 'en-gb', currency: 'gbp' });
+      expect(profile.locale).toBe('en-GB');
+      expect(profile.currency).toBe('GBP');
+      expect(pm.createProfile('Plain')).toMatchObject({ locale: null, currency: null });
+    });
+
+    it('rejects an invalid locale or currency', () => {
+      const pm = new ProfileManager(tmpDir);
+      expect(() => pm.createProfile('Bad', { currency: 'pounds' })).toThrow(TypeError);
+      expect(pm.listProfiles()).toHaveLength(1);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // updateProfileSettings
+  // -------------------------------------------------------------------------
+
+  describe('updateProfileSettings', () => {
+    it('sets, keeps and clears formatting settings', () => {
+      const pm = new ProfileManager(tmpDir);
+      pm.updateProfileSettings('default', { locale: 'de-DE', currency: 'eur' });
+      expect(pm.getActiveProfile()).toMatchObject({ locale: 'de-DE', currency: 'EUR' });
+
+      pm.updateProfileSettings('default', { currency: null });
+      expect(pm.getActiveProfile()).toMatchObject({ locale: 'de-DE', currency: null });
+    });
+
+    it('reads profiles written without settings as null', () => {
+      const pm = new ProfileManager(tmpDir);
+      const file = path.join(tmpDir, 'profiles.json');
+      const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+      delete store.profiles[0].locale;
+      delete store.profiles[0].currency;
+      fs.writeFileSync(file, JSON.stringify(store));
+      expect(pm.getActiveProfile()).toMatchObject({ locale: null, currency: null });
+    });
+
+    it('throws for unknown profiles and invalid settings', () => {
+      const pm = new ProfileManager(tmpDir);
+      expect(() => pm.updateProfileSettings('ghost', { locale: 'en-GB' })).toThrow(/does not exist/);
+      expect(() => pm.updateProfileSettings('default', { locale: '!!' })).toThrow(TypeError);
+    });
   });
 
   // -------------------------------------------------------------------------
@@ -0,0 +1,181 @@
+'use strict';
+
+const { renderReport, REPORT_FORMATS } = require('../report');
+
+const manifest = {
+  id: 'savings-plan',
+  name: 'Savings Plan',
+  version: '1.2.0',
+  inputs: [
+    { id: 'principal', label: 'Starting Balance', type: 'number', unit: 'currency' },
+    { id: 'rate', label: 'Annual Rate', type: 'number', unit: 'percent' },
+    { id: 'years', label: 'Years', type: 'number', unit: 'years' },
+  ],
+  outputs: [
+    { id: 'finalBalance', label: 'Final Balance', format: 'currency' },
+    { id: 'note', label: 'Note' },
+    {
+      id: 'yearByYear',
+      label: 'Year by Year',
+      type: 'array',
+      columns: [
+        { id: 'year', label: 'Year', format: 'integer' },
+        { id: 'balance', label: 'Balance', format: 'currency' },
+      ],
+    },
+    { id: 'explain', label: 'Explanation', type: 'object' },
+  ],
+};
+
+const report = {
+  manifest,
+  inputs: { principal: 1000, rate: 5, years: 2 },
+  outputs: {
+    finalBalance: 1102.5,
+    note: 'Growth | compounding',
+    yearByYear: [
+      { year: 1, balance: 1050 },
+      { year: 2, balance: 1102.5 },
+    ],
+    explain: {
+      summary: 'Balance grows 5% a year',
+      steps: [{ label: 'Year 1', value: 1050 }],
+    },
+  },
+  run: { snapshotId: 7, asOf: '2024-01-01T00:00:00.000Z', seed: 42 },
+};
+
+describe('renderReport', () => {
+  test('lists the supported formats', () => {
+    expect(REPORT_FORMATS).toEqual(['csv', 'json', 'markdown', 'html']);
+  });
+
+  test('throws on an unknown format', () => {
+    expect(() => renderReport(report, 'pdf')).toThrow(TypeError);
+    expect(() => renderReport(report, 'pdf')).toThrow('Unknown report format "pdf"');
+  });
+
+  test('throws when the manifest has no outputs array', () => {
+    expect(() => renderReport({ manifest: {}, outputs: {} }, 'csv')).toThrow('"outputs" array');
+  });
+
+  test('throws on an invalid locale', () => {
+    expect(() => renderReport(report, 'csv', { locale: 'not a locale!' })).toThrow(TypeError);
+  });
+});
+
+describe('renderReport — csv', () => {
+  const lines = renderReport(report, 'csv').trim().split('\r\n');
+
+  test('starts with a header row', () => {
+    expect(lines[0]).toBe('section,path,label,value,formatted');
+  });
+
+  test('includes run metadata and formatted inputs', () => {
+    expect(lines).toContain('run,snapshot,Snapshot,7,7');
+    expect(lines).toContain('input,principal,Starting Balance,1000,"$1,000.00"');
+    expect(lines).toContain('input,rate,Annual Rate,5,5%');
+    expect(lines).toContain('input,years,Years,2,2 years');
+  });
+
+  test('expands table outputs to one row per cell', () => {
+    expect(lines).toContain('output,yearByYear[0].year,Year by Year / Year,1,1');
+    expect(lines).toContain('output,yearByYear[1].balance,Year by Year / Balance,1102.5,"$1,102.50"');
+  });
+
+  test('reports the explain block in its own section', () => {
+    expect(lines).toContain('explain,summary,summary,Balance grows 5% a year,Balance grows 5% a year');
+    expect(lines).toContain('explain,steps[0].value,steps[0].value,1050,1050');
+    expect(lines.some((line) => line.startsWith('output,explain'))).toBe(false);
+  });
+
+  test('quotes cells with commas and quotes', () => {
+    const csv = renderReport({ ...report, outputs: { ...report.outputs, note: 'a, "b"' } }, 'csv');
+    expect(csv).toContain('output,note,Note,"a, ""b""","a, ""b"""');
+  });
+
+  test('neutralises text a spreadsheet would run as a formula', () => {
+    const csv = renderReport({ ...report, outputs: { ...report.outputs, note: '=HYPERLINK("x")' } }, 'csv');
+    expect(csv).toContain(`'=HYPERLINK(""x"")`);
+  });
+
+  test('follows the locale and currency options', () => {
+    const csv = renderReport(report, 'csv', { locale: 'de-DE', currency: 'EUR' });
+    expect(csv).toContain('output,finalBalance,Final Balance,1102.5,"1.102,50 €"');
+  });
+});
+
+describe('renderReport — json', () => {
+  const parsed = JSON.parse(renderReport(report, 'json'));
+
+  test('describes the model and run', () => {
+    expect(parsed.model).toEqual({ id: 'savings-plan', name: 'Savings Plan', version: '1.2.0' });
+    expect(parsed.run).toMatchObject({ snapshot_id: 7, seed: 42, as_of: '2024-01-01T00:00:00.000Z' });
+  });
+
+  test('keeps raw and formatted values side by side', () => {
+    const final = parsed.outputs.find((o) => o.id === 'finalBalance');
+    expect(final).toEqual({ id: 'finalBalance', label: 'Final Balance', value: 1102.5, formatted: '$1,102.50' });
+    expect(parsed.inputs[0]).toMatchObject({ id: 'principal', value: 1000, formatted: '$1,000.00' });
+  });
+
+  test('includes formatted table rows and the explain block', () => {
+    const table = parsed.outputs.find((o) => o.id === 'yearByYear').table;
+    expect(table.rows).toEqual([['1', '$1,050.00'], ['2', '$1,102.50']]);
+    expect(parsed.explain).toEqual(report.outputs.explain);
+    expect(parsed.outputs.some((o) => o.id === 'explain')).toBe(false);
+  });
+});
+
+describe('renderReport — markdown', () => {
+  const md = renderReport(report, 'md');
+
+  test('has a title and sections', () => {
+    expect(md.startsWith('# Savings Plan\n')).toBe(true);
+    expect(md).toContain('## Inputs');
+    expect(md).toContain('## Results');
+    expect(md).toContain('## Explanation');
+  });
+
+  test('renders scalar results and tables as Markdown tables', () => {
+    expect(md).toContain('| Final Balance | $1,102.50 |');
+    expect(md).toContain('### Year by Year');
+    expect(md).toContain('| Year | Balance |');
+    expect(md).toContain('| 2 | $1,102.50 |');
+  });
+
+  test('escapes pipes in cell text', () => {
+    expect(md).toContain('| Note | Growth \\| compounding |');
+  });
+
+  test('lists explain leaves', () => {
+    expect(md).toContain('- **steps[0].label**: Year 1');
+  });
+});
+
+describe('renderReport — html', () => {
+  const html = renderReport(report, 'html', { locale: 'en-GB' });
+
+  test('is a complete page without external resources', () => {
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<html lang="en-GB">');
+    expect(html).toContain('<style>');
+    expect(html).not.toMatch(/<(link|script)\b/);
+    expect(html).not.toMatch(/src=|href=/);
+  });
+
+  test('renders results and table outputs', () => {
+    expect(html).toContain('<h1>Savings Plan</h1>');
+    expect(html).toContain('<th scope="col">Balance</th>');
+    expect(html).toContain('<td class="num">US$1,102.50</td>');
+  });
+
+  test('escapes text content', () => {
+    const page = renderReport(
+      { ...report, outputs: { ...report.outputs, note: '<script>alert(1)</script>' } },
+      'html'
+    );
+    expect(page).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(page).not.toContain('<script>');
+  });
+});
@@ -1,6 +1,20 @@
 'use strict';
 
-const { createSandbox } = require('../sandbox');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSandbox, SandboxError } = require('../sandbox');
+
+// Helper: write a pack directory containing the given files.
+function makeTempPack(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-sandbox-'));
+  for (const [relPath, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+  }
+  return dir;
+}
 
 describe('createSandbox', () => {
   let sandbox;
@@ -144,6 +158,22 @@ describe('createSandbox', () => {
     expect(() => fastSandbox.execute(code, {})).toThrow(/timed out/i);
   });
 
+  test('errors are SandboxErrors carrying a failure code', () => {
+    const code = `module.exports = function() { throw new Error('boom'); };`;
+    try {
+      sandbox.execute(code, {});
+      throw new Error('expected execute to throw');
+    } catch (err) {
+      expect(err).toBeInstanceOf(SandboxError);
+      expect(err.code).toBe('ERR_SANDBOX_EXECUTION');
+      expect(err.message).toMatch(/boom/);
+    }
+  });
+
+  test('throws on an unknown isolation mode', () => {
+    expect(() => createSandbox({ isolation: 'container' })).toThrow(/Unknown sandbox isolation/);
+  });
+
   // --- Error cases ---
 
   test('throws when logicCode is not a string', () => {
@@ -176,3 +206,471 @@ describe('createSandbox', () => {
     expect(second.leaked).toBe(false);
   });
 });
+
+describe('createSandbox — module resolver', () => {
+  test('resolves decimal.js by default when no dependencies are declared', () => {
+    const code = `
+      const D = require('decimal.js');
+      module.exports = function(inputs) {
+        return { result: new D(inputs.x).plus(inputs.y).toNumber() };
+      };
+    `;
+    const { result } = createSandbox().execute(code, { x: '0.1', y: '0.2' });
+    expect(result).toBe(0.3);
+  });
+
+  test('runs a shipped model pack that requires decimal.js at the top', () => {
+    const packDir = path.resolve(__dirname, '../../../models/compound-interest-growth');
+    const code = fs.readFileSync(path.join(packDir, 'logic.js'), 'utf8');
+    const sandbox = createSandbox({ packDir, dependencies: ['decimal.js'] });
+    const outputs = sandbox.execute(code, {
+      principal: 1000,
+      annualRate: 0,
+      years: 1,
+      monthlyContribution: 0,
+      compoundingFrequency: 'annually',
+    });
+    expect(outputs.finalBalance).toBe(1000);
+  });
+
+  test('rejects host modules that are not in the sandbox module map', () => {
+    expect(() => createSandbox({ dependencies: ['fs'] })).toThrow(/not available in the sandbox/);
+  });
+
+  test('rejects decimal.js when the manifest declares dependencies without it', () => {
+    const dir = makeTempPack({ 'helper.js': 'module.exports = 1;' });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['./helper.js'] });
+    const code = `
+      const D = require('decimal.js');
+      module.exports = function() { return { ok: true }; };
+    `;
+    expect(() => sandbox.execute(code, {})).toThrow(/not declared in manifest dependencies/);
+  });
+
+  test('loads a declared pack-local helper file', () => {
+    const dir = makeTempPack({
+      'lib/rates.js': `
+        const Decimal = require('decimal.js');
+        module.exports = { monthly: (annual) => new Decimal(annual).dividedBy(12).toNumber() };
+      `,
+    });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['decimal.js', './lib/rates.js'] });
+    const code = `
+      const { monthly } = require('./lib/rates');
+      module.exports = function(inputs) { return { result: monthly(inputs.rate) }; };
+    `;
+    expect(sandbox.execute(code, { rate: 12 }).result).toBe(1);
+  });
+
+  test('loads a declared pack-local JSON data file', () => {
+    const dir = makeTempPack({ 'data/brackets.json': '{"top": 37}' });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['./data/brackets.json'] });
+    const code = `
+      const brackets = require('./data/brackets.json');
+      module.exports = function() { return { top: brackets.top }; };
+    `;
+    expect(sandbox.execute(code, {}).top).toBe(37);
+  });
+
+  test('helpers resolve their own relative requires against their directory', () => {
+    const dir = makeTempPack({
+      'lib/a.js': "module.exports = require('./b') + 1;",
+      'lib/b.js': 'module.exports = 41;',
+    });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['./lib/a.js', './lib/b.js'] });
+    const code = `
+      const a = require('./lib/a');
+      module.exports = function() { return { answer: a }; };
+    `;
+    expect(sandbox.execute(code, {}).answer).toBe(42);
+  });
+
+  test('helpers share the restricted globals of the model context', () => {
+    const dir = makeTempPack({ 'leak.js': 'module.exports = typeof process;' });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['./leak.js'] });
+    const code = `
+      const t = require('./leak');
+      module.exports = function() { return { type: t }; };
+    `;
+    expect(sandbox.execute(code, {}).type).toBe('undefined');
+  });
+
+  test('rejects pack-local files that are not declared', () => {
+    const dir = makeTempPack({ 'declared.js': 'module.exports = 1;', 'secret.js': 'module.exports = 2;' });
+    const sandbox = createSandbox({ packDir: dir, dependencies: ['./declared.js'] });
+    const code = `
+      const s = require('./secret');
+      module.exports = function() { return { s }; };
+    `;
+    expect(() => sandbox.execute(code, {})).toThrow(/not declared in manifest dependencies/);
+  });
+
+  test('rejects dependencies that escape the pack directory', () => {
+    const dir = makeTempPack({ 'logic.js': '' });
+    expect(() =>
+      createSandbox({ packDir: dir, dependencies: ['../outside.js'] })
+    ).toThrow(/outside the pack directory/);
+  });
+
+  test('rejects declared dependencies that do not exist', () => {
+    const dir = makeTempPack({});
+    expect(() =>
+      createSandbox({ packDir: dir, dependencies: ['./missing.js'] })
+    ).toThrow(/Declared dependency not found/);
+  });
+
+  test('rejects pack-local dependencies when no packDir is given', () => {
+    expect(() => createSandbox({ dependencies: ['./helper.js'] })).toThrow(/packDir/);
+  });
+});
+
+describe('createSandbox — worker isolation', () => {
+  // Worker start-up is slow on constrained CI machines.
+  jest.setTimeout(20000);
+
+  function expectSandboxError(fn, code, pattern) {
+    let caught;
+    try {
+      fn();
+    } catch (err) {
+      caught = err;
+    }
+    expect(caught).toBeInstanceOf(SandboxError);
+    expect(caught.code).toBe(code);
+    if (pattern) expect(caught.message).toMatch(pattern);
+  }
+
+  test('executes a model and returns its outputs', () => {
+    const code = `
+      const D = require('decimal.js');
+      module.exports = function(inputs) {
+        return { result: new D(inputs.a).plus(inputs.b).toNumber() };
+      };
+    `;
+    const sandbox = createSandbox({ isolation: 'worker' });
+    expect(sandbox.execute(code, { a: '0.1', b: '0.2' })).toEqual({ result: 0.3 });
+  });
+
+  test('keeps host globals blocked inside the worker', () => {
+    const code = `module.exports = function() { return { env: process.env }; };`;
+    const sandbox = createSandbox({ isolation: 'worker' });
+    expectSandboxError(() => sandbox.execute(code, {}), 'ERR_SANDBOX_EXECUTION');
+  });
+
+  test('resolves declared pack-local dependencies', () => {
+    const dir = makeTempPack({ 'lib/half.js': 'module.exports = (n) => n / 2;' });
+    const sandbox = createSandbox({
+      isolation: 'worker',
+      packDir: dir,
+      dependencies: ['./lib/half.js'],
+    });
+    const code = `
+      const half = require('./lib/half');
+      module.exports = function(inputs) { return { result: half(inputs.n) }; };
+    `;
+    expect(sandbox.execute(code, { n: 10 }).result).toBe(5);
+  });
+
+  test('kills an infinite loop at the time limit', () => {
+    const code = `module.exports = function() { while (true) {} };`;
+    const sandbox = createSandbox({ isolation: 'worker', timeoutMs: 500 });
+    expectSandboxError(() => sandbox.execute(code, {}), 'ERR_SANDBOX_TIMEOUT', /timed out/);
+  });
+
+  test('reports heap exhaustion as a memory-limit error', () => {
+    const code = `
+      module.exports = function() {
+        const hoard = [];
+        while (true) { hoard.push(new Array(100000).fill(1)); }
+      };
+    `;
+    const sandbox = createSandbox({
+      isolation: 'worker',
+      timeoutMs: 10000,
+      resourceLimits: { maxOldGenerationSizeMb: 16, maxYoungGenerationSizeMb: 4 },
+    });
+    expectSandboxError(() => sandbox.execute(code, {}), 'ERR_SANDBOX_MEMORY_LIMIT', /memory limit/);
+  });
+
+  test('reports unbounded recursion as an execution error', () => {
+    const code = `
+      function dive(n) { return dive(n + 1) + 1; }
+      module.exports = function() { return { depth: dive(0) }; };
+    `;
+    const sandbox = createSandbox({ isolation: 'worker' });
+    expectSandboxError(() => sandbox.execute(code, {}), 'ERR_SANDBOX_EXECUTION', /call stack/);
+  });
+
+  test('reports outputs that cannot leave the worker', () => {
+    const code = `module.exports = function() { return { fn: function() {} }; };`;
+    const sandbox = createSandbox({ isolation: 'worker' });
+    expectSandboxError(() => sandbox.execute(code, {}), 'ERR_SANDBOX_OUTPUT');
+  });
+
+  test('validates dependencies on the host before spawning a worker', () => {
+    expect(() => createSandbox({ isolation: 'worker', dependencies: ['fs'] })).toThrow(
+      /not available in the sandbox/
+    );
+  });
+});
+
+describe('createSandbox — deterministic mode', () => {
+  const clockCode = `
+    module.exports = function() {
+      return { now: Date.now(), iso: new Date().toISOString(), str: Date(), fixed: new Date(2020, 0, 1).getFullYear() };
+    };
+  `;
+  const randomCode = `
+    module.exports = function() {
+      return { draws: [Math.random(), Math.random(), Math.random()], floor: Math.floor(2.7) };
+    };
+  `;
+
+  test('pins new Date() and Date.now() to asOf', () => {
+    const sandbox = createSandbox({ asOf: '2024-03-15T12:00:00.000Z' });
+    const out = sandbox.execute(clockCode, {});
+    expect(out.now).toBe(Date.parse('2024-03-15T12:00:00.000Z'));
+    expect(out.iso).toBe('2024-03-15T12:00:00.000Z');
+    expect(out.str).toBe(new Date('2024-03-15T12:00:00.000Z').toString());
+  });
+
+  test('leaves explicit Date construction untouched', () => {
+    const sandbox = createSandbox({ asOf: '2024-03-15T12:00:00.000Z' });
+    expect(sandbox.execute(clockCode, {}).fixed).toBe(2020);
+  });
+
+  test('accepts Date instances and epoch milliseconds for asOf', () => {
+    const ms = Date.parse('2023-01-01T00:00:00.000Z');
+    expect(createSandbox({ asOf: new Date(ms) }).execute(clockCode, {}).now).toBe(ms);
+    expect(createSandbox({ asOf: ms }).execute(clockCode, {}).now).toBe(ms);
+  });
+
+  test('the same seed yields the same Math.random sequence on every execution', () => {
+    const sandbox = createSandbox({ seed: 42 });
+    const first = sandbox.execute(randomCode, {});
+    const second = createSandbox({ seed: 42 }).execute(randomCode, {});
+    expect(sandbox.execute(randomCode, {})).toEqual(first);
+    expect(second).toEqual(first);
+    expect(first.draws.every((n) => n >= 0 && n < 1)).toBe(true);
+    expect(first.floor).toBe(2);
+  });
+
+  test('different seeds yield different sequences', () => {
+    const a = createSandbox({ seed: 1 }).execute(randomCode, {});
+    const b = createSandbox({ seed: 2 }).execute(randomCode, {});
+    expect(a.draws).not.toEqual(b.draws);
+  });
+
+  test('model code cannot replace the seeded Math.random', () => {
+    const code = `
+      module.exports = function() {
+        try { Math.random = () => 0.5; } catch (e) {}
+        return { r: Math.random() };
+      };
+    `;
+    const out = createSandbox({ seed: 7 }).execute(code, {});
+    expect(out.r).not.toBe(0.5);
+  });
+
+  test('rejects invalid asOf and seed values', () => {
+    expect(() => createSandbox({ asOf: 'not a date' })).toThrow(TypeError);
+    expect(() => createSandbox({ seed: -1 })).toThrow(TypeError);
+    expect(() => createSandbox({ seed: 1.5 })).toThrow(TypeError);
+  });
+
+  test('applies asOf and seed inside the worker backend', () => {
+    const code = `module.exports = function() { return { now: Date.now(), r: Math.random() }; };`;
+    const expected = createSandbox({ asOf: '2024-01-01T00:00:00Z', seed: 9 }).execute(code, {});
+    const out = createSandbox({ isolation: 'worker', asOf: '2024-01-01T00:00:00Z', seed: 9 }).execute(code, {});
+    expect(out).toEqual(expected);
+  }, 20000);
+});
+
+describe('runModel — deterministic runs', () => {
+  const { runModel } = require('../index');
+  const manifest = {
+    id: 'clock-model',
+    inputs: [],
+    outputs: [{ id: 'month', label: 'Month', type: 'string' }, { id: 'r', label: 'R', type: 'number' }],
+  };
+  const code = `
+    module.exports = function() {
+      return { month: new Date().toISOString().slice(0, 7), r: Math.random() };
+    };
+  `;
+
+  test('returns the as-of date and seed it ran with', () => {
+    const result = runModel(manifest, code, {}, { asOf: '2025-06-30T00:00:00Z', seed: 123 });
+    expect(result.asOf).toBe('2025-06-30T00:00:00.000Z');
+    expect(result.seed).toBe(123);
+    expect(result.outputs.month).toBe('2025-06');
+  });
+
+  test('a recorded as-of date and seed reproduce the run exactly', () => {
+    const first = runModel(manifest, code, {});
+    expect(typeof first.asOf).toBe('string');
+    expect(Number.isInteger(first.seed)).toBe(true);
+
+    const replay = runModel(manifest, code, {}, { asOf: first.asOf, seed: first.seed });
+    expect(replay.outputs).toEqual(first.outputs);
+  });
+
+  test('reports null metadata when the caller supplies the sandbox', () => {
+    const result = runModel(manifest, code, {}, { sandbox: createSandbox() });
+    expect(result.asOf).toBeNull();
+    expect(result.seed).toBeNull();
+  });
+});
+
+describe('createSandbox — async execution', () => {
+  const asyncCode = `
+    module.exports = async function(inputs) {
+      const half = await Promise.resolve(inputs.x / 2);
+      return { half };
+    };
+  `;
+
+  test('executeAsync awaits a Promise-returning model', async () => {
+    await expect(createSandbox().executeAsync(asyncCode, { x: 10 })).resolves.toEqual({ half: 5 });
+  });
+
+  test('executeAsync also runs synchronous models', async () => {
+    const code = `module.exports = function(inputs) { return { y: inputs.x + 1 }; };`;
+    await expect(createSandbox().executeAsync(code, { x: 1 })).resolves.toEqual({ y: 2 });
+  });
+
+  test('execute rejects a Promise-returning model with a pointer to executeAsync', () => {
+    expect(() => createSandbox().execute(asyncCode, { x: 1 })).toThrow(/executeAsync/);
+  });
+
+  test('still enforces the plain-object output contract after awaiting', async () => {
+    const code = `module.exports = async function() { return 42; };`;
+    await expect(createSandbox().executeAsync(code, {})).rejects.toMatchObject({
+      code: 'ERR_SANDBOX_OUTPUT',
+    });
+  });
+
+  test('reports rejections as execution errors', async () => {
+    const code = `module.exports = async function() { throw new Error('boom'); };`;
+    await expect(createSandbox().executeAsync(code, {})).rejects.toMatchObject({
+      code: 'ERR_SANDBOX_EXECUTION',
+      message: expect.stringMatching(/boom/),
+    });
+  });
+
+  test('applies the timeout to the whole promise chain', async () => {
+    const code = `module.exports = function() { return new Promise(function() {}); };`;
+    await expect(createSandbox({ timeoutMs: 100 }).executeAsync(code, {})).rejects.toMatchObject({
+      code: 'ERR_SANDBOX_TIMEOUT',
+    });
+  });
+
+  test('awaits the model inside the worker backend', async () => {
+    const sandbox = createSandbox({ isolation: 'worker' });
+    await expect(sandbox.executeAsync(asyncCode, { x: 8 })).resolves.toEqual({ half: 4 });
+  }, 20000);
+
+  test('the worker backend kills a promise chain that never yields', async () => {
+    const code = `
+      module.exports = async function() {
+        for (;;) { await null; }
+      };
+    `;
+    const sandbox = createSandbox({ isolation: 'worker', timeoutMs: 300 });
+    await expect(sandbox.executeAsync(code, {})).rejects.toMatchObject({
+      code: 'ERR_SANDBOX_TIMEOUT',
+    });
+  }, 20000);
+});
+
+describe('runModelAsync', () => {
+  const { runModelAsync } = require('../index');
+  const manifest = {
+    id: 'async-model',
+    inputs: [{ id: 'x', label: 'X', type: 'number' }],
+    outputs: [{ id: 'double', label: 'Double', type: 'number' }],
+  };
+  const code = `module.exports = async function(inputs) { return { double: inputs.x * 2 }; };`;
+
+  test('resolves to outputs, formatted values, and run metadata', async () => {
+    const result = await runModelAsync(manifest, code, { x: 4 }, { seed: 3 });
+    expect(result.outputs).toEqual({ double: 8 });
+    expect(result.formatted.double.value).toBe(8);
+    expect(result.seed).toBe(3);
+  });
+
+  test('reports how long the run took and the runtime version', async () => {
+    const result = await runModelAsync(manifest, code, { x: 4 });
+    expect(Number.isInteger(result.durationMs)).toBe(true);
+    expect(result.durationMs).toBeGreaterThanOrEqual(0);
+    expect(result.runtimeVersion).toBe(require('../../package.json').version);
+  });
+
+  test('rejects with validation errors before running the model', async () => {
+    await expect(runModelAsync(manifest, code, {})).rejects.toMatchObject({
+      message: 'Input validation failed',
+    });
+  });
+});
+
+describe('runModel — output validation', () => {
+  const { runModel } = require('../index');
+  const manifest = {
+    id: 'pct-model',
+    inputs: [{ id: 'pct', label: 'Pct', type: 'number' }],
+    outputs: [{ id: 'pct', label: 'Pct', type: 'number', range: [0, 100] }],
+  };
+  const code = `module.exports = function(inputs) { return { pct: inputs.pct }; };`;
+
+  test('lists output problems in warnings by default', () => {
+    const result = runModel(manifest, code, { pct: 150 });
+    expect(result.outputs.pct).toBe(150);
+    expect(result.warnings).toHaveLength(1);
+    expect(result.warnings[0]).toMatch(/outside the declared range/);
+  });
+
+  test('returns no warnings for conforming outputs', () => {
+    expect(runModel(manifest, code, { pct: 50 }).warnings).toEqual([]);
+  });
+
+  test('throws in strict mode', () => {
+    let caught;
+    try {
+      runModel(manifest, code, { pct: 150 }, { outputValidation: 'strict' });
+    } catch (err) {
+      caught = err;
+    }
+    expect(caught.message).toBe('Output validation failed');
+    expect(caught.errors[0]).toMatch(/outside the declared range/);
+  });
+
+  test('rejects an unknown mode', () => {
+    expect(() => runModel(manifest, code, { pct: 1 }, { outputValidation: 'loud' })).toThrow(TypeError);
+  });
+});
+
+describe('runModel — input defaults', () => {
+  const { runModel } = require('../index');
+  const manifest = {
+    id: 'defaults-model',
+    inputs: [
+      { id: 'base', label: 'Base', type: 'number' },
+      { id: 'bonus', label: 'Bonus', type: 'number', required: false, default: 10 },
+    ],
+    outputs: [{ id: 'total', label: 'Total', type: 'number' }],
+  };
+  const code = `module.exports = function(inputs) { return { total: inputs.base + inputs.bonus }; };`;
+
+  test('runs the model with defaults for omitted optional inputs', () => {
+    expect(runModel(manifest, code, { base: 5 }).outputs.total).toBe(15);
+  });
+
+  test('returns the resolved input set the model saw', () => {
+    expect(runModel(manifest, code, { base: 5 }).inputs).toEqual({ base: 5, bonus: 10 });
+    expect(runModel(manifest, code, { base: 5, bonus: 1 }).inputs).toEqual({ base: 5, bonus: 1 });
+  });
+
+  test('still rejects omitted required inputs', () => {
+    expect(() => runModel(manifest, code, { bonus: 1 })).toThrow('Input validation failed');
+  });
+});
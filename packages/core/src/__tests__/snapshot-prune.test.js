@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore } = require('../snapshot');
+const { JournalStore } = require('../journal');
+const { saveAt } = require('./helpers/snapshots');
+
+describe('SnapshotStore deletion and retention', () => {
+  let store;
+  let journal;
+
+  beforeEach(() => {
+    store = new SnapshotStore(':memory:');
+    journal = new JournalStore(store._db);
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  describe('delete()', () => {
+    test('deletes a baseline snapshot', () => {
+      const id = store.save('model-a', {}, {});
+      expect(store.delete(id)).toBe(true);
+      expect(store.getById(id)).toBeNull();
+    });
+
+    test('returns false when the snapshot does not exist', () => {
+      expect(store.delete(42)).toBe(false);
+    });
+
+    test('keeps journal entries and nulls their snapshot link', () => {
+      const id = store.save('model-a', {}, {});
+      const entryId = journal.save({ title: 'Paid off card', category: 'debt', snapshot_id: id });
+
+      store.delete(id);
+      const entry = journal.getById(entryId);
+      expect(entry).not.toBeNull();
+      expect(entry.snapshot_id).toBeNull();
+    });
+
+    test('leaves scenarios of a deleted baseline as standalone rows', () => {
+      const parent = store.save('model-a', {}, {});
+      const child = store.saveScenario(parent, 'raise', 'model-a', {}, {});
+
+      store.delete(parent);
+      expect(store.getById(child)).toMatchObject({ parent_snapshot_id: null, is_scenario: true });
+    });
+
+    test('throws when the id is not an integer', () => {
+      expect(() => store.delete('1')).toThrow(TypeError);
+    });
+  });
+
+  test('deleteScenario() also nulls journal links', () => {
+    const parent = store.save('model-a', {}, {});
+    const child = store.saveScenario(parent, 'raise', 'model-a', {}, {});
+    const entryId = journal.save({ title: 'Took the raise', category: 'income', snapshot_id: child });
+
+    store.deleteScenario(child);
+    expect(journal.getById(entryId).snapshot_id).toBeNull();
+  });
+
+  describe('prune()', () => {
+    test('deletes snapshots saved before olderThan', () => {
+      const old = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      const recent = saveAt(store, 'model-a', '2025-01-01T00:00:00.000Z');
+
+      const pruned = store.prune({ olderThan: '2024-01-01T00:00:00.000Z' });
+      expect(pruned).toEqual([{ id: old, model_id: 'model-a', created_at: '2023-01-01T00:00:00.000Z' }]);
+      expect(store.getById(old)).toBeNull();
+      expect(store.getById(recent)).not.toBeNull();
+    });
+
+    test('keeps the newest snapshots of each model', () => {
+      const a1 = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      const a2 = saveAt(store, 'model-a', '2023-02-01T00:00:00.000Z');
+      const a3 = saveAt(store, 'model-a', '2023-03-01T00:00:00.000Z');
+      const b1 = saveAt(store, 'model-b', '2023-01-01T00:00:00.000Z');
+
+      const pruned = store.prune({ keepLatestPerModel: 2 });
+      expect(pruned.map((s) => s.id)).toEqual([a1]);
+      expect(store.list().map((s) => s.id).sort()).toEqual([a2, a3, b1].sort());
+    });
+
+    test('applies both rules together', () => {
+      const a1 = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      saveAt(store, 'model-a', '2023-02-01T00:00:00.000Z');
+      saveAt(store, 'model-a', '2025-01-01T00:00:00.000Z');
+
+      const pruned = store.prune({ olderThan: new Date('2024-01-01T00:00:00.000Z'), keepLatestPerModel: 2 });
+      expect(pruned.map((s) => s.id)).toEqual([a1]);
+    });
+
+    test('keeps snapshots linked from the journal or a scenario by default', () => {
+      const cited = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      const parent = saveAt(store, 'model-a', '2023-01-02T00:00:00.000Z');
+      const plain = saveAt(store, 'model-a', '2023-01-03T00:00:00.000Z');
+      journal.save({ title: 'Refinanced', category: 'housing', snapshot_id: cited });
+      store.saveScenario(parent, 'raise', 'model-b', {}, {});
+
+      const policy = { olderThan: '2024-01-01T00:00:00.000Z' };
+      expect(store.prune({ ...policy, dryRun: true }).map((s) => s.id)).toEqual([plain]);
+      expect(store.prune({ ...policy, keepLinked: false }).map((s) => s.id).sort()).toEqual([cited, parent, plain].sort());
+    });
+
+    test('does not delete anything on a dry run', () => {
+      const id = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      expect(store.prune({ olderThan: '2024-01-01T00:00:00.000Z', dryRun: true })).toHaveLength(1);
+      expect(store.getById(id)).not.toBeNull();
+    });
+
+    test('unlinks journal entries of pruned snapshots', () => {
+      const id = saveAt(store, 'model-a', '2023-01-01T00:00:00.000Z');
+      const entryId = journal.save({ title: 'Sold shares', category: 'investment', snapshot_id: id });
+
+      store.prune({ olderThan: '2024-01-01T00:00:00.000Z', keepLinked: false });
+      expect(journal.getById(entryId).snapshot_id).toBeNull();
+    });
+
+    test('requires olderThan or keepLatestPerModel', () => {
+      store.save('model-a', {}, {});
+      expect(() => store.prune({})).toThrow('prune policy needs olderThan, keepLatestPerModel or both');
+      expect(store.list()).toHaveLength(1);
+    });
+
+    test('throws on a malformed policy', () => {
+      expect(() => store.prune()).toThrow(TypeError);
+      expect(() => store.prune({ olderThan: 'last spring' })).toThrow(TypeError);
+      expect(() => store.prune({ keepLatestPerModel: -1 })).toThrow(TypeError);
+      expect(() => store.prune({ keepLatestPerModel: 1.5 })).toThrow(TypeError);
+    });
+  });
+
+  test('vacuum() shrinks the database file after a prune', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-vacuum-'));
+    const dbPath = path.join(dir, 'snapshots.db');
+    const fileStore = new SnapshotStore(dbPath);
+    try {
+      const big = { blob: 'x'.repeat(10000) };
+      for (let i = 0; i < 50; i++) fileStore.save('model-a', big, big);
+      fileStore._db.pragma('wal_checkpoint(TRUNCATE)');
+      const before = fs.statSync(dbPath).size;
+
+      fileStore.prune({ keepLatestPerModel: 0 });
+      fileStore.vacuum();
+      fileStore._db.pragma('wal_checkpoint(TRUNCATE)');
+      expect(fs.statSync(dbPath).size).toBeLessThan(before);
+    } finally {
+      fileStore.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
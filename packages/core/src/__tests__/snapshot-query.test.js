@@ -0,0 +1,108 @@
+'use strict';
+
+const { SnapshotStore } = require('../snapshot');
+const { saveAt } = require('./helpers/snapshots');
+
+describe('SnapshotStore.query', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SnapshotStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  function day(n) {
+    return `2024-01-${String(n).padStart(2, '0')}T00:00:00.000Z`;
+  }
+
+  test('returns full snapshots newest first', () => {
+    const a = saveAt(store, 'model-a', day(1), { total: 1 });
+    const b = saveAt(store, 'model-a', day(2), { total: 2 }, { x: 1 });
+
+    const { snapshots, nextCursor } = store.query();
+    expect(snapshots.map((s) => s.id)).toEqual([b, a]);
+    expect(snapshots[0]).toMatchObject({ model_id: 'model-a', inputs: { x: 1 }, outputs: { total: 2 }, source: null });
+    expect(nextCursor).toBeNull();
+  });
+
+  test('pages through every row with the cursor', () => {
+    const ids = [];
+    for (let n = 1; n <= 7; n++) ids.push(saveAt(store, 'model-a', day(n)));
+    // Two rows with the same timestamp must not be skipped or repeated.
+    ids.push(saveAt(store, 'model-a', day(7)));
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = store.query({ limit: 3, cursor });
+      expect(page.snapshots.length).toBeLessThanOrEqual(3);
+      seen.push(...page.snapshots.map((s) => s.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([...ids].sort((x, y) => y - x));
+  });
+
+  test('returns no cursor when the last page is exactly full', () => {
+    saveAt(store, 'model-a', day(1));
+    saveAt(store, 'model-a', day(2));
+    expect(store.query({ limit: 2 }).nextCursor).toBeNull();
+  });
+
+  test('filters by model and date range', () => {
+    saveAt(store, 'model-a', day(1));
+    const inRange = saveAt(store, 'model-a', day(5));
+    saveAt(store, 'model-a', day(9));
+    saveAt(store, 'model-b', day(5));
+
+    const { snapshots } = store.query({ modelId: 'model-a', from: day(2), to: new Date(day(9)) });
+    expect(snapshots.map((s) => s.id)).toEqual([inRange]);
+  });
+
+  test('filters scenarios by branch name', () => {
+    const parent = saveAt(store, 'model-a', day(1));
+    const raise = store.saveScenario(parent, 'raise', 'model-a', {}, {});
+    store.saveScenario(parent, 'layoff', 'model-a', {}, {});
+
+    expect(store.query({ isScenario: false }).snapshots.map((s) => s.id)).toEqual([parent]);
+    expect(store.query({ isScenario: true }).snapshots).toHaveLength(2);
+    expect(store.query({ branchName: 'raise' }).snapshots.map((s) => s.id)).toEqual([raise]);
+  });
+
+  test('projects only the requested output fields', () => {
+    saveAt(store, 'model-a', day(1), { total_score: 71, grade: 'C', plan: { months: 18, debts: [{ balance: 500 }] } });
+
+    const [snap] = store.query({ fields: ['total_score', 'plan.months', 'plan.debts[0].balance', 'missing'] }).snapshots;
+    expect(snap.outputs).toEqual({ total_score: 71, 'plan.months': 18, 'plan.debts[0].balance': 500 });
+    expect(snap).not.toHaveProperty('inputs');
+    expect(snap).toMatchObject({ model_id: 'model-a', created_at: day(1), is_scenario: false });
+  });
+
+  test('leaves out inputs when asked to', () => {
+    saveAt(store, 'model-a', day(1), { total: 1 }, { x: 1 });
+
+    const [snap] = store.query({ inputs: false }).snapshots;
+    expect(snap).not.toHaveProperty('inputs');
+    expect(snap).toMatchObject({ model_id: 'model-a', outputs: { total: 1 }, source: null });
+  });
+
+  test('projects object and string fields as values', () => {
+    saveAt(store, 'model-a', day(1), { grade: 'B', plan: { months: 18 } });
+    const [snap] = store.query({ fields: ['grade', 'plan'] }).snapshots;
+    expect(snap.outputs).toEqual({ grade: 'B', plan: { months: 18 } });
+  });
+
+  test('throws on invalid options', () => {
+    expect(() => store.query({ limit: 0 })).toThrow(TypeError);
+    expect(() => store.query({ limit: 1001 })).toThrow(TypeError);
+    expect(() => store.query({ from: 'soon' })).toThrow('from must be a Date');
+    expect(() => store.query({ cursor: 'not-a-cursor' })).toThrow('cursor is not one returned by query()');
+    expect(() => store.query({ isScenario: 'yes' })).toThrow(TypeError);
+    expect(() => store.query({ fields: ["total') --"] })).toThrow(TypeError);
+    expect(() => store.query({ fields: 'total' })).toThrow(TypeError);
+    expect(() => store.query({ inputs: 'no' })).toThrow(TypeError);
+  });
+});
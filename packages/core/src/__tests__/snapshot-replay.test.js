@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const { SnapshotStore } = require('../snapshot');
+const { ModelCatalog } = require('../model-catalog');
+const { diffValues } = require('../diff');
+const { hashBuffer } = require('../verifier');
+
+const LOGIC_V1 = 'module.exports = function(inputs) { return { total: inputs.x * 2, note: "v1" }; };\n';
+const LOGIC_V2 = 'module.exports = function(inputs) { return { total: inputs.x * 3, note: "v1" }; };\n';
+const LOGIC_TIME = `
+  module.exports = function(inputs) {
+    return { total: inputs.x + Math.random(), note: new Date().toISOString() };
+  };
+`;
+
+const roots = [];
+
+afterAll(() => {
+  for (const root of roots) fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Helper: write versions ({ version: logicSource }) of pack "calc" into
+// <root>/calc/<version>/.
+function makeRoot(versions) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-replay-'));
+  roots.push(root);
+  for (const [version, logic] of Object.entries(versions)) {
+    const dir = path.join(root, 'calc', version);
+    fs.mkdirSync(dir, { recursive: true });
+    const manifest = {
+      manifest_version: 2,
+      id: 'calc',
+      name: 'Calc',
+      version,
+      inputs: [{ id: 'x', type: 'number' }],
+      outputs: [{ id: 'total' }, { id: 'note' }],
+    };
+    fs.writeFileSync(path.join(dir, 'manifest.yaml'), yaml.dump(manifest));
+    fs.writeFileSync(path.join(dir, 'logic.js'), logic);
+  }
+  return root;
+}
+
+describe('diffValues', () => {
+  test('lists changed, added and removed leaves by path', () => {
+    const changes = diffValues(
+      { a: 1, nested: { b: 'x', gone: true }, list: [{ v: 1 }] },
+      { a: 1, nested: { b: 'y' }, list: [{ v: 1 }, { v: 2 }] }
+    );
+
+    expect(changes).toEqual([
+      { path: 'nested.b', change: 'changed', before: 'x', after: 'y' },
+      { path: 'nested.gone', change: 'removed', before: true, after: undefined },
+      { path: 'list[1].v', change: 'added', before: undefined, after: 2 },
+    ]);
+  });
+
+  test('gives numeric changes an absolute and percent delta', () => {
+    const [change] = diffValues({ total: 200 }, { total: 150 });
+    expect(change).toMatchObject({ path: 'total', delta: -50, percent: -25 });
+  });
+
+  test('uses null percent when the old value is zero', () => {
+    const [change] = diffValues({ total: 0 }, { total: 5 });
+    expect(change.delta).toBe(5);
+    expect(change.percent).toBeNull();
+  });
+
+  test('returns an empty list for equal values', () => {
+    expect(diffValues({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+  });
+});
+
+describe('SnapshotStore.diff', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SnapshotStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('compares inputs and outputs of two snapshots', () => {
+    const a = store.save('calc', { x: 10, mode: 'a' }, { total: 20, detail: { fee: 1 } });
+    const b = store.save('calc', { x: 15, mode: 'a' }, { total: 30, detail: { fee: 1 } });
+
+    const result = store.diff(a, b);
+    expect(result.a).toMatchObject({ id: a, model_id: 'calc' });
+    expect(result.b).toMatchObject({ id: b, model_id: 'calc' });
+    expect(result.sameModel).toBe(true);
+    expect(result.inputs).toEqual([{ path: 'x', change: 'changed', before: 10, after: 15, delta: 5, percent: 50 }]);
+    expect(result.outputs).toEqual([{ path: 'total', change: 'changed', before: 20, after: 30, delta: 10, percent: 50 }]);
+  });
+
+  test('flags snapshots of different models', () => {
+    const a = store.save('calc', {}, {});
+    const b = store.save('other', {}, {});
+    expect(store.diff(a, b).sameModel).toBe(false);
+  });
+
+  test('throws when a snapshot does not exist', () => {
+    const a = store.save('calc', {}, {});
+    expect(() => store.diff(a, 99)).toThrow('Snapshot 99 not found');
+  });
+});
+
+describe('SnapshotStore.replay', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SnapshotStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('reports no drift when the pack still produces the stored outputs', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1 });
+    const id = store.save('calc', { x: 5 }, { total: 10, note: 'v1' }, {
+      asOf: '2024-01-01T00:00:00.000Z',
+      seed: 1,
+      modelVersion: '1.0.0',
+      logicSha256: hashBuffer(LOGIC_V1),
+    });
+
+    const result = await store.replay(id, { modelsDir: root });
+    expect(result.matches).toBe(true);
+    expect(result.drift).toEqual([]);
+    expect(result.deterministic).toBe(true);
+    expect(result.recorded).toEqual({ version: '1.0.0', logic_sha256: hashBuffer(LOGIC_V1) });
+    expect(result.replayed).toMatchObject({ version: '1.0.0', logic_sha256: hashBuffer(LOGIC_V1) });
+  });
+
+  test('replays on the current version and reports output drift', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1, '1.1.0': LOGIC_V2 });
+    const id = store.save('calc', { x: 5 }, { total: 10, note: 'v1' }, { modelVersion: '1.0.0' });
+
+    const result = await store.replay(id, { modelsDir: root });
+    expect(result.replayed.version).toBe('1.1.0');
+    expect(result.matches).toBe(false);
+    expect(result.drift).toEqual([
+      { path: 'total', change: 'changed', before: 10, after: 15, delta: 5, percent: 50 },
+    ]);
+    expect(result.outputs).toEqual({ total: 15, note: 'v1' });
+  });
+
+  test('replays on the recorded version when pinned', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1, '1.1.0': LOGIC_V2 });
+    const id = store.save('calc', { x: 5 }, { total: 10, note: 'v1' }, { modelVersion: '1.0.0' });
+
+    const result = await store.replay(id, { catalog: new ModelCatalog({ roots: [root] }), pinned: true });
+    expect(result.replayed.version).toBe('1.0.0');
+    expect(result.matches).toBe(true);
+  });
+
+  test('reuses the stored clock and seed', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_TIME });
+    const first = await store.replay(
+      store.save('calc', { x: 1 }, { total: 0, note: '' }, { asOf: '2024-06-01T00:00:00.000Z', seed: 42 }),
+      { modelsDir: root }
+    );
+    const id = store.save('calc', { x: 1 }, first.outputs, { asOf: '2024-06-01T00:00:00.000Z', seed: 42 });
+
+    const again = await store.replay(id, { modelsDir: root });
+    expect(again.outputs.note).toBe('2024-06-01T00:00:00.000Z');
+    expect(again.matches).toBe(true);
+  });
+
+  test('marks snapshots without a clock and seed as not deterministic', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1 });
+    const id = store.save('calc', { x: 5 }, { total: 10, note: 'v1' });
+    expect((await store.replay(id, { modelsDir: root })).deterministic).toBe(false);
+  });
+
+  test('rejects inputs the current manifest no longer accepts', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1 });
+    const id = store.save('calc', { x: 'five' }, { total: 10 });
+    await expect(store.replay(id, { modelsDir: root })).rejects.toThrow('Input validation failed');
+  });
+
+  test('throws when the snapshot or its pack is missing', async () => {
+    const root = makeRoot({ '1.0.0': LOGIC_V1 });
+    await expect(store.replay(7, { modelsDir: root })).rejects.toThrow('Snapshot 7 not found');
+
+    const id = store.save('gone', {}, {});
+    await expect(store.replay(id, { modelsDir: root })).rejects.toThrow('Model not found: gone');
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { SnapshotStore } = require('../snapshot');
+const { saveAt } = require('./helpers/snapshots');
+
+describe('SnapshotStore.series', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SnapshotStore(':memory:');
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  // Helper: save a financial-health-score snapshot dated `createdAt`.
+  function saveScore(createdAt, total, emergency = total) {
+    const outputs = { total_score: total, grade: total >= 70 ? 'C' : 'D', dimensions: { emergency_fund: { score: emergency } } };
+    return saveAt(store, 'financial-health-score', createdAt, outputs);
+  }
+
+  test('returns one point per snapshot, oldest first', () => {
+    saveScore('2024-02-01T00:00:00.000Z', 70);
+    saveScore('2024-01-01T00:00:00.000Z', 60);
+
+    expect(store.series('financial-health-score', 'total_score')).toEqual([
+      { t: '2024-01-01T00:00:00.000Z', value: 60 },
+      { t: '2024-02-01T00:00:00.000Z', value: 70 },
+    ]);
+  });
+
+  test('extracts nested outputs by path', () => {
+    saveScore('2024-01-01T00:00:00.000Z', 60, 45);
+    expect(store.series('financial-health-score', 'dimensions.emergency_fund.score')).toEqual([
+      { t: '2024-01-01T00:00:00.000Z', value: 45 },
+    ]);
+  });
+
+  test('skips snapshots without the output, scenarios and other models', () => {
+    const parent = saveScore('2024-01-01T00:00:00.000Z', 60);
+    store.save('financial-health-score', {}, { other: 1 });
+    store.saveScenario(parent, 'raise', 'financial-health-score', {}, { total_score: 99 });
+    store.save('other-model', {}, { total_score: 10 });
+
+    expect(store.series('financial-health-score', 'total_score').map((p) => p.value)).toEqual([60]);
+  });
+
+  test('skips snapshots where the output is null', () => {
+    saveScore('2024-01-01T00:00:00.000Z', 60);
+    saveScore('2024-02-01T00:00:00.000Z', null);
+
+    expect(store.series('financial-health-score', 'total_score')).toEqual([
+      { t: '2024-01-01T00:00:00.000Z', value: 60 },
+    ]);
+    expect(store.series('financial-health-score', 'total_score', { aggregate: 'avg', bucket: 'month' })).toHaveLength(1);
+  });
+
+  test('filters by date range', () => {
+    saveScore('2024-01-01T00:00:00.000Z', 60);
+    saveScore('2024-02-01T00:00:00.000Z', 70);
+    saveScore('2024-03-01T00:00:00.000Z', 80);
+
+    const points = store.series('financial-health-score', 'total_score', {
+      from: '2024-02-01T00:00:00.000Z',
+      to: '2024-03-01T00:00:00.000Z',
+    });
+    expect(points.map((p) => p.value)).toEqual([70]);
+  });
+
+  describe('buckets', () => {
+    beforeEach(() => {
+      saveScore('2024-01-03T00:00:00.000Z', 60);
+      saveScore('2024-01-20T00:00:00.000Z', 80);
+      saveScore('2024-01-25T00:00:00.000Z', 70);
+      saveScore('2024-03-10T00:00:00.000Z', 90);
+    });
+
+    test('keeps the last value of each month by default', () => {
+      expect(store.series('financial-health-score', 'total_score', { bucket: 'month' })).toEqual([
+        { t: '2024-01-01T00:00:00.000Z', value: 70 },
+        { t: '2024-03-01T00:00:00.000Z', value: 90 },
+      ]);
+    });
+
+    test.each([
+      ['avg', 70],
+      ['min', 60],
+      ['max', 80],
+    ])('aggregates a month with %s', (aggregate, expected) => {
+      const [january] = store.series('financial-health-score', 'total_score', { bucket: 'month', aggregate });
+      expect(january.value).toBe(expected);
+    });
+
+    test('starts weeks on Monday and years on January 1', () => {
+      // 2024-01-20 is a Saturday and 2024-01-25 a Thursday: different ISO weeks.
+      const weeks = store.series('financial-health-score', 'total_score', { bucket: 'week' });
+      expect(weeks.map((p) => p.t)).toEqual([
+        '2024-01-01T00:00:00.000Z',
+        '2024-01-15T00:00:00.000Z',
+        '2024-01-22T00:00:00.000Z',
+        '2024-03-04T00:00:00.000Z',
+      ]);
+      expect(store.series('financial-health-score', 'total_score', { bucket: 'year', aggregate: 'max' })).toEqual([
+        { t: '2024-01-01T00:00:00.000Z', value: 90 },
+      ]);
+    });
+
+    test('buckets by UTC day', () => {
+      saveScore('2024-03-10T23:59:59.000Z', 50);
+      const days = store.series('financial-health-score', 'total_score', { bucket: 'day', aggregate: 'min' });
+      expect(days[days.length - 1]).toEqual({ t: '2024-03-10T00:00:00.000Z', value: 50 });
+    });
+  });
+
+  test('returns non-numeric values for last but refuses to average them', () => {
+    saveScore('2024-01-01T00:00:00.000Z', 60);
+    expect(store.series('financial-health-score', 'grade')).toEqual([{ t: '2024-01-01T00:00:00.000Z', value: 'D' }]);
+    expect(() => store.series('financial-health-score', 'grade', { bucket: 'month', aggregate: 'avg' })).toThrow(
+      'cannot be aggregated with avg'
+    );
+  });
+
+  test('throws on invalid arguments', () => {
+    expect(() => store.series('', 'total_score')).toThrow(TypeError);
+    expect(() => store.series('financial-health-score', 'total score')).toThrow(TypeError);
+    expect(() => store.series('financial-health-score', 'total_score', { bucket: 'quarter' })).toThrow(TypeError);
+    expect(() => store.series('financial-health-score', 'total_score', { aggregate: 'sum' })).toThrow(TypeError);
+    expect(() => store.series('financial-health-score', 'total_score', { from: 'never' })).toThrow(TypeError);
+  });
+});
@@ -1,6 +1,10 @@
 'use strict';
 
-const { SnapshotStore } = require('../snapshot');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { SnapshotStore, SNAPSHOT_SOURCES } = require('../snapshot');
 
 describe('SnapshotStore', () => {
   let store;
@@ -96,4 +100,120 @@ describe('SnapshotStore', () => {
   test('throws when outputs is not an object', () => {
     expect(() => store.save('model-a', {}, 42)).toThrow(TypeError);
   });
+
+  test('records the as-of date and seed of a run', () => {
+    const id = store.save('model-a', {}, { r: 1 }, { asOf: '2024-03-15T12:00:00.000Z', seed: 42 });
+    const snap = store.getById(id);
+    expect(snap.as_of).toBe('2024-03-15T12:00:00.000Z');
+    expect(snap.seed).toBe(42);
+  });
+
+  test('run metadata defaults to null', () => {
+    const snap = store.getById(store.save('model-a', {}, {}));
+    expect(snap.as_of).toBeNull();
+    expect(snap.seed).toBeNull();
+  });
+
+  test('throws on malformed run metadata', () => {
+    expect(() => store.save('model-a', {}, {}, { asOf: 'yesterday' })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { seed: '42' })).toThrow(TypeError);
+  });
+
+  test('records the pack version and logic hash of a run', () => {
+    const sha = 'a'.repeat(64);
+    const snap = store.getById(store.save('model-a', {}, {}, { modelVersion: '1.2.0', logicSha256: sha }));
+    expect(snap.model_version).toBe('1.2.0');
+    expect(snap.logic_sha256).toBe(sha);
+
+    const bare = store.getById(store.save('model-a', {}, {}));
+    expect(bare.model_version).toBeNull();
+    expect(bare.logic_sha256).toBeNull();
+  });
+
+  test('throws on a malformed pack version or logic hash', () => {
+    expect(() => store.save('model-a', {}, {}, { modelVersion: '' })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { logicSha256: 'abc' })).toThrow(TypeError);
+  });
+
+  test('records the provenance of a run', () => {
+    const run = {
+      manifestSha256: 'b'.repeat(64),
+      runtimeVersion: '0.1.0',
+      durationMs: 12,
+      source: 'batch',
+    };
+    const snap = store.getById(store.save('model-a', {}, {}, run));
+    expect(snap).toMatchObject({
+      manifest_sha256: 'b'.repeat(64),
+      runtime_version: '0.1.0',
+      duration_ms: 12,
+      source: 'batch',
+    });
+
+    const bare = store.getById(store.save('model-a', {}, {}));
+    expect(bare).toMatchObject({ manifest_sha256: null, runtime_version: null, duration_ms: null, source: null });
+  });
+
+  test('accepts every snapshot source', () => {
+    for (const source of SNAPSHOT_SOURCES) {
+      expect(store.getById(store.save('model-a', {}, {}, { source })).source).toBe(source);
+    }
+  });
+
+  test('throws on malformed provenance', () => {
+    expect(() => store.save('model-a', {}, {}, { manifestSha256: 'B'.repeat(64) })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { runtimeVersion: 1 })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { durationMs: -1 })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { durationMs: 1.5 })).toThrow(TypeError);
+    expect(() => store.save('model-a', {}, {}, { source: 'cron' })).toThrow('run.source must be one of');
+  });
+
+  test('list adds the run metadata when asked for provenance', () => {
+    store.save('model-a', {}, {}, { modelVersion: '1.0.0', durationMs: 3, source: 'cli', seed: 7 });
+
+    const [snap] = store.list('model-a', { provenance: true });
+    expect(snap).toMatchObject({ model_version: '1.0.0', duration_ms: 3, source: 'cli', seed: 7, logic_sha256: null });
+    expect(store.list('model-a')[0]).not.toHaveProperty('source');
+  });
+});
+
+describe('SnapshotStore migrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finlogicos-snapshot-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('upgrades a v0 database and keeps its rows', () => {
+    const dbPath = path.join(dir, 'snapshots.db');
+    const legacy = new Database(dbPath);
+    legacy.exec(`
+      CREATE TABLE snapshots (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        model_id   TEXT    NOT NULL,
+        inputs     TEXT    NOT NULL,
+        outputs    TEXT    NOT NULL,
+        created_at TEXT    NOT NULL
+      );
+      INSERT INTO snapshots (model_id, inputs, outputs, created_at)
+        VALUES ('model-a', '{"x":1}', '{"r":2}', '2024-01-01T00:00:00.000Z');
+    `);
+    legacy.close();
+
+    const upgraded = new SnapshotStore(dbPath);
+    try {
+      expect(upgraded._db.pragma('user_version', { simple: true })).toBe(6);
+      const [snap] = upgraded.list('model-a', { provenance: true });
+      expect(snap).toMatchObject({ inputs: { x: 1 }, outputs: { r: 2 }, source: null, runtime_version: null });
+
+      const id = upgraded.save('model-a', {}, {}, { source: 'cli', durationMs: 4 });
+      expect(upgraded.getById(id)).toMatchObject({ source: 'cli', duration_ms: 4 });
+    } finally {
+      upgraded.close();
+    }
+  });
 });
@@ -0,0 +1,148 @@
+'use strict';
+
+const { sweep, SWEEP_MODES } = require('../sweep');
+
+const manifest = {
+  id: 'simple-growth',
+  inputs: [
+    { id: 'principal', type: 'number', min: 0 },
+    { id: 'rate', type: 'number', min: 0, max: 20 },
+    { id: 'fee', type: 'number', default: 10 },
+    { id: 'label', type: 'string', required: false },
+  ],
+  outputs: [
+    { id: 'total', format: 'currency' },
+    { id: 'interest', format: 'currency' },
+    { id: 'note' },
+  ],
+};
+
+// total = principal * (1 + rate/100) - fee; interest = principal * rate/100
+const code = `
+  module.exports = function(inputs) {
+    const interest = inputs.principal * inputs.rate / 100;
+    return { total: inputs.principal + interest - inputs.fee, interest, note: 'ok' };
+  };
+`;
+
+const baseInputs = { principal: 1000, rate: 5 };
+
+describe('sweep', () => {
+  test('lists its modes', () => {
+    expect(SWEEP_MODES).toEqual(['one-at-a-time', 'grid']);
+  });
+
+  test('runs each input through its values one at a time', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { rate: [3, 7], principal: [500] } });
+
+    expect(result.base.outputs.total).toBe(1040);
+    expect(result.runs.map((r) => r.values)).toEqual([
+      { rate: 3, principal: 1000 },
+      { rate: 7, principal: 1000 },
+      { rate: 5, principal: 500 },
+    ]);
+    expect(result.runs[1].outputs.total).toBe(1060);
+  });
+
+  test('runs every combination in grid mode', async () => {
+    const result = await sweep(manifest, code, baseInputs, {
+      mode: 'grid',
+      vary: { rate: [3, 7], principal: [500, 2000] },
+    });
+
+    expect(result.runs).toHaveLength(4);
+    const run = result.runs.find((r) => r.values.rate === 7 && r.values.principal === 2000);
+    expect(run.outputs.total).toBe(2130);
+  });
+
+  test('expands { from, to, steps } ranges', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { rate: { from: 0, to: 0.3, steps: 4 } } });
+    expect(result.runs.map((r) => r.values.rate)).toEqual([0, 0.1, 0.2, 0.3]);
+  });
+
+  test('measures swing and elasticity for every numeric output', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { rate: [3, 7], principal: [500, 1500] } });
+
+    expect(Object.keys(result.sensitivity)).toEqual(['total', 'interest']);
+
+    const [first, second] = result.sensitivity.total;
+    expect(first.input).toBe('principal');
+    expect(first.low).toEqual({ value: 500, output: 515 });
+    expect(first.high).toEqual({ value: 1500, output: 1565 });
+    expect(first.swing).toBe(1050);
+    expect(second.input).toBe('rate');
+    expect(second.swing).toBe(40);
+
+    // interest is proportional to rate, so its elasticity is exactly 1.
+    const rate = result.sensitivity.interest.find((s) => s.input === 'rate');
+    expect(rate.elasticity).toBeCloseTo(1, 10);
+  });
+
+  test('measures sensitivity about the base inputs in grid mode too', async () => {
+    const grid = await sweep(manifest, code, baseInputs, { mode: 'grid', vary: { rate: [3, 7], principal: [500, 1500] } });
+    const oneAtATime = await sweep(manifest, code, baseInputs, { vary: { rate: [3, 7], principal: [500, 1500] } });
+    expect(grid.sensitivity).toEqual(oneAtATime.sensitivity);
+  });
+
+  test('includes the base value in the measured range', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { rate: [10] } });
+    const [entry] = result.sensitivity.interest;
+    expect(entry.low).toEqual({ value: 5, output: 50 });
+    expect(entry.high).toEqual({ value: 10, output: 100 });
+  });
+
+  test('keeps invalid runs with their errors and leaves them out of sensitivity', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { rate: [3, 25] } });
+
+    const failed = result.runs.find((r) => r.values.rate === 25);
+    expect(failed.outputs).toBeUndefined();
+    expect(failed.errors[0]).toMatch(/rate/);
+    expect(result.sensitivity.total[0].high.value).toBe(5);
+  });
+
+  test('uses manifest defaults as base values', async () => {
+    const result = await sweep(manifest, code, baseInputs, { vary: { fee: [0, 20] } });
+    expect(result.sensitivity.total[0].swing).toBe(-20);
+  });
+
+  test('runs everything on the base run\'s clock and seed', async () => {
+    const seeded = `
+      module.exports = function(inputs) {
+        return { total: inputs.principal + Math.random(), interest: new Date().getUTCFullYear(), note: '' };
+      };
+    `;
+    const result = await sweep(manifest, seeded, baseInputs, {
+      vary: { rate: [1, 2] },
+      asOf: '2030-01-01T00:00:00Z',
+      seed: 7,
+    });
+
+    expect(result.seed).toBe(7);
+    for (const run of result.runs) {
+      expect(run.outputs.total).toBe(result.base.outputs.total);
+      expect(run.outputs.interest).toBe(2030);
+    }
+  });
+
+  test('rejects unknown and non-number inputs', async () => {
+    await expect(sweep(manifest, code, baseInputs, { vary: { nope: [1] } })).rejects.toThrow('no such input');
+    await expect(sweep(manifest, code, baseInputs, { vary: { label: [1] } })).rejects.toThrow('only number inputs');
+  });
+
+  test('rejects an empty vary, bad ranges and unknown modes', async () => {
+    await expect(sweep(manifest, code, baseInputs, {})).rejects.toThrow('at least one input');
+    await expect(sweep(manifest, code, baseInputs, { vary: { rate: [] } })).rejects.toThrow('finite numbers');
+    await expect(sweep(manifest, code, baseInputs, { vary: { rate: { from: 1, to: 2, steps: 1 } } })).rejects.toThrow('"steps"');
+    await expect(sweep(manifest, code, baseInputs, { vary: { rate: [1] }, mode: 'random' })).rejects.toThrow(TypeError);
+  });
+
+  test('refuses sweeps larger than maxRuns', async () => {
+    await expect(
+      sweep(manifest, code, baseInputs, { mode: 'grid', vary: { rate: [1, 2, 3], principal: [1, 2, 3] }, maxRuns: 8 })
+    ).rejects.toThrow('Sweep needs 9 runs, more than the limit of 8');
+  });
+
+  test('needs a base value for every varied input', async () => {
+    await expect(sweep(manifest, code, { rate: 5 }, { vary: { principal: [1] } })).rejects.toThrow('without a base value');
+  });
+});
@@ -1,6 +1,12 @@
 'use strict';
 
-const { validateInputs } = require('../validator');
+const {
+  validateInputs,
+  applyInputDefaults,
+  checkNumberConstraints,
+  validateOutputs,
+  validateExplainBlock,
+} = require('../validator');
 
 const manifest = {
   id: 'test-model',
@@ -119,3 +125,463 @@ describe('validateInputs', () => {
     expect(valid).toBe(true);
   });
 });
+
+describe('validateOutputs', () => {
+  const outputManifest = {
+    id: 'score-model',
+    inputs: [],
+    outputs: [
+      { id: 'score', type: 'number', range: [0, 100] },
+      { id: 'grade', type: 'string', enum: ['A', 'B', 'C'] },
+      { id: 'passed', type: 'boolean' },
+      { id: 'breakdown', type: 'object' },
+      { id: 'history', type: 'array' },
+      { id: 'note' },
+    ],
+  };
+
+  const validOutputs = {
+    score: 82,
+    grade: 'B',
+    passed: true,
+    breakdown: { a: 1 },
+    history: [1, 2],
+    note: null,
+  };
+
+  test('returns valid=true for conforming outputs', () => {
+    expect(validateOutputs(outputManifest, validOutputs)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports a missing declared output', () => {
+    const rest = { ...validOutputs };
+    delete rest.score;
+    const { valid, errors } = validateOutputs(outputManifest, rest);
+    expect(valid).toBe(false);
+    expect(errors).toEqual(['Missing declared output: "score"']);
+  });
+
+  test('treats undefined values as missing', () => {
+    const { errors } = validateOutputs(outputManifest, { ...validOutputs, grade: undefined });
+    expect(errors[0]).toMatch(/Missing declared output: "grade"/);
+  });
+
+  test('reports a string where a number is declared', () => {
+    const { errors } = validateOutputs(outputManifest, { ...validOutputs, score: '82' });
+    expect(errors[0]).toMatch(/"score" must be a finite number, got string/);
+  });
+
+  test('distinguishes arrays from objects', () => {
+    const { errors } = validateOutputs(outputManifest, {
+      ...validOutputs,
+      breakdown: [1],
+      history: { 0: 1 },
+    });
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/"breakdown" must be an object, got array/);
+    expect(errors[1]).toMatch(/"history" must be an array, got object/);
+  });
+
+  test('reports values outside the declared range, inclusive at both ends', () => {
+    expect(validateOutputs(outputManifest, { ...validOutputs, score: 100 }).valid).toBe(true);
+    expect(validateOutputs(outputManifest, { ...validOutputs, score: 0 }).valid).toBe(true);
+    const { errors } = validateOutputs(outputManifest, { ...validOutputs, score: 101 });
+    expect(errors[0]).toMatch(/outside the declared range \[0, 100\]/);
+  });
+
+  test('reports values outside the declared enum', () => {
+    const { errors } = validateOutputs(outputManifest, { ...validOutputs, grade: 'Z' });
+    expect(errors[0]).toMatch(/not one of the allowed enum values/);
+  });
+
+  test('reports an unknown declared type', () => {
+    const m = { outputs: [{ id: 'x', type: 'float' }] };
+    expect(validateOutputs(m, { x: 1 }).errors[0]).toMatch(/unknown type "float"/);
+  });
+
+  test('reports a malformed range declaration', () => {
+    const m = { outputs: [{ id: 'x', type: 'number', range: [0] }] };
+    expect(validateOutputs(m, { x: 1 }).errors[0]).toMatch(/invalid range/);
+  });
+
+  test('extra keys in outputs are silently ignored', () => {
+    expect(validateOutputs(outputManifest, { ...validOutputs, extra: 1 }).valid).toBe(true);
+  });
+
+  test('returns error when outputs is not an object', () => {
+    expect(validateOutputs(outputManifest, [1]).errors[0]).toMatch(/plain object/);
+  });
+});
+
+describe('validateExplainBlock', () => {
+  function validExplain() {
+    return {
+      summary: 'Your balance grows to $19,671 over 10 years.',
+      method: 'Applies the compound interest formula A = P(1 + r/n)^(nt) year by year to the starting balance.',
+      assumptions: [
+        { id: 'annual_return', label: 'Annual return', value: '7%', source: 'user_input', impact: 'high', note: null },
+      ],
+      drivers: [
+        { rank: 1, label: 'Return rate', contribution: 'Most of the growth.', value: '7%', direction: 'positive' },
+      ],
+      sensitivity: [
+        {
+          variable: 'annual_return',
+          label: 'Annual return',
+          direction: 'increase',
+          change_description: 'If the return rose 1%',
+          impact_description: 'the balance would grow by $1,900.',
+          impact_magnitude: 'high',
+        },
+        {
+          variable: 'years',
+          label: 'Years',
+          direction: 'decrease',
+          change_description: 'If you invested for 5 years',
+          impact_description: 'the balance would be $5,600 lower.',
+          impact_magnitude: 'medium',
+        },
+      ],
+      caveats: ['Ignores fees.'],
+    };
+  }
+
+  test('accepts a block that satisfies the contract', () => {
+    expect(validateExplainBlock(validExplain())).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('E-1: reports a missing block', () => {
+    expect(validateExplainBlock(undefined).errors).toEqual(['E-1: Missing explain block']);
+  });
+
+  test('E-1: rejects a plain-string explanation', () => {
+    expect(validateExplainBlock('It went up.').errors[0]).toMatch(/E-1: explain must be an object, got string/);
+  });
+
+  test('E-2: requires a non-empty summary', () => {
+    const explain = { ...validExplain(), summary: '  ' };
+    expect(validateExplainBlock(explain).errors).toEqual(['E-2: summary is required']);
+  });
+
+  test('E-3: requires a method of at least 50 characters', () => {
+    const explain = { ...validExplain(), method: 'Compound interest.' };
+    expect(validateExplainBlock(explain).errors[0]).toMatch(/^E-3:/);
+  });
+
+  test('E-4: requires at least one assumption', () => {
+    const explain = { ...validExplain(), assumptions: [] };
+    expect(validateExplainBlock(explain).errors).toEqual(['E-4: At least one assumption is required']);
+  });
+
+  test('E-5: reports assumptions missing required fields', () => {
+    const explain = validExplain();
+    delete explain.assumptions[0].impact;
+    expect(validateExplainBlock(explain).errors).toEqual([
+      'E-5: assumptions[0] missing required field: impact',
+    ]);
+  });
+
+  test('E-5: reports ill-typed assumption fields', () => {
+    const explain = validExplain();
+    explain.assumptions[0].source = 'guess';
+    expect(validateExplainBlock(explain).errors[0]).toMatch(
+      /assumptions\[0\]\.source must be one of: user_input, model_default, embedded_data/
+    );
+  });
+
+  test('E-6: requires at least one well-formed driver', () => {
+    expect(validateExplainBlock({ ...validExplain(), drivers: [] }).errors).toEqual([
+      'E-6: At least one driver is required',
+    ]);
+    const explain = validExplain();
+    explain.drivers[0].rank = '1';
+    expect(validateExplainBlock(explain).errors[0]).toMatch(/drivers\[0\]\.rank must be of type number/);
+  });
+
+  test('E-7: requires at least two sensitivity entries', () => {
+    const explain = validExplain();
+    explain.sensitivity.pop();
+    expect(validateExplainBlock(explain).errors).toEqual([
+      'E-7: At least two sensitivity analyses are required',
+    ]);
+  });
+
+  test('E-7: reports ill-typed sensitivity entries', () => {
+    const explain = validExplain();
+    explain.sensitivity[1].direction = 'sideways';
+    expect(validateExplainBlock(explain).errors[0]).toMatch(/sensitivity\[1\]\.direction must be one of/);
+  });
+
+  test('E-8: requires data_sources when an assumption uses embedded data', () => {
+    const explain = validExplain();
+    explain.assumptions[0].source = 'embedded_data';
+    expect(validateExplainBlock(explain).errors[0]).toMatch(/^E-8: Embedded data must be sourced/);
+
+    explain.data_sources = [{ label: '2024 IRS brackets', url: null }];
+    expect(validateExplainBlock(explain).valid).toBe(true);
+  });
+
+  test('E-8: checks data_sources entries', () => {
+    const explain = { ...validExplain(), data_sources: [{ url: 'https://irs.gov' }] };
+    expect(validateExplainBlock(explain).errors).toEqual([
+      'E-8: data_sources[0] missing required field: label',
+    ]);
+  });
+
+  test('E-10: warns when caveats are missing without failing', () => {
+    const explain = validExplain();
+    delete explain.caveats;
+    const report = validateExplainBlock(explain);
+    expect(report.valid).toBe(true);
+    expect(report.warnings[0]).toMatch(/^E-10:/);
+  });
+
+  test('E-10: rejects caveats that are not strings', () => {
+    const explain = { ...validExplain(), caveats: [{ text: 'x' }] };
+    expect(validateExplainBlock(explain).errors).toEqual(['E-10: caveats must be an array of strings']);
+  });
+});
+
+describe('validateInputs — structured and date types', () => {
+  const structuredManifest = {
+    inputs: [
+      {
+        id: 'debts',
+        type: 'array',
+        minItems: 1,
+        maxItems: 3,
+        items: {
+          type: 'object',
+          properties: [
+            { id: 'name', type: 'string' },
+            { id: 'balance', type: 'number' },
+          ],
+        },
+      },
+      { id: 'profile', type: 'object' },
+      { id: 'start', type: 'date' },
+    ],
+  };
+
+  const validStructured = {
+    debts: [{ name: 'Card', balance: 5000 }],
+    profile: { any: 'shape' },
+    start: '2025-01-31',
+  };
+
+  test('accepts conforming object, array and date inputs', () => {
+    expect(validateInputs(structuredManifest, validStructured)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports nested property errors with their path', () => {
+    const { errors } = validateInputs(structuredManifest, {
+      ...validStructured,
+      debts: [{ name: 'Card', balance: 5000 }, { name: 'Loan', balance: '12000' }],
+    });
+    expect(errors).toEqual([
+      'Input "debts[1].balance" must be a finite number, got string ("12000")',
+    ]);
+  });
+
+  test('reports missing nested properties', () => {
+    const { errors } = validateInputs(structuredManifest, { ...validStructured, debts: [{ name: 'Card' }] });
+    expect(errors).toEqual(['Missing required input: "debts[0].balance"']);
+  });
+
+  test('enforces minItems and maxItems', () => {
+    expect(validateInputs(structuredManifest, { ...validStructured, debts: [] }).errors[0]).toMatch(
+      /at least 1 item/
+    );
+    const four = Array.from({ length: 4 }, () => ({ name: 'x', balance: 1 }));
+    expect(validateInputs(structuredManifest, { ...validStructured, debts: four }).errors[0]).toMatch(
+      /at most 3 item/
+    );
+  });
+
+  test('rejects a JSON string where an array is declared', () => {
+    const { errors } = validateInputs(structuredManifest, { ...validStructured, debts: '[]' });
+    expect(errors[0]).toMatch(/"debts" must be an array, got string/);
+  });
+
+  test('rejects arrays and null where an object is declared', () => {
+    expect(validateInputs(structuredManifest, { ...validStructured, profile: [] }).errors[0]).toMatch(
+      /"profile" must be an object, got array/
+    );
+    expect(validateInputs(structuredManifest, { ...validStructured, profile: null }).errors[0]).toMatch(
+      /got null/
+    );
+  });
+
+  test('accepts ISO dates with a time component', () => {
+    expect(validateInputs(structuredManifest, { ...validStructured, start: '2025-01-31T09:30:00Z' }).valid).toBe(
+      true
+    );
+  });
+
+  test('rejects malformed and impossible dates', () => {
+    for (const start of ['01/31/2025', '2025-02-30', 20250131]) {
+      expect(validateInputs(structuredManifest, { ...validStructured, start }).errors[0]).toMatch(
+        /must be an ISO 8601 date/
+      );
+    }
+  });
+
+  test('reports an invalid minItems declaration', () => {
+    const m = { inputs: [{ id: 'xs', type: 'array', minItems: -1 }] };
+    expect(validateInputs(m, { xs: [] }).errors[0]).toMatch(/invalid minItems/);
+  });
+});
+
+describe('optional inputs and defaults', () => {
+  const optionalManifest = {
+    inputs: [
+      { id: 'income', type: 'number', required: true },
+      { id: 'extra', type: 'number', required: false, default: 0 },
+      { id: 'note', type: 'string', required: false },
+      { id: 'months', type: 'number', default: 6 },
+      { id: 'status', type: 'enum', values: ['single', 'married'], required: true, default: 'single' },
+      {
+        id: 'debts',
+        type: 'array',
+        required: false,
+        default: [],
+        items: {
+          type: 'object',
+          properties: [
+            { id: 'balance', type: 'number' },
+            { id: 'rate', type: 'number', required: false, default: 5 },
+          ],
+        },
+      },
+    ],
+  };
+
+  test('validateInputs does not report omitted optional inputs', () => {
+    expect(validateInputs(optionalManifest, { income: 1, status: 'single' })).toEqual({
+      valid: true,
+      errors: [],
+    });
+  });
+
+  test('validateInputs still reports required inputs, even when they declare a default', () => {
+    const { errors } = validateInputs(optionalManifest, {});
+    expect(errors).toEqual(['Missing required input: "income"', 'Missing required input: "status"']);
+  });
+
+  test('applyInputDefaults fills defaults for omitted optional inputs only', () => {
+    expect(applyInputDefaults(optionalManifest, { income: 1 })).toEqual({
+      income: 1,
+      extra: 0,
+      months: 6,
+      debts: [],
+    });
+  });
+
+  test('applyInputDefaults keeps supplied values, including falsy ones', () => {
+    const resolved = applyInputDefaults(optionalManifest, { income: 1, extra: 0, months: 0 });
+    expect(resolved.extra).toBe(0);
+    expect(resolved.months).toBe(0);
+  });
+
+  test('applyInputDefaults fills nested property defaults inside array items', () => {
+    const resolved = applyInputDefaults(optionalManifest, { income: 1, debts: [{ balance: 100 }] });
+    expect(resolved.debts).toEqual([{ balance: 100, rate: 5 }]);
+  });
+
+  test('applyInputDefaults does not mutate the inputs or share default objects', () => {
+    const inputs = { income: 1 };
+    const resolved = applyInputDefaults(optionalManifest, inputs);
+    expect(inputs).toEqual({ income: 1 });
+    resolved.debts.push({ balance: 1 });
+    expect(optionalManifest.inputs[5].default).toEqual([]);
+  });
+});
+
+describe('numeric constraints', () => {
+  const constrained = {
+    id: 'constrained',
+    inputs: [
+      { id: 'age', type: 'number', min: 0, max: 120, integer: true, unit: 'years' },
+      { id: 'balance', type: 'number', min: 0, unit: 'currency' },
+      { id: 'rate', type: 'number', min: 0, max: 100, unit: 'percent' },
+      { id: 'increment', type: 'number', min: 1, step: 0.5 },
+    ],
+    outputs: [],
+  };
+
+  const valid = { age: 40, balance: 0, rate: 100, increment: 2.5 };
+
+  test('accepts values on the inclusive bounds and on step', () => {
+    expect(validateInputs(constrained, valid)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports values below min and above max in the input unit', () => {
+    const result = validateInputs(constrained, { ...valid, age: 130, balance: -5, rate: -1 });
+    expect(result.errors).toEqual([
+      'Input "age" must be at most 120 years, got 130',
+      'Input "balance" must be at least $0, got -5',
+      'Input "rate" must be at least 0%, got -1',
+    ]);
+  });
+
+  test('writes currency bounds in the given locale and currency', () => {
+    const settings = { locale: 'en-GB', currency: 'gbp' };
+    expect(validateInputs(constrained, { ...valid, balance: -5 }, settings).errors).toEqual([
+      'Input "balance" must be at least £0, got -5',
+    ]);
+    expect(checkNumberConstraints({ type: 'number', max: 1000, unit: 'currency' }, 1500, settings)).toEqual([
+      'must be at most £1,000, got 1500',
+    ]);
+    expect(() => validateInputs(constrained, valid, { currency: 'pounds' })).toThrow(TypeError);
+  });
+
+  test('reports fractional values for integer inputs', () => {
+    expect(validateInputs(constrained, { ...valid, age: 40.5 }).errors).toEqual([
+      'Input "age" must be a whole number, got 40.5',
+    ]);
+  });
+
+  test('measures step from min and tolerates floating-point noise', () => {
+    expect(validateInputs(constrained, { ...valid, increment: 2.25 }).errors).toEqual([
+      'Input "increment" must be in steps of 0.5, got 2.25',
+    ]);
+    expect(checkNumberConstraints({ type: 'number', step: 0.1 }, 0.3)).toEqual([]);
+  });
+
+  test('applies constraints to nested number properties', () => {
+    const nested = {
+      id: 'nested',
+      inputs: [
+        {
+          id: 'debts',
+          type: 'array',
+          items: { type: 'object', properties: [{ id: 'rate', type: 'number', min: 0 }] },
+        },
+      ],
+      outputs: [],
+    };
+    expect(validateInputs(nested, { debts: [{ rate: 1 }, { rate: -2 }] }).errors).toEqual([
+      'Input "debts[1].rate" must be at least 0, got -2',
+    ]);
+  });
+
+  test('reports invalid constraint declarations', () => {
+    expect(checkNumberConstraints({ type: 'number', min: 5, max: 1 }, 3)).toEqual([
+      'declares min 5 greater than max 1',
+    ]);
+    expect(checkNumberConstraints({ type: 'number', step: 0 }, 3)).toEqual([
+      'declares an invalid step; expected a positive number',
+    ]);
+    expect(checkNumberConstraints({ type: 'number', min: '0', integer: 'yes' }, 3)).toEqual([
+      'declares an invalid min; expected a finite number',
+      'declares an invalid integer flag; expected true or false',
+    ]);
+  });
+
+  test('rejects numeric constraints on non-number inputs', () => {
+    const m = { id: 'm', inputs: [{ id: 'name', type: 'string', max: 10 }], outputs: [] };
+    expect(validateInputs(m, { name: 'x' }).errors).toEqual([
+      'Input "name" declares min/max/step/integer constraints but is not a number',
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Minimal RFC 4180 CSV reading and writing, shared by the report renderer
+ * and batch runs.
+ */
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells with embedded
+ * commas, quotes ("") and line breaks, CRLF or LF line endings and a leading
+ * byte order mark. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} If a quoted cell is never closed.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell on row ${rows.length + 1}`);
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Quotes a CSV cell when needed. Text that a spreadsheet would evaluate as a
+ * formula (leading =, +, -, @) is prefixed with an apostrophe unless it is a
+ * plain number.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<*>} cells
+ * @returns {string} One CSV line, CRLF-terminated.
+ */
+function formatCsvRow(cells) {
+  return cells.map(csvCell).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsvRow };
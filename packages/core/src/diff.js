@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Flattens a value into [path, leaf] pairs ("debts[0].balance"), in the order
+ * the leaves appear. Empty arrays and objects are kept as leaves, so a diff
+ * shows adding the first item and a report still lists them.
+ *
+ * @param {*}      value
+ * @param {string} prefix
+ * @param {Array<[string, *]>} [into]
+ * @returns {Array<[string, *]>}
+ */
+function flattenLeaves(value, prefix, into = []) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, i) => flattenLeaves(item, `${prefix}[${i}]`, into));
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, item] of Object.entries(value)) {
+      flattenLeaves(item, prefix ? `${prefix}.${key}` : key, into);
+    }
+  } else {
+    into.push([prefix, value]);
+  }
+  return into;
+}
+
+/**
+ * Compares two values leaf by leaf and lists what differs, in the order the
+ * paths first appear. Unchanged leaves are left out.
+ *
+ * Each change has the leaf's path, its `before` and `after` values (undefined
+ * when added or removed) and a `change` of "changed", "added" or "removed".
+ * Numeric changes also carry `delta` (after - before) and `percent` (delta
+ * as a percentage of |before|, or null when before is 0).
+ *
+ * @param {*} before
+ * @param {*} after
+ * @returns {Array<{
+ *   path: string,
+ *   change: 'changed'|'added'|'removed',
+ *   before: *,
+ *   after: *,
+ *   delta?: number,
+ *   percent?: number|null
+ * }>}
+ */
+function diffValues(before, after) {
+  const a = new Map(flattenLeaves(before, ''));
+  const b = new Map(flattenLeaves(after, ''));
+  const changes = [];
+
+  for (const path of new Set([...a.keys(), ...b.keys()])) {
+    const inA = a.has(path);
+    const inB = b.has(path);
+    const x = a.get(path);
+    const y = b.get(path);
+    if (inA && inB && JSON.stringify(x) === JSON.stringify(y)) continue;
+
+    const entry = {
+      path,
+      change: !inA ? 'added' : !inB ? 'removed' : 'changed',
+      before: x,
+      after: y,
+    };
+    if (typeof x === 'number' && typeof y === 'number') {
+      entry.delta = y - x;
+      entry.percent = x === 0 ? null : ((y - x) / Math.abs(x)) * 100;
+    }
+    changes.push(entry);
+  }
+  return changes;
+}
+
+module.exports = { diffValues, flattenLeaves };
@@ -1,24 +1,107 @@
 'use strict';
 
+/**
+ * Locale used when neither the caller nor the profile picks one.
+ */
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Currency used for `currency` outputs that do not declare their own, when
+ * neither the caller nor the profile picks one.
+ */
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Checks and normalises the locale and currency formatOutput renders with.
+ * Missing values fall back to en-US and USD; currency codes are upper-cased.
+ *
+ * @param {{ locale?: string|null, currency?: string|null }} [options]
+ * @returns {{ locale: string, currency: string }}
+ * @throws {TypeError} If the locale is not a valid BCP 47 tag or the currency
+ *   is not a three-letter ISO 4217 code.
+ */
+function resolveFormatOptions(options) {
+  const opts = options || {};
+  return {
+    locale: opts.locale == null ? DEFAULT_LOCALE : normaliseLocale(opts.locale),
+    currency: opts.currency == null ? DEFAULT_CURRENCY : normaliseCurrency(opts.currency),
+  };
+}
+
+/**
+ * @param {*} locale
+ * @returns {string} The canonical form of the tag, e.g. "en-GB".
+ * @throws {TypeError}
+ */
+function normaliseLocale(locale) {
+  try {
+    if (typeof locale !== 'string' || !locale) throw new RangeError();
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch {
+    throw new TypeError(`Invalid locale "${locale}": expected a BCP 47 tag such as "en-GB"`);
+  }
+}
+
+/**
+ * @param {*} currency
+ * @returns {string} The upper-cased code, e.g. "GBP".
+ * @throws {TypeError}
+ */
+function normaliseCurrency(currency) {
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    throw new TypeError(`Invalid currency "${currency}": expected a three-letter ISO 4217 code such as "GBP"`);
+  }
+  return currency.toUpperCase();
+}
+
 /**
  * Formats raw model outputs into a clean, labeled display object.
  *
  * Each entry in manifest.outputs should be an object with at least:
- *   - id     {string}  - key used in the outputs map
- *   - label  {string}  - human-readable display name
- *   - type   {string}  - optional: "number" | "string" | "boolean" (informational)
- *   - format {string}  - optional: "currency" | "percent" | "integer" | "decimal"
- *   - prefix {string}  - optional: prepended to the formatted value string
- *   - suffix {string}  - optional: appended to the formatted value string
+ *   - id       {string} - key used in the outputs map
+ *   - label    {string} - human-readable display name
+ *   - type     {string} - optional: "number" | "string" | "boolean" (informational)
+ *   - format   {string} - optional: "currency" | "percent" | "integer" | "decimal" |
+ *                         "compact" (1.2M) | "duration_months" (3 yr 4 mo) | "date"
+ *   - currency {string} - optional: ISO 4217 code for a value that is always in
+ *                         one currency (e.g. "USD" for a US tax model); otherwise
+ *                         `currency` outputs use options.currency
+ *   - prefix   {string} - optional: prepended to the formatted value string
+ *   - suffix   {string} - optional: appended to the formatted value string
+ *   - columns  {object[]} - optional: for an array of records (or an object of
+ *                         records keyed by id), the record fields to show as
+ *                         table columns
+ *   - fields   {object[]} - optional: for an object, the properties to show as a
+ *                         key/value block
+ * Each column or field is declared like an output (id, label, format, currency,
+ * columns, fields, ...), so nested values are formatted the same way.
+ *
+ * A `currency` output that declares a `prefix` but no `currency` is rendered
+ * as a plain two-decimal number after the prefix, as manifests written with
+ * `prefix: "$"` expect.
  *
  * The returned object contains one key per declared output, each mapping to:
- *   { label: string, value: *, formatted: string }
+ *   { label: string, value: *, formatted: string, parts: Array<{ type, value }> }
+ * Outputs declared with `columns` also get `table: { columns: [{ id, label }],
+ * rows: [[cell, ...], ...] }`, where each cell has the same shape as an
+ * entry, and `formatted` summarises the row count. Outputs declared with
+ * `fields` also get `fields: [{ id, ...entry }]`, and `formatted` lists
+ * "Label: value" pairs. Arrays and objects without either are shown as a
+ * comma-separated list of their values, or as JSON.
+ * `parts` splits `formatted` into typed pieces for UI rendering: the types
+ * from Intl's formatToParts ("currency", "integer", "group", "decimal",
+ * "fraction", "percentSign", "compact", "day", "month", ...), plus "prefix",
+ * "suffix", "unit" (duration units) and "text" (non-numeric values). Joining
+ * the part values gives `formatted`.
  *
  * @param {object} manifest - The parsed manifest object from loadModel.
  * @param {object} outputs  - The raw outputs object returned by model logic.
+ * @param {{ locale?: string, currency?: string }} [options]
+ *   Usually the active profile's settings; default en-US and USD.
  * @returns {object} Labeled and formatted output map.
+ * @throws {TypeError} If options or an output's `currency` are invalid.
  */
-function formatOutput(manifest, outputs) {
+function formatOutput(manifest, outputs, options) {
   if (!manifest || !Array.isArray(manifest.outputs)) {
     throw new Error('Manifest does not contain a valid "outputs" array');
   }
@@ -27,105 +110,263 @@ function formatOutput(manifest, outputs) {
     throw new Error('outputs must be a plain object');
   }
 
+  const settings = resolveFormatOptions(options);
   const result = {};
 
   for (const outputDef of manifest.outputs) {
-    const { id, label, format, prefix, suffix } = outputDef;
-    const displayLabel = label || id;
-    const raw = outputs[id];
+    result[outputDef.id] = formatEntry(outputs[outputDef.id], outputDef, settings);
+  }
+
+  return result;
+}
+
+/**
+ * Formats an input value for display using its declared `unit`: currency
+ * inputs in the settings' currency, percent inputs as whole percentages
+ * (inputs hold 7 for 7%, unlike percent outputs), other units appended
+ * ("10 years").
+ *
+ * @param {object} def   - Input declaration from manifest.inputs.
+ * @param {*}      value
+ * @param {{ locale?: string, currency?: string }} [options] - As for formatOutput.
+ * @returns {string}
+ * @throws {TypeError} If options are invalid.
+ */
+function formatInputValue(def, value, options) {
+  if (value === undefined || value === null) return 'N/A';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value !== 'number') return String(value);
 
-    const formatted = applyFormat(raw, format, prefix, suffix);
+  const { locale, currency } = resolveFormatOptions(options);
+  if (def.unit === 'currency') {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+  }
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 6 }).format(value);
+  if (def.unit === 'percent') return `${number}%`;
+  return def.unit ? `${number} ${def.unit}` : number;
+}
 
-    result[id] = {
-      label: displayLabel,
-      value: raw,
-      formatted,
+/**
+ * Formats one value (an output, table cell or field) against its declaration.
+ *
+ * @param {*}      value
+ * @param {object} def
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {{ label: string, value: *, formatted: string, parts: object[], table?: object, fields?: object[] }}
+ */
+function formatEntry(value, def, settings) {
+  const entry = { label: def.label || def.id, value };
+  const isObject = value !== null && typeof value === 'object';
+
+  if (def.columns !== undefined && isObject) {
+    checkNestedDeclaration(def, 'columns');
+    const records = Array.isArray(value) ? value : Object.values(value);
+    entry.table = {
+      columns: def.columns.map((col) => ({ id: col.id, label: col.label || col.id })),
+      rows: records.map((record) =>
+        def.columns.map((col) =>
+          formatEntry(record !== null && typeof record === 'object' ? record[col.id] : undefined, col, settings)
+        )
+      ),
     };
+    entry.formatted = `${records.length} ${records.length === 1 ? 'row' : 'rows'}`;
+  } else if (def.fields !== undefined && isObject && !Array.isArray(value)) {
+    checkNestedDeclaration(def, 'fields');
+    entry.fields = def.fields.map((field) => ({ id: field.id, ...formatEntry(value[field.id], field, settings) }));
+    entry.formatted = entry.fields.map((field) => `${field.label}: ${field.formatted}`).join('; ');
+  } else {
+    entry.parts = formatParts(value, def, settings);
+    entry.formatted = entry.parts.map((part) => part.value).join('');
+    return entry;
   }
 
-  return result;
+  entry.parts = [{ type: 'text', value: entry.formatted }];
+  return entry;
 }
 
 /**
- * Converts a raw output value to a formatted string.
+ * Checks a `columns` or `fields` list: a non-empty array of declarations
+ * that each have an id.
  *
- * @param {*}      value  - The raw value from the model.
- * @param {string} format - Optional format hint.
- * @param {string} prefix - Optional prefix (e.g. "$").
- * @param {string} suffix - Optional suffix (e.g. "%").
- * @returns {string}
+ * @param {object} def
+ * @param {'columns'|'fields'} key
+ * @throws {Error}
+ */
+function checkNestedDeclaration(def, key) {
+  const list = def[key];
+  if (
+    !Array.isArray(list) ||
+    list.length === 0 ||
+    list.some((item) => !item || typeof item !== 'object' || typeof item.id !== 'string' || !item.id)
+  ) {
+    throw new Error(`Output "${def.id}" must declare "${key}" as a non-empty list of { id, ... } entries`);
+  }
+}
+
+/**
+ * Converts a raw output value to display parts.
+ *
+ * @param {*}      value    - The raw value from the model.
+ * @param {object} def      - The output declaration (format, currency, prefix, suffix).
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {Array<{ type: string, value: string }>}
  */
-function applyFormat(value, format, prefix, suffix) {
+function formatParts(value, def, settings) {
   if (value === undefined || value === null) {
-    return 'N/A';
+    return [{ type: 'text', value: 'N/A' }];
   }
 
   // Unwrap Decimal.js instances so standard JS formatting works.
   const numeric =
     value && typeof value.toNumber === 'function' ? value.toNumber() : value;
 
-  let str;
+  const { locale } = settings;
+  const legacyPrefix = typeof def.prefix === 'string' && def.currency === undefined;
+  const currency = def.currency === undefined ? settings.currency : normaliseCurrency(def.currency);
 
-  switch (format) {
+  let parts;
+
+  switch (def.format) {
     case 'currency': {
-      str = formatCurrency(numeric);
+      parts = legacyPrefix
+        ? numberParts(numeric, locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        : numberParts(numeric, locale, { style: 'currency', currency });
       break;
     }
     case 'percent': {
-      str = formatPercent(numeric);
+      parts = numberParts(numeric, locale, {
+        style: 'percent',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      });
       break;
     }
     case 'integer': {
-      str = formatInteger(numeric);
+      parts = numberParts(typeof numeric === 'number' ? Math.round(numeric) : numeric, locale, {
+        maximumFractionDigits: 0,
+      });
+      break;
+    }
+    case 'compact': {
+      parts = numberParts(numeric, locale, {
+        notation: 'compact',
+        maximumFractionDigits: 1,
+        ...(def.currency !== undefined ? { style: 'currency', currency } : {}),
+      });
+      break;
+    }
+    case 'duration_months': {
+      parts = durationParts(numeric, locale);
       break;
     }
-    case 'decimal': {
-      str = formatDecimal(numeric);
+    case 'date': {
+      parts = dateParts(numeric, locale);
       break;
     }
+    case 'decimal':
     default: {
-      // No special format: stringify as-is.
-      str =
-        typeof numeric === 'number'
-          ? formatDecimal(numeric)
-          : String(numeric);
+      // Numbers without a format get decimal formatting; structured values
+      // without columns or fields are listed or shown as JSON; anything else
+      // is stringified as-is.
+      parts = typeof numeric === 'object'
+        ? structuredParts(numeric, settings)
+        : numberParts(numeric, locale, { minimumFractionDigits: 2, maximumFractionDigits: 6 });
       break;
     }
   }
 
-  const pre = typeof prefix === 'string' ? prefix : '';
-  const suf = typeof suffix === 'string' ? suffix : '';
+  if (typeof def.prefix === 'string' && def.prefix) parts.unshift({ type: 'prefix', value: def.prefix });
+  if (typeof def.suffix === 'string' && def.suffix) parts.push({ type: 'suffix', value: def.suffix });
 
-  return `${pre}${str}${suf}`;
+  return parts;
 }
 
-function formatCurrency(value) {
-  if (typeof value !== 'number' || !isFinite(value)) return String(value);
-  return value.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+/**
+ * Fallback for arrays and objects with no `columns` or `fields` declaration:
+ * an array of plain values becomes a comma-separated list, anything else
+ * compact JSON.
+ *
+ * @param {Array|object} value
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function structuredParts(value, settings) {
+  if (Array.isArray(value) && value.length === 0) return [{ type: 'text', value: 'None' }];
+  if (!Array.isArray(value) || value.some((item) => item !== null && typeof item === 'object')) {
+    return [{ type: 'text', value: JSON.stringify(value) }];
+  }
+
+  const parts = [];
+  value.forEach((item, i) => {
+    if (i > 0) parts.push({ type: 'literal', value: ', ' });
+    parts.push(...formatParts(item, {}, settings));
   });
+  return parts;
 }
 
-function formatPercent(value) {
-  if (typeof value !== 'number' || !isFinite(value)) return String(value);
-  return (value * 100).toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  }) + '%';
+/**
+ * Formats a finite number with Intl.NumberFormat; anything else becomes a
+ * single "text" part.
+ *
+ * @param {*}      value
+ * @param {string} locale
+ * @param {object} intlOptions - Intl.NumberFormat options.
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function numberParts(value, locale, intlOptions) {
+  if (typeof value !== 'number' || !isFinite(value)) return [{ type: 'text', value: String(value) }];
+  return new Intl.NumberFormat(locale, intlOptions).formatToParts(value);
 }
 
-function formatInteger(value) {
-  if (typeof value !== 'number' || !isFinite(value)) return String(value);
-  return Math.round(value).toLocaleString('en-US');
-}
+/**
+ * Formats a number of months as years and months ("3 yr 4 mo"), rounding
+ * to the nearest whole month. Zero components are left out, except for a
+ * zero duration ("0 mo").
+ *
+ * @param {*}      value - Months.
+ * @param {string} locale
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function durationParts(value, locale) {
+  if (typeof value !== 'number' || !isFinite(value)) return [{ type: 'text', value: String(value) }];
+
+  const total = Math.round(Math.abs(value));
+  const years = Math.floor(total / 12);
+  const months = total % 12;
+  const integer = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
 
-function formatDecimal(value) {
-  if (typeof value !== 'number' || !isFinite(value)) return String(value);
-  return value.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 6,
+  const parts = [];
+  if (value < 0 && total > 0) parts.push({ type: 'minusSign', value: '-' });
+
+  const pieces = [];
+  if (years > 0) pieces.push([years, 'yr']);
+  if (months > 0 || years === 0) pieces.push([months, 'mo']);
+
+  pieces.forEach(([count, unit], i) => {
+    if (i > 0) parts.push({ type: 'literal', value: ' ' });
+    parts.push(...integer.formatToParts(count));
+    parts.push({ type: 'literal', value: ' ' }, { type: 'unit', value: unit });
   });
+  return parts;
+}
+
+/**
+ * Formats a date (Date, ISO 8601 string or epoch milliseconds) in the
+ * locale's medium style, e.g. "Jan 31, 2025" or "31 Jan 2025". Dates are
+ * shown in UTC so a date-only string never shifts to the previous day.
+ *
+ * @param {*}      value
+ * @param {string} locale
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function dateParts(value, locale) {
+  let date = null;
+  if (value instanceof Date) date = value;
+  else if (typeof value === 'string' || typeof value === 'number') date = new Date(value);
+  if (!date || isNaN(date.getTime())) return [{ type: 'text', value: String(value) }];
+
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).formatToParts(date);
 }
 
-module.exports = { formatOutput };
+module.exports = { formatOutput, formatInputValue, resolveFormatOptions, DEFAULT_LOCALE, DEFAULT_CURRENCY };
@@ -0,0 +1,275 @@
+'use strict';
+
+const { applyInputDefaults } = require('./validator');
+
+/**
+ * Most model runs goalSeek makes unless `maxIterations` says otherwise.
+ */
+const DEFAULT_MAX_ITERATIONS = 100;
+
+/**
+ * How many times the search range is doubled while looking for a value on
+ * the other side of the target.
+ */
+const MAX_EXPANSIONS = 40;
+
+/**
+ * Reads an output by id, or a nested one by dotted path ("avalanche.months").
+ *
+ * @param {object} outputs
+ * @param {string} outputPath
+ * @returns {*}
+ */
+function readOutput(outputs, outputPath) {
+  return outputPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), outputs);
+}
+
+/**
+ * Rounds a candidate onto the input's declared grid: whole numbers for
+ * `integer: true`, multiples of `step` (from `min`, or 0) otherwise.
+ *
+ * @param {object} def
+ * @param {number} x
+ * @param {'floor'|'ceil'} direction
+ * @returns {number}
+ */
+function snap(def, x, direction) {
+  const step = def.integer === true ? Math.max(1, def.step || 1) : def.step;
+  if (!step) return x;
+  const origin = def.min !== undefined ? def.min : 0;
+  return Number((origin + Math[direction]((x - origin) / step) * step).toPrecision(12));
+}
+
+/**
+ * Finds the value of one number input that makes a numeric output reach a
+ * target, e.g. the monthly contribution that grows a balance to $1M.
+ *
+ * The model runs in the sandbox at each trial value. The search starts from
+ * the input's current value (or the middle of its declared `min`/`max`),
+ * widens outwards until the output crosses the target, then narrows the
+ * bracket with the Illinois variant of the secant method, which converges
+ * like the secant method but, like bisection, never leaves the bracket.
+ *
+ * Outputs that move in steps (whole months, values rounded to cents) may
+ * never equal the target exactly. The search then stops where the output
+ * crosses it and returns whichever side is closer, with `converged` false
+ * and the remaining `error`. Inputs declared `integer: true` or with a `step`
+ * are solved on that grid.
+ *
+ * Every run uses the first run's clock and seed.
+ *
+ * @param {object} manifest  - The model manifest (from loadModel).
+ * @param {string} logicCode - Source code of the model logic.
+ * @param {object} inputs    - The other inputs, held fixed.
+ * @param {{
+ *   vary: string,
+ *   target: { output: string, value: number },
+ *   min?: number,
+ *   max?: number,
+ *   tolerance?: number,
+ *   maxIterations?: number,
+ *   packDir?: string,
+ *   isolation?: string,
+ *   asOf?: Date|string|number,
+ *   seed?: number,
+ *   locale?: string,
+ *   currency?: string
+ * }} options
+ *   `vary` is the input to solve for; `target.output` is an output id or a
+ *   dotted path into an object output. `min` and `max` narrow the search
+ *   beyond the input's declared bounds. The search stops once the output is
+ *   within `tolerance` of the target (default: a millionth of the target,
+ *   and at least 1e-6). `packDir`, `isolation`, `asOf`, `seed`, `locale`
+ *   and `currency` are passed to runModelAsync.
+ * @returns {Promise<{
+ *   input: string,
+ *   value: number,
+ *   output: number,
+ *   target: number,
+ *   error: number,
+ *   converged: boolean,
+ *   iterations: number,
+ *   inputs: object,
+ *   outputs: object,
+ *   asOf: string,
+ *   seed: number
+ * }>}
+ *   `value` is the solved input, `output` the output it produces and `error`
+ *   their difference from the target; `inputs` and `outputs` are that run's.
+ *   `iterations` counts model runs.
+ * @throws {Error} If the options are invalid, the starting run fails, the
+ *   output is not a number, or no value within the bounds reaches the target.
+ */
+async function goalSeek(manifest, logicCode, inputs, options) {
+  // Required here rather than at the top: index.js requires this module.
+  const { runModelAsync } = require('./index');
+  const opts = options || {};
+  const { vary, target } = opts;
+
+  const def = (manifest.inputs || []).find((d) => d.id === vary);
+  if (!def) {
+    throw new Error(`Cannot solve for "${vary}": the manifest declares no such input`);
+  }
+  if (def.type !== 'number') {
+    throw new Error(`Cannot solve for "${vary}": only number inputs can be solved for (it is ${def.type})`);
+  }
+  if (!target || typeof target.output !== 'string' || typeof target.value !== 'number' || !Number.isFinite(target.value)) {
+    throw new Error('target must be { output: string, value: finite number }');
+  }
+
+  const lower = Math.max(opts.min ?? -Infinity, def.min ?? -Infinity);
+  const upper = Math.min(opts.max ?? Infinity, def.max ?? Infinity);
+  if (lower > upper) {
+    throw new Error(`No values of "${vary}" lie between ${lower} and ${upper}`);
+  }
+  const clamp = (x) => Math.min(upper, Math.max(lower, x));
+
+  const resolved = applyInputDefaults(manifest, inputs || {});
+  let start = resolved[vary];
+  if (typeof start !== 'number' || !Number.isFinite(start)) {
+    if (Number.isFinite(lower) && Number.isFinite(upper)) start = (lower + upper) / 2;
+    else if (Number.isFinite(lower)) start = lower;
+    else if (Number.isFinite(upper)) start = upper;
+    else start = 0;
+  }
+  const onGrid = def.integer === true || Boolean(def.step);
+  start = clamp(onGrid ? snap(def, start, 'floor') : start);
+
+  const tolerance = opts.tolerance ?? Math.max(1e-6, Math.abs(target.value) * 1e-6);
+  const maxIterations = opts.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  let determinism = { asOf: opts.asOf, seed: opts.seed };
+  let iterations = 0;
+  const cache = new Map();
+
+  // Runs the model at x; returns { x, f, result } where f is the distance
+  // from the target, or null when the model rejects x.
+  const evaluate = async (x) => {
+    if (cache.has(x)) return cache.get(x);
+    if (iterations >= maxIterations) {
+      throw new Error(`goalSeek gave up after ${maxIterations} model runs`);
+    }
+    iterations++;
+
+    let result;
+    try {
+      result = await runModelAsync(manifest, logicCode, { ...resolved, [vary]: x }, {
+        packDir: opts.packDir,
+        isolation: opts.isolation,
+        asOf: determinism.asOf,
+        seed: determinism.seed,
+        locale: opts.locale,
+        currency: opts.currency,
+        format: false,
+      });
+    } catch (err) {
+      if (cache.size === 0) throw err;
+      cache.set(x, null);
+      return null;
+    }
+    determinism = { asOf: result.asOf, seed: result.seed };
+
+    const y = readOutput(result.outputs, target.output);
+    if (typeof y !== 'number' || !Number.isFinite(y)) {
+      throw new Error(`Output "${target.output}" is not a number (got ${JSON.stringify(y)})`);
+    }
+    const point = { x, y, f: y - target.value, result };
+    cache.set(x, point);
+    return point;
+  };
+
+  const done = (point) => ({
+    input: vary,
+    value: point.x,
+    output: point.y,
+    target: target.value,
+    error: point.f,
+    converged: Math.abs(point.f) <= tolerance,
+    iterations,
+    inputs: point.result.inputs,
+    outputs: point.result.outputs,
+    asOf: point.result.asOf,
+    seed: point.result.seed,
+  });
+
+  const origin = await evaluate(start);
+  if (Math.abs(origin.f) <= tolerance) return done(origin);
+
+  // Widen the search in both directions until the output crosses the target.
+  let bracket = null;
+  let closest = origin;
+  let step = Math.max(Math.abs(start), 1);
+  const ends = { down: start, up: start };
+  for (let k = 0; k < MAX_EXPANSIONS && !bracket; k++, step *= 2) {
+    for (const side of ['down', 'up']) {
+      if (bracket || ends[side] === null) continue;
+      let x = side === 'down' ? start - step : start + step;
+      if (onGrid) x = snap(def, x, side === 'down' ? 'floor' : 'ceil');
+      x = clamp(x);
+      if (x === ends[side]) {
+        ends[side] = null; // reached the bound
+        continue;
+      }
+      const point = await evaluate(x);
+      if (!point) {
+        ends[side] = null; // the model rejects values this far out
+        continue;
+      }
+      ends[side] = x;
+      if (Math.abs(point.f) < Math.abs(closest.f)) closest = point;
+      if (Math.abs(point.f) <= tolerance) return done(point);
+      if (Math.sign(point.f) !== Math.sign(origin.f)) {
+        bracket = side === 'down' ? [point, origin] : [origin, point];
+      }
+    }
+    if (ends.down === null && ends.up === null) break;
+  }
+
+  if (!bracket) {
+    throw new Error(
+      `No value of "${vary}" brings "${target.output}" to ${target.value}; ` +
+        `the closest was ${closest.y} at ${vary} = ${closest.x}`
+    );
+  }
+
+  // Illinois method: a secant step inside the bracket, halving the weight of
+  // an end that is kept twice in a row so the bracket keeps shrinking.
+  let [a, b] = bracket;
+  let fa = a.f;
+  let fb = b.f;
+  let kept = null;
+  for (;;) {
+    const width = b.x - a.x;
+    if (width <= 1e-9 * Math.max(1, Math.abs(a.x), Math.abs(b.x))) break;
+
+    let x = b.x - (fb * width) / (fb - fa);
+    if (!(x > a.x && x < b.x)) x = a.x + width / 2;
+    if (onGrid) {
+      x = snap(def, x, 'floor');
+      if (x <= a.x) x = snap(def, a.x, 'floor') + (def.step || 1);
+      if (x >= b.x) break;
+    }
+
+    const point = await evaluate(x);
+    if (!point) {
+      throw new Error(`The model rejected ${vary} = ${x} inside the search range`);
+    }
+    if (Math.abs(point.f) <= tolerance) return done(point);
+
+    if (Math.sign(point.f) === Math.sign(a.f)) {
+      a = point;
+      fa = point.f;
+      if (kept === 'b') fb /= 2;
+      kept = 'b';
+    } else {
+      b = point;
+      fb = point.f;
+      if (kept === 'a') fa /= 2;
+      kept = 'a';
+    }
+  }
+
+  // The output jumps across the target between a and b.
+  return done(Math.abs(a.f) <= Math.abs(b.f) ? a : b);
+}
+
+module.exports = { goalSeek };
@@ -8,15 +8,34 @@
  * part of the stable public interface.
  */
 
-const { loadModel } = require('./loader');
-const { createSandbox } = require('./sandbox');
-const { validateInputs } = require('./validator');
-const { formatOutput } = require('./formatter');
-const { SnapshotStore } = require('./snapshot');
+const { loadModel, readManifest, CURRENT_MANIFEST_VERSION } = require('./loader');
+const { createSandbox, resolveDeterminism, SandboxError } = require('./sandbox');
+const {
+  validateInputs,
+  applyInputDefaults,
+  checkNumberConstraints,
+  validateOutputs,
+  validateExplainBlock,
+} = require('./validator');
+const { formatOutput, formatInputValue } = require('./formatter');
+const { manifestToJsonSchema } = require('./json-schema');
+const { renderReport, REPORT_FORMATS } = require('./report');
+const { parseCsv, formatCsvRow } = require('./csv');
+const { sweep, SWEEP_MODES } = require('./sweep');
+const { goalSeek } = require('./goal-seek');
+const { diffValues } = require('./diff');
+const { SnapshotStore, SNAPSHOT_SOURCES, SERIES_BUCKETS, SERIES_AGGREGATES } = require('./snapshot');
 const { verifyPack, hashFile, hashBuffer } = require('./verifier');
 const { JournalStore, DECISION_CATEGORIES } = require('./journal');
 const { ProfileManager } = require('./profile-manager');
 const { PlaybookRunner, PlaybookExecutionError } = require('./playbook-runner');
+const { ModelCatalog } = require('./model-catalog');
+const { version: RUNTIME_VERSION } = require('../package.json');
+
+/**
+ * Accepted values for runModel's `outputValidation` option.
+ */
+const OUTPUT_VALIDATION_MODES = ['warn', 'strict'];
 
 /**
  * Convenience wrapper that wires together the loader, validator, sandbox, and
@@ -26,26 +45,145 @@ const { PlaybookRunner, PlaybookExecutionError } = require('./playbook-runner');
  * @param {object} manifest              - The model manifest (from loadModel).
  * @param {string} logicCode             - Source code of the model logic.
  * @param {object} inputs                - Raw user-supplied inputs.
- * @param {{ sandbox?: object, format?: boolean }} [options]
- * @returns {{ outputs: object, formatted?: object }}
+ * @param {{
+ *   sandbox?: object,
+ *   format?: boolean,
+ *   packDir?: string,
+ *   isolation?: string,
+ *   asOf?: Date|string|number,
+ *   seed?: number,
+ *   outputValidation?: 'warn'|'strict',
+ *   locale?: string,
+ *   currency?: string
+ * }} [options]
+ *   `packDir` is the model's directory; it lets the sandbox resolve the
+ *   pack-local files listed in `manifest.dependencies`. `isolation` selects
+ *   the sandbox backend ('vm' or 'worker') when no sandbox is supplied.
+ *   `asOf` and `seed` fix the model's clock and Math.random; when omitted
+ *   they default to now and a random seed. Either way the values used are
+ *   returned so the run can be recorded and reproduced exactly.
+ *   `outputValidation` controls what happens when the outputs do not match
+ *   `manifest.outputs`: 'warn' (default) lists the problems in `warnings`,
+ *   'strict' throws.
+ *   `locale` and `currency` are passed to formatOutput and used for currency
+ *   bounds in input validation messages, normally from the active profile.
+ * @returns {{
+ *   inputs: object,
+ *   outputs: object,
+ *   formatted?: object,
+ *   asOf: string|null,
+ *   seed: number|null,
+ *   durationMs: number,
+ *   runtimeVersion: string,
+ *   warnings: string[]
+ * }}
+ *   `inputs` is the resolved input set the model ran with: the caller's
+ *   values plus manifest defaults for omitted optional inputs. Record it,
+ *   not the raw inputs, when saving a snapshot.
+ *   `asOf` and `seed` are null when the caller supplied its own sandbox,
+ *   since runModel cannot know how that sandbox was configured.
+ *   `durationMs` is how long the model itself ran, and `runtimeVersion` the
+ *   version of this package; both are recorded with snapshots.
+ * @throws {Error} With an `errors` array when input validation fails, or
+ *   when output validation fails in strict mode.
  */
 function runModel(manifest, logicCode, inputs, options) {
   const opts = options || {};
+  const { sandbox, determinism, resolvedInputs } = prepareRun(manifest, inputs, opts);
+  const started = Date.now();
+  const outputs = sandbox.execute(logicCode, resolvedInputs);
+  return buildResult(manifest, resolvedInputs, outputs, determinism, Date.now() - started, opts);
+}
 
-  const validation = validateInputs(manifest, inputs);
+/**
+ * Asynchronous variant of runModel for models whose function returns a
+ * Promise. Takes the same options and resolves to the same result shape; the
+ * sandbox timeout applies to the whole promise chain. Synchronous models run
+ * unchanged.
+ *
+ * A caller-supplied sandbox without executeAsync is called through execute.
+ *
+ * @param {object} manifest
+ * @param {string} logicCode
+ * @param {object} inputs
+ * @param {object} [options] - See runModel.
+ * @returns {Promise<object>} Resolves to the same shape runModel returns.
+ */
+async function runModelAsync(manifest, logicCode, inputs, options) {
+  const opts = options || {};
+  const { sandbox, determinism, resolvedInputs } = prepareRun(manifest, inputs, opts);
+  const started = Date.now();
+  const outputs = typeof sandbox.executeAsync === 'function'
+    ? await sandbox.executeAsync(logicCode, resolvedInputs)
+    : sandbox.execute(logicCode, resolvedInputs);
+  return buildResult(manifest, resolvedInputs, outputs, determinism, Date.now() - started, opts);
+}
+
+/**
+ * Applies input defaults, validates the result, and resolves the sandbox
+ * shared by runModel and runModelAsync.
+ *
+ * @returns {{
+ *   sandbox: object,
+ *   determinism: { asOf: string|null, seed: number|null },
+ *   resolvedInputs: object
+ * }}
+ * @throws {Error} With an `errors` array when input validation fails.
+ */
+function prepareRun(manifest, inputs, opts) {
+  if (opts.outputValidation !== undefined && !OUTPUT_VALIDATION_MODES.includes(opts.outputValidation)) {
+    throw new TypeError(
+      `Unknown outputValidation "${opts.outputValidation}". Allowed: ${OUTPUT_VALIDATION_MODES.join(', ')}`
+    );
+  }
+
+  const resolvedInputs = applyInputDefaults(manifest, inputs);
+  const validation = validateInputs(manifest, resolvedInputs, { locale: opts.locale, currency: opts.currency });
   if (!validation.valid) {
     const err = new Error('Input validation failed');
     err.errors = validation.errors;
     throw err;
   }
 
-  const sandbox = opts.sandbox || createSandbox();
-  const outputs = sandbox.execute(logicCode, inputs);
+  if (opts.sandbox) {
+    return { sandbox: opts.sandbox, determinism: { asOf: null, seed: null }, resolvedInputs };
+  }
+
+  const determinism = resolveDeterminism({ asOf: opts.asOf, seed: opts.seed });
+  const sandbox = createSandbox({
+    packDir: opts.packDir,
+    dependencies: manifest.dependencies,
+    isolation: opts.isolation,
+    asOf: determinism.asOf,
+    seed: determinism.seed,
+  });
+  return { sandbox, determinism, resolvedInputs };
+}
+
+/**
+ * Checks the outputs against the manifest and assembles the run result
+ * shared by runModel and runModelAsync.
+ */
+function buildResult(manifest, resolvedInputs, outputs, determinism, durationMs, opts) {
+  const check = validateOutputs(manifest, outputs);
+  if (!check.valid && opts.outputValidation === 'strict') {
+    const err = new Error('Output validation failed');
+    err.errors = check.errors;
+    throw err;
+  }
 
-  const result = { outputs };
+  const result = {
+    inputs: resolvedInputs,
+    outputs,
+    asOf: determinism.asOf,
+    seed: determinism.seed,
+    durationMs,
+    runtimeVersion: RUNTIME_VERSION,
+    warnings: check.errors,
+  };
 
   if (opts.format !== false) {
-    result.formatted = formatOutput(manifest, outputs);
+    result.formatted = formatOutput(manifest, outputs, { locale: opts.locale, currency: opts.currency });
   }
 
   return result;
@@ -53,10 +191,34 @@ function runModel(manifest, logicCode, inputs, options) {
 
 module.exports = {
   loadModel,
+  readManifest,
+  CURRENT_MANIFEST_VERSION,
+  RUNTIME_VERSION,
+  ModelCatalog,
   runModel,
+  runModelAsync,
   createSandbox,
+  SandboxError,
   validateInputs,
+  applyInputDefaults,
+  checkNumberConstraints,
+  validateOutputs,
+  validateExplainBlock,
+  formatOutput,
+  formatInputValue,
+  manifestToJsonSchema,
+  renderReport,
+  REPORT_FORMATS,
+  parseCsv,
+  formatCsvRow,
+  sweep,
+  SWEEP_MODES,
+  goalSeek,
+  diffValues,
   SnapshotStore,
+  SNAPSHOT_SOURCES,
+  SERIES_BUCKETS,
+  SERIES_AGGREGATES,
   verifyPack,
   hashFile,
   hashBuffer,
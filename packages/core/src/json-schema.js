@@ -0,0 +1,186 @@
+'use strict';
+
+const { ISO_DATE_PATTERN, isOptionalInput } = require('./validator');
+
+/**
+ * JSON Schema dialect emitted by manifestToJsonSchema.
+ */
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Returns the annotation keywords shared by inputs and outputs: `label`
+ * becomes `title`, `description` is kept as-is.
+ *
+ * @param {object} def
+ * @returns {object}
+ */
+function annotations(def) {
+  const schema = {};
+  if (def.label) schema.title = def.label;
+  if (def.description) schema.description = def.description;
+  return schema;
+}
+
+/**
+ * Builds an object schema from a list of input declarations: the top-level
+ * manifest inputs or an object input's `properties`. Extra keys stay allowed,
+ * as validateInputs ignores them.
+ *
+ * @param {object[]} defs
+ * @returns {object}
+ */
+function fieldsToSchema(defs) {
+  const properties = {};
+  const required = [];
+
+  for (const def of defs) {
+    properties[def.id] = inputToSchema(def);
+    if (!isOptionalInput(def)) required.push(def.id);
+  }
+
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Translates one input declaration (or nested property / items schema).
+ *
+ * `step` becomes `multipleOf` only when the steps counted from `min` line up
+ * with multiples of `step` counted from zero; otherwise it cannot be
+ * expressed and is left out. `unit` is carried as the `x-unit` annotation.
+ *
+ * @param {object} def
+ * @returns {object}
+ */
+function inputToSchema(def) {
+  let schema;
+
+  switch (def.type) {
+    case 'number': {
+      schema = { type: def.integer === true ? 'integer' : 'number' };
+      if (def.min !== undefined) schema.minimum = def.min;
+      if (def.max !== undefined) schema.maximum = def.max;
+      if (def.step !== undefined) {
+        const offset = def.min !== undefined ? def.min / def.step : 0;
+        if (Math.abs(offset - Math.round(offset)) < 1e-9) schema.multipleOf = def.step;
+      }
+      if (def.unit !== undefined) schema['x-unit'] = def.unit;
+      break;
+    }
+    case 'string':
+    case 'boolean':
+      schema = { type: def.type };
+      break;
+    case 'enum':
+      schema = { enum: Array.isArray(def.values) ? def.values : [] };
+      break;
+    case 'date':
+      schema = { type: 'string', pattern: ISO_DATE_PATTERN.source };
+      break;
+    case 'object':
+      schema = Array.isArray(def.properties) ? fieldsToSchema(def.properties) : { type: 'object' };
+      break;
+    case 'array':
+      schema = { type: 'array' };
+      if (def.items && typeof def.items === 'object') schema.items = inputToSchema(def.items);
+      if (def.minItems !== undefined) schema.minItems = def.minItems;
+      if (def.maxItems !== undefined) schema.maxItems = def.maxItems;
+      break;
+    default:
+      // Unknown types are reported by validateInputs; describe them as "anything".
+      schema = {};
+  }
+
+  const annotated = { ...annotations(def), ...schema };
+  if (def.default !== undefined) annotated.default = def.default;
+  return annotated;
+}
+
+/**
+ * Translates one output declaration. Outputs without a `type` accept any
+ * value, mirroring validateOutputs.
+ *
+ * The display declarations read by formatOutput describe the nested shape
+ * too: `columns` become the properties of each record (the array's `items`,
+ * or an object's `additionalProperties`), `fields` the object's properties.
+ * They are not marked required, as formatOutput shows missing ones as N/A.
+ *
+ * @param {object} def
+ * @returns {object}
+ */
+function outputToSchema(def) {
+  const schema = annotations(def);
+  if (def.type !== undefined) schema.type = def.type;
+  if (Array.isArray(def.range) && def.range.length === 2) {
+    // Open-ended ranges (from manifest_version 1 min/max) use ±Infinity.
+    if (isFinite(def.range[0])) schema.minimum = def.range[0];
+    if (isFinite(def.range[1])) schema.maximum = def.range[1];
+  }
+  if (Array.isArray(def.enum)) schema.enum = def.enum;
+  if (Array.isArray(def.columns)) {
+    const record = { type: 'object', properties: nestedProperties(def.columns) };
+    if (def.type === 'object') schema.additionalProperties = record;
+    else schema.items = record;
+  }
+  if (Array.isArray(def.fields)) schema.properties = nestedProperties(def.fields);
+  return schema;
+}
+
+/**
+ * @param {object[]} defs - An output's `columns` or `fields`.
+ * @returns {object} Property schemas keyed by id.
+ */
+function nestedProperties(defs) {
+  const properties = {};
+  for (const def of defs) {
+    properties[def.id] = outputToSchema(def);
+  }
+  return properties;
+}
+
+/**
+ * Converts a model manifest into JSON Schema (draft 2020-12) documents, one
+ * for the inputs object a caller supplies and one for the outputs object the
+ * model returns.
+ *
+ * The schemas follow the same rules as validateInputs and validateOutputs,
+ * except for the checks JSON Schema cannot express: impossible calendar days
+ * such as "2025-02-30" pass the date pattern, and steps offset from zero
+ * are dropped (see inputToSchema).
+ *
+ * @param {object} manifest - The parsed manifest object from loadModel.
+ * @returns {{ inputs: object, outputs: object }}
+ */
+function manifestToJsonSchema(manifest) {
+  if (!manifest || !Array.isArray(manifest.inputs)) {
+    throw new Error('Manifest does not contain a valid "inputs" array');
+  }
+  if (!Array.isArray(manifest.outputs)) {
+    throw new Error('Manifest does not contain a valid "outputs" array');
+  }
+
+  const name = manifest.name || manifest.id;
+
+  const inputs = {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: `${name} inputs`,
+    ...fieldsToSchema(manifest.inputs),
+  };
+
+  const outputProperties = {};
+  for (const def of manifest.outputs) {
+    outputProperties[def.id] = outputToSchema(def);
+  }
+  const outputs = {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: `${name} outputs`,
+    type: 'object',
+    properties: outputProperties,
+    required: manifest.outputs.map((def) => def.id),
+  };
+
+  return { inputs, outputs };
+}
+
+module.exports = { manifestToJsonSchema };
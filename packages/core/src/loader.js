@@ -10,18 +10,100 @@ const yaml = require('js-yaml');
 const REQUIRED_MANIFEST_FIELDS = ['id', 'name', 'version', 'inputs', 'outputs'];
 
 /**
- * Reads and validates a manifest.yaml from the given model directory,
- * then requires the accompanying logic.js file.
+ * The manifest format this runtime reads. Manifests declaring an older
+ * `manifest_version` (or none, which means 1) are upgraded at load time.
+ */
+const CURRENT_MANIFEST_VERSION = 2;
+
+/**
+ * Upgrades a version 1 manifest to version 2:
+ *  - `region` becomes a list of region codes, matching the registry schema
+ *    (a single string is deprecated).
+ *  - Output `min` / `max` become `range: [min, max]`, which validateOutputs
+ *    enforces; the old keys were silently ignored.
+ *
+ * @param {object}   manifest - Mutated in place.
+ * @param {Function} warn     - Records a deprecation warning.
+ */
+function upgradeV1(manifest, warn) {
+  if (typeof manifest.region === 'string') {
+    warn(`"region" as a single string is deprecated; declare a list, e.g. region: [${manifest.region}]`);
+    manifest.region = [manifest.region];
+  }
+
+  if (Array.isArray(manifest.outputs)) {
+    for (const output of manifest.outputs) {
+      if (!output || (output.min === undefined && output.max === undefined)) continue;
+      warn(`Output "${output.id}" declares min/max, which is deprecated; use range: [min, max]`);
+      if (output.range === undefined) {
+        output.range = [
+          output.min !== undefined ? output.min : -Infinity,
+          output.max !== undefined ? output.max : Infinity,
+        ];
+      }
+      delete output.min;
+      delete output.max;
+    }
+  }
+}
+
+/**
+ * Upgrade functions keyed by the version they upgrade from. Each one moves a
+ * manifest exactly one version forward; upgradeManifest chains them.
+ */
+const MANIFEST_UPGRADES = {
+  1: upgradeV1,
+};
+
+/**
+ * Normalises a parsed manifest to CURRENT_MANIFEST_VERSION by running each
+ * upgrade step from its declared `manifest_version` onwards.
+ *
+ * @param {object} manifest - Parsed manifest; mutated in place.
+ * @returns {string[]} Deprecation warnings collected along the way.
+ * @throws {Error} If manifest_version is invalid or newer than this runtime.
+ */
+function upgradeManifest(manifest) {
+  const warnings = [];
+  const declared = manifest.manifest_version;
+
+  if (declared === undefined) {
+    warnings.push(
+      `manifest.yaml does not declare manifest_version; assuming 1. Add manifest_version: ${CURRENT_MANIFEST_VERSION}`
+    );
+  } else if (!Number.isInteger(declared) || declared < 1) {
+    throw new Error('manifest.yaml "manifest_version" must be a positive integer');
+  } else if (declared > CURRENT_MANIFEST_VERSION) {
+    throw new Error(
+      `manifest.yaml declares manifest_version ${declared}, but this runtime supports up to ${CURRENT_MANIFEST_VERSION}`
+    );
+  }
+
+  const warn = (message) => warnings.push(`manifest.yaml: ${message}`);
+  for (let version = declared || 1; version < CURRENT_MANIFEST_VERSION; version++) {
+    MANIFEST_UPGRADES[version](manifest, warn);
+  }
+  manifest.manifest_version = CURRENT_MANIFEST_VERSION;
+
+  return warnings;
+}
+
+/**
+ * Reads, upgrades and validates the manifest.yaml in a model directory
+ * without loading its logic. Used by loadModel and by ModelCatalog, which
+ * indexes packs without executing anything.
+ *
+ * Manifests written for an older `manifest_version` are upgraded to the
+ * current format first; the returned manifest is always current, and any
+ * deprecations found on the way are listed in `warnings`.
  *
  * @param {string} modelDir - Absolute or relative path to the model directory.
- * @returns {{ manifest: object, execute: Function }}
- * @throws {Error} If the directory is unreadable, the manifest is malformed,
- *                 required fields are missing, or logic.js cannot be loaded.
+ * @returns {{ manifest: object, warnings: string[] }}
+ * @throws {Error} If the manifest is missing, malformed, or lacks required fields.
  */
-function loadModel(modelDir) {
+function readManifest(modelDir) {
   const resolvedDir = path.resolve(modelDir);
 
-  // --- Load manifest ---
   const manifestPath = path.join(resolvedDir, 'manifest.yaml');
 
   if (!fs.existsSync(manifestPath)) {
@@ -40,6 +122,9 @@ function loadModel(modelDir) {
     throw new Error('manifest.yaml must be a non-empty YAML object');
   }
 
+  // --- Upgrade to the current format ---
+  const warnings = upgradeManifest(manifest);
+
   // --- Validate required fields ---
   const missing = REQUIRED_MANIFEST_FIELDS.filter(
     (field) => manifest[field] === undefined || manifest[field] === null
@@ -59,6 +144,31 @@ function loadModel(modelDir) {
     throw new Error('manifest.yaml "outputs" must be an array');
   }
 
+  if (
+    manifest.dependencies !== undefined &&
+    (!Array.isArray(manifest.dependencies) ||
+      manifest.dependencies.some((d) => typeof d !== 'string' || !d))
+  ) {
+    throw new Error('manifest.yaml "dependencies" must be an array of module specifiers');
+  }
+
+  return { manifest, warnings };
+}
+
+/**
+ * Reads and validates a manifest.yaml from the given model directory,
+ * then requires the accompanying logic.js file.
+ *
+ * @param {string} modelDir - Absolute or relative path to the model directory.
+ * @returns {{ manifest: object, execute: Function, warnings: string[] }}
+ *   See readManifest for `warnings`.
+ * @throws {Error} If the directory is unreadable, the manifest is malformed,
+ *                 required fields are missing, or logic.js cannot be loaded.
+ */
+function loadModel(modelDir) {
+  const resolvedDir = path.resolve(modelDir);
+  const { manifest, warnings } = readManifest(resolvedDir);
+
   // --- Load logic ---
   const logicPath = path.join(resolvedDir, 'logic.js');
 
@@ -79,7 +189,7 @@ function loadModel(modelDir) {
     );
   }
 
-  return { manifest, execute };
+  return { manifest, execute, warnings };
 }
 
-module.exports = { loadModel };
+module.exports = { loadModel, readManifest, CURRENT_MANIFEST_VERSION };
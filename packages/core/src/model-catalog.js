@@ -0,0 +1,426 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readManifest } = require('./loader');
+const { hashFile } = require('./verifier');
+
+/**
+ * Packs bundled with FinLogicOS (packages/models in the monorepo).
+ */
+const BUNDLED_MODELS_DIR = path.resolve(__dirname, '../../models');
+
+/**
+ * Splits a pack reference, "id" or "id@version".
+ *
+ * @param {string} ref
+ * @returns {{ id: string, version: string|null }}
+ */
+function parseRef(ref) {
+  if (typeof ref !== 'string' || !ref) {
+    throw new TypeError('Model reference must be a non-empty string');
+  }
+  const at = ref.lastIndexOf('@');
+  if (at <= 0) return { id: ref, version: null };
+  return { id: ref.slice(0, at), version: ref.slice(at + 1) };
+}
+
+/**
+ * Orders dotted version strings numerically ("1.10.0" after "1.9.0"). A
+ * pre-release ("2.0.0-beta") sorts before its release; parts that are not
+ * numbers compare as text.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive.
+ */
+function compareVersions(a, b) {
+  const [coreA, preA = null] = a.split(/-(.*)/s);
+  const [coreB, preB = null] = b.split(/-(.*)/s);
+  const partsA = coreA.split('.');
+  const partsB = coreB.split('.');
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const x = partsA[i] ?? '0';
+    const y = partsB[i] ?? '0';
+    const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (diff !== 0) return diff;
+  }
+
+  if (preA === preB) return 0;
+  if (preA === null) return 1;
+  if (preB === null) return -1;
+  return preA.localeCompare(preB);
+}
+
+/**
+ * Whether a pack version should replace the current default for its id:
+ * releases win over pre-releases, then the newer version wins.
+ *
+ * @param {object} entry
+ * @param {object} current
+ * @returns {boolean}
+ */
+function isNewerDefault(entry, current) {
+  const entryPre = entry.version.includes('-');
+  const currentPre = current.version.includes('-');
+  if (entryPre !== currentPre) return currentPre;
+  return compareVersions(entry.version, current.version) > 0;
+}
+
+/**
+ * Names of the sub-directories of dir, sorted.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listDirs(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Normalises an optional string-or-list manifest field (`region`, `tags`)
+ * to a list of strings.
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Index of the model packs found under one or more root directories. Each
+ * root holds one sub-directory per pack, which is either the pack itself or
+ * holds one sub-directory per installed version (see _scan). Roots are listed
+ * highest priority first: when two roots contain a pack with the same
+ * manifest id, the earlier root wins and the later pack is reported by
+ * collisions(). A specific version can still be pinned with `id@version`.
+ *
+ * Manifests are read (and upgraded, see readManifest) when the catalog is
+ * first queried; logic.js is only read, as text, by load(). Call refresh()
+ * after packs are installed or removed.
+ */
+class ModelCatalog {
+  /**
+   * @param {object} options
+   * @param {Array<string|{ dir: string, source?: string }>} options.roots
+   *   Root directories, highest priority first. `source` labels where a pack
+   *   came from ("bundled", "user", "profile", ...); it defaults to "custom".
+   *   Roots that do not exist are skipped.
+   */
+  constructor({ roots } = {}) {
+    if (!Array.isArray(roots) || roots.length === 0) {
+      throw new TypeError('ModelCatalog requires a non-empty roots array');
+    }
+
+    this.roots = roots.map((root) => {
+      const spec = typeof root === 'string' ? { dir: root } : root;
+      if (!spec || typeof spec.dir !== 'string' || !spec.dir) {
+        throw new TypeError('Each ModelCatalog root must be a directory path or { dir, source }');
+      }
+      return { dir: path.resolve(spec.dir), source: spec.source || 'custom' };
+    });
+
+    this._index = null;
+  }
+
+  /**
+   * The standard roots, highest priority first: packs installed for the
+   * active profile, packs installed for every profile, then the bundled packs.
+   *
+   * @param {object} [options]
+   * @param {string} [options.profilePacksDir] - See ProfileManager#getPacksDir.
+   *                                             Omitted when not given.
+   * @param {string} [options.userPacksDir]    - Defaults to ~/.finlogicos/packs.
+   * @param {string} [options.bundledDir]      - Defaults to packages/models.
+   * @returns {Array<{ dir: string, source: string }>}
+   */
+  static defaultRoots({ profilePacksDir, userPacksDir, bundledDir } = {}) {
+    const roots = [];
+    if (profilePacksDir) roots.push({ dir: profilePacksDir, source: 'profile' });
+    roots.push({
+      dir: userPacksDir || path.join(os.homedir(), '.finlogicos', 'packs'),
+      source: 'user',
+    });
+    roots.push({ dir: bundledDir || BUNDLED_MODELS_DIR, source: 'bundled' });
+    return roots;
+  }
+
+  /**
+   * Discards the index so the next query rescans every root.
+   *
+   * @returns {ModelCatalog} this
+   */
+  refresh() {
+    this._index = null;
+    return this;
+  }
+
+  /**
+   * Reads one pack directory into a catalog entry, or records why it could
+   * not be read. `versionDir` is the directory name in the versioned layout,
+   * which must match the manifest's version.
+   *
+   * @param {string}      dir
+   * @param {object}      root
+   * @param {string|null} versionDir
+   * @param {object[]}    invalid - Collector for unreadable packs.
+   * @returns {object|null}
+   */
+  static _readEntry(dir, root, versionDir, invalid) {
+    let manifest, warnings;
+    try {
+      ({ manifest, warnings } = readManifest(dir));
+    } catch (err) {
+      invalid.push({ dir, source: root.source, error: err.message });
+      return null;
+    }
+
+    const version = String(manifest.version);
+    if (versionDir !== null && versionDir !== version) {
+      invalid.push({
+        dir,
+        source: root.source,
+        error: `version directory "${versionDir}" does not match manifest version "${version}"`,
+      });
+      return null;
+    }
+
+    return {
+      id: String(manifest.id),
+      name: manifest.name,
+      version,
+      category: manifest.category || null,
+      description: manifest.description || null,
+      region: toList(manifest.region),
+      tags: toList(manifest.tags),
+      dir,
+      source: root.source,
+      manifest,
+      warnings,
+    };
+  }
+
+  /**
+   * Scans the roots and builds the index on first use. A pack directory is
+   * either a pack itself (`<root>/<pack>/manifest.yaml`, as bundled) or holds
+   * one sub-directory per installed version (`<root>/<pack>/<version>/`).
+   *
+   * The default entry for an id is the newest release in the highest-priority
+   * root that has the id; pre-releases are only the default when that root
+   * has no release. Copies of the id in lower-priority roots, and
+   * repeats of an id and version already seen, are recorded as shadowed;
+   * shadowed versions that no higher root provides stay reachable by pinning.
+   *
+   * @returns {{
+   *   all: object[],
+   *   entries: object[],
+   *   byId: Map<string, object>,
+   *   shadowed: object[],
+   *   invalid: object[]
+   * }}
+   *   `all` holds every readable pack in priority order, `entries` the first
+   *   copy of each id and version.
+   */
+  _scan() {
+    if (this._index) return this._index;
+
+    const all = [];
+    const entries = [];
+    const byId = new Map();
+    const shadowed = [];
+    const invalid = [];
+    const firstRoot = new Map();
+    const seen = new Set();
+
+    this.roots.forEach((root, rootIndex) => {
+      if (!fs.existsSync(root.dir)) return;
+
+      for (const name of listDirs(root.dir)) {
+        const packDir = path.join(root.dir, name);
+        const found = fs.existsSync(path.join(packDir, 'manifest.yaml'))
+          ? [ModelCatalog._readEntry(packDir, root, null, invalid)]
+          : listDirs(packDir)
+            .filter((version) => fs.existsSync(path.join(packDir, version, 'manifest.yaml')))
+            .map((version) => ModelCatalog._readEntry(path.join(packDir, version), root, version, invalid));
+
+        for (const entry of found) {
+          if (!entry) continue;
+          all.push(entry);
+
+          const key = `${entry.id}@${entry.version}`;
+          if (!firstRoot.has(entry.id)) firstRoot.set(entry.id, rootIndex);
+          if (firstRoot.get(entry.id) !== rootIndex || seen.has(key)) shadowed.push(entry);
+          if (seen.has(key)) continue;
+
+          seen.add(key);
+          entries.push(entry);
+
+          const current = byId.get(entry.id);
+          if (firstRoot.get(entry.id) === rootIndex && (!current || isNewerDefault(entry, current))) {
+            byId.set(entry.id, entry);
+          }
+        }
+      }
+    });
+
+    this._index = { all, entries, byId, shadowed, invalid };
+    return this._index;
+  }
+
+  /**
+   * Lists the packs that won their id, sorted by id, optionally filtered.
+   * Filters are matched case-insensitively; `region` and `tag` match any
+   * entry of the manifest's list.
+   *
+   * @param {{ category?: string, region?: string, tag?: string }} [filter]
+   * @returns {object[]} Catalog entries: { id, name, version, category,
+   *   description, region, tags, dir, source, manifest, warnings }.
+   */
+  list({ category, region, tag } = {}) {
+    const matches = (wanted, values) =>
+      wanted === undefined || values.some((v) => v.toLowerCase() === String(wanted).toLowerCase());
+
+    return [...this._scan().byId.values()]
+      .filter((entry) => matches(category, entry.category ? [entry.category] : []))
+      .filter((entry) => matches(region, entry.region))
+      .filter((entry) => matches(tag, entry.tags))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Returns the pack a reference names, or null. A reference is an id, which
+   * names its default entry, or `id@version`, which pins a version (the copy
+   * in the highest-priority root that has it).
+   *
+   * @param {string} ref
+   * @returns {object|null}
+   */
+  get(ref) {
+    const { id, version } = parseRef(ref);
+    const index = this._scan();
+    if (version === null) return index.byId.get(id) || null;
+    return index.entries.find((entry) => entry.id === id && entry.version === version) || null;
+  }
+
+  /**
+   * Every version available for an id, newest first.
+   *
+   * @param {string} id
+   * @returns {string[]}
+   */
+  versions(id) {
+    return this._scan()
+      .entries.filter((entry) => entry.id === id)
+      .map((entry) => entry.version)
+      .sort((a, b) => compareVersions(b, a));
+  }
+
+  /**
+   * Like get(), but throws when no root contains the pack or version.
+   *
+   * @param {string} ref - `id` or `id@version`.
+   * @returns {object}
+   * @throws {Error} If the id or version is unknown.
+   */
+  resolve(ref) {
+    const entry = this.get(ref);
+    if (entry) return entry;
+
+    const { id, version } = parseRef(ref);
+    const available = this.versions(id);
+    if (version !== null && available.length > 0) {
+      throw new Error(`Model ${id} has no version ${version} (installed: ${available.join(', ')})`);
+    }
+    throw new Error(
+      `Model not found: ${id} (searched ${this.roots.map((root) => root.dir).join(', ')})`
+    );
+  }
+
+  /**
+   * Resolves the pack a stored snapshot was produced by, so it can be re-run
+   * on the same logic. Snapshots that recorded a model version load that
+   * version; when several installed copies share it, the one whose logic.js
+   * matches the recorded hash is preferred. Older snapshots without a version
+   * get the default entry.
+   *
+   * @param {{ model_id: string, model_version?: string|null, logic_sha256?: string|null }} snapshot
+   * @returns {object} Catalog entry.
+   * @throws {Error} If the recorded version is not installed.
+   */
+  resolveSnapshot(snapshot) {
+    if (!snapshot.model_version) return this.resolve(snapshot.model_id);
+
+    const candidates = this._scan().all.filter(
+      (entry) => entry.id === snapshot.model_id && entry.version === snapshot.model_version
+    );
+    if (snapshot.logic_sha256) {
+      const exact = candidates.find(
+        (entry) => hashFile(path.join(entry.dir, 'logic.js')) === snapshot.logic_sha256
+      );
+      if (exact) return exact;
+    }
+    return candidates[0] || this.resolve(`${snapshot.model_id}@${snapshot.model_version}`);
+  }
+
+  /**
+   * Resolves a reference and reads the pack's manifest and logic source.
+   *
+   * logic.js is read as text for the sandbox, never required into this
+   * process: a pack's code and its declared dependencies only ever load
+   * inside the sandbox.
+   *
+   * @param {string} ref - `id` or `id@version`.
+   * @returns {{ manifest: object, logicCode: string, warnings: string[], entry: object }}
+   * @throws {Error} If the reference does not resolve or logic.js is missing.
+   */
+  load(ref) {
+    const entry = this.resolve(ref);
+    const logicPath = path.join(entry.dir, 'logic.js');
+    if (!fs.existsSync(logicPath)) {
+      throw new Error(`logic.js not found at: ${logicPath}`);
+    }
+    return {
+      manifest: entry.manifest,
+      logicCode: fs.readFileSync(logicPath, 'utf8'),
+      warnings: entry.warnings,
+      entry,
+    };
+  }
+
+  /**
+   * Ids provided by more than one root (or repeated within one), with the
+   * default entry and the lower-priority copies recorded as shadowed.
+   *
+   * @returns {Array<{ id: string, winner: object, shadowed: object[] }>}
+   */
+  collisions() {
+    const { byId, shadowed } = this._scan();
+    const grouped = new Map();
+    for (const entry of shadowed) {
+      if (!grouped.has(entry.id)) {
+        grouped.set(entry.id, { id: entry.id, winner: byId.get(entry.id), shadowed: [] });
+      }
+      grouped.get(entry.id).shadowed.push(entry);
+    }
+    return [...grouped.values()];
+  }
+
+  /**
+   * Pack directories whose manifest could not be read.
+   *
+   * @returns {Array<{ dir: string, source: string, error: string }>}
+   */
+  invalid() {
+    return this._scan().invalid;
+  }
+}
+
+module.exports = { ModelCatalog, BUNDLED_MODELS_DIR };
@@ -3,9 +3,9 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const { loadModel } = require('./loader');
+const { ModelCatalog } = require('./model-catalog');
 const { createSandbox } = require('./sandbox');
-const { validateInputs } = require('./validator');
+const { validateInputs, applyInputDefaults } = require('./validator');
 
 /**
  * Thrown when a playbook model step fails and its on_error policy is 'abort'.
@@ -381,20 +381,27 @@ function resolveInputMap(inputMap, intakeInputs) {
 class PlaybookRunner {
   /**
    * @param {object} options
-   * @param {string} options.modelsDir    - Absolute path to the root directory
-   *                                        containing model pack sub-directories.
+   * @param {ModelCatalog} [options.catalog] - Catalog that step model ids are
+   *                                        resolved through.
+   * @param {string} [options.modelsDir]  - Absolute path to a single directory
+   *                                        of model packs; shorthand for a
+   *                                        catalog with that one root. One of
+   *                                        catalog or modelsDir is required.
    * @param {string} options.playbooksDir - Absolute path to the directory
    *                                        containing playbook YAML files.
+   * @param {string} [options.isolation]  - Sandbox backend for model steps:
+   *                                        'vm' (default) or 'worker'.
    */
-  constructor({ modelsDir, playbooksDir }) {
-    if (!modelsDir || typeof modelsDir !== 'string') {
-      throw new TypeError('PlaybookRunner requires a non-empty modelsDir string');
+  constructor({ catalog, modelsDir, playbooksDir, isolation }) {
+    if (!catalog && (!modelsDir || typeof modelsDir !== 'string')) {
+      throw new TypeError('PlaybookRunner requires a catalog or a non-empty modelsDir string');
     }
     if (!playbooksDir || typeof playbooksDir !== 'string') {
       throw new TypeError('PlaybookRunner requires a non-empty playbooksDir string');
     }
-    this.modelsDir = path.resolve(modelsDir);
+    this.catalog = catalog || new ModelCatalog({ roots: [modelsDir] });
     this.playbooksDir = path.resolve(playbooksDir);
+    this.isolation = isolation || 'vm';
   }
 
   /**
@@ -453,7 +460,6 @@ class PlaybookRunner {
       }
     }
 
-    const sandbox = createSandbox();
     const sections = [];
 
     // --- Execute each model step in order ---
@@ -535,26 +541,30 @@ class PlaybookRunner {
       let modelManifest = null;
       let outputs = null;
       let stepError = null;
+      let stepInputs = resolvedInputs;
 
       try {
-        const modelDir = path.join(this.modelsDir, step.model_id);
-        const { manifest, execute } = loadModel(modelDir);
+        const { manifest, logicCode, entry } = this.catalog.load(step.model_id);
+        const modelDir = entry.dir;
         modelManifest = manifest;
 
-        // Validate resolved inputs against the model's declared schema
-        const validation = validateInputs(manifest, resolvedInputs);
+        // Fill manifest defaults, then validate against the declared schema
+        stepInputs = applyInputDefaults(manifest, resolvedInputs);
+        const validation = validateInputs(manifest, stepInputs);
         if (!validation.valid) {
           throw new Error(
             `Input validation failed: ${validation.errors.join('; ')}`
           );
         }
 
-        const logicCode = fs.readFileSync(
-          path.join(path.resolve(modelDir), 'logic.js'),
-          'utf8'
-        );
-
-        outputs = sandbox.execute(logicCode, resolvedInputs);
+        // Each pack gets its own sandbox so its declared dependencies resolve
+        // against its own directory.
+        const sandbox = createSandbox({
+          packDir: modelDir,
+          dependencies: manifest.dependencies,
+          isolation: this.isolation,
+        });
+        outputs = sandbox.execute(logicCode, stepInputs);
       } catch (execErr) {
         stepError = execErr.message;
 
@@ -575,7 +585,7 @@ class PlaybookRunner {
         model_run_id: modelRunId,
         model_id: step.model_id,
         model_version: modelManifest ? modelManifest.version : null,
-        inputs: resolvedInputs,
+        inputs: stepInputs,
         outputs: stepError ? null : outputs,
         error: stepError || null,
         skipped: false,
@@ -3,13 +3,31 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { resolveFormatOptions } = require('./formatter');
 
 const PROFILES_FILE = 'profiles.json';
 const PROFILES_DIR = 'profiles';
 const LEGACY_DB_FILE = 'snapshots.db';
+const PACKS_DIR = 'packs';
 const DEFAULT_PROFILE_ID = 'default';
 const DEFAULT_PROFILE_NAME = 'Default';
 
+/**
+ * Validates a profile's formatting settings. Unset values stay null so the
+ * formatter defaults apply; set values are normalised ("gbp" -> "GBP").
+ *
+ * @param {{ locale?: string|null, currency?: string|null }} settings
+ * @returns {{ locale: string|null, currency: string|null }}
+ * @throws {TypeError} If the locale or currency is invalid.
+ */
+function normaliseFormatting({ locale, currency }) {
+  const resolved = resolveFormatOptions({ locale, currency });
+  return {
+    locale: locale == null ? null : resolved.locale,
+    currency: currency == null ? null : resolved.currency,
+  };
+}
+
 /**
  * Converts a display name to a kebab-case identifier.
  * Lowercases, replaces spaces and non-alphanumeric characters with hyphens,
@@ -56,13 +74,22 @@ function generateUniqueId(displayName, existingIds) {
  *         "id": "default",
  *         "display_name": "Default",
  *         "created_at": "<ISO 8601>",
- *         "color": null
+ *         "color": null,
+ *         "locale": null,
+ *         "currency": null
  *       }
  *     ]
  *   }
  *
+ * `locale` (BCP 47) and `currency` (ISO 4217) choose how model outputs are
+ * formatted for the profile; null means the formatter defaults, en-US and
+ * USD. Profiles written before these fields existed read as null.
+ *
  * Each profile's database is stored at:
  *   <finlogicosDir>/profiles/<id>/snapshots.db
+ *
+ * Model packs installed for a single profile live at:
+ *   <finlogicosDir>/profiles/<id>/packs/
  */
 class ProfileManager {
   /**
@@ -121,6 +148,8 @@ class ProfileManager {
           display_name: DEFAULT_PROFILE_NAME,
           created_at: new Date().toISOString(),
           color: null,
+          locale: null,
+          currency: null,
         },
       ],
     };
@@ -155,6 +184,8 @@ class ProfileManager {
           display_name: DEFAULT_PROFILE_NAME,
           created_at: new Date().toISOString(),
           color: null,
+          locale: null,
+          currency: null,
         },
       ],
     };
@@ -168,7 +199,15 @@ class ProfileManager {
   /**
    * Returns the currently active profile, augmented with its db_path.
    *
-   * @returns {{ id: string, display_name: string, created_at: string, color: string|null, db_path: string }}
+   * @returns {{
+   *   id: string,
+   *   display_name: string,
+   *   created_at: string,
+   *   color: string|null,
+   *   locale: string|null,
+   *   currency: string|null,
+   *   db_path: string
+   * }}
    */
   getActiveProfile() {
     const store = this._readStore();
@@ -182,7 +221,15 @@ class ProfileManager {
   /**
    * Returns all profiles, each augmented with its db_path.
    *
-   * @returns {Array<{ id: string, display_name: string, created_at: string, color: string|null, db_path: string }>}
+   * @returns {Array<{
+   *   id: string,
+   *   display_name: string,
+   *   created_at: string,
+   *   color: string|null,
+   *   locale: string|null,
+   *   currency: string|null,
+   *   db_path: string
+   * }>}
    */
   listProfiles() {
     const store = this._readStore();
@@ -193,8 +240,16 @@ class ProfileManager {
    * Creates a new profile and its database directory.
    *
    * @param {string} displayName
-   * @param {{ color?: string }} [options]
-   * @returns {{ id: string, display_name: string, created_at: string, color: string|null, db_path: string }}
+   * @param {{ color?: string, locale?: string, currency?: string }} [options]
+   * @returns {{
+   *   id: string,
+   *   display_name: string,
+   *   created_at: string,
+   *   color: string|null,
+   *   locale: string|null,
+   *   currency: string|null,
+   *   db_path: string
+   * }}
    */
   createProfile(displayName, options) {
     if (!displayName || typeof displayName !== 'string' || !displayName.trim()) {
@@ -202,6 +257,7 @@ class ProfileManager {
     }
 
     const opts = options || {};
+    const formatting = normaliseFormatting(opts);
     const store = this._readStore();
     const existingIds = store.profiles.map((p) => p.id);
     const id = generateUniqueId(displayName, existingIds);
@@ -214,6 +270,7 @@ class ProfileManager {
       display_name: displayName.trim(),
       created_at: new Date().toISOString(),
       color: opts.color || null,
+      ...formatting,
     };
 
     store.profiles.push(newProfile);
@@ -247,6 +304,17 @@ class ProfileManager {
     return path.join(this._dir, PROFILES_DIR, profileId, LEGACY_DB_FILE);
   }
 
+  /**
+   * Returns the absolute path to the directory of model packs installed for
+   * a given profile only. The directory may not exist yet.
+   *
+   * @param {string} profileId
+   * @returns {string}
+   */
+  getPacksDir(profileId) {
+    return path.join(this._dir, PROFILES_DIR, profileId, PACKS_DIR);
+  }
+
   /**
    * Deletes a profile and its database directory. The last remaining profile
    * cannot be deleted.
@@ -302,15 +370,40 @@ class ProfileManager {
     this._writeStore(store);
   }
 
+  /**
+   * Changes how model outputs are formatted for a profile. Omitted settings
+   * are left as they are; null resets a setting to the formatter default.
+   *
+   * @param {string} profileId
+   * @param {{ locale?: string|null, currency?: string|null }} settings
+   * @returns {object} The updated profile, with db_path.
+   * @throws {TypeError} If the locale or currency is invalid.
+   */
+  updateProfileSettings(profileId, settings) {
+    const updates = settings || {};
+    const store = this._readStore();
+    const profile = store.profiles.find((p) => p.id === profileId);
+    if (!profile) {
+      throw new Error(`Profile "${profileId}" does not exist`);
+    }
+
+    const formatting = normaliseFormatting(updates);
+    for (const key of ['locale', 'currency']) {
+      if (updates[key] !== undefined) profile[key] = formatting[key];
+    }
+    this._writeStore(store);
+    return this._attachDbPath(profile);
+  }
+
   /**
    * Attaches the computed db_path to a raw profile object (does not mutate
-   * the original).
+   * the original), filling in null for settings older profiles lack.
    *
    * @param {object} profile
    * @returns {object}
    */
   _attachDbPath(profile) {
-    return Object.assign({}, profile, { db_path: this.getDbPath(profile.id) });
+    return Object.assign({ locale: null, currency: null }, profile, { db_path: this.getDbPath(profile.id) });
   }
 }
 
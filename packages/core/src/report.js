@@ -0,0 +1,414 @@
+'use strict';
+
+const { formatOutput, formatInputValue, resolveFormatOptions } = require('./formatter');
+const { formatCsvRow } = require('./csv');
+const { flattenLeaves } = require('./diff');
+
+/**
+ * Formats renderReport can produce.
+ */
+const REPORT_FORMATS = ['csv', 'json', 'markdown', 'html'];
+
+/**
+ * Output id of the explainability block (docs/specs/explainability-contract.md).
+ * It is reported in its own section rather than with the results.
+ */
+const EXPLAIN_OUTPUT_ID = 'explain';
+
+/**
+ * Shows a leaf value in a text cell: strings as-is, everything else as JSON.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function leafText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Builds the format-independent report model every renderer works from.
+ *
+ * @param {object} report   - See renderReport.
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {object}
+ */
+function buildReport(report, settings) {
+  const { manifest, inputs = {}, outputs, run = {} } = report;
+  const explain = report.explain !== undefined ? report.explain : outputs[EXPLAIN_OUTPUT_ID];
+
+  const formatted = formatOutput(
+    { outputs: manifest.outputs.filter((def) => def.id !== EXPLAIN_OUTPUT_ID) },
+    outputs,
+    settings
+  );
+
+  const inputRows = (manifest.inputs || [])
+    .filter((def) => inputs[def.id] !== undefined)
+    .map((def) => ({
+      id: def.id,
+      label: def.label || def.id,
+      value: inputs[def.id],
+      formatted: formatInputValue(def, inputs[def.id], settings),
+    }));
+
+  const meta = [
+    ['Model', `${manifest.name || manifest.id} (${manifest.id})`],
+    ['Version', run.modelVersion || manifest.version],
+    ['Snapshot', run.snapshotId],
+    ['Saved at', run.createdAt],
+    ['As of', run.asOf],
+    ['Seed', run.seed],
+    ['Logic SHA-256', run.logicSha256],
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  return {
+    title: manifest.name || manifest.id,
+    manifest,
+    meta,
+    inputs: inputRows,
+    outputs: Object.entries(formatted).map(([id, entry]) => ({ id, ...entry })),
+    explain: explain === undefined || explain === null ? [] : flattenLeaves(explain, ''),
+    rawExplain: explain,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/**
+ * One row per value: section, path, label, raw value and formatted value.
+ * Table outputs are expanded to one row per cell ("yearByYear[2].balance"),
+ * field outputs to one row per field, and other structured values and the
+ * explain block to one row per leaf.
+ *
+ * @param {object} model - From buildReport.
+ * @returns {string}
+ */
+function renderCsv(model) {
+  const rows = [['section', 'path', 'label', 'value', 'formatted']];
+
+  for (const [label, value] of model.meta) {
+    rows.push(['run', label.toLowerCase().replace(/[^a-z0-9]+/g, '_'), label, value, value]);
+  }
+  for (const input of model.inputs) {
+    for (const [path, leaf] of flattenLeaves(input.value, input.id)) {
+      rows.push(['input', path, input.label, leafText(leaf), path === input.id ? input.formatted : leafText(leaf)]);
+    }
+  }
+
+  const pushEntry = (entry, path, label) => {
+    if (entry.table) {
+      entry.table.rows.forEach((cells, i) => {
+        cells.forEach((cell, c) => {
+          const column = entry.table.columns[c];
+          pushEntry(cell, `${path}[${i}].${column.id}`, `${label} / ${column.label}`);
+        });
+      });
+    } else if (entry.fields) {
+      for (const field of entry.fields) {
+        pushEntry(field, `${path}.${field.id}`, `${label} / ${field.label}`);
+      }
+    } else if (entry.value !== null && typeof entry.value === 'object') {
+      for (const [leafPath, leaf] of flattenLeaves(entry.value, path)) {
+        rows.push(['output', leafPath, label, leafText(leaf), leafText(leaf)]);
+      }
+    } else {
+      rows.push(['output', path, label, leafText(entry.value), entry.formatted]);
+    }
+  };
+  for (const output of model.outputs) {
+    pushEntry(output, output.id, output.label);
+  }
+
+  for (const [path, leaf] of model.explain) {
+    rows.push(['explain', path, path, leafText(leaf), leafText(leaf)]);
+  }
+
+  return rows.map(formatCsvRow).join('');
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * Machine-readable report: raw values next to their formatted strings.
+ *
+ * @param {object} model - From buildReport.
+ * @param {object} report - The caller's report, for the run metadata.
+ * @returns {string}
+ */
+function renderJson(model, report) {
+  const run = report.run || {};
+  const toJson = (entry) => {
+    const out = { id: entry.id, label: entry.label, value: entry.value, formatted: entry.formatted };
+    if (entry.table) {
+      out.table = {
+        columns: entry.table.columns,
+        rows: entry.table.rows.map((cells) => cells.map((cell) => cell.formatted)),
+      };
+    }
+    if (entry.fields) out.fields = entry.fields.map(toJson);
+    return out;
+  };
+
+  return JSON.stringify(
+    {
+      model: { id: model.manifest.id, name: model.manifest.name, version: run.modelVersion || model.manifest.version },
+      run: {
+        snapshot_id: run.snapshotId ?? null,
+        created_at: run.createdAt ?? null,
+        as_of: run.asOf ?? null,
+        seed: run.seed ?? null,
+        logic_sha256: run.logicSha256 ?? null,
+      },
+      inputs: model.inputs,
+      outputs: model.outputs.map(toJson),
+      explain: model.rawExplain ?? null,
+    },
+    null,
+    2
+  ) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {*} value
+ * @returns {string} Text safe inside a Markdown table cell.
+ */
+function mdCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * @param {string[]}   header
+ * @param {string[][]} rows
+ * @returns {string[]} Lines of a Markdown table.
+ */
+function mdTable(header, rows) {
+  return [
+    `| ${header.map(mdCell).join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(mdCell).join(' | ')} |`),
+  ];
+}
+
+/**
+ * @param {object} model - From buildReport.
+ * @returns {string}
+ */
+function renderMarkdown(model) {
+  const lines = [`# ${model.title}`, ''];
+
+  for (const [label, value] of model.meta) {
+    lines.push(`- **${label}:** ${mdCell(value)}`);
+  }
+  lines.push('');
+
+  if (model.inputs.length > 0) {
+    lines.push('## Inputs', '', ...mdTable(['Input', 'Value'], model.inputs.map((i) => [i.label, i.formatted])), '');
+  }
+
+  const scalars = model.outputs.filter((o) => !o.table && !o.fields);
+  lines.push('## Results', '');
+  if (scalars.length > 0) {
+    lines.push(...mdTable(['Output', 'Value'], scalars.map((o) => [o.label, o.formatted])), '');
+  }
+
+  const nested = (entry, depth) => {
+    lines.push(`${'#'.repeat(depth)} ${entry.label}`, '');
+    if (entry.table) {
+      lines.push(
+        ...mdTable(
+          entry.table.columns.map((c) => c.label),
+          entry.table.rows.map((cells) => cells.map((cell) => cell.formatted))
+        ),
+        ''
+      );
+      return;
+    }
+    const flat = entry.fields.filter((f) => !f.table && !f.fields);
+    if (flat.length > 0) lines.push(...mdTable(['Field', 'Value'], flat.map((f) => [f.label, f.formatted])), '');
+    for (const field of entry.fields.filter((f) => f.table || f.fields)) nested(field, Math.min(depth + 1, 6));
+  };
+  for (const output of model.outputs.filter((o) => o.table || o.fields)) nested(output, 3);
+
+  if (model.explain.length > 0) {
+    lines.push('## Explanation', '');
+    for (const [path, leaf] of model.explain) {
+      lines.push(`- **${mdCell(path)}**: ${mdCell(leafText(leaf))}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {*} value
+ * @returns {string} HTML-escaped text.
+ */
+function esc(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2933; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #d9e2ec; padding-bottom: 0.25rem; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #d9e2ec; padding: 0.35rem 0.75rem; text-align: left; vertical-align: top; }
+  th { background: #f0f4f8; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; color: #52606d; }
+  dl.meta dt { font-weight: 600; }
+  dl.meta dd { margin: 0; }
+  code { font-size: 0.9em; }
+`;
+
+/**
+ * @param {object} model - From buildReport.
+ * @param {string} locale
+ * @returns {string} A complete HTML document with inline styles and no
+ *   external resources.
+ */
+function renderHtml(model, locale) {
+  const cell = (entry) =>
+    `<td${typeof entry.value === 'number' ? ' class="num"' : ''}>${esc(entry.formatted)}</td>`;
+  const keyValueTable = (rows) =>
+    `<table><tbody>${rows.map((r) => `<tr><th scope="row">${esc(r.label)}</th>${cell(r)}</tr>`).join('')}</tbody></table>`;
+
+  const nested = (entry, depth) => {
+    const heading = `<h${depth}>${esc(entry.label)}</h${depth}>`;
+    if (entry.table) {
+      const head = entry.table.columns.map((c) => `<th scope="col">${esc(c.label)}</th>`).join('');
+      const body = entry.table.rows.map((cells) => `<tr>${cells.map(cell).join('')}</tr>`).join('');
+      return `${heading}<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+    const flat = entry.fields.filter((f) => !f.table && !f.fields);
+    const deeper = entry.fields.filter((f) => f.table || f.fields);
+    return heading + (flat.length > 0 ? keyValueTable(flat) : '') +
+      deeper.map((f) => nested(f, Math.min(depth + 1, 6))).join('');
+  };
+
+  const sections = [];
+  sections.push(
+    `<dl class="meta">${model.meta.map(([label, value]) => `<dt>${esc(label)}</dt><dd>${esc(value)}</dd>`).join('')}</dl>`
+  );
+  if (model.inputs.length > 0) {
+    sections.push(`<h2>Inputs</h2>${keyValueTable(model.inputs)}`);
+  }
+
+  const scalars = model.outputs.filter((o) => !o.table && !o.fields);
+  sections.push(
+    '<h2>Results</h2>' +
+      (scalars.length > 0 ? keyValueTable(scalars) : '') +
+      model.outputs.filter((o) => o.table || o.fields).map((o) => nested(o, 3)).join('')
+  );
+
+  if (model.explain.length > 0) {
+    const items = model.explain
+      .map(([path, leaf]) => `<tr><th scope="row"><code>${esc(path)}</code></th><td>${esc(leafText(leaf))}</td></tr>`)
+      .join('');
+    sections.push(`<h2>Explanation</h2><table><tbody>${items}</tbody></table>`);
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${esc(locale)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${esc(model.title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${esc(model.title)}</h1>`,
+    ...sections,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Public
+// ---------------------------------------------------------------------------
+
+/**
+ * Renders a model run as a shareable report.
+ *
+ * Values are formatted with formatOutput, so the manifest's formats,
+ * `columns` and `fields` apply. The explain block (the `explain` output,
+ * unless passed separately) gets its own section and is left out of the
+ * results.
+ *
+ *   - csv:      one row per value (section, path, label, value, formatted);
+ *               tables are expanded to one row per cell
+ *   - json:     raw and formatted values, plus the explain block as-is
+ *   - markdown: headings and tables, ready to paste into docs
+ *   - html:     a self-contained page with inline styles
+ *
+ * @param {{
+ *   manifest: object,
+ *   inputs?: object,
+ *   outputs: object,
+ *   explain?: object,
+ *   run?: {
+ *     snapshotId?: number,
+ *     createdAt?: string,
+ *     asOf?: string,
+ *     seed?: number,
+ *     modelVersion?: string,
+ *     logicSha256?: string
+ *   }
+ * }} report
+ *   `run` describes where the results came from and is shown as metadata.
+ * @param {string} format - One of REPORT_FORMATS ("md" is accepted for markdown).
+ * @param {{ locale?: string, currency?: string }} [options] - See formatOutput.
+ * @returns {string}
+ * @throws {TypeError} If the format is unknown.
+ * @throws {Error} If the manifest or outputs are invalid.
+ */
+function renderReport(report, format, options) {
+  const name = format === 'md' ? 'markdown' : format;
+  if (!REPORT_FORMATS.includes(name)) {
+    throw new TypeError(`Unknown report format "${format}". Allowed: ${REPORT_FORMATS.join(', ')}`);
+  }
+  if (!report || !report.manifest || !Array.isArray(report.manifest.outputs)) {
+    throw new Error('Manifest does not contain a valid "outputs" array');
+  }
+  if (!report.outputs || typeof report.outputs !== 'object') {
+    throw new Error('outputs must be a plain object');
+  }
+
+  const settings = resolveFormatOptions(options);
+  const model = buildReport(report, settings);
+
+  switch (name) {
+    case 'csv':
+      return renderCsv(model);
+    case 'json':
+      return renderJson(model, report);
+    case 'markdown':
+      return renderMarkdown(model);
+    default:
+      return renderHtml(model, settings.locale);
+  }
+}
+
+module.exports = { renderReport, REPORT_FORMATS };
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Worker-thread entry point for `createSandbox({ isolation: 'worker' })`.
+ *
+ * The file runs in one of two roles, selected through workerData.role:
+ *
+ *   supervisor - Spawned by the host. Starts a runner with the configured
+ *                resourceLimits, enforces the wall-clock limit, and turns
+ *                every way the runner can end (result, thrown error, heap
+ *                exhaustion, unexpected exit, timeout) into a single report.
+ *                The report is posted on a MessagePort and the host is woken
+ *                through a shared Int32Array, which lets the host block in
+ *                Atomics.wait and keep `execute` synchronous.
+ *
+ *   runner     - Spawned by the supervisor. Executes the model inside the
+ *                regular vm sandbox (awaiting it when job.async is set) and
+ *                posts the outputs or the error back.
+ *
+ * The supervisor exists because a blocked host thread never sees a worker's
+ * 'error' or 'exit' events; something with a live event loop has to.
+ */
+
+const { Worker, workerData, parentPort } = require('worker_threads');
+
+/**
+ * Serialises an error into a structured-clone-safe report.
+ *
+ * @param {Error}  err
+ * @param {string} fallbackCode - Used when the error carries no code.
+ * @returns {{ ok: false, error: { name: string, code: string, message: string } }}
+ */
+function errorReport(err, fallbackCode) {
+  return {
+    ok: false,
+    error: {
+      name: err && err.name ? err.name : 'Error',
+      code: (err && err.code) || fallbackCode,
+      message: err && err.message ? err.message : String(err),
+    },
+  };
+}
+
+function runSupervisor() {
+  const { signal, port, job, timeoutMs, resourceLimits } = workerData;
+  let settled = false;
+
+  const runner = new Worker(__filename, {
+    workerData: { role: 'runner', job },
+    resourceLimits,
+  });
+
+  function settle(report) {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+
+    port.postMessage(report);
+    Atomics.store(signal, 0, 1);
+    Atomics.notify(signal, 0);
+
+    runner.terminate();
+  }
+
+  const timer = setTimeout(() => {
+    settle(
+      errorReport(
+        { message: `Model execution timed out after ${timeoutMs}ms` },
+        'ERR_SANDBOX_TIMEOUT'
+      )
+    );
+  }, timeoutMs);
+
+  runner.on('message', (report) => settle(report));
+
+  runner.on('error', (err) => {
+    if (err.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+      settle(
+        errorReport(
+          { message: `Model exceeded the sandbox memory limit (${resourceLimits.maxOldGenerationSizeMb}MB heap)` },
+          'ERR_SANDBOX_MEMORY_LIMIT'
+        )
+      );
+      return;
+    }
+    settle(errorReport(err, 'ERR_SANDBOX_WORKER'));
+  });
+
+  runner.on('exit', (code) => {
+    settle(
+      errorReport(
+        { message: `Model worker exited unexpectedly with code ${code}` },
+        'ERR_SANDBOX_WORKER'
+      )
+    );
+  });
+}
+
+async function runRunner() {
+  // Required lazily: the supervisor role never needs the vm sandbox.
+  const { createSandbox } = require('./sandbox');
+  const { logicCode, inputs, sandboxOptions } = workerData.job;
+
+  let report;
+  try {
+    const sandbox = createSandbox(sandboxOptions);
+    const outputs = workerData.job.async
+      ? await sandbox.executeAsync(logicCode, inputs)
+      : sandbox.execute(logicCode, inputs);
+    report = { ok: true, outputs };
+  } catch (err) {
+    report = errorReport(err, 'ERR_SANDBOX_EXECUTION');
+  }
+
+  try {
+    parentPort.postMessage(report);
+  } catch (err) {
+    parentPort.postMessage(
+      errorReport(
+        { message: `Model outputs could not be transferred out of the worker: ${err.message}` },
+        'ERR_SANDBOX_OUTPUT'
+      )
+    );
+  }
+}
+
+if (workerData && workerData.role === 'supervisor') {
+  runSupervisor();
+} else if (workerData && workerData.role === 'runner') {
+  runRunner();
+}
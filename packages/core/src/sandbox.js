@@ -1,8 +1,74 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const vm = require('vm');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
 const Decimal = require('decimal.js');
 
+/**
+ * Thrown when model code fails inside either sandbox backend. The `code`
+ * property identifies the failure class so callers can react without parsing
+ * messages:
+ *
+ *   ERR_SANDBOX_EXECUTION     - model code threw or tried to use a blocked global
+ *   ERR_SANDBOX_TIMEOUT       - the CPU or wall-clock limit was reached
+ *   ERR_SANDBOX_OUTPUT        - the model did not return a usable outputs object
+ *   ERR_SANDBOX_MEMORY_LIMIT  - the worker exceeded its heap limit (worker only)
+ *   ERR_SANDBOX_WORKER        - the worker died for any other reason (worker only)
+ */
+class SandboxError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+  }
+}
+
+/**
+ * Supported values for createSandbox's `isolation` option.
+ */
+const ISOLATION_MODES = ['vm', 'worker'];
+
+/**
+ * Heap and stack ceilings applied to worker-isolated executions unless the
+ * caller overrides them through `resourceLimits`.
+ */
+const DEFAULT_RESOURCE_LIMITS = Object.freeze({
+  maxOldGenerationSizeMb: 64,
+  maxYoungGenerationSizeMb: 16,
+  stackSizeMb: 4,
+});
+
+/**
+ * Extra time the host waits beyond timeoutMs for the supervisor's report,
+ * covering worker start-up and teardown.
+ */
+const WORKER_GRACE_MS = 2000;
+
+const WORKER_ENTRY = path.join(__dirname, 'sandbox-worker.js');
+
+/**
+ * Host modules that model code may load by bare specifier. Anything not in
+ * this map is unreachable from inside the sandbox, regardless of what a
+ * manifest declares.
+ */
+const SANDBOX_MODULES = Object.freeze({
+  'decimal.js': Decimal,
+});
+
+/**
+ * Allowlist applied when a manifest does not declare `dependencies`. Every
+ * shipped pack requires decimal.js, so this keeps older manifests runnable.
+ */
+const DEFAULT_DEPENDENCIES = Object.freeze(['decimal.js']);
+
+/**
+ * File extensions that pack-local dependencies may use.
+ */
+const LOCAL_MODULE_EXTENSIONS = new Set(['.js', '.json']);
+
 /**
  * Names that must be explicitly undefined inside the sandbox so that any
  * attempt to read them from within model code throws a ReferenceError rather
@@ -12,12 +78,11 @@ const Decimal = require('decimal.js');
  * already prevents prototype-chain leakage, but we also shadow every known
  * dangerous global to be defensive.
  *
- * NOTE: 'module' and 'exports' are intentionally excluded here because the
- * sandbox provides its own safe stubs for those names. Shadowing them with
- * undefined would break CommonJS-style model code.
+ * NOTE: 'module', 'exports' and 'require' are intentionally excluded here
+ * because the sandbox provides its own safe stubs for those names. Shadowing
+ * them with undefined would break CommonJS-style model code.
  */
 const BLOCKED_GLOBALS = [
-  'require',
   'process',
   'global',
   'globalThis',
@@ -48,45 +113,563 @@ function buildRestrictedConsole() {
   });
 }
 
+/**
+ * Converts an as-of value (Date, ISO 8601 string, or epoch milliseconds) to
+ * epoch milliseconds.
+ *
+ * @param {Date|string|number} value
+ * @returns {number}
+ * @throws {TypeError} If the value does not describe a valid instant.
+ */
+function parseAsOf(value) {
+  let ms;
+  if (value instanceof Date) {
+    ms = value.getTime();
+  } else if (typeof value === 'string') {
+    ms = Date.parse(value);
+  } else if (typeof value === 'number') {
+    ms = value;
+  }
+
+  if (!Number.isFinite(ms)) {
+    throw new TypeError('asOf must be a Date, an ISO 8601 string, or epoch milliseconds');
+  }
+  return ms;
+}
+
+/**
+ * Confirms a PRNG seed is an unsigned 32-bit integer.
+ *
+ * @param {*} value
+ * @returns {number}
+ * @throws {TypeError}
+ */
+function parseSeed(value) {
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+    throw new TypeError('seed must be an integer between 0 and 4294967295');
+  }
+  return value;
+}
+
+/**
+ * Fills in the as-of date and PRNG seed for a reproducible run. Missing values
+ * default to the current time and a fresh random seed; either way the
+ * returned pair is what has to be recorded to replay the run later.
+ *
+ * @param {{ asOf?: Date|string|number, seed?: number }} [options]
+ * @returns {{ asOf: string, seed: number }} asOf as an ISO 8601 string.
+ */
+function resolveDeterminism(options) {
+  const opts = options || {};
+  const asOf = opts.asOf === undefined || opts.asOf === null ? Date.now() : parseAsOf(opts.asOf);
+  const seed = opts.seed === undefined || opts.seed === null
+    ? crypto.randomInt(0x100000000)
+    : parseSeed(opts.seed);
+
+  return { asOf: new Date(asOf).toISOString(), seed };
+}
+
+/**
+ * mulberry32: a small, fast 32-bit PRNG. Quality is ample for Monte Carlo
+ * style models and, unlike Math.random, the sequence is fully determined by
+ * the seed.
+ *
+ * @param {number} seed - Unsigned 32-bit integer.
+ * @returns {() => number} Returns floats in [0, 1).
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Builds a Date constructor whose notion of "now" is pinned to asOfMs.
+ * `new Date()`, `Date()` and `Date.now()` all report the as-of instant;
+ * every other form (`new Date(2024, 0, 1)`, `Date.parse`, ...) behaves as
+ * usual, and instances remain ordinary Dates.
+ *
+ * @param {number} asOfMs
+ * @returns {DateConstructor}
+ */
+function buildFrozenDate(asOfMs) {
+  const now = () => asOfMs;
+  return new Proxy(Date, {
+    construct(target, args, newTarget) {
+      return Reflect.construct(target, args.length === 0 ? [asOfMs] : args, newTarget);
+    },
+    apply() {
+      return new Date(asOfMs).toString();
+    },
+    get(target, prop, receiver) {
+      return prop === 'now' ? now : Reflect.get(target, prop, receiver);
+    },
+  });
+}
+
+/**
+ * Builds a Math object whose `random` draws from a seeded PRNG. All other
+ * members are inherited from the host Math.
+ *
+ * @param {number} seed
+ * @returns {Math}
+ */
+function buildSeededMath(seed) {
+  return Object.freeze(Object.create(Math, {
+    random: { value: createSeededRandom(seed), enumerable: false },
+  }));
+}
+
+/**
+ * Returns true when a specifier refers to a pack-local file rather than a
+ * host module.
+ *
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * Resolves a relative specifier against a base directory and confirms the
+ * result stays inside the pack directory. A missing extension defaults to .js.
+ *
+ * @param {string} specifier - e.g. "./lib/brackets"
+ * @param {string} baseDir   - Directory of the requiring file.
+ * @param {string} packDir   - Absolute pack root; resolution may not escape it.
+ * @returns {string} Absolute path of the module file.
+ * @throws {Error} If the path escapes packDir or has an unsupported extension.
+ */
+function resolveLocalPath(specifier, baseDir, packDir) {
+  let resolved = path.resolve(baseDir, specifier);
+  if (!path.extname(resolved)) {
+    resolved += '.js';
+  }
+
+  const relative = path.relative(packDir, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Module "${specifier}" resolves outside the pack directory`);
+  }
+
+  if (!LOCAL_MODULE_EXTENSIONS.has(path.extname(resolved))) {
+    throw new Error(
+      `Module "${specifier}" has an unsupported extension. Allowed: ${[...LOCAL_MODULE_EXTENSIONS].join(', ')}`
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Normalises a manifest `dependencies` list into the sets the resolver checks
+ * against. Unknown host modules, undeclared pack directories, and missing
+ * files are rejected up front so authoring mistakes surface before any model
+ * code runs.
+ *
+ * @param {string[]|undefined} dependencies - Declared specifiers.
+ * @param {string|undefined}   packDir      - Absolute pack root.
+ * @returns {{ hostModules: Set<string>, localFiles: Set<string> }}
+ */
+function buildAllowlist(dependencies, packDir) {
+  const declared = dependencies === undefined || dependencies === null
+    ? DEFAULT_DEPENDENCIES
+    : dependencies;
+
+  if (!Array.isArray(declared) || declared.some((d) => typeof d !== 'string' || !d)) {
+    throw new TypeError('dependencies must be an array of non-empty strings');
+  }
+
+  const hostModules = new Set();
+  const localFiles = new Set();
+
+  for (const specifier of declared) {
+    if (isRelativeSpecifier(specifier)) {
+      if (!packDir) {
+        throw new Error(
+          `Dependency "${specifier}" is pack-local but the sandbox was created without a packDir`
+        );
+      }
+      const resolved = resolveLocalPath(specifier, packDir, packDir);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Declared dependency not found: ${specifier}`);
+      }
+      localFiles.add(resolved);
+    } else if (Object.prototype.hasOwnProperty.call(SANDBOX_MODULES, specifier)) {
+      hostModules.add(specifier);
+    } else {
+      throw new Error(
+        `Dependency "${specifier}" is not available in the sandbox. Allowed modules: ${Object.keys(SANDBOX_MODULES).join(', ')}`
+      );
+    }
+  }
+
+  return { hostModules, localFiles };
+}
+
+/**
+ * Builds the `require` function handed to model code for a single execution.
+ *
+ * Host modules are returned from SANDBOX_MODULES. Pack-local files are read
+ * from disk, compiled inside the same vm context as the model (so they see the
+ * same restricted globals), and cached for the lifetime of the execution so
+ * shared helpers are evaluated once and circular requires terminate.
+ *
+ * @param {object} context   - The contextified sandbox object.
+ * @param {{ hostModules: Set<string>, localFiles: Set<string> }} allowlist
+ * @param {string|undefined} packDir
+ * @returns {Function} require(specifier) scoped to the pack root.
+ */
+function buildModuleResolver(context, allowlist, packDir) {
+  const cache = new Map();
+
+  function requireFrom(baseDir) {
+    return function sandboxRequire(specifier) {
+      if (typeof specifier !== 'string') {
+        throw new TypeError('require() expects a string specifier');
+      }
+
+      if (!isRelativeSpecifier(specifier)) {
+        if (!allowlist.hostModules.has(specifier)) {
+          throw new Error(`Module "${specifier}" is not declared in manifest dependencies`);
+        }
+        return SANDBOX_MODULES[specifier];
+      }
+
+      if (!packDir) {
+        throw new Error(`Cannot load "${specifier}": no pack directory is configured`);
+      }
+
+      const filePath = resolveLocalPath(specifier, baseDir, packDir);
+      if (!allowlist.localFiles.has(filePath)) {
+        throw new Error(`Module "${specifier}" is not declared in manifest dependencies`);
+      }
+
+      if (cache.has(filePath)) {
+        return cache.get(filePath).exports;
+      }
+
+      const source = fs.readFileSync(filePath, 'utf8');
+      const mod = { exports: {} };
+      cache.set(filePath, mod);
+
+      if (path.extname(filePath) === '.json') {
+        mod.exports = JSON.parse(source);
+        return mod.exports;
+      }
+
+      const wrapper = vm.runInContext(
+        `(function (exports, require, module) { ${source}\n})`,
+        context,
+        { filename: path.relative(packDir, filePath), displayErrors: true }
+      );
+      wrapper(mod.exports, requireFrom(path.dirname(filePath)), mod);
+
+      return mod.exports;
+    };
+  }
+
+  return requireFrom(packDir);
+}
+
+/**
+ * Validates the arguments shared by both backends' execute().
+ *
+ * @param {*} logicCode
+ * @param {*} inputs
+ */
+function assertExecuteArgs(logicCode, inputs) {
+  if (typeof logicCode !== 'string') {
+    throw new TypeError('logicCode must be a string');
+  }
+
+  if (!inputs || typeof inputs !== 'object') {
+    throw new TypeError('inputs must be a plain object');
+  }
+}
+
+/**
+ * Returns true for Promises from any realm, including the sandbox's own.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isThenable(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * Enforces the output contract shared by execute() and executeAsync().
+ *
+ * @param {*} outputs
+ * @returns {object} outputs, unchanged.
+ * @throws {SandboxError}
+ */
+function assertOutputs(outputs) {
+  if (isThenable(outputs)) {
+    throw new SandboxError(
+      'Model logic returned a Promise; run it with executeAsync() or runModelAsync()',
+      'ERR_SANDBOX_OUTPUT'
+    );
+  }
+
+  if (!outputs || typeof outputs !== 'object') {
+    throw new SandboxError(
+      'Model logic must return a plain object containing output values',
+      'ERR_SANDBOX_OUTPUT'
+    );
+  }
+
+  return outputs;
+}
+
+/**
+ * Settles a model's promise within the remaining time budget. Rejections are
+ * reported like synchronous throws.
+ *
+ * A vm-isolated model that never yields (for example an endless chain of
+ * microtasks) still blocks the calling thread; only the worker backend can
+ * interrupt that.
+ *
+ * @param {PromiseLike<*>} pending
+ * @param {number} remainingMs
+ * @param {number} timeoutMs - Full budget, used in the error message.
+ * @returns {Promise<*>}
+ */
+function settleWithin(pending, remainingMs, timeoutMs) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new SandboxError(`Model execution timed out after ${timeoutMs}ms`, 'ERR_SANDBOX_TIMEOUT'));
+    }, Math.max(remainingMs, 0));
+  });
+
+  const settled = Promise.resolve(pending).catch((err) => {
+    const message = err && err.message ? err.message : String(err);
+    throw new SandboxError(`Model execution error: ${message}`, 'ERR_SANDBOX_EXECUTION');
+  });
+
+  return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Converts a supervisor report into outputs or a thrown SandboxError.
+ *
+ * @param {object|null} report - null when no report arrived in time.
+ * @param {number} timeoutMs
+ * @returns {object}
+ */
+function unpackWorkerReport(report, timeoutMs) {
+  if (!report) {
+    throw new SandboxError(
+      `Model execution timed out after ${timeoutMs}ms`,
+      'ERR_SANDBOX_TIMEOUT'
+    );
+  }
+
+  if (!report.ok) {
+    throw new SandboxError(report.error.message, report.error.code);
+  }
+
+  return report.outputs;
+}
+
+/**
+ * Creates a sandbox whose executions each run in a fresh worker thread.
+ *
+ * The worker runs the same vm sandbox as the default backend, so the global
+ * allowlist and module resolver are identical; the worker adds a heap and
+ * stack ceiling (resourceLimits) and a wall-clock kill that also covers work
+ * the vm timeout cannot see. execute() stays synchronous: the host blocks in
+ * Atomics.wait until the supervisor worker reports back.
+ *
+ * Inputs and outputs cross the thread boundary by structured clone, so they
+ * must be plain data.
+ *
+ * @param {object} opts - Normalised createSandbox options.
+ * @returns {{ execute: Function, executeAsync: Function }}
+ */
+function createWorkerSandbox(opts) {
+  const timeoutMs = opts.timeoutMs || 5000;
+  const resourceLimits = Object.assign({}, DEFAULT_RESOURCE_LIMITS, opts.resourceLimits);
+  const sandboxOptions = {
+    timeoutMs,
+    packDir: opts.packDir ? path.resolve(opts.packDir) : undefined,
+    dependencies: opts.dependencies,
+    asOf: opts.asOf,
+    seed: opts.seed,
+  };
+
+  // Surface dependency and determinism mistakes on the host, before any worker is spawned.
+  buildAllowlist(sandboxOptions.dependencies, sandboxOptions.packDir);
+  if (sandboxOptions.asOf !== undefined) sandboxOptions.asOf = parseAsOf(sandboxOptions.asOf);
+  if (sandboxOptions.seed !== undefined) parseSeed(sandboxOptions.seed);
+
+  /**
+   * Starts a supervisor worker for one execution.
+   *
+   * @param {string}  logicCode
+   * @param {object}  inputs
+   * @param {boolean} isAsync - Whether the runner should await the model.
+   * @returns {{ supervisor: Worker, port: MessagePort, signal: Int32Array }}
+   */
+  function spawnSupervisor(logicCode, inputs, isAsync) {
+    const signal = new Int32Array(new SharedArrayBuffer(4));
+    const { port1, port2 } = new MessageChannel();
+
+    const supervisor = new Worker(WORKER_ENTRY, {
+      workerData: {
+        role: 'supervisor',
+        signal,
+        port: port2,
+        timeoutMs,
+        resourceLimits,
+        job: { logicCode, inputs: Object.assign({}, inputs), sandboxOptions, async: isAsync },
+      },
+      transferList: [port2],
+    });
+    // Errors are reported through the port; the listener only prevents an
+    // unhandled 'error' event from crashing the host.
+    supervisor.on('error', () => {});
+
+    return { supervisor, port: port1, signal };
+  }
+
+  /**
+   * Executes model logic code in an isolated worker thread.
+   *
+   * @param {string} logicCode - Source code of the model's logic function.
+   * @param {object} inputs    - Validated input values keyed by input id.
+   * @returns {object} The outputs object returned by the model logic.
+   * @throws {SandboxError} On model errors, timeouts, or resource exhaustion.
+   */
+  function execute(logicCode, inputs) {
+    assertExecuteArgs(logicCode, inputs);
+
+    const { supervisor, port, signal } = spawnSupervisor(logicCode, inputs, false);
+
+    Atomics.wait(signal, 0, 0, timeoutMs + WORKER_GRACE_MS);
+    const received = receiveMessageOnPort(port);
+    port.close();
+    supervisor.terminate();
+
+    return unpackWorkerReport(received ? received.message : null, timeoutMs);
+  }
+
+  /**
+   * Asynchronous counterpart of execute(): the model may return a Promise,
+   * and the host thread stays free while the worker runs. The supervisor's
+   * wall-clock kill covers the whole promise chain.
+   *
+   * @param {string} logicCode
+   * @param {object} inputs
+   * @returns {Promise<object>}
+   */
+  async function executeAsync(logicCode, inputs) {
+    assertExecuteArgs(logicCode, inputs);
+
+    const { supervisor, port } = spawnSupervisor(logicCode, inputs, true);
+
+    let report;
+    try {
+      report = await new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(null), timeoutMs + WORKER_GRACE_MS);
+        port.once('message', (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        });
+      });
+    } finally {
+      port.close();
+      supervisor.terminate();
+    }
+
+    return unpackWorkerReport(report, timeoutMs);
+  }
+
+  return { execute, executeAsync };
+}
+
 /**
  * Creates a reusable sandbox factory.
  *
- * Returns an object with a single method:
+ * Returns an object with two methods:
  *   execute(logicCode: string, inputs: object) => outputs: object
+ *   executeAsync(logicCode: string, inputs: object) => Promise<outputs: object>
+ * Only executeAsync accepts models whose function returns a Promise.
+ *
+ * Two isolation backends are available:
+ *   'vm'     (default) - runs in a vm context on the calling thread.
+ *   'worker'           - runs each execution in a worker thread with heap and
+ *                        stack limits and a hard wall-clock kill. Use this for
+ *                        untrusted community packs.
  *
  * Security properties:
  *  - The vm context is created with a null-prototype object, so there is no
  *    access to the host's global prototype chain.
  *  - All known dangerous host globals are shadowed with `undefined`.
+ *  - `require` only resolves the modules declared in `dependencies`: host
+ *    modules from SANDBOX_MODULES and .js/.json files inside `packDir`.
  *  - The code runs with a hard CPU timeout (default 5 000 ms).
  *  - Module code is wrapped so that bare `return` statements work and so that
  *    the result of evaluating the code is captured.
  *
- * @param {{ timeoutMs?: number }} [options]
- * @returns {{ execute: Function }}
+ * Deterministic mode: passing `asOf` pins the model's clock (`new Date()`,
+ * `Date.now()`) to that instant, and passing `seed` replaces `Math.random`
+ * with a seeded PRNG. With both set, the same code and inputs produce the
+ * same outputs on every run. Each execution starts the PRNG from the seed.
+ *
+ * @param {{
+ *   timeoutMs?: number,
+ *   packDir?: string,
+ *   dependencies?: string[],
+ *   isolation?: 'vm'|'worker',
+ *   resourceLimits?: object,
+ *   asOf?: Date|string|number,
+ *   seed?: number
+ * }} [options]
+ *   `dependencies` is the manifest's `dependencies` list; when omitted only
+ *   decimal.js may be required. `packDir` is required for pack-local entries.
+ *   `resourceLimits` uses the worker_threads shape and only applies to the
+ *   worker backend.
+ * @returns {{ execute: Function, executeAsync: Function }}
  */
 function createSandbox(options) {
-  const timeoutMs = (options && options.timeoutMs) || 5000;
+  const opts = options || {};
+  const isolation = opts.isolation || 'vm';
+
+  if (!ISOLATION_MODES.includes(isolation)) {
+    throw new TypeError(
+      `Unknown sandbox isolation "${isolation}". Allowed: ${ISOLATION_MODES.join(', ')}`
+    );
+  }
+
+  if (isolation === 'worker') {
+    return createWorkerSandbox(opts);
+  }
+
+  const timeoutMs = opts.timeoutMs || 5000;
+  const packDir = opts.packDir ? path.resolve(opts.packDir) : undefined;
+  const allowlist = buildAllowlist(opts.dependencies, packDir);
+  const asOfMs = opts.asOf === undefined ? undefined : parseAsOf(opts.asOf);
+  const seed = opts.seed === undefined ? undefined : parseSeed(opts.seed);
 
   /**
-   * Executes model logic code inside the VM sandbox.
+   * Evaluates the model code and calls its exported function, returning
+   * whatever that function returned (possibly a Promise).
    *
-   * @param {string} logicCode - Source code of the model's logic function.
-   *   The code must evaluate to a function OR the file must assign its result
-   *   to `module.exports`. The sandbox provides both calling conventions.
-   * @param {object} inputs - Validated input values keyed by input id.
-   * @returns {object} The outputs object returned by the model logic.
-   * @throws {Error} If the code times out, accesses a blocked global, or
-   *                 does not return a plain object.
+   * @param {string} logicCode
+   * @param {object} inputs
+   * @returns {*}
+   * @throws {SandboxError}
    */
-  function execute(logicCode, inputs) {
-    if (typeof logicCode !== 'string') {
-      throw new TypeError('logicCode must be a string');
-    }
-
-    if (!inputs || typeof inputs !== 'object') {
-      throw new TypeError('inputs must be a plain object');
-    }
+  function invoke(logicCode, inputs) {
+    assertExecuteArgs(logicCode, inputs);
 
     // Build a fresh context for every execution so that state cannot leak
     // between model runs.
@@ -94,9 +677,9 @@ function createSandbox(options) {
 
     // Permitted globals
     sandboxObj.Decimal = Decimal;
-    sandboxObj.Math = Math;
+    sandboxObj.Math = seed === undefined ? Math : buildSeededMath(seed);
     sandboxObj.JSON = JSON;
-    sandboxObj.Date = Date;
+    sandboxObj.Date = asOfMs === undefined ? Date : buildFrozenDate(asOfMs);
     sandboxObj.console = buildRestrictedConsole();
     sandboxObj.inputs = Object.freeze(Object.assign(Object.create(null), inputs));
 
@@ -117,6 +700,10 @@ function createSandbox(options) {
 
     const context = vm.createContext(sandboxObj);
 
+    // The resolver needs the live context so pack-local helpers compile into
+    // the same realm as the model code.
+    sandboxObj.require = buildModuleResolver(context, allowlist, packDir);
+
     // Run the model code first so that any module.exports assignment takes
     // effect, then inspect the result in a second expression.
     const setupCode = `(function __finlogicos_setup__() { ${logicCode} })()`;
@@ -129,9 +716,12 @@ function createSandbox(options) {
       });
     } catch (err) {
       if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
-        throw new Error(`Model execution timed out after ${timeoutMs}ms`);
+        throw new SandboxError(
+          `Model execution timed out after ${timeoutMs}ms`,
+          'ERR_SANDBOX_TIMEOUT'
+        );
       }
-      throw new Error(`Model execution error: ${err.message}`);
+      throw new SandboxError(`Model execution error: ${err.message}`, 'ERR_SANDBOX_EXECUTION');
     }
 
     // Read back what the code put on module.exports (the VM context holds the
@@ -154,26 +744,58 @@ function createSandbox(options) {
         );
       } catch (err) {
         if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
-          throw new Error(`Model execution timed out after ${timeoutMs}ms`);
+          throw new SandboxError(
+            `Model execution timed out after ${timeoutMs}ms`,
+            'ERR_SANDBOX_TIMEOUT'
+          );
         }
-        throw new Error(`Model execution error: ${err.message}`);
+        throw new SandboxError(`Model execution error: ${err.message}`, 'ERR_SANDBOX_EXECUTION');
       }
     } else {
-      throw new Error(
-        'Model logic must return a plain object containing output values'
+      throw new SandboxError(
+        'Model logic must return a plain object containing output values',
+        'ERR_SANDBOX_OUTPUT'
       );
     }
 
-    if (!outputs || typeof outputs !== 'object') {
-      throw new Error(
-        'Model logic must return a plain object containing output values'
-      );
+    return outputs;
+  }
+
+  /**
+   * Executes model logic code inside the VM sandbox.
+   *
+   * @param {string} logicCode - Source code of the model's logic function.
+   *   The code must evaluate to a function OR the file must assign its result
+   *   to `module.exports`. The sandbox provides both calling conventions.
+   * @param {object} inputs - Validated input values keyed by input id.
+   * @returns {object} The outputs object returned by the model logic.
+   * @throws {SandboxError} If the code times out, accesses a blocked global,
+   *                        returns a Promise, or does not return a plain object.
+   */
+  function execute(logicCode, inputs) {
+    return assertOutputs(invoke(logicCode, inputs));
+  }
+
+  /**
+   * Executes model logic that may return a Promise. The timeout covers the
+   * synchronous part and the whole promise chain together.
+   *
+   * @param {string} logicCode
+   * @param {object} inputs
+   * @returns {Promise<object>} Resolves to the model's outputs object.
+   */
+  async function executeAsync(logicCode, inputs) {
+    const started = Date.now();
+    let outputs = invoke(logicCode, inputs);
+
+    if (isThenable(outputs)) {
+      outputs = await settleWithin(outputs, timeoutMs - (Date.now() - started), timeoutMs);
     }
 
-    return outputs;
+    return assertOutputs(outputs);
   }
 
-  return { execute };
+  return { execute, executeAsync };
 }
 
-module.exports = { createSandbox };
+module.exports = { createSandbox, resolveDeterminism, SandboxError, SANDBOX_MODULES };
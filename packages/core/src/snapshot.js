@@ -1,6 +1,74 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const Database = require('better-sqlite3');
+const { diffValues } = require('./diff');
+const { ModelCatalog } = require('./model-catalog');
+const { hashBuffer } = require('./verifier');
+
+/**
+ * Where a snapshot can be saved from, recorded in its `source` column.
+ */
+const SNAPSHOT_SOURCES = ['cli', 'ui', 'playbook', 'batch'];
+
+/**
+ * The run metadata columns added by migrations v3-v5, selected alongside a
+ * snapshot's data.
+ */
+const PROVENANCE_COLUMNS =
+  'as_of, seed, model_version, logic_sha256, manifest_sha256, runtime_version, duration_ms, source';
+
+/**
+ * Page size query() uses when no `limit` is given, and the largest allowed.
+ */
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * An output field path for query(): ids joined by dots, with optional array
+ * indexes ("avalanche.months", "debts[0].balance").
+ */
+const FIELD_PATH = /^[A-Za-z_$][\w$]*(\[\d+\])*(\.[A-Za-z_$][\w$]*(\[\d+\])*)*$/;
+
+/**
+ * Time buckets series() can group points into, and how it combines the
+ * values that fall in one bucket.
+ */
+const SERIES_BUCKETS = ['day', 'week', 'month', 'year'];
+const SERIES_AGGREGATES = ['last', 'avg', 'min', 'max'];
+
+/**
+ * Start of the UTC day, ISO week (Monday), month or year containing an ISO
+ * 8601 instant, in the same ISO form.
+ *
+ * @param {string} iso
+ * @param {string} bucket - One of SERIES_BUCKETS.
+ * @returns {string}
+ */
+function bucketStart(iso, bucket) {
+  const date = new Date(iso);
+  const year = date.getUTCFullYear();
+  if (bucket === 'year') return new Date(Date.UTC(year, 0, 1)).toISOString();
+  if (bucket === 'month') return new Date(Date.UTC(year, date.getUTCMonth(), 1)).toISOString();
+  if (bucket === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())).toISOString();
+}
+
+/**
+ * Run metadata accepted by save() and saveScenario(). Every field is
+ * optional and stored as NULL when omitted.
+ *
+ * @typedef {object} RunMetadata
+ * @property {string} [asOf]           - ISO 8601 instant the run's clock was pinned to.
+ * @property {number} [seed]           - Math.random seed the run used.
+ * @property {string} [modelVersion]   - Manifest version of the pack that ran.
+ * @property {string} [logicSha256]    - SHA-256 of the pack's logic.js.
+ * @property {string} [manifestSha256] - SHA-256 of the pack's manifest.yaml.
+ * @property {string} [runtimeVersion] - @finlogicos/core version (runModel's `runtimeVersion`).
+ * @property {number} [durationMs]     - How long the run took (runModel's `durationMs`).
+ * @property {string} [source]         - One of SNAPSHOT_SOURCES.
+ */
 
 /**
  * Persistent store for model execution snapshots, backed by SQLite via
@@ -18,6 +86,28 @@ const Database = require('better-sqlite3');
  *   branch_name        TEXT
  *   scenario_meta      TEXT     (JSON: { label, description, created_by })
  *   is_scenario        INTEGER  NOT NULL DEFAULT 0
+ *
+ * Migration v2 — journal_entries table (see JournalStore).
+ *
+ * Migration v3 — deterministic-run metadata:
+ *   as_of TEXT     (ISO 8601 instant the model's clock was pinned to)
+ *   seed  INTEGER  (Math.random seed)
+ *   Both are NULL for snapshots saved before v3 or without run metadata.
+ *
+ * Migration v4 — pack version pinning:
+ *   model_version TEXT  (manifest version of the pack that produced the row)
+ *   logic_sha256  TEXT  (SHA-256 of the pack's logic.js)
+ *   NULL for snapshots saved before v4 or without run metadata.
+ *
+ * Migration v5 — run provenance:
+ *   manifest_sha256 TEXT     (SHA-256 of the pack's manifest.yaml)
+ *   runtime_version TEXT     (@finlogicos/core version that ran the model)
+ *   duration_ms     INTEGER  (wall-clock time of the model run)
+ *   source          TEXT     (what saved the row: cli, ui, playbook or batch)
+ *   NULL for snapshots saved before v5 or without run metadata.
+ *
+ * Migration v6 — idx_snapshots_model_created on (model_id, created_at, id),
+ *   the sort key of query()'s keyset pagination.
  */
 class SnapshotStore {
   /**
@@ -99,6 +189,36 @@ class SnapshotStore {
       `);
       this._db.pragma('user_version = 2');
     }
+    if (version < 3) {
+      this._db.exec(`
+        ALTER TABLE snapshots ADD COLUMN as_of TEXT;
+        ALTER TABLE snapshots ADD COLUMN seed INTEGER;
+      `);
+      this._db.pragma('user_version = 3');
+    }
+    if (version < 4) {
+      this._db.exec(`
+        ALTER TABLE snapshots ADD COLUMN model_version TEXT;
+        ALTER TABLE snapshots ADD COLUMN logic_sha256 TEXT;
+      `);
+      this._db.pragma('user_version = 4');
+    }
+    if (version < 5) {
+      this._db.exec(`
+        ALTER TABLE snapshots ADD COLUMN manifest_sha256 TEXT;
+        ALTER TABLE snapshots ADD COLUMN runtime_version TEXT;
+        ALTER TABLE snapshots ADD COLUMN duration_ms INTEGER;
+        ALTER TABLE snapshots ADD COLUMN source TEXT;
+      `);
+      this._db.pragma('user_version = 5');
+    }
+    if (version < 6) {
+      this._db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_snapshots_model_created
+          ON snapshots (model_id, created_at DESC, id DESC);
+      `);
+      this._db.pragma('user_version = 6');
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -107,18 +227,22 @@ class SnapshotStore {
 
   _prepareStatements() {
     this._stmtInsert = this._db.prepare(`
-      INSERT INTO snapshots (model_id, inputs, outputs, created_at)
-      VALUES (@model_id, @inputs, @outputs, @created_at)
+      INSERT INTO snapshots
+        (model_id, inputs, outputs, created_at, as_of, seed, model_version, logic_sha256,
+         manifest_sha256, runtime_version, duration_ms, source)
+      VALUES
+        (@model_id, @inputs, @outputs, @created_at, @as_of, @seed, @model_version, @logic_sha256,
+         @manifest_sha256, @runtime_version, @duration_ms, @source)
     `);
 
     this._stmtListAll = this._db.prepare(`
-      SELECT id, model_id, inputs, outputs, created_at
+      SELECT id, model_id, inputs, outputs, created_at, ${PROVENANCE_COLUMNS}
       FROM snapshots
       ORDER BY created_at DESC, id DESC
     `);
 
     this._stmtListByModel = this._db.prepare(`
-      SELECT id, model_id, inputs, outputs, created_at
+      SELECT id, model_id, inputs, outputs, created_at, ${PROVENANCE_COLUMNS}
       FROM snapshots
       WHERE model_id = ?
       ORDER BY created_at DESC, id DESC
@@ -126,14 +250,16 @@ class SnapshotStore {
 
     this._stmtInsertScenario = this._db.prepare(`
       INSERT INTO snapshots
-        (model_id, inputs, outputs, created_at, parent_snapshot_id, branch_name, scenario_meta, is_scenario)
+        (model_id, inputs, outputs, created_at, parent_snapshot_id, branch_name, scenario_meta, is_scenario,
+         as_of, seed, model_version, logic_sha256, manifest_sha256, runtime_version, duration_ms, source)
       VALUES
-        (@model_id, @inputs, @outputs, @created_at, @parent_snapshot_id, @branch_name, @scenario_meta, 1)
+        (@model_id, @inputs, @outputs, @created_at, @parent_snapshot_id, @branch_name, @scenario_meta, 1,
+         @as_of, @seed, @model_version, @logic_sha256, @manifest_sha256, @runtime_version, @duration_ms, @source)
     `);
 
     this._stmtListScenarios = this._db.prepare(`
       SELECT id, model_id, inputs, outputs, created_at,
-             parent_snapshot_id, branch_name, scenario_meta, is_scenario
+             parent_snapshot_id, branch_name, scenario_meta, is_scenario, ${PROVENANCE_COLUMNS}
       FROM snapshots
       WHERE is_scenario = 1 AND parent_snapshot_id = ?
       ORDER BY created_at DESC, id DESC
@@ -141,19 +267,42 @@ class SnapshotStore {
 
     this._stmtListAllScenarios = this._db.prepare(`
       SELECT id, model_id, inputs, outputs, created_at,
-             parent_snapshot_id, branch_name, scenario_meta, is_scenario
+             parent_snapshot_id, branch_name, scenario_meta, is_scenario, ${PROVENANCE_COLUMNS}
       FROM snapshots
       WHERE is_scenario = 1
       ORDER BY created_at DESC, id DESC
     `);
 
-    this._stmtDeleteScenario = this._db.prepare(`
-      DELETE FROM snapshots WHERE id = ? AND is_scenario = 1
+    this._stmtDelete = this._db.prepare(`
+      DELETE FROM snapshots WHERE id = ?
+    `);
+
+    // Rows that reference a snapshot are unlinked before it is deleted:
+    // better-sqlite3 enforces foreign keys, and RFC-001 and RFC-003 keep
+    // scenarios and journal entries when the snapshot they cite goes.
+    this._stmtUnlinkJournal = this._db.prepare(`
+      UPDATE journal_entries SET snapshot_id = NULL WHERE snapshot_id = ?
+    `);
+
+    this._stmtUnlinkScenarios = this._db.prepare(`
+      UPDATE snapshots SET parent_snapshot_id = NULL WHERE parent_snapshot_id = ?
+    `);
+
+    this._stmtListForPrune = this._db.prepare(`
+      SELECT id, model_id, created_at
+      FROM snapshots
+      ORDER BY created_at DESC, id DESC
+    `);
+
+    this._stmtLinkedIds = this._db.prepare(`
+      SELECT snapshot_id AS id FROM journal_entries WHERE snapshot_id IS NOT NULL
+      UNION
+      SELECT parent_snapshot_id AS id FROM snapshots WHERE parent_snapshot_id IS NOT NULL
     `);
 
     this._stmtGetById = this._db.prepare(`
       SELECT id, model_id, inputs, outputs, created_at,
-             parent_snapshot_id, branch_name, scenario_meta, is_scenario
+             parent_snapshot_id, branch_name, scenario_meta, is_scenario, ${PROVENANCE_COLUMNS}
       FROM snapshots
       WHERE id = ?
     `);
@@ -167,16 +316,159 @@ class SnapshotStore {
     return {
       id: row.id,
       model_id: row.model_id,
-      inputs: JSON.parse(row.inputs),
+      // Left out when the row was read without its inputs (see query()).
+      ...(row.inputs === undefined ? {} : { inputs: JSON.parse(row.inputs) }),
       outputs: JSON.parse(row.outputs),
       created_at: row.created_at,
       parent_snapshot_id: row.parent_snapshot_id ?? null,
       branch_name: row.branch_name ?? null,
       scenario_meta: row.scenario_meta ? JSON.parse(row.scenario_meta) : null,
       is_scenario: Boolean(row.is_scenario),
+      ...SnapshotStore._parseProvenance(row),
+    };
+  }
+
+  /**
+   * Picks the run metadata columns (v3-v5) out of a row, with NULL for
+   * snapshots saved before they existed.
+   */
+  static _parseProvenance(row) {
+    return {
+      as_of: row.as_of ?? null,
+      seed: row.seed ?? null,
+      model_version: row.model_version ?? null,
+      logic_sha256: row.logic_sha256 ?? null,
+      manifest_sha256: row.manifest_sha256 ?? null,
+      runtime_version: row.runtime_version ?? null,
+      duration_ms: row.duration_ms ?? null,
+      source: row.source ?? null,
+    };
+  }
+
+  /**
+   * Validates the optional run metadata accepted by save() and saveScenario()
+   * and maps it to statement parameters.
+   *
+   * @param {RunMetadata} run
+   * @returns {object} Column values, null where the metadata was omitted.
+   */
+  static _runParams(run) {
+    if (!run || typeof run !== 'object') {
+      throw new TypeError('run metadata must be an object when provided');
+    }
+    const asOf = run.asOf ?? null;
+    const seed = run.seed ?? null;
+    if (asOf !== null && (typeof asOf !== 'string' || isNaN(Date.parse(asOf)))) {
+      throw new TypeError('run.asOf must be an ISO 8601 string');
+    }
+    if (seed !== null && !Number.isInteger(seed)) {
+      throw new TypeError('run.seed must be an integer');
+    }
+    const modelVersion = run.modelVersion ?? null;
+    const logicSha256 = run.logicSha256 ?? null;
+    if (modelVersion !== null && (typeof modelVersion !== 'string' || !modelVersion)) {
+      throw new TypeError('run.modelVersion must be a non-empty string');
+    }
+    if (logicSha256 !== null && !/^[0-9a-f]{64}$/.test(logicSha256)) {
+      throw new TypeError('run.logicSha256 must be a lowercase hex SHA-256 digest');
+    }
+    const manifestSha256 = run.manifestSha256 ?? null;
+    const runtimeVersion = run.runtimeVersion ?? null;
+    const durationMs = run.durationMs ?? null;
+    const source = run.source ?? null;
+    if (manifestSha256 !== null && !/^[0-9a-f]{64}$/.test(manifestSha256)) {
+      throw new TypeError('run.manifestSha256 must be a lowercase hex SHA-256 digest');
+    }
+    if (runtimeVersion !== null && (typeof runtimeVersion !== 'string' || !runtimeVersion)) {
+      throw new TypeError('run.runtimeVersion must be a non-empty string');
+    }
+    if (durationMs !== null && (!Number.isInteger(durationMs) || durationMs < 0)) {
+      throw new TypeError('run.durationMs must be a non-negative integer');
+    }
+    if (source !== null && !SNAPSHOT_SOURCES.includes(source)) {
+      throw new TypeError(`run.source must be one of: ${SNAPSHOT_SOURCES.join(', ')}`);
+    }
+    return {
+      as_of: asOf,
+      seed,
+      model_version: modelVersion,
+      logic_sha256: logicSha256,
+      manifest_sha256: manifestSha256,
+      runtime_version: runtimeVersion,
+      duration_ms: durationMs,
+      source,
     };
   }
 
+  /**
+   * Normalises a Date, ISO 8601 string or epoch milliseconds to the ISO form
+   * created_at is stored in, so the two compare as strings.
+   *
+   * @param {Date|string|number} value
+   * @param {string} name - Option name for the error message.
+   * @returns {string}
+   */
+  static _toInstant(value, name) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new TypeError(`${name} must be a Date, ISO 8601 string or epoch milliseconds`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Packs a page boundary into the opaque cursor query() returns.
+   *
+   * @param {string} createdAt
+   * @param {number} id
+   * @returns {string}
+   */
+  static _encodeCursor(createdAt, id) {
+    return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+  }
+
+  /**
+   * Unpacks a cursor from _encodeCursor.
+   *
+   * @param {string} cursor
+   * @returns {[string, number]}
+   */
+  static _decodeCursor(cursor) {
+    let value;
+    try {
+      value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      value = null;
+    }
+    if (!Array.isArray(value) || typeof value[0] !== 'string' || !Number.isInteger(value[1])) {
+      throw new TypeError('cursor is not one returned by query()');
+    }
+    return value;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private: deletion
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deletes snapshots in one transaction, first unlinking the journal
+   * entries that cite them and the scenarios branched from them.
+   *
+   * @param {number[]} ids
+   * @returns {number} How many rows were deleted.
+   */
+  _deleteAll(ids) {
+    return this._db.transaction(() => {
+      let deleted = 0;
+      for (const id of ids) {
+        this._stmtUnlinkJournal.run(id);
+        this._stmtUnlinkScenarios.run(id);
+        deleted += this._stmtDelete.run(id).changes;
+      }
+      return deleted;
+    })();
+  }
+
   // ---------------------------------------------------------------------------
   // Public: baseline snapshot API (unchanged from v0)
   // ---------------------------------------------------------------------------
@@ -187,9 +479,13 @@ class SnapshotStore {
    * @param {string} modelId - The model's id field from its manifest.
    * @param {object} inputs  - The validated inputs passed to the model.
    * @param {object} outputs - The outputs returned by the model.
+   * @param {RunMetadata} [run]
+   *   The as-of date and seed the run used (as returned by runModel), the
+   *   version and file hashes of the pack that ran, so the run can be replayed
+   *   on the same logic, and where and how quickly it ran.
    * @returns {number} The auto-assigned row id of the new snapshot.
    */
-  save(modelId, inputs, outputs) {
+  save(modelId, inputs, outputs, run = {}) {
     if (!modelId || typeof modelId !== 'string') {
       throw new TypeError('modelId must be a non-empty string');
     }
@@ -205,19 +501,25 @@ class SnapshotStore {
       inputs: JSON.stringify(inputs),
       outputs: JSON.stringify(outputs),
       created_at: new Date().toISOString(),
+      ...SnapshotStore._runParams(run),
     });
 
     return result.lastInsertRowid;
   }
 
   /**
-   * Retrieves stored snapshots, newest first.
+   * Retrieves stored snapshots, newest first. Reads every matching row; use
+   * query() to page through large stores.
    *
    * @param {string} [modelId] - When provided, only snapshots for this model
    *   are returned. When omitted or undefined, all snapshots are returned.
+   * @param {{ provenance?: boolean }} [options]
+   *   `provenance: true` adds the run metadata columns (as_of, seed,
+   *   model_version, logic_sha256, manifest_sha256, runtime_version,
+   *   duration_ms, source) to each snapshot.
    * @returns {Array<{ id: number, model_id: string, inputs: object, outputs: object, created_at: string }>}
    */
-  list(modelId) {
+  list(modelId, options = {}) {
     let rows;
 
     if (modelId !== undefined && modelId !== null) {
@@ -235,6 +537,7 @@ class SnapshotStore {
       inputs: JSON.parse(row.inputs),
       outputs: JSON.parse(row.outputs),
       created_at: row.created_at,
+      ...(options.provenance ? SnapshotStore._parseProvenance(row) : {}),
     }));
   }
 
@@ -251,9 +554,10 @@ class SnapshotStore {
    * @param {object} inputs           - Modified inputs for the scenario.
    * @param {object} outputs          - Computed outputs for the scenario.
    * @param {object} [scenarioMeta]   - Optional metadata: { label, description, created_by }.
+   * @param {RunMetadata} [run] - Run metadata, as for save().
    * @returns {number} The new scenario snapshot's row ID.
    */
-  saveScenario(parentSnapshotId, branchName, modelId, inputs, outputs, scenarioMeta = {}) {
+  saveScenario(parentSnapshotId, branchName, modelId, inputs, outputs, scenarioMeta = {}, run = {}) {
     if (!Number.isInteger(parentSnapshotId)) {
       throw new TypeError('parentSnapshotId must be an integer');
     }
@@ -278,6 +582,7 @@ class SnapshotStore {
       parent_snapshot_id: parentSnapshotId,
       branch_name: branchName,
       scenario_meta: JSON.stringify(scenarioMeta),
+      ...SnapshotStore._runParams(run),
     });
 
     return result.lastInsertRowid;
@@ -307,7 +612,8 @@ class SnapshotStore {
 
   /**
    * Deletes a scenario snapshot by ID. Does not affect the parent snapshot.
-   * Non-scenario rows are never deleted by this method.
+   * Non-scenario rows are never deleted by this method. Rows that cite the
+   * scenario are unlinked as in delete().
    *
    * @param {number} scenarioId
    */
@@ -315,7 +621,10 @@ class SnapshotStore {
     if (!Number.isInteger(scenarioId)) {
       throw new TypeError('scenarioId must be an integer');
     }
-    this._stmtDeleteScenario.run(scenarioId);
+    const row = this._stmtGetById.get(scenarioId);
+    if (row && row.is_scenario) {
+      this._deleteAll([scenarioId]);
+    }
   }
 
   /**
@@ -332,6 +641,439 @@ class SnapshotStore {
     return row ? SnapshotStore._parseRow(row) : null;
   }
 
+  // ---------------------------------------------------------------------------
+  // Public: queries and time series
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches one page of snapshots, newest first, with optional filters.
+   * Unlike list(), it reads only the requested page and, with `fields`, only
+   * the requested output fields, so it stays fast on years of history.
+   *
+   * Pages are keyed on (created_at, id): pass the returned `nextCursor` back
+   * as `cursor` for the next page. Rows saved while paging never shift or
+   * repeat entries the way an OFFSET would.
+   *
+   * @param {{
+   *   modelId?: string,
+   *   from?: Date|string|number,
+   *   to?: Date|string|number,
+   *   limit?: number,
+   *   cursor?: string|null,
+   *   isScenario?: boolean,
+   *   branchName?: string,
+   *   fields?: string[],
+   *   inputs?: boolean
+   * }} [options]
+   *   `from` is inclusive and `to` exclusive, both compared with created_at.
+   *   `limit` defaults to 50 and may be at most 1000. `fields` lists output
+   *   paths ("total_score", "avalanche.months") to read with SQLite's JSON
+   *   functions instead of parsing whole rows; each snapshot's `outputs` then
+   *   holds just those paths (missing ones are left out) and `inputs`,
+   *   scenario_meta and the run metadata are omitted. `inputs: false` leaves
+   *   out just the inputs, for listings that only show outputs.
+   * @returns {{ snapshots: Array<ScenarioSnapshot>, nextCursor: string|null }}
+   *   `nextCursor` is null on the last page.
+   */
+  query(options = {}) {
+    if (!options || typeof options !== 'object') {
+      throw new TypeError('query options must be an object');
+    }
+    const {
+      modelId,
+      from,
+      to,
+      limit = DEFAULT_QUERY_LIMIT,
+      cursor,
+      isScenario,
+      branchName,
+      fields,
+      inputs = true,
+    } = options;
+
+    const where = [];
+    const params = [];
+    if (modelId !== undefined) {
+      if (!modelId || typeof modelId !== 'string') {
+        throw new TypeError('modelId must be a non-empty string when provided');
+      }
+      where.push('model_id = ?');
+      params.push(modelId);
+    }
+    if (from !== undefined) {
+      where.push('created_at >= ?');
+      params.push(SnapshotStore._toInstant(from, 'from'));
+    }
+    if (to !== undefined) {
+      where.push('created_at < ?');
+      params.push(SnapshotStore._toInstant(to, 'to'));
+    }
+    if (isScenario !== undefined) {
+      if (typeof isScenario !== 'boolean') {
+        throw new TypeError('isScenario must be a boolean when provided');
+      }
+      where.push('is_scenario = ?');
+      params.push(isScenario ? 1 : 0);
+    }
+    if (branchName !== undefined) {
+      if (typeof branchName !== 'string') {
+        throw new TypeError('branchName must be a string when provided');
+      }
+      where.push('branch_name = ?');
+      params.push(branchName);
+    }
+    if (cursor !== undefined && cursor !== null) {
+      const [createdAt, id] = SnapshotStore._decodeCursor(cursor);
+      where.push('(created_at < ? OR (created_at = ? AND id < ?))');
+      params.push(createdAt, createdAt, id);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      throw new TypeError(`limit must be an integer from 1 to ${MAX_QUERY_LIMIT}`);
+    }
+    if (typeof inputs !== 'boolean') {
+      throw new TypeError('inputs must be a boolean when provided');
+    }
+
+    let columns = `id, model_id, ${inputs ? 'inputs, ' : ''}outputs, created_at,
+      parent_snapshot_id, branch_name, scenario_meta, is_scenario, ${PROVENANCE_COLUMNS}`;
+    const fieldParams = [];
+    if (fields !== undefined) {
+      if (!Array.isArray(fields) || fields.some((f) => typeof f !== 'string' || !FIELD_PATH.test(f))) {
+        throw new TypeError('fields must be an array of output paths such as "total" or "debts[0].balance"');
+      }
+      columns = [
+        'id, model_id, created_at, parent_snapshot_id, branch_name, is_scenario',
+        ...fields.map((_, i) => `outputs -> ? AS field_${i}`),
+      ].join(', ');
+      fieldParams.push(...fields.map((f) => `$.${f}`));
+    }
+
+    const rows = this._db
+      .prepare(
+        `SELECT ${columns} FROM snapshots
+         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`
+      )
+      .all(...fieldParams, ...params, limit + 1);
+
+    const page = rows.slice(0, limit);
+    const snapshots = page.map((row) => {
+      if (fields === undefined) return SnapshotStore._parseRow(row);
+      const outputs = {};
+      fields.forEach((field, i) => {
+        if (row[`field_${i}`] !== null) outputs[field] = JSON.parse(row[`field_${i}`]);
+      });
+      return {
+        id: row.id,
+        model_id: row.model_id,
+        created_at: row.created_at,
+        parent_snapshot_id: row.parent_snapshot_id ?? null,
+        branch_name: row.branch_name ?? null,
+        is_scenario: Boolean(row.is_scenario),
+        outputs,
+      };
+    });
+
+    const last = page[page.length - 1];
+    return {
+      snapshots,
+      nextCursor: rows.length > limit ? SnapshotStore._encodeCursor(last.created_at, last.id) : null,
+    };
+  }
+
+  /**
+   * Extracts one output of a model's snapshots as a time series, oldest
+   * first, for trend charts. The value is read with SQLite's JSON functions,
+   * so only that value leaves the database. Snapshots without it and
+   * scenario branches are left out.
+   *
+   * With a `bucket`, points are grouped by UTC day, ISO week, month or year
+   * and combined with `aggregate`: the bucket's last value (default), or its
+   * average, minimum or maximum. `t` is then the bucket's start.
+   *
+   * @param {string} modelId
+   * @param {string} outputPath - Output id or path ("total_score",
+   *   "dimensions.emergency_fund.score", "debts[0].balance").
+   * @param {{
+   *   from?: Date|string|number,
+   *   to?: Date|string|number,
+   *   bucket?: 'day'|'week'|'month'|'year',
+   *   aggregate?: 'last'|'avg'|'min'|'max'
+   * }} [options] - `from` is inclusive and `to` exclusive, as for query().
+   * @returns {Array<{ t: string, value: * }>}
+   * @throws {TypeError} On invalid arguments, or when avg/min/max meet a
+   *   value that is not a number.
+   */
+  series(modelId, outputPath, options = {}) {
+    if (!modelId || typeof modelId !== 'string') {
+      throw new TypeError('modelId must be a non-empty string');
+    }
+    if (typeof outputPath !== 'string' || !FIELD_PATH.test(outputPath)) {
+      throw new TypeError('outputPath must be an output path such as "total" or "dimensions.savings.score"');
+    }
+    const { from, to, bucket, aggregate = 'last' } = options;
+    if (bucket !== undefined && !SERIES_BUCKETS.includes(bucket)) {
+      throw new TypeError(`bucket must be one of: ${SERIES_BUCKETS.join(', ')}`);
+    }
+    if (!SERIES_AGGREGATES.includes(aggregate)) {
+      throw new TypeError(`aggregate must be one of: ${SERIES_AGGREGATES.join(', ')}`);
+    }
+
+    // json_type is SQL NULL for a missing path and 'null' for a JSON null;
+    // both are skipped.
+    const jsonPath = `$.${outputPath}`;
+    const where = ['model_id = ?', 'is_scenario = 0', "json_type(outputs, ?) <> 'null'"];
+    const params = [modelId, jsonPath];
+    if (from !== undefined) {
+      where.push('created_at >= ?');
+      params.push(SnapshotStore._toInstant(from, 'from'));
+    }
+    if (to !== undefined) {
+      where.push('created_at < ?');
+      params.push(SnapshotStore._toInstant(to, 'to'));
+    }
+
+    const rows = this._db
+      .prepare(
+        `SELECT id, created_at, outputs -> ? AS value FROM snapshots
+         WHERE ${where.join(' AND ')}
+         ORDER BY created_at ASC, id ASC`
+      )
+      .all(jsonPath, ...params);
+
+    const points = rows.map((row) => ({ id: row.id, t: row.created_at, value: JSON.parse(row.value) }));
+    if (aggregate !== 'last') {
+      const bad = points.find((p) => typeof p.value !== 'number');
+      if (bad) {
+        throw new TypeError(`"${outputPath}" is not a number in snapshot ${bad.id}, so it cannot be aggregated with ${aggregate}`);
+      }
+    }
+    if (bucket === undefined) {
+      return points.map(({ t, value }) => ({ t, value }));
+    }
+
+    const buckets = new Map();
+    for (const point of points) {
+      const t = bucketStart(point.t, bucket);
+      if (!buckets.has(t)) buckets.set(t, []);
+      buckets.get(t).push(point.value);
+    }
+    const combine = {
+      last: (values) => values[values.length - 1],
+      avg: (values) => values.reduce((sum, v) => sum + v, 0) / values.length,
+      min: (values) => Math.min(...values),
+      max: (values) => Math.max(...values),
+    }[aggregate];
+    return [...buckets].map(([t, values]) => ({ t, value: combine(values) }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public: deletion and retention
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Deletes a snapshot (baseline or scenario) by ID. Journal entries that
+   * cite it are kept with their snapshot_id set to NULL (RFC-003), and
+   * scenarios branched from it are kept as standalone rows with a NULL
+   * parent_snapshot_id (RFC-001).
+   *
+   * @param {number} snapshotId
+   * @returns {boolean} Whether a snapshot was deleted.
+   */
+  delete(snapshotId) {
+    if (!Number.isInteger(snapshotId)) {
+      throw new TypeError('snapshotId must be an integer');
+    }
+    return this._deleteAll([snapshotId]) > 0;
+  }
+
+  /**
+   * Deletes the snapshots a retention policy does not keep.
+   *
+   * A snapshot is deleted when it was saved before `olderThan` (when given)
+   * and is not among the `keepLatestPerModel` newest snapshots of its model
+   * (when given). At least one of the two is required, so an empty policy
+   * cannot wipe the store. Unless `keepLinked` is false, snapshots cited by a
+   * journal entry or branched from by a scenario are always kept.
+   *
+   * Deleted rows follow the same rules as delete(). Run vacuum() afterwards
+   * to return the freed space to the filesystem.
+   *
+   * @param {{
+   *   olderThan?: Date|string|number,
+   *   keepLatestPerModel?: number,
+   *   keepLinked?: boolean,
+   *   dryRun?: boolean
+   * }} policy
+   *   `dryRun: true` returns what would be deleted without deleting it.
+   * @returns {Array<{ id: number, model_id: string, created_at: string }>}
+   *   The snapshots deleted (or, with dryRun, that would be), newest first.
+   */
+  prune(policy) {
+    if (!policy || typeof policy !== 'object') {
+      throw new TypeError('prune policy must be an object');
+    }
+    const { olderThan, keepLatestPerModel, keepLinked = true, dryRun = false } = policy;
+    if (olderThan === undefined && keepLatestPerModel === undefined) {
+      throw new TypeError('prune policy needs olderThan, keepLatestPerModel or both');
+    }
+
+    const cutoff = olderThan === undefined ? null : SnapshotStore._toInstant(olderThan, 'policy.olderThan');
+    if (keepLatestPerModel !== undefined && (!Number.isInteger(keepLatestPerModel) || keepLatestPerModel < 0)) {
+      throw new TypeError('policy.keepLatestPerModel must be a non-negative integer');
+    }
+
+    const linked = keepLinked ? new Set(this._stmtLinkedIds.all().map((row) => row.id)) : new Set();
+    const seenPerModel = new Map();
+    const doomed = [];
+    for (const row of this._stmtListForPrune.all()) {
+      const rank = (seenPerModel.get(row.model_id) || 0) + 1;
+      seenPerModel.set(row.model_id, rank);
+      if (keepLatestPerModel !== undefined && rank <= keepLatestPerModel) continue;
+      if (cutoff !== null && row.created_at >= cutoff) continue;
+      if (linked.has(row.id)) continue;
+      doomed.push({ id: row.id, model_id: row.model_id, created_at: row.created_at });
+    }
+
+    if (!dryRun) {
+      this._deleteAll(doomed.map((row) => row.id));
+    }
+    return doomed;
+  }
+
+  /**
+   * Rebuilds the database file to release the space left by deleted rows.
+   * SQLite does not shrink the file on DELETE, so call this after prune().
+   */
+  vacuum() {
+    this._db.exec('VACUUM');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public: comparison and replay
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetches a snapshot, throwing when it does not exist.
+   *
+   * @param {number} snapshotId
+   * @returns {ScenarioSnapshot}
+   */
+  _require(snapshotId) {
+    const snapshot = this.getById(snapshotId);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${snapshotId} not found`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Compares two snapshots' inputs and outputs leaf by leaf. Nested values
+   * are compared by path ("avalanche.totalInterest", "debts[1].rate"); see
+   * diffValues for the shape of each change. Unchanged values are left out.
+   *
+   * Snapshots of different models can be compared; `sameModel` says whether
+   * they were.
+   *
+   * @param {number} idA - The earlier or baseline snapshot.
+   * @param {number} idB
+   * @returns {{
+   *   a: { id: number, model_id: string, model_version: string|null, created_at: string },
+   *   b: { id: number, model_id: string, model_version: string|null, created_at: string },
+   *   sameModel: boolean,
+   *   inputs: object[],
+   *   outputs: object[]
+   * }}
+   * @throws {Error} If either snapshot does not exist.
+   */
+  diff(idA, idB) {
+    const a = this._require(idA);
+    const b = this._require(idB);
+    const meta = (s) => ({ id: s.id, model_id: s.model_id, model_version: s.model_version, created_at: s.created_at });
+
+    return {
+      a: meta(a),
+      b: meta(b),
+      sameModel: a.model_id === b.model_id,
+      inputs: diffValues(a.inputs, b.inputs),
+      outputs: diffValues(a.outputs, b.outputs),
+    };
+  }
+
+  /**
+   * Re-runs a snapshot's stored inputs and reports how the outputs drift
+   * from the stored ones. Runs use the snapshot's recorded as-of date and
+   * seed, so any drift comes from the pack: a newer version, edited logic or
+   * a changed manifest.
+   *
+   * By default the pack's current default version replays the inputs. With
+   * `pinned` the version (and, where several copies share it, the logic.js)
+   * that produced the snapshot is used instead, which should reproduce it
+   * exactly.
+   *
+   * @param {number} snapshotId
+   * @param {{
+   *   modelsDir?: string,
+   *   catalog?: ModelCatalog,
+   *   pinned?: boolean,
+   *   isolation?: string
+   * }} [options]
+   *   Packs are resolved through `catalog`, or a catalog of `modelsDir`
+   *   alone; with neither, the default roots (see ModelCatalog.defaultRoots).
+   *   `isolation` selects the sandbox backend.
+   * @returns {Promise<{
+   *   snapshot: ScenarioSnapshot,
+   *   recorded: { version: string|null, logic_sha256: string|null },
+   *   replayed: { version: string, logic_sha256: string, dir: string },
+   *   outputs: object,
+   *   drift: object[],
+   *   matches: boolean,
+   *   deterministic: boolean,
+   *   warnings: string[]
+   * }>}
+   *   `drift` lists output changes from the stored to the replayed outputs,
+   *   as diff() does. `deterministic` is false for snapshots saved without
+   *   an as-of date or seed, whose replay runs on today's clock and a new
+   *   seed, so time- or random-dependent outputs may drift too.
+   * @throws {Error} If the snapshot does not exist, its pack cannot be found,
+   *   or the stored inputs no longer validate (with an `errors` array).
+   */
+  async replay(snapshotId, options = {}) {
+    // Required here rather than at the top: index.js requires this module.
+    const { runModelAsync } = require('./index');
+    const snapshot = this._require(snapshotId);
+
+    const catalog =
+      options.catalog ||
+      new ModelCatalog({
+        roots: options.modelsDir ? [{ dir: options.modelsDir }] : ModelCatalog.defaultRoots(),
+      });
+    const entry = options.pinned ? catalog.resolveSnapshot(snapshot) : catalog.resolve(snapshot.model_id);
+    const { manifest } = entry;
+    const logicCode = fs.readFileSync(path.join(entry.dir, 'logic.js'), 'utf8');
+
+    const result = await runModelAsync(manifest, logicCode, snapshot.inputs, {
+      packDir: entry.dir,
+      isolation: options.isolation,
+      asOf: snapshot.as_of ?? undefined,
+      seed: snapshot.seed ?? undefined,
+      format: false,
+    });
+    const drift = diffValues(snapshot.outputs, result.outputs);
+
+    return {
+      snapshot,
+      recorded: { version: snapshot.model_version, logic_sha256: snapshot.logic_sha256 },
+      replayed: { version: String(manifest.version), logic_sha256: hashBuffer(logicCode), dir: entry.dir },
+      outputs: result.outputs,
+      drift,
+      matches: drift.length === 0,
+      deterministic: snapshot.as_of !== null && snapshot.seed !== null,
+      warnings: result.warnings,
+    };
+  }
+
   // ---------------------------------------------------------------------------
   // Public: lifecycle
   // ---------------------------------------------------------------------------
@@ -345,4 +1087,4 @@ class SnapshotStore {
   }
 }
 
-module.exports = { SnapshotStore };
+module.exports = { SnapshotStore, SNAPSHOT_SOURCES, SERIES_BUCKETS, SERIES_AGGREGATES };
@@ -0,0 +1,260 @@
+'use strict';
+
+const { applyInputDefaults } = require('./validator');
+
+/**
+ * Accepted values for sweep's `mode` option.
+ */
+const SWEEP_MODES = ['one-at-a-time', 'grid'];
+
+/**
+ * Most model runs one sweep may make unless `maxRuns` says otherwise.
+ */
+const DEFAULT_MAX_RUNS = 1000;
+
+/**
+ * Turns one `vary` entry into the list of values to try: either an explicit
+ * list, or `{ from, to, steps }` spread evenly over the range, ends included.
+ *
+ * @param {object}             manifest
+ * @param {string}             id
+ * @param {number[]|{ from: number, to: number, steps: number }} spec
+ * @returns {number[]}
+ * @throws {Error} If the input is not a declared number input or the values
+ *   are not finite numbers.
+ */
+function expandRange(manifest, id, spec) {
+  const def = manifest.inputs.find((d) => d.id === id);
+  if (!def) {
+    throw new Error(`Cannot vary "${id}": the manifest declares no such input`);
+  }
+  if (def.type !== 'number') {
+    throw new Error(`Cannot vary "${id}": only number inputs can be varied (it is ${def.type})`);
+  }
+
+  let values;
+  if (Array.isArray(spec)) {
+    values = spec;
+  } else if (spec && typeof spec === 'object') {
+    const { from, to, steps } = spec;
+    if (!Number.isInteger(steps) || steps < 2) {
+      throw new Error(`Range for "${id}" must have an integer "steps" of at least 2`);
+    }
+    // Rounded so 0.1-sized steps do not come out as 0.30000000000000004.
+    values = Array.from({ length: steps }, (_, i) =>
+      Number((from + ((to - from) * i) / (steps - 1)).toPrecision(12))
+    );
+  } else {
+    throw new Error(`Range for "${id}" must be a list of numbers or { from, to, steps }`);
+  }
+
+  if (values.length === 0 || !values.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+    throw new Error(`Range for "${id}" must contain finite numbers`);
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Arc (midpoint) elasticity between two points: the percentage change in
+ * the output per percentage change in the input. Null when a midpoint is
+ * zero, where the ratio is undefined.
+ *
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @returns {number|null}
+ */
+function arcElasticity(x1, y1, x2, y2) {
+  const xMid = (x1 + x2) / 2;
+  const yMid = (y1 + y2) / 2;
+  if (xMid === 0 || yMid === 0 || x1 === x2) return null;
+  return ((y2 - y1) / yMid) / ((x2 - x1) / xMid);
+}
+
+/**
+ * Every combination of the varied inputs' values.
+ *
+ * @param {string[]}  ids
+ * @param {object}    ranges - id → values
+ * @returns {object[]} Assignments of id → value.
+ */
+function cartesian(ids, ranges) {
+  return ids.reduce(
+    (assignments, id) => assignments.flatMap((a) => ranges[id].map((v) => ({ ...a, [id]: v }))),
+    [{}]
+  );
+}
+
+/**
+ * Runs a model across a range of values for one or more number inputs and
+ * measures how sensitive each numeric output is to each input.
+ *
+ * In 'one-at-a-time' mode (the default) each varied input moves through its
+ * values while the others stay at their base values. In 'grid' mode every
+ * combination is run. Either way, sensitivity is measured one input at a
+ * time about the base inputs, so it reads the same in both modes.
+ *
+ * Every run uses the base run's clock and seed, so the outputs differ only
+ * because the inputs did. A run whose inputs fail validation (e.g. a value
+ * past a declared `max`) is kept in `runs` with its errors and left out of
+ * the sensitivity figures.
+ *
+ * @param {object} manifest   - The model manifest (from loadModel).
+ * @param {string} logicCode  - Source code of the model logic.
+ * @param {object} baseInputs - Inputs for the base run. Every varied input
+ *   needs a value here or a manifest default.
+ * @param {{
+ *   vary: Object<string, number[]|{ from: number, to: number, steps: number }>,
+ *   mode?: 'one-at-a-time'|'grid',
+ *   maxRuns?: number,
+ *   packDir?: string,
+ *   isolation?: string,
+ *   asOf?: Date|string|number,
+ *   seed?: number,
+ *   locale?: string,
+ *   currency?: string
+ * }} options
+ *   `packDir`, `isolation`, `asOf`, `seed`, `locale` and `currency` are
+ *   passed to runModelAsync.
+ * @returns {Promise<{
+ *   base: { inputs: object, outputs: object },
+ *   runs: Array<{ values: object, outputs?: object, errors?: string[] }>,
+ *   sensitivity: Object<string, Array<{
+ *     input: string,
+ *     low: { value: number, output: number },
+ *     high: { value: number, output: number },
+ *     swing: number,
+ *     elasticity: number|null
+ *   }>>,
+ *   asOf: string,
+ *   seed: number
+ * }>}
+ *   `runs[].values` holds the varied inputs of each run. `sensitivity` has
+ *   an entry per numeric output, listing the inputs by how far they move it
+ *   (|swing|, largest first); `low` and `high` are the ends of the input's
+ *   range, base value included, and `elasticity` is the arc elasticity
+ *   between them.
+ * @throws {TypeError} If `mode` is unknown.
+ * @throws {Error} If `vary` is invalid, the sweep needs more than `maxRuns`
+ *   runs, or the base run fails.
+ */
+async function sweep(manifest, logicCode, baseInputs, options) {
+  // Required here rather than at the top: index.js requires this module.
+  const { runModelAsync } = require('./index');
+  const opts = options || {};
+  const mode = opts.mode || 'one-at-a-time';
+  if (!SWEEP_MODES.includes(mode)) {
+    throw new TypeError(`Unknown sweep mode "${mode}". Allowed: ${SWEEP_MODES.join(', ')}`);
+  }
+  if (!opts.vary || typeof opts.vary !== 'object' || Object.keys(opts.vary).length === 0) {
+    throw new Error('sweep needs at least one input to vary');
+  }
+
+  const ids = Object.keys(opts.vary);
+  const ranges = {};
+  for (const id of ids) {
+    ranges[id] = expandRange(manifest, id, opts.vary[id]);
+  }
+
+  const resolved = applyInputDefaults(manifest, baseInputs || {});
+  const baseValues = {};
+  for (const id of ids) {
+    if (typeof resolved[id] !== 'number') {
+      throw new Error(`Cannot vary "${id}" without a base value for it`);
+    }
+    baseValues[id] = resolved[id];
+  }
+
+  const oneAtATime = ids.flatMap((id) => ranges[id].map((v) => ({ ...baseValues, [id]: v })));
+  const planned = mode === 'grid' ? cartesian(ids, ranges) : oneAtATime;
+  const maxRuns = opts.maxRuns ?? DEFAULT_MAX_RUNS;
+  if (planned.length > maxRuns) {
+    throw new Error(`Sweep needs ${planned.length} runs, more than the limit of ${maxRuns}`);
+  }
+
+  const base = await runModelAsync(manifest, logicCode, resolved, {
+    packDir: opts.packDir,
+    isolation: opts.isolation,
+    asOf: opts.asOf,
+    seed: opts.seed,
+    locale: opts.locale,
+    currency: opts.currency,
+    format: false,
+  });
+
+  const cache = new Map([[JSON.stringify(baseValues), { values: baseValues, outputs: base.outputs }]]);
+  const runAt = async (values) => {
+    const key = JSON.stringify(values);
+    if (!cache.has(key)) {
+      let run;
+      try {
+        const result = await runModelAsync(manifest, logicCode, { ...resolved, ...values }, {
+          packDir: opts.packDir,
+          isolation: opts.isolation,
+          asOf: base.asOf,
+          seed: base.seed,
+          locale: opts.locale,
+          currency: opts.currency,
+          format: false,
+        });
+        run = { values, outputs: result.outputs };
+      } catch (err) {
+        run = { values, errors: err.errors && err.errors.length > 0 ? err.errors : [err.message] };
+      }
+      cache.set(key, run);
+    }
+    return cache.get(key);
+  };
+
+  const runs = [];
+  for (const values of planned) {
+    runs.push(await runAt(values));
+  }
+
+  const numericOutputs = manifest.outputs
+    .map((def) => def.id)
+    .filter((id) => typeof base.outputs[id] === 'number' && Number.isFinite(base.outputs[id]));
+
+  const sensitivity = {};
+  for (const outputId of numericOutputs) sensitivity[outputId] = [];
+
+  for (const id of ids) {
+    const points = [];
+    for (const value of [...new Set([...ranges[id], baseValues[id]])]) {
+      const run = await runAt({ ...baseValues, [id]: value });
+      if (run.outputs) points.push({ value, outputs: run.outputs });
+    }
+    if (points.length < 2) continue;
+
+    points.sort((a, b) => a.value - b.value);
+    const low = points[0];
+    const high = points[points.length - 1];
+    for (const outputId of numericOutputs) {
+      const y1 = low.outputs[outputId];
+      const y2 = high.outputs[outputId];
+      if (typeof y1 !== 'number' || typeof y2 !== 'number') continue;
+      sensitivity[outputId].push({
+        input: id,
+        low: { value: low.value, output: y1 },
+        high: { value: high.value, output: y2 },
+        swing: y2 - y1,
+        elasticity: arcElasticity(low.value, y1, high.value, y2),
+      });
+    }
+  }
+
+  for (const entries of Object.values(sensitivity)) {
+    entries.sort((a, b) => Math.abs(b.swing) - Math.abs(a.swing));
+  }
+
+  return {
+    base: { inputs: base.inputs, outputs: base.outputs },
+    runs,
+    sensitivity,
+    asOf: base.asOf,
+    seed: base.seed,
+  };
+}
+
+module.exports = { sweep, SWEEP_MODES };
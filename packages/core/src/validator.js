@@ -1,26 +1,331 @@
 'use strict';
 
+const { resolveFormatOptions } = require('./formatter');
+
+/**
+ * Supported types for manifest input declarations. "object" and "array"
+ * may nest further declarations through `properties` and `items`.
+ */
+const VALID_TYPES = new Set(['number', 'string', 'boolean', 'enum', 'object', 'array', 'date']);
+
+/**
+ * Supported types for manifest output declarations.
+ */
+const VALID_OUTPUT_TYPES = new Set(['number', 'string', 'boolean', 'object', 'array']);
+
+/**
+ * ISO 8601 calendar date, optionally followed by a time and UTC offset:
+ * "2025-01-31", "2025-01-31T09:30:00Z", "2025-01-31T09:30:00.000+02:00".
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Numeric constraint keys an input may declare. They apply to number inputs
+ * only. `unit` is descriptive; it shapes messages and prompts but does not
+ * restrict values.
+ */
+const NUMBER_CONSTRAINT_KEYS = ['min', 'max', 'step', 'integer'];
+
+/**
+ * Writes a constraint bound in the input's unit, e.g. "$1,000", "100%",
+ * "120 years". Currency bounds use the settings' locale and currency.
+ *
+ * @param {number} n
+ * @param {string} [unit]
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {string}
+ */
+function formatBound(n, unit, settings) {
+  if (unit === 'currency') {
+    const { locale, currency } = settings;
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0 }).format(n);
+  }
+  if (unit === 'percent') return `${n}%`;
+  return unit ? `${n} ${unit}` : String(n);
+}
+
+/**
+ * Reports problems with an input's own constraint declaration.
+ *
+ * @param {object} def
+ * @returns {string[]} Messages without the `Input "<id>"` prefix.
+ */
+function checkConstraintDeclaration(def) {
+  const problems = [];
+
+  for (const key of ['min', 'max', 'step']) {
+    if (def[key] !== undefined && (typeof def[key] !== 'number' || !isFinite(def[key]))) {
+      problems.push(`declares an invalid ${key}; expected a finite number`);
+    }
+  }
+  if (typeof def.step === 'number' && def.step <= 0) {
+    problems.push('declares an invalid step; expected a positive number');
+  }
+  if (typeof def.min === 'number' && typeof def.max === 'number' && def.min > def.max) {
+    problems.push(`declares min ${def.min} greater than max ${def.max}`);
+  }
+  if (def.integer !== undefined && typeof def.integer !== 'boolean') {
+    problems.push('declares an invalid integer flag; expected true or false');
+  }
+  if (def.unit !== undefined && (typeof def.unit !== 'string' || def.unit === '')) {
+    problems.push('declares an invalid unit; expected a non-empty string');
+  }
+
+  return problems;
+}
+
+/**
+ * Checks a finite number against the `min`, `max`, `integer` and `step`
+ * constraints of its declaration. Bounds are inclusive. `step` is measured
+ * from `min` (or 0 when no min is declared), so `min: 1, step: 2` accepts
+ * 1, 3, 5, ...
+ *
+ * The UI keeps a copy of this function in packages/ui/src/data/inputConstraints.js
+ * (the browser bundle cannot load core); change both together.
+ *
+ * @param {object} def   - Number input declaration.
+ * @param {number} value
+ * @param {{ locale?: string, currency?: string }} [options] - Used to write
+ *   currency bounds; as for formatOutput.
+ * @returns {string[]} Problems phrased to follow the input's name, e.g.
+ *   "must be at most 120 years, got 130". Empty when the value conforms.
+ * @throws {TypeError} If options are invalid.
+ */
+function checkNumberConstraints(def, value, options) {
+  const declarationProblems = checkConstraintDeclaration(def);
+  if (declarationProblems.length > 0) return declarationProblems;
+
+  const settings = resolveFormatOptions(options);
+  const problems = [];
+  const { min, max, step, integer, unit } = def;
+
+  if (min !== undefined && value < min) {
+    problems.push(`must be at least ${formatBound(min, unit, settings)}, got ${value}`);
+  }
+  if (max !== undefined && value > max) {
+    problems.push(`must be at most ${formatBound(max, unit, settings)}, got ${value}`);
+  }
+  if (integer === true && !Number.isInteger(value)) {
+    problems.push(`must be a whole number, got ${value}`);
+  }
+  if (step !== undefined) {
+    const steps = (value - (min !== undefined ? min : 0)) / step;
+    // Tolerate binary floating-point noise, e.g. 0.3 / 0.1 = 2.9999999999999996.
+    if (Math.abs(steps - Math.round(steps)) > 1e-9 * Math.max(1, Math.abs(steps))) {
+      problems.push(`must be in steps of ${formatBound(step, unit, settings)}, got ${value}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Returns true when value is an ISO 8601 date string naming a real calendar
+ * day (so "2025-02-30" is rejected).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIsoDate(value) {
+  if (typeof value !== 'string') return false;
+  const match = ISO_DATE_PATTERN.exec(value);
+  if (!match || isNaN(Date.parse(value))) return false;
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Returns true for a non-negative integer, the only valid minItems/maxItems.
+ *
+ * @param {*} n
+ * @returns {boolean}
+ */
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+/**
+ * Checks one value against one input declaration, recursing into object
+ * `properties` and array `items`. `path` names the value in messages:
+ * "debts", "debts[2]", "debts[2].balance".
+ *
+ * @param {object}   def      - Input declaration (or nested property / items schema).
+ * @param {*}        value
+ * @param {string}   path
+ * @param {string[]} errors   - Collector; messages are appended.
+ * @param {{ locale: string, currency: string }} settings - For currency bounds.
+ */
+function checkInputValue(def, value, path, errors, settings) {
+  const { type, values } = def;
+
+  // --- Type validity in manifest ---
+  if (!VALID_TYPES.has(type)) {
+    errors.push(
+      `Input "${path}" declares unknown type "${type}". Allowed types: ${[...VALID_TYPES].join(', ')}`
+    );
+    return;
+  }
+
+  if (type !== 'number' && NUMBER_CONSTRAINT_KEYS.some((key) => def[key] !== undefined)) {
+    errors.push(
+      `Input "${path}" declares ${NUMBER_CONSTRAINT_KEYS.join('/')} constraints but is not a number`
+    );
+  }
+
+  // --- Type check ---
+  if (type === 'number') {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      errors.push(
+        `Input "${path}" must be a finite number, got ${typeof value} (${JSON.stringify(value)})`
+      );
+    } else {
+      for (const problem of checkNumberConstraints(def, value, settings)) {
+        errors.push(`Input "${path}" ${problem}`);
+      }
+    }
+  } else if (type === 'string') {
+    if (typeof value !== 'string') {
+      errors.push(
+        `Input "${path}" must be a string, got ${typeof value} (${JSON.stringify(value)})`
+      );
+    }
+  } else if (type === 'boolean') {
+    if (typeof value !== 'boolean') {
+      errors.push(
+        `Input "${path}" must be a boolean, got ${typeof value} (${JSON.stringify(value)})`
+      );
+    }
+  } else if (type === 'enum') {
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(
+        `Input "${path}" is declared as enum but has no "values" list in the manifest`
+      );
+    } else if (!values.includes(value)) {
+      errors.push(
+        `Input "${path}" value ${JSON.stringify(value)} is not one of the allowed enum values: ${values.map((v) => JSON.stringify(v)).join(', ')}`
+      );
+    }
+  } else if (type === 'date') {
+    if (!isIsoDate(value)) {
+      errors.push(
+        `Input "${path}" must be an ISO 8601 date (YYYY-MM-DD), got ${JSON.stringify(value)}`
+      );
+    }
+  } else if (type === 'object') {
+    if (describeType(value) !== 'object') {
+      errors.push(`Input "${path}" must be an object, got ${describeType(value)}`);
+      return;
+    }
+    if (def.properties !== undefined) {
+      if (!Array.isArray(def.properties)) {
+        errors.push(`Input "${path}" declares "properties" that is not a list`);
+        return;
+      }
+      checkInputFields(def.properties, value, `${path}.`, errors, settings);
+    }
+  } else if (type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`Input "${path}" must be an array, got ${describeType(value)}`);
+      return;
+    }
+    const { minItems, maxItems, items } = def;
+    if (minItems !== undefined && !isCount(minItems)) {
+      errors.push(`Input "${path}" declares an invalid minItems; expected a non-negative integer`);
+    } else if (minItems !== undefined && value.length < minItems) {
+      errors.push(`Input "${path}" must have at least ${minItems} item(s), got ${value.length}`);
+    }
+    if (maxItems !== undefined && !isCount(maxItems)) {
+      errors.push(`Input "${path}" declares an invalid maxItems; expected a non-negative integer`);
+    } else if (maxItems !== undefined && value.length > maxItems) {
+      errors.push(`Input "${path}" must have at most ${maxItems} item(s), got ${value.length}`);
+    }
+    if (items !== undefined) {
+      if (!items || typeof items !== 'object' || Array.isArray(items)) {
+        errors.push(`Input "${path}" declares "items" that is not a schema object`);
+        return;
+      }
+      value.forEach((item, i) => checkInputValue(items, item, `${path}[${i}]`, errors, settings));
+    }
+  }
+}
+
 /**
- * Supported primitive types for manifest input declarations.
+ * An input is optional when it says `required: false`, or when it leaves
+ * `required` unset and declares a `default`. `required: true` always wins;
+ * on such inputs a `default` only pre-fills interactive prompts.
+ *
+ * @param {object} def - Input declaration or nested property.
+ * @returns {boolean}
  */
-const VALID_TYPES = new Set(['number', 'string', 'boolean', 'enum']);
+function isOptionalInput(def) {
+  if (def.required === false) return true;
+  return def.required === undefined && def.default !== undefined;
+}
+
+/**
+ * Checks a container's declared fields: top-level manifest inputs, or the
+ * `properties` of an object input. `prefix` is prepended to each id in
+ * messages ("" at the top level, "owner." for nested properties).
+ *
+ * @param {object[]} defs
+ * @param {object}   container
+ * @param {string}   prefix
+ * @param {string[]} errors
+ * @param {{ locale: string, currency: string }} settings
+ */
+function checkInputFields(defs, container, prefix, errors, settings) {
+  for (const def of defs) {
+    if (!def || !def.id) {
+      errors.push(`An input declaration${prefix ? ` under "${prefix.slice(0, -1)}"` : ''} is missing its "id"`);
+      continue;
+    }
+
+    const path = prefix + def.id;
+
+    // --- Presence check ---
+    if (!(def.id in container) || container[def.id] === undefined) {
+      if (!isOptionalInput(def)) {
+        errors.push(`Missing required input: "${path}"`);
+      }
+      continue;
+    }
+
+    checkInputValue(def, container[def.id], path, errors, settings);
+  }
+}
 
 /**
  * Validates that the user-supplied inputs object satisfies the schema
  * declared in the model manifest.
  *
  * Validation rules:
- *  - Every input declared in the manifest must be present (no missing keys).
+ *  - Every required input declared in the manifest must be present. Optional
+ *    inputs (`required: false`, or a `default` with `required` unset) may be
+ *    omitted; see applyInputDefaults.
  *  - Extra keys in the inputs object that are not in the manifest are ignored.
  *  - The runtime type of each value must match the declared type.
  *  - For "enum" inputs, the value must appear in the declared "values" array.
+ *  - "number" inputs may declare `min`, `max` (inclusive), `integer: true`
+ *    and `step`; `unit` (e.g. "currency", "percent", "years") only shapes
+ *    the messages. See checkNumberConstraints.
+ *  - "date" inputs are ISO 8601 strings naming a real calendar day.
+ *  - "object" inputs may declare `properties`, a list of nested input
+ *    declarations checked with these same rules.
+ *  - "array" inputs may declare an `items` schema applied to every element,
+ *    plus `minItems` / `maxItems` bounds on the length.
  *
  * @param {object} manifest - The parsed manifest object from loadModel.
  * @param {object} inputs   - The user-supplied key/value input map.
+ * @param {{ locale?: string, currency?: string }} [options] - Used to write
+ *   currency bounds in messages; as for formatOutput.
  * @returns {{ valid: boolean, errors: string[] }}
+ * @throws {TypeError} If options are invalid.
  */
-function validateInputs(manifest, inputs) {
+function validateInputs(manifest, inputs, options) {
   const errors = [];
+  const settings = resolveFormatOptions(options);
 
   if (!manifest || !Array.isArray(manifest.inputs)) {
     errors.push('Manifest does not contain a valid "inputs" array');
@@ -32,52 +337,169 @@ function validateInputs(manifest, inputs) {
     return { valid: false, errors };
   }
 
-  for (const inputDef of manifest.inputs) {
-    const { id, type, values } = inputDef;
+  checkInputFields(manifest.inputs, inputs, '', errors, settings);
 
-    // --- Presence check ---
-    if (!(id in inputs)) {
-      errors.push(`Missing required input: "${id}"`);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fills declared defaults into one container (the top-level inputs or a
+ * nested object) and recurses into nested objects and array items.
+ *
+ * @param {object[]} defs
+ * @param {object}   container - Not mutated.
+ * @returns {object} A new object.
+ */
+function fillDefaults(defs, container) {
+  const filled = Object.assign({}, container);
+
+  for (const def of defs) {
+    if (!def || !def.id) continue;
+
+    const present = def.id in filled && filled[def.id] !== undefined;
+    if (!present) {
+      if (isOptionalInput(def) && def.default !== undefined) {
+        // Copy so a model (or caller) mutating the value cannot alter the
+        // manifest's default for later runs.
+        filled[def.id] = structuredClone(def.default);
+      }
       continue;
     }
 
-    const value = inputs[id];
+    filled[def.id] = fillNestedDefaults(def, filled[def.id]);
+  }
+
+  return filled;
+}
 
-    // --- Type validity in manifest ---
-    if (!VALID_TYPES.has(type)) {
-      errors.push(
-        `Input "${id}" declares unknown type "${type}". Allowed types: ${[...VALID_TYPES].join(', ')}`
-      );
+/**
+ * Applies nested `properties` / `items` defaults to one value.
+ *
+ * @param {object} def
+ * @param {*}      value
+ * @returns {*}
+ */
+function fillNestedDefaults(def, value) {
+  if (def.type === 'object' && Array.isArray(def.properties) && describeType(value) === 'object') {
+    return fillDefaults(def.properties, value);
+  }
+  if (def.type === 'array' && def.items && Array.isArray(value)) {
+    return value.map((item) => fillNestedDefaults(def.items, item));
+  }
+  return value;
+}
+
+/**
+ * Returns the inputs a model will actually run with: the caller's values,
+ * plus the manifest `default` of every optional input the caller omitted
+ * (including optional properties nested in object and array inputs).
+ * Required inputs are never defaulted, so validateInputs still reports them
+ * as missing. The caller's object is not modified.
+ *
+ * @param {object} manifest - The parsed manifest object from loadModel.
+ * @param {object} inputs   - The user-supplied key/value input map.
+ * @returns {object} A new, resolved inputs object. Non-object inputs are
+ *   returned unchanged so validateInputs can report them.
+ */
+function applyInputDefaults(manifest, inputs) {
+  if (!manifest || !Array.isArray(manifest.inputs)) return inputs;
+  if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) return inputs;
+  return fillDefaults(manifest.inputs, inputs);
+}
+
+/**
+ * Describes a runtime value using the manifest's output type vocabulary, so
+ * error messages can say "got array" rather than "got object".
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validates the outputs returned by model logic against the schema declared
+ * in the manifest's "outputs" array.
+ *
+ * Validation rules:
+ *  - Every output declared in the manifest must be present and not undefined.
+ *  - Extra keys in the outputs object that are not in the manifest are ignored.
+ *  - When an output declares a "type", the runtime value must match it.
+ *    "object" means a non-null, non-array object; "number" must be finite.
+ *  - "range: [min, max]" bounds a number output, inclusive at both ends.
+ *  - "enum: [...]" restricts the output to the listed values.
+ *
+ * @param {object} manifest - The parsed manifest object from loadModel.
+ * @param {object} outputs  - The object returned by the model logic.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateOutputs(manifest, outputs) {
+  const errors = [];
+
+  if (!manifest || !Array.isArray(manifest.outputs)) {
+    errors.push('Manifest does not contain a valid "outputs" array');
+    return { valid: false, errors };
+  }
+
+  if (!outputs || typeof outputs !== 'object' || Array.isArray(outputs)) {
+    errors.push('outputs must be a plain object');
+    return { valid: false, errors };
+  }
+
+  for (const outputDef of manifest.outputs) {
+    const { id, type, range } = outputDef;
+    const allowed = outputDef.enum;
+
+    // --- Presence check ---
+    if (!(id in outputs) || outputs[id] === undefined) {
+      errors.push(`Missing declared output: "${id}"`);
       continue;
     }
 
+    const value = outputs[id];
+
     // --- Type check ---
-    if (type === 'number') {
-      if (typeof value !== 'number' || !isFinite(value)) {
+    if (type !== undefined) {
+      if (!VALID_OUTPUT_TYPES.has(type)) {
         errors.push(
-          `Input "${id}" must be a finite number, got ${typeof value} (${JSON.stringify(value)})`
+          `Output "${id}" declares unknown type "${type}". Allowed types: ${[...VALID_OUTPUT_TYPES].join(', ')}`
         );
+        continue;
       }
-    } else if (type === 'string') {
-      if (typeof value !== 'string') {
-        errors.push(
-          `Input "${id}" must be a string, got ${typeof value} (${JSON.stringify(value)})`
-        );
+
+      const actual = describeType(value);
+      if (type === 'number' ? actual !== 'number' || !isFinite(value) : actual !== type) {
+        const expected = type === 'number' ? 'a finite number' : `${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+        errors.push(`Output "${id}" must be ${expected}, got ${actual} (${JSON.stringify(value)})`);
+        continue;
       }
-    } else if (type === 'boolean') {
-      if (typeof value !== 'boolean') {
+    }
+
+    // --- Range check ---
+    if (range !== undefined) {
+      if (
+        !Array.isArray(range) ||
+        range.length !== 2 ||
+        !range.every((bound) => typeof bound === 'number')
+      ) {
+        errors.push(`Output "${id}" declares an invalid range; expected [min, max]`);
+      } else if (typeof value !== 'number' || value < range[0] || value > range[1]) {
         errors.push(
-          `Input "${id}" must be a boolean, got ${typeof value} (${JSON.stringify(value)})`
+          `Output "${id}" value ${JSON.stringify(value)} is outside the declared range [${range[0]}, ${range[1]}]`
         );
       }
-    } else if (type === 'enum') {
-      if (!Array.isArray(values) || values.length === 0) {
-        errors.push(
-          `Input "${id}" is declared as enum but has no "values" list in the manifest`
-        );
-      } else if (!values.includes(value)) {
+    }
+
+    // --- Enum check ---
+    if (allowed !== undefined) {
+      if (!Array.isArray(allowed) || allowed.length === 0) {
+        errors.push(`Output "${id}" declares an "enum" that is not a non-empty list`);
+      } else if (!allowed.includes(value)) {
         errors.push(
-          `Input "${id}" value ${JSON.stringify(value)} is not one of the allowed enum values: ${values.map((v) => JSON.stringify(v)).join(', ')}`
+          `Output "${id}" value ${JSON.stringify(value)} is not one of the allowed enum values: ${allowed.map((v) => JSON.stringify(v)).join(', ')}`
         );
       }
     }
@@ -86,4 +508,218 @@ function validateInputs(manifest, inputs) {
   return { valid: errors.length === 0, errors };
 }
 
-module.exports = { validateInputs };
+/**
+ * Minimum length of explain.method (contract rule E-3).
+ */
+const EXPLAIN_METHOD_MIN_LENGTH = 50;
+
+/**
+ * Field contracts for the entries of each explain-block array, taken from
+ * docs/specs/explainability-contract.md section 3. Each field maps to a check
+ * and the description used in error messages.
+ */
+const EXPLAIN_ENTRY_FIELDS = {
+  assumptions: {
+    rule: 'E-5',
+    fields: {
+      id: 'string',
+      label: 'string',
+      value: 'string|number',
+      source: ['user_input', 'model_default', 'embedded_data'],
+      impact: ['high', 'medium', 'low'],
+    },
+    optional: { note: 'string|null' },
+  },
+  drivers: {
+    rule: 'E-6',
+    fields: {
+      rank: 'number',
+      label: 'string',
+      contribution: 'string',
+      value: 'string|number',
+      direction: ['positive', 'negative', 'neutral'],
+    },
+    optional: {},
+  },
+  sensitivity: {
+    rule: 'E-7',
+    fields: {
+      variable: 'string',
+      label: 'string',
+      direction: ['increase', 'decrease'],
+      change_description: 'string',
+      impact_description: 'string',
+      impact_magnitude: ['high', 'medium', 'low'],
+    },
+    optional: {},
+  },
+  data_sources: {
+    rule: 'E-8',
+    fields: { label: 'string' },
+    optional: { url: 'string|null', retrieved_at: 'string|null', note: 'string|null' },
+  },
+};
+
+/**
+ * Returns true when value satisfies a field spec: either a list of allowed
+ * values or a "|"-separated list of type names ("null" matches null).
+ *
+ * @param {*} value
+ * @param {string|Array} spec
+ * @returns {boolean}
+ */
+function matchesFieldSpec(value, spec) {
+  if (Array.isArray(spec)) return spec.includes(value);
+  return spec.split('|').some((t) => (t === 'null' ? value === null : typeof value === t));
+}
+
+/**
+ * Describes a field spec for an error message.
+ *
+ * @param {string|Array} spec
+ * @returns {string}
+ */
+function describeFieldSpec(spec) {
+  if (Array.isArray(spec)) return `one of: ${spec.join(', ')}`;
+  return `of type ${spec.split('|').join(' or ')}`;
+}
+
+/**
+ * Checks every entry of one explain-block array against its field contract.
+ *
+ * @param {string}   key     - Array name, e.g. "assumptions".
+ * @param {Array}    entries
+ * @param {string[]} errors  - Collector; messages are appended.
+ */
+function checkExplainEntries(key, entries, errors) {
+  const { rule, fields, optional } = EXPLAIN_ENTRY_FIELDS[key];
+
+  entries.forEach((entry, i) => {
+    const where = `${key}[${i}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${rule}: ${where} must be an object`);
+      return;
+    }
+
+    for (const [field, spec] of Object.entries(fields)) {
+      if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+        errors.push(`${rule}: ${where} missing required field: ${field}`);
+      } else if (!matchesFieldSpec(entry[field], spec)) {
+        errors.push(`${rule}: ${where}.${field} must be ${describeFieldSpec(spec)}`);
+      }
+    }
+
+    for (const [field, spec] of Object.entries(optional)) {
+      if (entry[field] !== undefined && !matchesFieldSpec(entry[field], spec)) {
+        errors.push(`${rule}: ${where}.${field} must be ${describeFieldSpec(spec)}`);
+      }
+    }
+  });
+}
+
+/**
+ * Validates a model's `explain` output against the explainability contract
+ * (docs/specs/explainability-contract.md). Every message is prefixed with the
+ * contract rule it enforces (E-1 .. E-10) so review checklists can map
+ * failures back to the VERIFIED requirements.
+ *
+ * Errors (block VERIFIED status):
+ *  - E-1  the block exists and is an object (a plain string does not qualify)
+ *  - E-2  summary is a non-empty string
+ *  - E-3  method is a string of at least 50 characters
+ *  - E-4/E-5  assumptions is a non-empty array of well-formed Assumption entries
+ *  - E-6  drivers is a non-empty array of well-formed Driver entries
+ *  - E-7  sensitivity has at least two well-formed Sensitivity entries
+ *  - E-8  data_sources is present when any assumption has source
+ *         "embedded_data", and its entries are well-formed
+ *  - caveats, when present, is an array of strings; model_version and
+ *    methodology_url, when present, are strings
+ *
+ * Warnings (flagged for review):
+ *  - E-10 caveats is missing or empty
+ *
+ * E-9 (no unexplained jargon) needs a human reviewer and is not checked.
+ *
+ * @param {*} explain - The `explain` value returned by a model.
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+function validateExplainBlock(explain) {
+  const errors = [];
+  const warnings = [];
+
+  if (explain === undefined || explain === null) {
+    errors.push('E-1: Missing explain block');
+    return { valid: false, errors, warnings };
+  }
+
+  if (typeof explain !== 'object' || Array.isArray(explain)) {
+    errors.push(`E-1: explain must be an object, got ${describeType(explain)}`);
+    return { valid: false, errors, warnings };
+  }
+
+  if (typeof explain.summary !== 'string' || explain.summary.trim() === '') {
+    errors.push('E-2: summary is required');
+  }
+
+  if (typeof explain.method !== 'string' || explain.method.trim().length < EXPLAIN_METHOD_MIN_LENGTH) {
+    errors.push(
+      `E-3: method must explain the calculation approach (at least ${EXPLAIN_METHOD_MIN_LENGTH} characters)`
+    );
+  }
+
+  if (!Array.isArray(explain.assumptions) || explain.assumptions.length === 0) {
+    errors.push('E-4: At least one assumption is required');
+  } else {
+    checkExplainEntries('assumptions', explain.assumptions, errors);
+  }
+
+  if (!Array.isArray(explain.drivers) || explain.drivers.length === 0) {
+    errors.push('E-6: At least one driver is required');
+  } else {
+    checkExplainEntries('drivers', explain.drivers, errors);
+  }
+
+  if (!Array.isArray(explain.sensitivity) || explain.sensitivity.length < 2) {
+    errors.push('E-7: At least two sensitivity analyses are required');
+  }
+  if (Array.isArray(explain.sensitivity)) {
+    checkExplainEntries('sensitivity', explain.sensitivity, errors);
+  }
+
+  const embedsData = Array.isArray(explain.assumptions) &&
+    explain.assumptions.some((a) => a && a.source === 'embedded_data');
+  if (explain.data_sources !== undefined) {
+    if (!Array.isArray(explain.data_sources)) {
+      errors.push('E-8: data_sources must be an array');
+    } else {
+      checkExplainEntries('data_sources', explain.data_sources, errors);
+    }
+  }
+  if (embedsData && (!Array.isArray(explain.data_sources) || explain.data_sources.length === 0)) {
+    errors.push('E-8: Embedded data must be sourced (an assumption uses embedded_data but data_sources is empty)');
+  }
+
+  if (explain.caveats === undefined || (Array.isArray(explain.caveats) && explain.caveats.length === 0)) {
+    warnings.push('E-10: caveats is missing; list what the model does not account for');
+  } else if (!Array.isArray(explain.caveats) || !explain.caveats.every((c) => typeof c === 'string')) {
+    errors.push('E-10: caveats must be an array of strings');
+  }
+
+  for (const field of ['model_version', 'methodology_url']) {
+    if (explain[field] !== undefined && typeof explain[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  isOptionalInput,
+  validateInputs,
+  applyInputDefaults,
+  checkNumberConstraints,
+  validateOutputs,
+  validateExplainBlock,
+};
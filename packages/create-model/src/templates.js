@@ -12,11 +12,13 @@ const yaml = require('js-yaml');
  */
 function generateManifest(name, category, author) {
   const manifest = {
+    manifest_version: 2,
     id: name,
     name: name,
     version: '1.0.0',
     category: category,
     author: author,
+    dependencies: ['decimal.js'],
     inputs: [],
     outputs: [],
   };
@@ -15,9 +15,8 @@
  * Interest accrues monthly: monthlyRate = annualRate / 12 / 100.
  *
  * @param {object}         inputs
- * @param {string|Array}   inputs.debts
- *   JSON string (or pre-parsed array) of debt objects:
- *   [{ name, balance, rate, minimumPayment }]
+ * @param {Array}          inputs.debts
+ *   Array of debt objects: [{ name, balance, rate, minimumPayment }]
  * @param {number}         [inputs.extraMonthlyPayment=0]
  *   Extra amount applied each month above all minimums.
  *
@@ -151,22 +150,7 @@ function pickSnowballTarget(unpaid) {
 // ---------------------------------------------------------------------------
 
 module.exports = function debtPayoffCalculator(inputs) {
-  const { debts: debtsInput, extraMonthlyPayment } = inputs;
-
-  // Accept either a pre-parsed array (direct JS usage) or a JSON string
-  // (as passed through the manifest's string input type).
-  let rawDebts;
-  if (typeof debtsInput === 'string') {
-    try {
-      rawDebts = JSON.parse(debtsInput);
-    } catch (err) {
-      throw new Error('debts must be a valid JSON array string: ' + err.message);
-    }
-  } else if (Array.isArray(debtsInput)) {
-    rawDebts = debtsInput;
-  } else {
-    throw new Error('debts must be a JSON string or an array');
-  }
+  const { debts: rawDebts, extraMonthlyPayment } = inputs;
 
   if (!Array.isArray(rawDebts) || rawDebts.length === 0) {
     throw new Error('debts must be a non-empty array');
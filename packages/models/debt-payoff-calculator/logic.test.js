@@ -77,19 +77,9 @@ describe('debt-payoff-calculator', () => {
     expect(result.interestSaved).toBe(0);
   });
 
-  test('accepts JSON string for debts', () => {
-    const result = calculate({
-      debts: JSON.stringify(twoDebts),
-      extraMonthlyPayment: 100,
-    });
-
-    expect(result.avalanche).toBeDefined();
-    expect(result.snowball).toBeDefined();
-  });
-
   test('throws on invalid debts', () => {
-    expect(() => calculate({ debts: 'not json' })).toThrow();
-    expect(() => calculate({ debts: '[]' })).toThrow('non-empty');
+    expect(() => calculate({ debts: JSON.stringify(twoDebts) })).toThrow('non-empty array');
+    expect(() => calculate({ debts: [] })).toThrow('non-empty');
     expect(() => calculate({ debts: [{ name: '', balance: 100, rate: 5, minimumPayment: 10 }] })).toThrow('non-empty');
   });
 });
@@ -48,6 +48,7 @@ function CompoundInterestForm({ values, onChange, errors }) {
             onChange={(e) => onChange('annualRate', e.target.value)}
             step="any"
             min="0"
+            max="100"
             aria-invalid={Boolean(errors?.annualRate)}
             aria-describedby={errors?.annualRate ? 'field-annualRate-err' : undefined}
           />
@@ -70,6 +71,7 @@ function CompoundInterestForm({ values, onChange, errors }) {
             onChange={(e) => onChange('years', e.target.value)}
             step="1"
             min="1"
+            max="100"
             aria-invalid={Boolean(errors?.years)}
             aria-describedby={errors?.years ? 'field-years-err' : undefined}
           />
@@ -1,5 +1,5 @@
 import { useMemo } from 'react';
-import { listSnapshots } from '../data/snapshots.js';
+import { latestSnapshot, snapshotSeries } from '../data/snapshots.js';
 import { MODELS } from '../data/models.js';
 import HealthScoreWidget from './HealthScoreWidget.jsx';
 import DimensionCard from './DimensionCard.jsx';
@@ -13,9 +13,9 @@ const OTHER_MODELS     = MODELS.filter(
 );
 
 export default function Dashboard({ onRunHealthScore, onSelectModel }) {
-  const snapshots = useMemo(() => listSnapshots(HEALTH_SCORE_ID), []);
-
-  const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  const latest = useMemo(() => latestSnapshot(HEALTH_SCORE_ID), []);
+  // The trend sparkline only draws the last 12 scores.
+  const trend = useMemo(() => snapshotSeries(HEALTH_SCORE_ID, 'total_score').slice(-12), []);
   const score  = latest?.outputs;
 
   // Run the explainer in-browser whenever there is a score available.
@@ -60,7 +60,7 @@ export default function Dashboard({ onRunHealthScore, onSelectModel }) {
           <HealthScoreWidget
             score={score.total_score}
             grade={score.grade}
-            snapshots={snapshots}
+            series={trend}
           />
         ) : (
           <div className="dashboard-empty-state">
@@ -1,6 +1,6 @@
 import { useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { listSnapshots } from '../data/snapshots.js';
+import { latestSnapshot, snapshotSeries } from '../data/snapshots.js';
 import { MODELS } from '../data/models.js';
 import HealthScoreWidget from './HealthScoreWidget.jsx';
 import DimensionCard from './DimensionCard.jsx';
@@ -12,8 +12,9 @@ const EXPLAINER_ID = 'health-score-explainer';
 
 export default function HealthRoute() {
   const navigate = useNavigate();
-  const snapshots = useMemo(() => listSnapshots(HEALTH_SCORE_ID), []);
-  const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  const latest = useMemo(() => latestSnapshot(HEALTH_SCORE_ID), []);
+  // The trend sparkline only draws the last 12 scores.
+  const trend = useMemo(() => snapshotSeries(HEALTH_SCORE_ID, 'total_score').slice(-12), []);
   const score = latest?.outputs;
   const hasScore = Boolean(score);
   const [selectedDimensionKey, setSelectedDimensionKey] = useState(null);
@@ -63,7 +64,7 @@ export default function HealthRoute() {
           <HealthScoreWidget
             score={score.total_score}
             grade={score.grade}
-            snapshots={snapshots}
+            series={trend}
           />
         ) : (
           <div className="dashboard-empty-state">
@@ -62,10 +62,10 @@ function SparklineTooltip({ active, payload }) {
   );
 }
 
-export default function HealthScoreWidget({ score, grade, snapshots = [] }) {
-  const trendData = snapshots
+export default function HealthScoreWidget({ score, grade, series = [] }) {
+  const trendData = series
     .slice(-12)
-    .map((s) => ({ date: s.created_at, score: s.outputs.total_score }));
+    .map((point) => ({ date: point.t, score: point.value }));
 
   const hasTrend = trendData.length >= 2;
   const latest   = trendData[trendData.length - 1];
@@ -10,6 +10,7 @@ import {
   clearCachedInputs,
   mergeCachedWithDefaults,
 } from '../data/inputCache.js';
+import { checkNumberConstraints, inputStep } from '../data/inputConstraints.js';
 
 // ---------------------------------------------------------------------------
 // Build the initial form state from the model's input schema
@@ -48,6 +49,22 @@ function coerceValues(inputs, rawValues) {
   return coerced;
 }
 
+// ---------------------------------------------------------------------------
+// Validate one raw form value; returns an error message or null
+// ---------------------------------------------------------------------------
+
+function validateField(input, raw, settings) {
+  if (raw === '' || raw === undefined || raw === null) {
+    return input.required ? `${input.label} is required.` : null;
+  }
+  if (input.type !== 'number') return null;
+
+  const n = Number(raw);
+  if (isNaN(n)) return `${input.label} must be a valid number.`;
+  const problems = checkNumberConstraints(input, n, settings);
+  return problems.length > 0 ? `${input.label} ${problems[0]}.` : null;
+}
+
 // ---------------------------------------------------------------------------
 // Individual field renderer
 // ---------------------------------------------------------------------------
@@ -105,7 +122,9 @@ function FormField({ input, value, onChange, error }) {
           onChange={(e) => onChange(input.id, e.target.value)}
           placeholder={input.placeholder ?? ''}
           aria-describedby={`${fieldId}-desc`}
-          step={input.type === 'number' ? 'any' : undefined}
+          min={input.type === 'number' ? input.min : undefined}
+          max={input.type === 'number' ? input.max : undefined}
+          step={input.type === 'number' ? inputStep(input) : undefined}
         />
       )}
 
@@ -137,6 +156,8 @@ export default function ModelRunner({
   onResults,
   onBack,
   prefillValues = null,
+  locale,
+  currency,
 }) {
   const defaults = buildInitialValues(model.inputs);
   const [values, setValues] = useState(() =>
@@ -175,14 +196,8 @@ export default function ModelRunner({
 
       const validationErrors = {};
       for (const input of model.inputs) {
-        const raw = values[input.id];
-        if (input.required) {
-          if (raw === '' || raw === undefined || raw === null) {
-            validationErrors[input.id] = `${input.label} is required.`;
-          } else if (input.type === 'number' && isNaN(Number(raw))) {
-            validationErrors[input.id] = `${input.label} must be a valid number.`;
-          }
-        }
+        const message = validateField(input, values[input.id], { locale, currency });
+        if (message) validationErrors[input.id] = message;
       }
 
       if (Object.keys(validationErrors).length > 0) {
@@ -204,7 +219,7 @@ export default function ModelRunner({
     return () => {
       if (autoRunTimeoutRef.current) clearTimeout(autoRunTimeoutRef.current);
     };
-  }, [model.id, model.inputs, model.run, values, onResults]);
+  }, [model.id, model.inputs, model.run, values, onResults, locale, currency]);
 
   function handleChange(id, value) {
     setValues((prev) => ({ ...prev, [id]: value }));
@@ -220,14 +235,8 @@ export default function ModelRunner({
   function validate() {
     const nextErrors = {};
     for (const input of model.inputs) {
-      const raw = values[input.id];
-      if (input.required) {
-        if (raw === '' || raw === undefined || raw === null) {
-          nextErrors[input.id] = `${input.label} is required.`;
-        } else if (input.type === 'number' && isNaN(Number(raw))) {
-          nextErrors[input.id] = `${input.label} must be a valid number.`;
-        }
-      }
+      const message = validateField(input, values[input.id], { locale, currency });
+      if (message) nextErrors[input.id] = message;
     }
     return nextErrors;
   }
@@ -0,0 +1,69 @@
+/**
+ * Numeric input constraints (min, max, integer, step, unit) as declared in
+ * model manifests.
+ *
+ * Mirrors checkNumberConstraints in packages/core/src/validator.js, which the
+ * browser bundle cannot import. Keep the rules and wording identical so a
+ * value the form accepts is one the CLI and core accept too.
+ */
+
+/**
+ * Write a constraint bound in the input's unit, e.g. "$1,000", "100%", "120 years".
+ * Currency bounds use the given locale and currency.
+ * @param {number} n
+ * @param {string} [unit]
+ * @param {{ locale: string, currency: string }} settings
+ * @returns {string}
+ */
+function formatBound(n, unit, { locale, currency }) {
+  if (unit === 'currency') {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0 }).format(n);
+  }
+  if (unit === 'percent') return `${n}%`;
+  return unit ? `${n} ${unit}` : String(n);
+}
+
+/**
+ * Check a finite number against an input's constraints. Bounds are
+ * inclusive; `step` is counted from `min` (or 0 when no min is declared).
+ * @param {object} input - Number input declaration
+ * @param {number} value
+ * @param {{ locale?: string, currency?: string }} [options] - For currency
+ *   bounds; default en-US and USD, as in core.
+ * @returns {string[]} Problems phrased to follow the input's name, e.g.
+ *   "must be at most 120 years, got 130". Empty when the value conforms.
+ */
+export function checkNumberConstraints(input, value, { locale = 'en-US', currency = 'USD' } = {}) {
+  const settings = { locale, currency };
+  const problems = [];
+  const { min, max, step, integer, unit } = input;
+
+  if (min !== undefined && value < min) {
+    problems.push(`must be at least ${formatBound(min, unit, settings)}, got ${value}`);
+  }
+  if (max !== undefined && value > max) {
+    problems.push(`must be at most ${formatBound(max, unit, settings)}, got ${value}`);
+  }
+  if (integer === true && !Number.isInteger(value)) {
+    problems.push(`must be a whole number, got ${value}`);
+  }
+  if (step !== undefined) {
+    const steps = (value - (min !== undefined ? min : 0)) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9 * Math.max(1, Math.abs(steps))) {
+      problems.push(`must be in steps of ${formatBound(step, unit, settings)}, got ${value}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The `step` attribute for a number <input>: the declared step, 1 for
+ * whole-number inputs, otherwise "any".
+ * @param {object} input
+ * @returns {number | 'any'}
+ */
+export function inputStep(input) {
+  if (input.step !== undefined) return input.step;
+  return input.integer === true ? 1 : 'any';
+}
@@ -937,6 +937,8 @@ export const MODELS = [
         id: 'principal',
         label: 'Initial Principal',
         type: 'number',
+        min: 0,
+        unit: 'currency',
         required: true,
         description: 'Starting investment amount',
         placeholder: '10000',
@@ -945,6 +947,9 @@ export const MODELS = [
         id: 'annualRate',
         label: 'Annual Interest Rate (%)',
         type: 'number',
+        min: 0,
+        max: 100,
+        unit: 'percent',
         required: true,
         description: 'Annual interest rate as a percentage (e.g. 7 for 7%)',
         placeholder: '7',
@@ -953,6 +958,10 @@ export const MODELS = [
         id: 'years',
         label: 'Investment Period (Years)',
         type: 'number',
+        min: 1,
+        max: 100,
+        integer: true,
+        unit: 'years',
         required: true,
         description: 'Number of years to grow the investment',
         placeholder: '20',
@@ -961,6 +970,8 @@ export const MODELS = [
         id: 'monthlyContribution',
         label: 'Monthly Contribution',
         type: 'number',
+        min: 0,
+        unit: 'currency',
         required: false,
         default: 0,
         description: 'Fixed amount added each month during the investment period',
@@ -988,7 +999,7 @@ export const MODELS = [
   {
     id: 'debt-payoff-calculator',
     name: 'Debt Payoff Calculator',
-    version: '1.0.0',
+    version: '2.0.0',
     category: 'debt',
     description:
       'Simulates debt elimination under the Avalanche (highest-rate-first) and Snowball (lowest-balance-first) strategies and computes total interest saved.',
@@ -1033,10 +1044,10 @@ export const MODELS = [
       { id: 'total_debt',                 label: 'Total Non-Mortgage Debt',                   type: 'number', required: true,  placeholder: '15000' },
       { id: 'monthly_debt_payments',      label: 'Monthly Debt Payments',                    type: 'number', required: true,  placeholder: '400' },
       { id: 'retirement_balance',         label: 'Retirement Account Balance',               type: 'number', required: true,  placeholder: '50000' },
-      { id: 'age',                        label: 'Current Age',                              type: 'number', required: true,  placeholder: '35' },
+      { id: 'age',                        label: 'Current Age',                              type: 'number', min: 0, max: 120, integer: true, unit: 'years', required: true,  placeholder: '35' },
       { id: 'annual_income',              label: 'Annual Gross Income',                      type: 'number', required: true,  placeholder: '96000' },
       { id: 'current_net_worth',          label: 'Current Net Worth',                        type: 'number', required: true,  placeholder: '80000' },
-      { id: 'has_emergency_fund_target',  label: 'Emergency Fund Target (months)',           type: 'number', required: false, default: 6,     placeholder: '6' },
+      { id: 'has_emergency_fund_target',  label: 'Emergency Fund Target (months)',           type: 'number', min: 0, unit: 'months', required: false, default: 6,     placeholder: '6' },
       { id: 'has_term_life_insurance',    label: 'Has Term Life Insurance?',                 type: 'boolean', required: false, default: false },
       { id: 'has_disability_insurance',   label: 'Has Disability Insurance?',               type: 'boolean', required: false, default: false },
       { id: 'net_worth_last_year',        label: 'Net Worth 12 Months Ago (optional)',       type: 'number', required: false, placeholder: '72000', description: 'Leave blank to skip trajectory scoring' },
@@ -1137,11 +1148,11 @@ export const MODELS = [
     category: 'scenario',
     description: 'Shows how many months sooner a debt is paid off and how much interest is saved by making extra monthly payments.',
     inputs: [
-      { id: 'current_balance',       label: 'Current Balance',            type: 'number', required: true,  placeholder: '15000' },
-      { id: 'interest_rate_annual',  label: 'Annual Interest Rate (%)',   type: 'number', required: true,  placeholder: '6.5' },
-      { id: 'monthly_payment',       label: 'Monthly Payment',            type: 'number', required: true,  placeholder: '350' },
-      { id: 'remaining_months',      label: 'Remaining Months',           type: 'number', required: true,  placeholder: '48' },
-      { id: 'extra_monthly_payment', label: 'Extra Monthly Payment (What If)', type: 'number', required: true, placeholder: '200' },
+      { id: 'current_balance',       label: 'Current Balance',            type: 'number', min: 0, unit: 'currency', required: true,  placeholder: '15000' },
+      { id: 'interest_rate_annual',  label: 'Annual Interest Rate (%)',   type: 'number', min: 0, max: 100, unit: 'percent', required: true,  placeholder: '6.5' },
+      { id: 'monthly_payment',       label: 'Monthly Payment',            type: 'number', min: 0, unit: 'currency', required: true,  placeholder: '350' },
+      { id: 'remaining_months',      label: 'Remaining Months',           type: 'number', min: 1, integer: true, unit: 'months', required: true,  placeholder: '48' },
+      { id: 'extra_monthly_payment', label: 'Extra Monthly Payment (What If)', type: 'number', min: 0, unit: 'currency', required: true, placeholder: '200' },
     ],
     outputs: [
       { id: 'months_saved',                          label: 'Months Saved',                    format: 'integer'  },
@@ -62,6 +62,68 @@ export function listSnapshots(modelId) {
   );
 }
 
+/**
+ * Read a dotted output path ("plan.months", "debts[0].balance").
+ * @param {object} outputs
+ * @param {string} path
+ * @returns {*}
+ */
+function readPath(outputs, path) {
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), outputs);
+}
+
+/**
+ * Start of the UTC day, ISO week (Monday), month or year containing an
+ * ISO timestamp.
+ * @param {string} iso
+ * @param {'day'|'week'|'month'|'year'} bucket
+ * @returns {string}
+ */
+function bucketStart(iso, bucket) {
+  const date = new Date(iso);
+  const year = date.getUTCFullYear();
+  if (bucket === 'year') return new Date(Date.UTC(year, 0, 1)).toISOString();
+  if (bucket === 'month') return new Date(Date.UTC(year, date.getUTCMonth(), 1)).toISOString();
+  if (bucket === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())).toISOString();
+}
+
+const AGGREGATES = {
+  last: (values) => values[values.length - 1],
+  avg:  (values) => values.reduce((sum, v) => sum + v, 0) / values.length,
+  min:  (values) => Math.min(...values),
+  max:  (values) => Math.max(...values),
+};
+
+/**
+ * Extract one output of a model's snapshots as a time series, oldest first.
+ * Mirrors SnapshotStore.series from @finlogic/core: snapshots without the
+ * output are skipped, and with a `bucket` each day/week/month/year becomes
+ * one point combined with `aggregate` (last, avg, min or max).
+ * @param {string} modelId
+ * @param {string} outputPath - e.g. 'total_score' or 'dimensions.emergency_fund.score'
+ * @param {{ from?: string, to?: string, bucket?: string, aggregate?: string }} [options]
+ * @returns {Array<{ t: string, value: * }>}
+ */
+export function snapshotSeries(modelId, outputPath, { from, to, bucket, aggregate = 'last' } = {}) {
+  const points = listSnapshots(modelId)
+    .filter((s) => (from === undefined || s.created_at >= from) && (to === undefined || s.created_at < to))
+    .map((s) => ({ t: s.created_at, value: readPath(s.outputs, outputPath) }))
+    .filter((p) => p.value !== undefined && p.value !== null);
+  if (!bucket) return points;
+
+  const buckets = new Map();
+  for (const point of points) {
+    const t = bucketStart(point.t, bucket);
+    if (!buckets.has(t)) buckets.set(t, []);
+    buckets.get(t).push(point.value);
+  }
+  return [...buckets].map(([t, values]) => ({ t, value: AGGREGATES[aggregate](values) }));
+}
+
 /**
  * Retrieve the most-recent snapshot for a model, or null.
  * @param {string} modelId